@@ -1,78 +1,133 @@
-// API Ninjas object detection wrapper
-// Sends images to API Ninjas and extracts detected object labels for quiz answers
+// Image detection entry point
+// Labels quiz images with the provider chosen in api/config.js and maps the result to
+// dataset labels. Under the Node server (server/) that file is generated and picks the
+// `proxy` provider, so the API key stays on the server; on a static host a local
+// config.js can call API Ninjas directly, and `mock` works offline. Results are
+// cached per image (api/detection-cache.js) and upstream calls go through a throttled,
+// retrying queue with a timeout (api/throttle.js). See api/detection.js for ranking
+// and mapping and api/providers/ for the providers.
+import { labelResults, registerProvider, getProvider, DEFAULT_THRESHOLD } from './detection.js';
+import { createDetectionCache, hashBlob } from './detection-cache.js';
+import { createQueue, withRetry, withTimeout } from './throttle.js';
+import { ninjasProvider } from './providers/api-ninjas.js';
+import { mockProvider } from './providers/mock.js';
+import { proxyProvider } from './providers/proxy.js';
 
-// NOTE: We avoid a static import of `api/config.js` because some deployments
-// intentionally omit the local `api/config.js` file (it contains private keys
-// and is listed in .gitignore). A static import would fail module loading and
-// prevent the quiz script from running. Instead, load the key dynamically at
-// runtime inside the detection function and gracefully handle a missing key.
+export { registerProvider };
 
-export async function detectObjectNinjas(file) {
-  // file: Blob or File object containing image data
-  // Returns: { label: "object name", raw: full API response } or null on error
+registerProvider(ninjasProvider);
+registerProvider(mockProvider);
+registerProvider(proxyProvider);
 
-  // Try to load the local config dynamically. If it does not exist, continue
-  // without throwing so the rest of the app can still work (detection will be
-  // skipped and questions will still function).
-  let API_NINJAS_KEY = null;
-  try {
-    const cfg = await import('./config.js');
-    API_NINJAS_KEY = cfg && cfg.API_NINJAS_KEY ? cfg.API_NINJAS_KEY : null;
-  } catch (e) {
-    // Config not present or import failed; proceed without a key
-    console.debug('Local api/config.js not present or failed to load; skipping detection.');
-    API_NINJAS_KEY = null;
-  }
+// Give up waiting on a provider after this long; the quiz carries on without a label
+export const DEFAULT_TIMEOUT_MS = 8000;
+// Provider requests allowed in flight at once
+export const DEFAULT_CONCURRENCY = 2;
 
-  // If dynamic import failed, try fetching the config file as a fallback.
-  // Some hosts serve JS files with an incorrect MIME type which makes import()
-  // fail; fetching and parsing the file lets us extract the key in those cases.
-  if (!API_NINJAS_KEY) {
-    try {
-      const res = await fetch('./config.js');
-      if (res.ok) {
-        const text = await res.text();
-        // Look for a simple export like: export const API_NINJAS_KEY = '...';
-        const m = text.match(/API_NINJAS_KEY\s*=\s*['"]([^'\"]+)['"]/);
-        if (m && m[1]) API_NINJAS_KEY = m[1];
-      }
-    } catch (e) {
-      // ignore fetch/parsing errors, we'll handle missing key below
-      console.debug('Fallback fetch for api/config.js failed:', e && e.message);
-    }
-  }
+const cache = createDetectionCache();
+let queue = null;
+// Provider output being fetched, by cache key, so one image is never requested twice at once
+const inflight = new Map();
+// Provider output per image URL for this page, so shown-again images are not re-downloaded
+const byUrl = new Map();
 
-  // If no valid key, just return null so the caller knows detection was not run
-  if (!API_NINJAS_KEY || API_NINJAS_KEY.startsWith('REPLACE')) {
-    return null;
+// NOTE: We avoid a static import of `api/config.js` because static deployments
+// usually omit it (a local one holds a private key and is listed in .gitignore). A
+// static import would fail module loading and prevent the quiz script from running,
+// so the settings are imported at runtime and a missing file means no detection.
+let configPromise = null;
+
+// Settings from api/config.js: { API_NINJAS_KEY, DETECTION_PROVIDER, DETECTION_THRESHOLD,
+// DETECTION_TIMEOUT_MS, DETECTION_CONCURRENCY }
+export function loadConfig() {
+  if (!configPromise) {
+    configPromise = import('./config.js').then(cfg => Object.assign({}, cfg), function () {
+      console.debug('api/config.js not present; image detection is off.');
+      return { DETECTION_PROVIDER: 'none' };
+    });
   }
+  return configPromise;
+}
+
+async function settingsFor(options) {
+  const cfg = await loadConfig();
+  return Object.assign({
+    provider: cfg.DETECTION_PROVIDER || 'api-ninjas',
+    threshold: cfg.DETECTION_THRESHOLD != null ? Number(cfg.DETECTION_THRESHOLD) : DEFAULT_THRESHOLD,
+    timeout: Number(cfg.DETECTION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    concurrency: Number(cfg.DETECTION_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    apiKey: cfg.API_NINJAS_KEY || null
+  }, options);
+}
 
-  const endpoint = 'https://api.api-ninjas.com/v1/objectdetection';
-  const formData = new FormData();
-  formData.append('image', file, 'image.jpg');
+function providerFor(settings) {
+  if (settings.provider === 'none') return null;
+  const provider = getProvider(settings.provider);
+  if (!provider) console.warn('Unknown DETECTION_PROVIDER in api/config.js:', settings.provider);
+  return provider;
+}
 
-  // Send image to API Ninjas for object detection
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'X-Api-Key': API_NINJAS_KEY
-    },
-    body: formData
-  });
+// Raw provider output for an image: from the cache, else queued and retried upstream.
+// Providers marked `cache: false` (the mock) are called directly.
+async function providerOutput(provider, file, settings) {
+  if (provider.cache === false) return provider.detect(file, settings);
+  const key = provider.id + ':' + await hashBlob(file);
+  if (inflight.has(key)) return inflight.get(key);
+  const job = (async function () {
+    const cached = await cache.get(key);
+    if (cached) return cached;
+    if (!queue) queue = createQueue(settings.concurrency);
+    const out = await queue.run(() => withRetry(() => provider.detect(file, settings)));
+    if (out) await cache.set(key, out);
+    return out;
+  })().finally(function () { inflight.delete(key); });
+  inflight.set(key, job);
+  return job;
+}
 
-  // Handle API errors
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error('API Ninjas object detection error: ' + response.status + ' ' + text);
-  }
+// A slow upstream must not hold up the question: after the timeout callers get null
+// while the request finishes in the background and fills the cache for next time
+function finish(work, provider, settings) {
+  return withTimeout(work, settings.timeout, 'Image labelling timed out').then(
+    out => (out ? labelResults(provider.id, out, settings) : null),
+    function (err) {
+      if (err && err.name === 'TimeoutError') {
+        console.debug(err.message);
+        return null;
+      }
+      throw err;
+    }
+  );
+}
 
-  const data = await response.json();
-  // Extract label from the top detection result (API Ninjas returns array of objects)
-  // Try multiple label field names for compatibility
-  const top = data && data[0]
-    ? (data[0].label || data[0].name || data[0].object || null)
-    : null;
+// Label an image (Blob or File) for a quiz question.
+// options: { src, items, provider, threshold, limit, timeout } -- `items` (the dataset)
+// limits the answer to dataset labels; `src` is the image URL (used by the mock provider).
+// Resolves to { provider, label, confidence, labels, raw }, or null when detection is
+// not set up (no provider configured or no API key) or timed out.
+export async function detectLabels(file, options) {
+  const settings = await settingsFor(options);
+  const provider = providerFor(settings);
+  if (!provider) return null;
+  return finish(providerOutput(provider, file, settings), provider, settings);
+}
 
-  // Return both the extracted label and raw API response for debugging
-  return { label: top, raw: data };
+// Like detectLabels() for an image URL. The image is downloaded at most once per page.
+export async function detectImage(src, options) {
+  const settings = await settingsFor(Object.assign({ src: src }, options));
+  const provider = providerFor(settings);
+  if (!provider) return null;
+  const key = provider.id + ' ' + src;
+  if (!byUrl.has(key)) {
+    const work = fetch(src)
+      .then(function (res) {
+        if (!res.ok) throw new Error('Could not load image ' + src + ': ' + res.status);
+        return res.blob();
+      })
+      .then(blob => providerOutput(provider, blob, settings));
+    // Failures are not remembered so the next showing tries again
+    work.catch(function () { byUrl.delete(key); });
+    byUrl.set(key, work);
+  }
+  return finish(byUrl.get(key), provider, settings);
 }
@@ -0,0 +1,110 @@
+// Persistent cache of image-labelling results
+// Provider output is stored in IndexedDB keyed by provider and a SHA-256 hash of the
+// image bytes, so an image is sent upstream once per device however often it is shown
+// (or renamed). Where IndexedDB is missing (Node, some private modes) the cache lives
+// in memory for the page's lifetime.
+
+export const DB_NAME = 'kulture-detections';
+const DB_VERSION = 1;
+const STORE = 'results';
+
+// Entries older than this are fetched again
+export const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// FNV-1a over the bytes, for insecure origins where crypto.subtle is unavailable
+function fnvHex(bytes) {
+  let h = 2166136261;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 16777619);
+  }
+  return 'fnv' + (h >>> 0).toString(16) + '-' + bytes.length;
+}
+
+// Content hash of a Blob, File, ArrayBuffer or typed array
+export async function hashBlob(data) {
+  const buffer = data && typeof data.arrayBuffer === 'function' ? await data.arrayBuffer() : data;
+  const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (subtle) return toHex(await subtle.digest('SHA-256', bytes));
+  return fnvHex(bytes);
+}
+
+function promisify(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () { resolve(request.result); };
+    request.onerror = function () { reject(request.error); };
+  });
+}
+
+function openDb(indexedDB) {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = function () {
+    request.result.createObjectStore(STORE);
+  };
+  return promisify(request);
+}
+
+// { get(key), set(key, value), clear() }, all async. get() resolves to null for
+// missing or expired entries. Storage errors are logged and treated as misses.
+// options: { indexedDB, maxAge, now }
+export function createDetectionCache(options) {
+  options = options || {};
+  const maxAge = options.maxAge == null ? MAX_AGE_MS : options.maxAge;
+  const now = options.now || Date.now;
+  const idb = options.indexedDB === undefined ? globalThis.indexedDB : options.indexedDB;
+  const memory = new Map();
+  let dbPromise = null;
+
+  function db() {
+    if (!idb) return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = openDb(idb).catch(function (err) {
+        console.debug('Detection cache unavailable:', err && err.message);
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function read(key) {
+    const conn = await db();
+    if (!conn) return memory.get(key) || null;
+    return promisify(conn.transaction(STORE, 'readonly').objectStore(STORE).get(key));
+  }
+
+  async function write(key, entry) {
+    const conn = await db();
+    if (!conn) { memory.set(key, entry); return; }
+    await promisify(conn.transaction(STORE, 'readwrite').objectStore(STORE).put(entry, key));
+  }
+
+  return {
+    get: async function (key) {
+      try {
+        const entry = await read(key);
+        if (!entry || now() - entry.at > maxAge) return null;
+        return entry.value;
+      } catch (err) {
+        console.debug('Detection cache read failed:', err && err.message);
+        return null;
+      }
+    },
+    set: async function (key, value) {
+      try {
+        await write(key, { value: value, at: now() });
+      } catch (err) {
+        console.debug('Detection cache write failed:', err && err.message);
+      }
+    },
+    clear: async function () {
+      memory.clear();
+      const conn = await db();
+      if (conn) await promisify(conn.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+    }
+  };
+}
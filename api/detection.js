@@ -0,0 +1,110 @@
+// Kulture image labelling
+// Providers (API Ninjas, the offline mock, or an in-browser model) report raw labels
+// with a confidence. This module ranks them, drops guesses below a threshold and maps
+// vendor names such as "flatbread" to dataset labels such as "chapati". DOM-free, so
+// it runs in Node under `npm test`; api/api.js wires it to the app's configuration.
+import { compactName } from '../js/dataset.js';
+import { LABEL_MAP } from './label-map.js';
+
+// Results less confident than this are discarded
+export const DEFAULT_THRESHOLD = 0.5;
+// Labels kept per image
+export const DEFAULT_LIMIT = 5;
+
+const providers = new Map();
+
+// provider: { id, detect(file, options), cache }
+// detect() resolves to { results: [{ label, confidence }], raw } or to null when the
+// provider cannot run here (no API key, model not loaded, ...). Errors with a `status`
+// of 429 or 5xx are retried. Set `cache: false` for providers that are free to call.
+export function registerProvider(provider) {
+  if (!provider || !provider.id || typeof provider.detect !== 'function') {
+    throw new Error('A detection provider needs an id and a detect() function');
+  }
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+export function providerIds() {
+  return Array.from(providers.keys());
+}
+
+function confidenceOf(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : 0;
+}
+
+// Dataset label for a provider label: the mapping table first, then any item whose
+// label or alias matches. Returns null for labels the table rules out and undefined
+// for labels neither knows.
+// options: { labelMap, items }
+export function mapLabel(label, options) {
+  options = options || {};
+  const table = options.labelMap || LABEL_MAP;
+  const key = String(label || '').trim().toLowerCase();
+  if (!key) return null;
+  if (Object.prototype.hasOwnProperty.call(table, key)) return table[key];
+  const want = compactName(key);
+  const item = (options.items || []).find(function (i) {
+    return i.label && [i.label].concat(i.aliases || []).some(n => compactName(n) === want);
+  });
+  return item ? item.label : undefined;
+}
+
+// Turn raw provider results into quiz labels, best first: [{ label, confidence, providerLabel }].
+// When `items` (the dataset) is given only labels that map to an item are kept;
+// without it unknown labels pass through in lowercase. Two provider labels that map
+// to the same quiz label count once, with the higher confidence.
+// options: { threshold, limit, labelMap, items }
+export function rankLabels(results, options) {
+  options = options || {};
+  const threshold = options.threshold == null ? DEFAULT_THRESHOLD : Number(options.threshold);
+  const limit = options.limit || DEFAULT_LIMIT;
+  const best = new Map();
+  (results || []).forEach(function (r) {
+    const providerLabel = r && (r.label || r.name || r.object);
+    const confidence = confidenceOf(r && (r.confidence != null ? r.confidence : r.score));
+    if (!providerLabel || confidence < threshold) return;
+    let label = mapLabel(providerLabel, options);
+    if (label === null) return;
+    if (label === undefined) {
+      if (options.items) return;
+      label = String(providerLabel).trim().toLowerCase();
+    }
+    const prev = best.get(label);
+    if (!prev || confidence > prev.confidence) {
+      best.set(label, { label: label, confidence: confidence, providerLabel: String(providerLabel) });
+    }
+  });
+  return Array.from(best.values())
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+// Quiz labels from a provider's output: { provider, label, confidence, labels, raw }
+// where `label` is the best quiz label (null when nothing cleared the threshold) and
+// `labels` the ranked top-k. Output is kept raw so it can be cached and re-ranked.
+export function labelResults(providerId, out, options) {
+  const labels = rankLabels(out.results, options);
+  return {
+    provider: providerId,
+    label: labels.length ? labels[0].label : null,
+    confidence: labels.length ? labels[0].confidence : 0,
+    labels: labels,
+    raw: out.raw === undefined ? out.results : out.raw
+  };
+}
+
+// Label an image with one provider. Resolves to null when the provider did not run.
+// options: { provider, threshold, limit, labelMap, items, src } plus provider settings
+export async function labelImage(file, options) {
+  options = options || {};
+  const provider = getProvider(options.provider);
+  if (!provider) throw new Error('Unknown detection provider: ' + options.provider);
+  const out = await provider.detect(file, options);
+  return out ? labelResults(provider.id, out, options) : null;
+}
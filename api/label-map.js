@@ -0,0 +1,58 @@
+// Provider label → dataset label
+// Object detectors name what they see in generic terms ("flatbread", "antelope").
+// This table turns those names into the labels used in api/questions.json. A `null`
+// value means the label is never a quiz answer (people and tableware show up in many
+// photos). Keys are lowercase; labels missing here are matched against the dataset's
+// labels and aliases instead (see mapLabel in api/detection.js).
+export const LABEL_MAP = {
+  // Never the subject of a question
+  person: null,
+  man: null,
+  woman: null,
+  child: null,
+  plate: null,
+  table: null,
+  'dining table': null,
+  spoon: null,
+  fork: null,
+  knife: null,
+  cup: null,
+
+  // Food
+  dough: 'ugali',
+  'mashed potato': 'mukimo',
+  porridge: 'ugali',
+  flatbread: 'chapati',
+  tortilla: 'chapati',
+  pancake: 'chapati',
+  naan: 'chapati',
+  cabbage: 'sukuma wiki',
+  kale: 'sukuma wiki',
+  'leaf vegetable': 'sukuma wiki',
+  'hot dog': 'mutura',
+  sausage: 'mutura',
+
+  // Animals
+  antelope: 'wildebeest',
+  buffalo: 'wildebeest',
+  horse: 'zebra',
+  bird: 'ostrich',
+
+  // Home and clothing
+  house: 'hut',
+  shed: 'hut',
+  tent: 'hut',
+  vase: 'calabash',
+  bottle: 'calabash',
+  pot: 'calabash',
+  blanket: 'maasai shuka',
+  scarf: 'maasai shuka',
+  dress: 'kitenge',
+  fabric: 'kitenge',
+  textile: 'kitenge',
+
+  // Plants and instruments
+  tree: 'baobab',
+  xylophone: 'marimba',
+  piano: 'marimba'
+};
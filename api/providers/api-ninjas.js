@@ -0,0 +1,41 @@
+// API Ninjas object detection provider
+// Sends the image to API Ninjas and reports every detected object with its confidence.
+// Needs `options.apiKey` (API_NINJAS_KEY in api/config.js); without one it does not run.
+
+export const ENDPOINT = 'https://api.api-ninjas.com/v1/objectdetection';
+
+export const ninjasProvider = {
+  id: 'api-ninjas',
+  detect: async function (file, options) {
+    const key = options && options.apiKey;
+    if (!key || key.startsWith('REPLACE')) return null;
+
+    const formData = new FormData();
+    formData.append('image', file, 'image.jpg');
+
+    const response = await fetch(ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'X-Api-Key': key
+      },
+      body: formData
+    });
+
+    // Handle API errors; the status lets api/throttle.js retry 429 and 5xx responses
+    if (!response.ok) {
+      const text = await response.text();
+      const err = new Error('API Ninjas object detection error: ' + response.status + ' ' + text);
+      err.status = response.status;
+      err.retryAfter = Number(response.headers.get('Retry-After')) || 0;
+      throw err;
+    }
+
+    // An array of { label, confidence, bounding_box }; confidence arrives as a string.
+    // Try other label field names for compatibility.
+    const data = await response.json();
+    const results = (Array.isArray(data) ? data : []).map(function (d) {
+      return { label: d.label || d.name || d.object || null, confidence: d.confidence };
+    });
+    return { results: results, raw: data };
+  }
+};
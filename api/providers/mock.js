@@ -0,0 +1,34 @@
+// Offline image-labelling provider
+// For tests and development without an API key or network. Answers come from a
+// fixture table keyed by image file name; other images are labelled after their file
+// name, since dataset images are named after what they show (images/giraffe.jpg).
+// The fixtures use vendor-style names on purpose so they exercise api/label-map.js.
+
+export const MOCK_FIXTURES = {
+  ugali: [{ label: 'dough', confidence: 0.71 }, { label: 'plate', confidence: 0.93 }],
+  chapati: [{ label: 'flatbread', confidence: 0.84 }, { label: 'pancake', confidence: 0.62 }, { label: 'person', confidence: 0.55 }],
+  kales: [{ label: 'leaf vegetable', confidence: 0.77 }, { label: 'bowl', confidence: 0.52 }],
+  wildebeest: [{ label: 'antelope', confidence: 0.88 }, { label: 'horse', confidence: 0.41 }],
+  marimba: [{ label: 'xylophone', confidence: 0.9 }],
+  'pexels-jairo-david-arboleda-621072-1425883': [{ label: 'person', confidence: 0.97 }]
+};
+
+function baseName(src) {
+  const file = String(src || '').split(/[?#]/)[0].split('/').pop() || '';
+  return decodeURIComponent(file.replace(/\.[a-z0-9]+$/i, '')).toLowerCase();
+}
+
+export const mockProvider = {
+  id: 'mock',
+  // Answers are local and instant; nothing to cache or throttle
+  cache: false,
+  // options: { src, fixtures } -- `src` is the image URL the blob was fetched from
+  detect: async function (file, options) {
+    options = options || {};
+    const fixtures = options.fixtures || MOCK_FIXTURES;
+    const name = baseName(options.src || (file && file.name));
+    if (!name) return { results: [], raw: null };
+    const results = fixtures[name] || [{ label: name.replace(/[-_]+/g, ' '), confidence: 0.9 }];
+    return { results: results.slice(), raw: { mock: true, image: name } };
+  }
+};
@@ -0,0 +1,31 @@
+// Server proxy provider
+// Sends the image to the Kulture Node server (`POST /api/detect`, see server/), which
+// forwards it to the real provider with a key that never reaches the browser. The
+// server chooses this provider for the page through the api/config.js it serves.
+
+export const PROXY_URL = '/api/detect';
+
+export const proxyProvider = {
+  id: 'proxy',
+  detect: async function (file, options) {
+    const response = await fetch((options && options.proxyUrl) || PROXY_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': (file && file.type) || 'image/jpeg' },
+      body: file
+    });
+
+    // No server here, or detection is not configured on it
+    if (response.status === 404 || response.status === 405 || response.status === 503) return null;
+
+    // The status lets api/throttle.js retry 429 and 5xx responses
+    if (!response.ok) {
+      let message = '';
+      try { message = (await response.json()).error || ''; } catch (e) {}
+      const err = new Error('Detection proxy error: ' + response.status + ' ' + message);
+      err.status = response.status;
+      err.retryAfter = Number(response.headers.get('Retry-After')) || 0;
+      throw err;
+    }
+    return response.json();
+  }
+};
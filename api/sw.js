@@ -1,63 +1,252 @@
-/* Service Worker acting as a tiny backend for /api/question */
-const CACHE_NAME = 'prickly-quiz-sw-v1';
+/* Service Worker: offline-first caching for the site, a tiny backend for /api/question
+   and the files of question packs installed on this device (/packs/<id>/...) */
+import { parseDataset } from '../js/dataset.js';
+import { buildQuestions, questionParams } from '../js/question-api.js';
+import { createPackStore, resolvePackDataset, parsePackUrl, mediaType } from '../js/packs.js';
+
+// Bump CACHE_VERSION whenever files in PRECACHE_URLS change so clients pick up
+// the new assets; `activate` removes caches left behind by older versions.
+const CACHE_PREFIX = 'prickly-quiz-sw-';
+const CACHE_VERSION = 'v37';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+const RUNTIME_CACHE = CACHE_PREFIX + 'runtime-' + CACHE_VERSION;
+
+const DATASET_URL = '/api/questions.json';
+const OFFLINE_PAGE = '/offline.html';
+const OFFLINE_IMAGE = '/images/offline.svg';
+
+// Installed question packs (IndexedDB, shared with the pages)
+const packs = createPackStore();
+
+// App shell cached at install time. Dataset images are added from questions.json.
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/quiz.html',
+  '/about.html',
+  '/404.html',
+  '/report.html',
+  '/author.html',
+  '/badges.html',
+  '/classroom.html',
+  '/explore.html',
+  '/join.html',
+  OFFLINE_PAGE,
+  '/style.css',
+  '/index.css',
+  '/quiz.css',
+  '/404.css',
+  '/report.css',
+  '/author.css',
+  '/badges.css',
+  '/classroom.css',
+  '/explore.css',
+  '/quiz.js',
+  '/api/api.js',
+  '/api/detection.js',
+  '/api/detection-cache.js',
+  '/api/throttle.js',
+  '/api/label-map.js',
+  '/api/providers/api-ninjas.js',
+  '/api/providers/mock.js',
+  '/api/providers/proxy.js',
+  '/js/dataset.js',
+  '/js/mastery.js',
+  '/js/profiles.js',
+  '/js/profile-picker.js',
+  '/js/history.js',
+  '/js/report.js',
+  '/js/register-sw.js',
+  '/js/i18n.js',
+  '/js/page-i18n.js',
+  '/js/speech.js',
+  '/js/answer-match.js',
+  '/js/question-types.js',
+  '/js/distractors.js',
+  '/js/rng.js',
+  '/js/quiz-session.js',
+  '/js/question-api.js',
+  '/js/round-link.js',
+  '/js/answer-policy.js',
+  '/js/author.js',
+  '/js/author-draft.js',
+  '/js/image-store.js',
+  '/js/image-crop.js',
+  '/js/packs.js',
+  '/js/pack-picker.js',
+  '/js/zip.js',
+  '/js/achievements.js',
+  '/js/badge-shelf.js',
+  '/js/challenge.js',
+  '/js/multiplayer.js',
+  '/js/match-setup.js',
+  '/js/a11y.js',
+  '/js/a11y-panel.js',
+  '/js/learn.js',
+  '/js/regions.js',
+  '/js/explore.js',
+  '/js/analytics.js',
+  '/js/analytics-view.js',
+  '/js/classroom-client.js',
+  '/js/classroom-host.js',
+  '/js/classroom-student.js',
+  '/locales/en.json',
+  '/locales/sw.json',
+  '/locales/ki.json',
+  DATASET_URL,
+  OFFLINE_IMAGE,
+  '/images/pexels-jairo-david-arboleda-621072-1425883.jpg'
+];
+
+function isLocal(src) {
+  return !/^(https?:)?\/\//i.test(String(src));
+}
+
+// Resolve dataset media paths ("./images/x.jpg") to absolute same-origin URLs
+function toSitePath(src) {
+  return new URL(src, self.location.origin + '/').pathname;
+}
+
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(PRECACHE_URLS);
+  // Images and recordings are cached one by one so a single missing file does not fail the install
+  try {
+    const items = parseDataset(await (await cache.match(DATASET_URL)).json()).items;
+    const media = items.flatMap(i => [i.image].concat(Object.values(i.audio || {})))
+      .filter(src => src && isLocal(src)).map(toSitePath);
+    await Promise.all(media.map(url => cache.add(url).catch(err => {
+      console.warn('Could not precache', url, err);
+    })));
+  } catch (err) {
+    console.warn('Could not precache dataset media', err);
+  }
+}
 
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  // No skipWaiting here: a new version waits until the page accepts the update prompt
+  event.waitUntil(precache());
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil((async () => {
+    const keep = [CACHE_NAME, RUNTIME_CACHE];
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && keep.indexOf(key) === -1)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
 });
 
+// The page posts this message when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Serve the cached dataset immediately and refresh it in the background.
+// Falls back to the network when nothing is cached yet.
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request).then((resp) => {
+    if (resp && resp.ok) return cache.put(request, resp.clone()).then(() => resp);
+    return resp;
+  });
+  if (cached) {
+    // Offline, the background refresh fails; the cached copy is answer enough
+    const settled = refresh.catch(() => {});
+    if (event) event.waitUntil(settled);
+    return cached;
+  }
+  return refresh;
+}
+
 async function loadDataset() {
-  const resp = await fetch('/api/questions.json');
-  if (!resp.ok) throw new Error('Could not load questions dataset');
-  return await resp.json();
+  const resp = await staleWhileRevalidate(new Request(DATASET_URL));
+  if (!resp || !resp.ok) throw new Error('Could not load questions dataset');
+  return resp.json();
+}
+
+// Cache-first for precached and previously seen files, with an offline fallback
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+  try {
+    const resp = await fetch(request);
+    if (resp && resp.ok && resp.type === 'basic') {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, resp.clone());
+    }
+    return resp;
+  } catch (err) {
+    if (request.mode === 'navigate') return caches.match(OFFLINE_PAGE);
+    if (request.destination === 'image') return caches.match(OFFLINE_IMAGE);
+    throw err;
+  }
+}
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), { status: status || 200, headers: { 'Content-Type': 'application/json' } });
 }
 
-function sample(array, n) {
-  const copy = array.slice();
-  const out = [];
-  while (out.length < n && copy.length) {
-    const i = Math.floor(Math.random() * copy.length);
-    out.push(copy.splice(i, 1)[0]);
+// Offline twin of the Node server's /api/question (contract in js/question-api.js).
+// `?pack=<id>` asks an installed pack instead of the built-in questions.
+async function handleQuestion(url) {
+  const query = questionParams(url.searchParams);
+  if (query.error) return jsonResponse({ error: query.error }, 400);
+  try {
+    const id = url.searchParams.get('pack');
+    let json;
+    if (id) {
+      const record = await packs.get(id);
+      if (!record) return jsonResponse({ error: 'Unknown pack: ' + id }, 404);
+      json = resolvePackDataset(record);
+    } else {
+      json = await loadDataset();
+    }
+    return jsonResponse(buildQuestions(json, query.count, Math.random, query));
+  } catch (err) {
+    return jsonResponse({ error: err.message }, 500);
   }
-  return out;
+}
+
+// Pack files come from other people but are served from this site: never sniffed, and
+// sandboxed so that nothing in them runs with the site's rights
+const PACK_HEADERS = { 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': 'sandbox' };
+
+function packResponse(body, status, type) {
+  return new Response(body, { status: status, headers: Object.assign({ 'Content-Type': type }, PACK_HEADERS) });
+}
+
+// /packs/<id>/questions.json (with file paths resolved) and the pack's own files. A
+// file is served with the type its extension allows (js/packs.js), whatever it was
+// installed with; anything else is not served at all.
+async function handlePackFile(ref) {
+  const record = await packs.get(ref.id);
+  if (!record) return packResponse(JSON.stringify({ error: 'Unknown pack: ' + ref.id }), 404, 'application/json');
+  if (ref.path === 'questions.json') return packResponse(JSON.stringify(resolvePackDataset(record)), 200, 'application/json');
+  const type = mediaType(ref.path);
+  const blob = type && await packs.file(ref.id, ref.path);
+  if (!blob) return packResponse('Not found', 404, 'text/plain');
+  return packResponse(blob, 200, type);
 }
 
 self.addEventListener('fetch', (event) => {
-  const url = new URL(event.request.url);
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // Leave third-party requests (fonts, CDN styles) to the browser
+  if (url.origin !== self.location.origin) return;
+
+  const packRef = parsePackUrl(url.pathname);
   if (url.pathname === '/api/question') {
-    event.respondWith((async () => {
-      try {
-        const params = url.searchParams;
-        const count = Math.max(1, Math.min(10, parseInt(params.get('count') || '1')));
-        const dataset = await loadDataset();
-
-        // pick `count` distinct questions
-        const picks = sample(dataset, count);
-
-        const questions = picks.map((item) => {
-          // Build three distractors from dataset labels that are not the correct label
-          const others = dataset.filter(d => d.id !== item.id).map(d => d.label);
-          // shuffle and pick 3
-          const distractors = sample(others, Math.min(3, others.length));
-          const choices = sample([item.label, ...distractors], Math.min(4, 1 + distractors.length));
-          return {
-            id: item.id,
-            image: item.image,
-            label: item.label,
-            choices: choices
-          };
-        });
-
-        const body = JSON.stringify({ questions });
-        return new Response(body, {
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } catch (err) {
-        return new Response(JSON.stringify({ error: err.message }), { status: 500, headers: { 'Content-Type': 'application/json' } });
-      }
-    })());
+    event.respondWith(handleQuestion(url));
+  } else if (packRef) {
+    event.respondWith(handlePackFile(packRef));
+  } else if (url.pathname === DATASET_URL) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  } else {
+    event.respondWith(cacheFirst(request));
   }
 });
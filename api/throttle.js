@@ -0,0 +1,91 @@
+// Request throttling for image labelling
+// A small queue that caps how many provider requests run at once, retries with
+// exponential backoff when the provider is rate limited (429) or failing (5xx), and a
+// timeout so callers are never left waiting on a slow upstream. DOM-free.
+
+// Run at most `concurrency` tasks at a time; the rest wait in order.
+// queue.run(task) resolves or rejects with task()'s result.
+export function createQueue(concurrency) {
+  const limit = Math.max(1, concurrency || 1);
+  const waiting = [];
+  let active = 0;
+
+  function pump() {
+    while (active < limit && waiting.length) {
+      const job = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .then(function () {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  return {
+    run: function (task) {
+      return new Promise(function (resolve, reject) {
+        waiting.push({ task: task, resolve: resolve, reject: reject });
+        pump();
+      });
+    },
+    get active() { return active; },
+    get pending() { return waiting.length; }
+  };
+}
+
+// Reject with a TimeoutError if `promise` has not settled within `ms`
+export function withTimeout(promise, ms, message) {
+  if (!ms || ms <= 0) return promise;
+  let timer = null;
+  const timeout = new Promise(function (resolve, reject) {
+    timer = setTimeout(function () {
+      const err = new Error(message || 'Timed out after ' + ms + ' ms');
+      err.name = 'TimeoutError';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(function () { clearTimeout(timer); });
+}
+
+// Rate limiting and server errors are worth another try; bad requests are not
+export function isRetryable(err) {
+  const status = err && err.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Delay before retry number `attempt` (0-based): exponential with jitter, or what the
+// server asked for with Retry-After (`err.retryAfter`, seconds)
+export function backoffDelay(attempt, err, options) {
+  options = options || {};
+  const base = options.baseDelay == null ? 500 : options.baseDelay;
+  const max = options.maxDelay == null ? 8000 : options.maxDelay;
+  const random = options.random || Math.random;
+  if (err && err.retryAfter > 0) return Math.min(max, err.retryAfter * 1000);
+  const exp = Math.min(max, base * Math.pow(2, attempt));
+  // Full jitter keeps several tabs from retrying in lockstep
+  return Math.round(exp / 2 + random() * exp / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Call task() until it succeeds, it fails with an error that is not retryable, or
+// `retries` retries have been used.
+// options: { retries = 3, baseDelay = 500, maxDelay = 8000, random, sleep }
+export async function withRetry(task, options) {
+  options = options || {};
+  const retries = options.retries == null ? 3 : options.retries;
+  const wait = options.sleep || sleep;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      await wait(backoffDelay(attempt, err, options));
+    }
+  }
+}
@@ -0,0 +1,91 @@
+// Kulture accessibility settings
+// Renders the "Accessibility" dialog on the quiz page: animations, calm mode, switch
+// scanning and its speed, plus the keyboard shortcuts. The settings themselves live
+// in js/a11y.js.
+import { SCAN_SPEEDS, saveA11ySettings } from './a11y.js';
+import { t } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function checkbox(text, checked, onChange) {
+  const label = el('label', 'match-option');
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.checked = checked;
+  box.addEventListener('change', function () { onChange(box.checked); });
+  label.appendChild(box);
+  label.appendChild(document.createTextNode(' ' + text));
+  return label;
+}
+
+// Open the settings inside a <dialog>. Every change is saved straight away and
+// passed to options.onChange(settings) so the page can follow it.
+export function openA11yPanel(dialog, settings, options) {
+  options = options || {};
+  settings = Object.assign({}, settings);
+
+  function update(changes) {
+    Object.assign(settings, changes);
+    saveA11ySettings(settings);
+    if (options.onChange) options.onChange(Object.assign({}, settings));
+    render();
+  }
+
+  function render() {
+    const focused = document.activeElement && dialog.contains(document.activeElement) ? document.activeElement.name : null;
+    dialog.innerHTML = '';
+    const form = el('form', 'a11y-settings');
+    const title = el('h2', 'profile-dialog-title', t('a11y.title'));
+    title.id = 'a11y-dialog-title';
+    dialog.setAttribute('aria-labelledby', title.id);
+    form.appendChild(title);
+
+    const motion = checkbox(t('a11y.motion'), settings.motion === 'reduce', on => update({ motion: on ? 'reduce' : 'system' }));
+    const calm = checkbox(t('a11y.lowStimulation'), settings.lowStimulation, on => update({ lowStimulation: on }));
+    const scanning = checkbox(t('a11y.scanning'), settings.scanning, on => update({ scanning: on }));
+    motion.querySelector('input').name = 'motion';
+    calm.querySelector('input').name = 'lowStimulation';
+    scanning.querySelector('input').name = 'scanning';
+    form.appendChild(motion);
+    form.appendChild(calm);
+    form.appendChild(scanning);
+    form.appendChild(el('p', 'pack-note', t('a11y.scanningHelp')));
+
+    const speedLabel = el('label', 'match-option', t('a11y.scanSpeed') + ' ');
+    const speed = document.createElement('select');
+    speed.name = 'scanSeconds';
+    SCAN_SPEEDS.forEach(function (seconds) {
+      const opt = el('option', null, t('a11y.seconds', { count: seconds }));
+      opt.value = String(seconds);
+      speed.appendChild(opt);
+    });
+    speed.value = String(settings.scanSeconds);
+    speed.disabled = !settings.scanning;
+    speed.addEventListener('change', function () { update({ scanSeconds: Number(speed.value) }); });
+    speedLabel.appendChild(speed);
+    form.appendChild(speedLabel);
+
+    form.appendChild(el('p', 'pack-note', t('a11y.shortcuts')));
+
+    const actions = el('div', 'profile-edit-actions');
+    const closeBtn = el('button', 'btn btn-primary', t('profiles.close'));
+    closeBtn.type = 'button';
+    closeBtn.addEventListener('click', function () { dialog.close(); });
+    actions.appendChild(closeBtn);
+    form.appendChild(actions);
+    form.addEventListener('submit', function (e) { e.preventDefault(); });
+    dialog.appendChild(form);
+
+    // Redrawing after a change keeps the keyboard where it was
+    const again = focused && form.elements[focused];
+    if (again) again.focus();
+  }
+
+  render();
+  if (!dialog.open) dialog.showModal();
+}
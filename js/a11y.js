@@ -0,0 +1,151 @@
+// Kulture accessibility helpers
+// Settings a child's helper can change on the quiz page (less motion, a calmer look,
+// single-switch scanning), screen-reader announcements, number-key shortcuts and
+// picture descriptions that do not give the answer away. The rules are DOM-free where
+// they can be so they run under `npm test`; the settings dialog is js/a11y-panel.js.
+
+export const A11Y_KEY = 'kulture.a11y.v1';
+
+// Seconds the switch-scanning highlight stays on each button
+export const SCAN_SPEEDS = [1, 1.5, 2, 3];
+
+export const DEFAULT_A11Y = {
+  // 'system' follows prefers-reduced-motion; 'reduce' always turns animations off
+  motion: 'system',
+  // No confetti or animations and muted colours, for children who are easily overwhelmed
+  lowStimulation: false,
+  // Single-switch scanning: the highlight steps through the buttons on its own and the
+  // switch (Space or Enter) presses the highlighted one
+  scanning: false,
+  scanSeconds: 1.5
+};
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+export function loadA11ySettings(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  const settings = Object.assign({}, DEFAULT_A11Y);
+  if (!storage) return settings;
+  try {
+    const saved = JSON.parse(storage.getItem(A11Y_KEY) || '{}');
+    if (saved && typeof saved === 'object') {
+      if (saved.motion === 'reduce') settings.motion = 'reduce';
+      settings.lowStimulation = saved.lowStimulation === true;
+      settings.scanning = saved.scanning === true;
+      if (SCAN_SPEEDS.indexOf(saved.scanSeconds) !== -1) settings.scanSeconds = saved.scanSeconds;
+    }
+  } catch (e) {
+    // Broken settings fall back to the defaults
+  }
+  return settings;
+}
+
+export function saveA11ySettings(settings, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    storage.setItem(A11Y_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.debug('Could not save accessibility settings:', e && e.message);
+  }
+}
+
+// Whether animations (confetti, transitions) should be left out.
+// matchMedia is injectable for tests; the browser's is used by default.
+export function reduceMotion(settings, matchMedia) {
+  if (settings && (settings.motion === 'reduce' || settings.lowStimulation)) return true;
+  matchMedia = matchMedia || globalThis.matchMedia;
+  return !!(matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+// Mark the page so the stylesheets can follow the settings
+export function applyA11ySettings(settings, root) {
+  root = root || document.documentElement;
+  root.classList.toggle('reduce-motion', reduceMotion(settings));
+  root.classList.toggle('low-stimulation', !!settings.lowStimulation);
+  root.classList.toggle('switch-scanning', !!settings.scanning);
+}
+
+// Choice index (0-3) for the number keys 1-4, or -1. Keys typed into a field or held
+// with a modifier are left alone.
+export function shortcutIndex(event) {
+  if (!event || event.ctrlKey || event.metaKey || event.altKey) return -1;
+  const target = event.target;
+  const tag = target && target.tagName ? target.tagName.toLowerCase() : '';
+  if (tag === 'input' || tag === 'textarea' || tag === 'select' || (target && target.isContentEditable)) return -1;
+  return ['1', '2', '3', '4'].indexOf(event.key);
+}
+
+// A description of the item's picture that does not name it (the dataset's `alt`, in
+// `locale` or its default), or null when the dataset has none
+export function pictureDescription(item, locale) {
+  const alt = (item && item.alt) || {};
+  return alt[locale] || alt.default || null;
+}
+
+// Screen-reader announcements through a polite live region. Clearing the region first
+// makes the same message ("Try again") be read out again when it repeats.
+export function createAnnouncer(region, delay) {
+  let timer = null;
+  return function announce(text) {
+    if (!region) return;
+    clearTimeout(timer);
+    region.textContent = '';
+    if (!text) return;
+    timer = setTimeout(function () { region.textContent = text; }, delay == null ? 50 : delay);
+  };
+}
+
+// Single-switch scanning. options: {
+//   targets()        the buttons to step through, in order (only usable ones)
+//   highlight(el)    show the step (null clears it); focusing el lets the switch press it
+//   seconds          time on each button
+//   setInterval, clearInterval   injectable for tests
+// }
+// Returns { start(), stop(), restart(), step(), get current, get running }.
+export function createScanner(options) {
+  const every = options.setInterval || globalThis.setInterval;
+  const cancel = options.clearInterval || globalThis.clearInterval;
+  let timer = null;
+  let current = null;
+
+  function show(el) {
+    current = el;
+    options.highlight(el);
+  }
+
+  const scanner = {
+    get current() { return current; },
+    get running() { return timer != null; },
+    // Move to the next usable target, wrapping round at the end
+    step: function () {
+      const list = options.targets();
+      if (!list.length) {
+        show(null);
+        return null;
+      }
+      const at = list.indexOf(current);
+      show(list[at === -1 ? 0 : (at + 1) % list.length]);
+      return current;
+    },
+    start: function () {
+      if (timer != null) return;
+      scanner.step();
+      timer = every(scanner.step, (options.seconds || DEFAULT_A11Y.scanSeconds) * 1000);
+    },
+    stop: function () {
+      if (timer != null) cancel(timer);
+      timer = null;
+      show(null);
+    },
+    // After the screen changes (a new question, the end of a round): begin again at the top
+    restart: function () {
+      if (timer == null) return;
+      scanner.stop();
+      scanner.start();
+    }
+  };
+  return scanner;
+}
@@ -0,0 +1,155 @@
+// Kulture achievements
+// Points, stars, streaks and badges for each profile. The quiz session reports points
+// per answer and stars per round (js/quiz-session.js); this module adds them up, keeps
+// the daily play streak and decides which badges are earned. Records live in
+// localStorage next to the profile's other records; the badge shelf (badges.html)
+// reads them back.
+import { CATEGORIES } from './dataset.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+// Storage key for a profile's achievements
+export function achievementsKey(profileId) {
+  return 'kulture.achievements.v1.' + profileId;
+}
+
+// { points, rounds, practiceRounds, bestStreak, days: { last, current, best },
+//   stars: { [pack]: { [level]: 1-3 } }, firstTry: { [pack]: [itemIds] }, badges: { [id]: at } }
+// Pack '' is the built-in questions (see js/packs.js).
+export function emptyAchievements() {
+  return {
+    points: 0,
+    rounds: 0,
+    practiceRounds: 0,
+    bestStreak: 0,
+    days: { last: null, current: 0, best: 0 },
+    stars: {},
+    firstTry: {},
+    badges: {}
+  };
+}
+
+export function loadAchievements(profileId, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return emptyAchievements();
+  try {
+    const parsed = JSON.parse(storage.getItem(achievementsKey(profileId)) || 'null');
+    return parsed && typeof parsed === 'object' ? Object.assign(emptyAchievements(), parsed) : emptyAchievements();
+  } catch (e) {
+    return emptyAchievements();
+  }
+}
+
+export function saveAchievements(profileId, record, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    storage.setItem(achievementsKey(profileId), JSON.stringify(record));
+  } catch (e) {
+    console.debug('Could not save achievements:', e && e.message);
+  }
+}
+
+// Local calendar day, so a streak follows the child's days rather than UTC
+function dayOf(time) {
+  const d = new Date(time);
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
+// Days in a row with at least one answer; a missed day starts again from one
+function recordDay(days, time) {
+  const today = dayOf(time);
+  if (days.last === today) return;
+  days.current = days.last === dayOf(time - DAY_MS) ? days.current + 1 : 1;
+  days.best = Math.max(days.best, days.current);
+  days.last = today;
+}
+
+// Add one answered question: result is the session's result event.
+// options: { pack, now }
+export function recordResult(record, result, options) {
+  options = options || {};
+  const pack = options.pack || '';
+  record.points += result.points || 0;
+  record.bestStreak = Math.max(record.bestStreak, result.streak || 0);
+  if (result.firstTry && result.item && result.item.id) {
+    const ids = record.firstTry[pack] = record.firstTry[pack] || [];
+    if (ids.indexOf(result.item.id) === -1) ids.push(result.item.id);
+  }
+  recordDay(record.days, (options.now || Date.now)());
+}
+
+// Add a finished round: round is the session's complete event. Stars keep the best.
+export function recordRound(record, round, options) {
+  options = options || {};
+  const pack = options.pack || '';
+  if (round.practice) {
+    record.practiceRounds++;
+    return;
+  }
+  record.rounds++;
+  const stars = record.stars[pack] = record.stars[pack] || {};
+  stars[round.level] = Math.max(stars[round.level] || 0, round.stars || 0);
+}
+
+function allRight(record, context, category) {
+  const items = (context.items || []).filter(i => i.id && i.category === category);
+  const done = record.firstTry[context.pack || ''] || [];
+  return items.length > 0 && items.every(i => done.indexOf(i.id) !== -1);
+}
+
+function perfectLevel(record, level) {
+  return Object.keys(record.stars).some(pack => record.stars[pack][level] === 3);
+}
+
+// Every badge: { id, icon, check(record, context) } with its name and description
+// under badges.<id> in the locale files. context: { items, levels, pack } describes
+// the dataset being played, for the badges that depend on it.
+export const BADGES = [
+  { id: 'firstAnswer', icon: '🌱', check: r => r.points > 0 },
+  { id: 'streak5', icon: '🔥', check: r => r.bestStreak >= 5 },
+  { id: 'streak10', icon: '🚀', check: r => r.bestStreak >= 10 },
+  { id: 'perfect1', icon: '⭐', check: r => perfectLevel(r, 1) },
+  { id: 'perfect2', icon: '🌟', check: r => perfectLevel(r, 2) },
+  { id: 'perfect3', icon: '💫', check: r => perfectLevel(r, 3) },
+  {
+    id: 'allLevels',
+    icon: '🏆',
+    check: (r, c) => !!(c.levels && c.levels.length) && c.levels.every(l => ((r.stars[c.pack || ''] || {})[l] || 0) > 0)
+  },
+  { id: 'practice', icon: '💪', check: r => r.practiceRounds > 0 },
+  { id: 'days3', icon: '📅', check: r => r.days.best >= 3 },
+  { id: 'days7', icon: '🗓️', check: r => r.days.best >= 7 },
+  { id: 'points500', icon: '💎', check: r => r.points >= 500 }
+].concat(CATEGORIES.map(function (category) {
+  const icons = { food: '🍲', animals: '🦒', clothing: '👗', instruments: '🥁', home: '🏠', plants: '🌳' };
+  return { id: 'category.' + category, icon: icons[category] || '🏅', check: (r, c) => allRight(r, c, category) };
+}));
+
+// Mark newly earned badges in the record and return them (earlier ones are kept
+// even when the dataset changes)
+export function awardBadges(record, context, now) {
+  const at = (now || Date.now)();
+  const earned = [];
+  BADGES.forEach(function (badge) {
+    if (record.badges[badge.id] || !badge.check(record, context || {})) return;
+    record.badges[badge.id] = at;
+    earned.push(badge);
+  });
+  return earned;
+}
+
+// The shelf: every badge with whether (and when) it was earned
+export function badgeShelf(record) {
+  return BADGES.map(badge => ({ badge: badge, earned: !!record.badges[badge.id], at: record.badges[badge.id] || null }));
+}
+
+// Total stars across the levels of one pack
+export function totalStars(record, pack) {
+  const stars = record.stars[pack || ''] || {};
+  return Object.keys(stars).reduce((sum, level) => sum + stars[level], 0);
+}
@@ -0,0 +1,114 @@
+// Kulture item statistics
+// Draws analyseEvents() (js/analytics.js) on the author page: each item's error rate
+// and answer time with any suggested level, the pairs children mix up most and a
+// confusion matrix of what was picked instead of what.
+import { t } from './i18n.js';
+
+// Labels the matrix shows at most, the most confused first
+export const MATRIX_SIZE = 8;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function percent(rate) {
+  return rate == null ? '–' : Math.round(rate * 100) + '%';
+}
+
+function seconds(ms) {
+  return ms == null ? '–' : t('analytics.seconds', { seconds: (ms / 1000).toFixed(1) });
+}
+
+function headRow(cells) {
+  const row = el('tr');
+  cells.forEach(text => row.appendChild(el('th', null, text)).setAttribute('scope', 'col'));
+  return row;
+}
+
+function itemTable(analysis, onMove) {
+  const table = el('table', 'analytics-table');
+  table.appendChild(el('caption', null, t('analytics.itemsCaption')));
+  const head = el('thead');
+  head.appendChild(headRow([t('analytics.item'), t('analytics.level'), t('analytics.tries'), t('analytics.errorRate'), t('analytics.time'), t('analytics.suggestion')]));
+  table.appendChild(head);
+  const body = el('tbody');
+  analysis.items.forEach(function (row) {
+    const tr = el('tr');
+    tr.appendChild(el('th', null, row.label || row.id)).setAttribute('scope', 'row');
+    tr.appendChild(el('td', null, String(row.level)));
+    tr.appendChild(el('td', null, String(row.tries)));
+    tr.appendChild(el('td', null, percent(row.errorRate)));
+    tr.appendChild(el('td', null, seconds(row.medianMs)));
+    const cell = el('td');
+    if (row.suggestedLevel != null) {
+      const move = el('button', 'btn btn-outline btn-sm', t('analytics.move', { level: row.suggestedLevel }));
+      move.type = 'button';
+      move.setAttribute('aria-label', t('analytics.moveLabel', { label: row.label || row.id, level: row.suggestedLevel }));
+      move.addEventListener('click', function () { onMove(row.id, row.suggestedLevel); });
+      cell.appendChild(move);
+    }
+    tr.appendChild(cell);
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  return table;
+}
+
+function confusionMatrix(analysis) {
+  // The labels involved in the most confusions, as both rows and columns
+  const labels = [];
+  analysis.pairs.forEach(function (pair) {
+    [pair.target, pair.picked].forEach(function (label) {
+      if (labels.length < MATRIX_SIZE && labels.indexOf(label) === -1) labels.push(label);
+    });
+  });
+  const table = el('table', 'analytics-table analytics-matrix');
+  table.appendChild(el('caption', null, t('analytics.matrixCaption')));
+  const head = el('thead');
+  head.appendChild(headRow([t('analytics.asked')].concat(labels)));
+  table.appendChild(head);
+  const body = el('tbody');
+  labels.forEach(function (target) {
+    const tr = el('tr');
+    tr.appendChild(el('th', null, target)).setAttribute('scope', 'row');
+    labels.forEach(function (picked) {
+      const count = (analysis.confusion.counts[target] || {})[picked] || 0;
+      const cell = el('td', count ? 'analytics-hot' : null, count ? String(count) : '');
+      if (target === picked) cell.className = 'analytics-self';
+      tr.appendChild(cell);
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  return table;
+}
+
+// Replace the contents of `container`. options: { events (how many were read),
+// onMove(id, level) when a suggested level is accepted }
+export function renderAnalytics(container, analysis, options) {
+  options = options || {};
+  container.innerHTML = '';
+  if (!analysis.items.some(row => row.shown || row.tries)) {
+    container.appendChild(el('p', 'author-note', t('analytics.empty')));
+    return;
+  }
+  container.appendChild(el('p', 'author-note', t('analytics.summary', { count: options.events || 0 })));
+  container.appendChild(itemTable(analysis, options.onMove || function () {}));
+
+  container.appendChild(el('h3', null, t('analytics.confused')));
+  if (!analysis.pairs.length) {
+    container.appendChild(el('p', 'author-note', t('analytics.noConfusion')));
+    return;
+  }
+  const list = el('ol', 'analytics-pairs');
+  analysis.pairs.slice(0, 5).forEach(function (pair) {
+    list.appendChild(el('li', null, t('analytics.pair', { target: pair.target, picked: pair.picked, count: pair.count })));
+  });
+  container.appendChild(list);
+  const scroller = el('div', 'analytics-scroll');
+  scroller.appendChild(confusionMatrix(analysis));
+  container.appendChild(scroller);
+}
@@ -0,0 +1,280 @@
+// Kulture item analytics
+// An anonymous log of what happens to each question: when it was shown and every try
+// at it (which choice, the how-many-th try, how long it took). No profile, name or
+// typed text is kept, only dataset ids and labels. The log stays in this browser's
+// localStorage; the author page reads it back to show which items are too hard or get
+// confused with each other (analyseEvents()). When api/config.js sets
+// ANALYTICS_ENDPOINT, createPostSink() also sends the events there in batches.
+// DOM-free so it runs under `npm test`.
+
+export const ANALYTICS_KEY = 'kulture.analytics.v1';
+
+// Oldest events are dropped beyond this many
+export const MAX_EVENTS = 5000;
+
+// New events wait in memory this long before they are written to localStorage
+export const SAVE_DELAY_MS = 3000;
+
+// First tries an item needs before a level change is suggested for it
+export const MIN_SAMPLES = 5;
+
+// How far an item's error rate must be from its level's before it is suggested elsewhere
+export const SUGGEST_MARGIN = 0.15;
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+export function loadEvents(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(ANALYTICS_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveEvents(events, storage) {
+  if (!storage) return;
+  try {
+    storage.setItem(ANALYTICS_KEY, JSON.stringify(events));
+  } catch (e) {
+    console.debug('Could not save analytics events:', e && e.message);
+  }
+}
+
+export function clearEvents(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (storage) storage.removeItem(ANALYTICS_KEY);
+}
+
+// The log the quiz writes to. options: { storage, sink, now, saveMs, setTimeout,
+// clearTimeout }; `sink` is anything with add(event), e.g. createPostSink(). New events
+// are kept in memory and written together `saveMs` after the first, so a click does
+// not rewrite the whole stored log; call save() when the page is hidden.
+//   shown(item, { type, pack })                       a question appears
+//   tried(item, { correct, picked, attempt, type, pack })
+//                                                     one try; `attempt` counts from 1 and
+//                                                     `picked` is the dataset label chosen
+//   save()                                            write waiting events now
+export function createEventLog(options) {
+  options = options || {};
+  const storage = options.storage === undefined ? defaultStorage() : options.storage;
+  const now = options.now || Date.now;
+  const saveMs = options.saveMs || SAVE_DELAY_MS;
+  const later = options.setTimeout || globalThis.setTimeout;
+  const cancel = options.clearTimeout || globalThis.clearTimeout;
+  let shownAt = 0;
+  let waiting = [];
+  let timer = null;
+
+  // Added to what is stored now, so events another tab saved meanwhile are kept
+  function save() {
+    if (timer != null) cancel(timer);
+    timer = null;
+    if (!waiting.length) return;
+    const events = loadEvents(storage).concat(waiting);
+    waiting = [];
+    if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+    saveEvents(events, storage);
+  }
+
+  function record(event) {
+    waiting.push(event);
+    if (timer == null) timer = later(function () { timer = null; save(); }, saveMs);
+    if (options.sink) options.sink.add(event);
+    return event;
+  }
+
+  function base(kind, item, context) {
+    const event = { kind: kind, at: now(), item: item.id, label: item.label, level: item.level, category: item.category || null };
+    if (context.type) event.type = context.type;
+    if (context.pack) event.pack = context.pack;
+    return event;
+  }
+
+  return {
+    shown: function (item, context) {
+      shownAt = now();
+      return record(base('shown', item, context || {}));
+    },
+    tried: function (item, context) {
+      context = context || {};
+      const event = base('try', item, context);
+      event.attempt = context.attempt || 1;
+      event.correct = !!context.correct;
+      event.picked = context.picked || null;
+      event.ms = shownAt ? event.at - shownAt : null;
+      return record(event);
+    },
+    save: save
+  };
+}
+
+// Sends events to `endpoint` as POST { events: [...] } once `batchSize` are waiting or
+// `flushMs` after the first, whichever is sooner. One batch is on its way at a time;
+// failed batches are kept (up to `maxQueue` events) and go with the next one.
+// options: { endpoint, batchSize, flushMs, maxQueue, fetch, setTimeout, clearTimeout }
+export function createPostSink(options) {
+  options = options || {};
+  const batchSize = options.batchSize || 20;
+  const flushMs = options.flushMs || 10000;
+  const maxQueue = options.maxQueue || 500;
+  const post = options.fetch || globalThis.fetch;
+  const later = options.setTimeout || globalThis.setTimeout;
+  const cancel = options.clearTimeout || globalThis.clearTimeout;
+  let queue = [];
+  let timer = null;
+  let sending = null;
+
+  // POST everything waiting; the request starts before this returns
+  function send(keepalive) {
+    const batch = queue;
+    queue = [];
+    let request;
+    try {
+      request = Promise.resolve(post(options.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: batch }),
+        keepalive: !!keepalive
+      }));
+    } catch (err) {
+      request = Promise.reject(err);
+    }
+    return request.then(function (res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return true;
+    }).catch(function (err) {
+      console.debug('Analytics batch not sent:', err && err.message);
+      queue = batch.concat(queue).slice(-maxQueue);
+      return false;
+    });
+  }
+
+  // Resolves to whether the events were sent
+  function flush(keepalive) {
+    if (timer != null) cancel(timer);
+    timer = null;
+    // The page is going away: send at once, without waiting for a batch on its way
+    if (keepalive) return queue.length ? send(true) : Promise.resolve(true);
+    if (sending) return sending.then(() => flush());
+    if (!queue.length) return Promise.resolve(true);
+    sending = send(false).then(function (ok) {
+      sending = null;
+      return ok;
+    });
+    return sending;
+  }
+
+  return {
+    get pending() { return queue.length; },
+    add: function (event) {
+      queue.push(event);
+      if (queue.length > maxQueue) queue.splice(0, queue.length - maxQueue);
+      if (queue.length >= batchSize) flush();
+      else if (timer == null) timer = later(function () { timer = null; flush(); }, flushMs);
+    },
+    // Send what is waiting now; `keepalive` lets the request outlive the page
+    flush: flush
+  };
+}
+
+function median(numbers) {
+  if (!numbers.length) return null;
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// What the log says about the dataset `items` (parsed, see js/dataset.js). Only events
+// of the same question pack count (options.pack; the built-in questions by default).
+// Returns {
+//   items:     [{ id, label, level, category, shown, tries, wrong, errorRate, medianMs,
+//                 suggestedLevel }] hardest first; errorRate is null before any first try
+//   levels:    { [level]: error rate of all its first tries }
+//   confusion: { targets, picked, counts: { [target]: { [picked]: n } } } wrong picks only
+//   pairs:     [{ target, picked, count }] most confused first
+// }
+export function analyseEvents(events, items, options) {
+  options = options || {};
+  const pack = options.pack || null;
+  const byId = new Map(items.map(item => [item.id, item]));
+  const stats = new Map(items.map(item => [item.id, { shown: 0, tries: 0, wrong: 0, ms: [] }]));
+  const counts = {};
+  const pickedLabels = new Set();
+
+  events.forEach(function (event) {
+    if ((event.pack || null) !== pack || !stats.has(event.item)) return;
+    const s = stats.get(event.item);
+    if (event.kind === 'shown') { s.shown++; return; }
+    if (event.kind !== 'try') return;
+    if (event.attempt === 1) {
+      s.tries++;
+      if (!event.correct) s.wrong++;
+      if (typeof event.ms === 'number') s.ms.push(event.ms);
+    }
+    if (!event.correct && event.picked) {
+      const target = byId.get(event.item).label || event.item;
+      counts[target] = counts[target] || {};
+      counts[target][event.picked] = (counts[target][event.picked] || 0) + 1;
+      pickedLabels.add(event.picked);
+    }
+  });
+
+  const levels = {};
+  const pooled = {};
+  items.forEach(function (item) {
+    const s = stats.get(item.id);
+    pooled[item.level] = pooled[item.level] || { tries: 0, wrong: 0 };
+    pooled[item.level].tries += s.tries;
+    pooled[item.level].wrong += s.wrong;
+  });
+  Object.keys(pooled).forEach(function (level) {
+    if (pooled[level].tries) levels[level] = pooled[level].wrong / pooled[level].tries;
+  });
+
+  // The level whose error rate is nearest the item's, when it is clearly not its own
+  function suggest(item, rate, tries) {
+    if (tries < MIN_SAMPLES || levels[item.level] == null) return null;
+    if (Math.abs(rate - levels[item.level]) < SUGGEST_MARGIN) return null;
+    let best = null;
+    Object.keys(levels).forEach(function (level) {
+      if (best == null || Math.abs(levels[level] - rate) < Math.abs(levels[best] - rate)) best = level;
+    });
+    return best != null && Number(best) !== item.level ? Number(best) : null;
+  }
+
+  const rows = items.map(function (item) {
+    const s = stats.get(item.id);
+    const rate = s.tries ? s.wrong / s.tries : null;
+    return {
+      id: item.id,
+      label: item.label,
+      level: item.level,
+      category: item.category,
+      shown: s.shown,
+      tries: s.tries,
+      wrong: s.wrong,
+      errorRate: rate,
+      medianMs: median(s.ms),
+      suggestedLevel: rate == null ? null : suggest(item, rate, s.tries)
+    };
+  });
+  rows.sort((a, b) => (b.errorRate == null ? -1 : b.errorRate) - (a.errorRate == null ? -1 : a.errorRate) || b.tries - a.tries);
+
+  const pairs = [];
+  Object.keys(counts).forEach(function (target) {
+    Object.keys(counts[target]).forEach(picked => pairs.push({ target: target, picked: picked, count: counts[target][picked] }));
+  });
+  pairs.sort((a, b) => b.count - a.count || a.target.localeCompare(b.target));
+
+  return {
+    items: rows,
+    levels: levels,
+    confusion: { targets: Object.keys(counts).sort(), picked: Array.from(pickedLabels).sort(), counts: counts },
+    pairs: pairs
+  };
+}
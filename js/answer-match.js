@@ -0,0 +1,55 @@
+// Kulture typed-answer matching
+// Decides whether a typed answer names a dataset item. Case, accents, spaces and
+// punctuation are ignored, any alias or translated label counts, and small typos are
+// forgiven so young spellers are not marked wrong for "girafe". DOM-free.
+import { compactName } from './dataset.js';
+
+// Levenshtein distance between two strings
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for an answer of this (compacted) length: none for very short words
+export function allowedTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Every accepted spelling of an item: label, aliases and per-locale labels
+export function acceptedAnswers(item) {
+  const labels = item.labels ? Object.keys(item.labels).map(code => item.labels[code]) : [];
+  return [item.label].concat(item.aliases || [], labels).filter(Boolean);
+}
+
+// Returns { ok, exact, answer } where `answer` is the accepted spelling that matched
+// (or came closest) and `exact` is false when a typo was forgiven.
+export function matchAnswer(input, item) {
+  const typed = compactName(input);
+  let best = { ok: false, exact: false, answer: item.label || '', distance: Infinity };
+  if (!typed) return best;
+  for (const answer of acceptedAnswers(item)) {
+    const target = compactName(answer);
+    if (!target) continue;
+    const distance = editDistance(typed, target);
+    const ok = distance <= allowedTypos(target.length);
+    // An accepted spelling beats a closer one that is still too far off
+    if ((ok && !best.ok) || (ok === best.ok && distance < best.distance)) {
+      best = { ok: ok, exact: distance === 0, answer: answer, distance: distance };
+    }
+    if (distance === 0) break;
+  }
+  return best;
+}
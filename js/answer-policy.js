@@ -0,0 +1,44 @@
+// Kulture answer policy
+// What happens after a wrong answer, chosen on the quiz page: try again until right,
+// one more try, or see the answer and move on. Choices already tried stay marked and
+// cannot be picked again under any of them (js/question-types.js). The session applies
+// the policy (js/quiz-session.js); this keeps the choice in localStorage. DOM-free.
+
+export const POLICY_KEY = 'kulture.answerPolicy.v1';
+
+// In the order the picker lists them
+export const ANSWER_POLICIES = ['unlimited', 'one-retry', 'reveal'];
+
+export const DEFAULT_POLICY = 'unlimited';
+
+// Wrong tries a question allows before its answer is shown
+export function wrongTriesAllowed(policy) {
+  if (policy === 'reveal') return 1;
+  if (policy === 'one-retry') return 2;
+  return Infinity;
+}
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+export function loadAnswerPolicy(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return DEFAULT_POLICY;
+  try {
+    const saved = storage.getItem(POLICY_KEY);
+    return ANSWER_POLICIES.indexOf(saved) !== -1 ? saved : DEFAULT_POLICY;
+  } catch (e) {
+    return DEFAULT_POLICY;
+  }
+}
+
+export function saveAnswerPolicy(policy, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage || ANSWER_POLICIES.indexOf(policy) === -1) return;
+  try {
+    storage.setItem(POLICY_KEY, policy);
+  } catch (e) {
+    console.debug('Could not save the answer policy:', e && e.message);
+  }
+}
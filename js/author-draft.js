@@ -0,0 +1,190 @@
+// Kulture authoring drafts
+// The dataset being edited on the authoring page (author.html): its items in play
+// order, kept in localStorage between visits. Pictures uploaded for the draft live in
+// IndexedDB (js/image-store.js) under the path the exported dataset will use. This
+// module is DOM-free so the editing rules can be tested in Node.
+import { SCHEMA_VERSION, CATEGORIES, compactName } from './dataset.js';
+
+export const STORAGE_KEY = 'kulture.authorDraft.v1';
+
+// Folder exported pictures are copied into, relative to the site root
+export const IMAGE_DIR = './images/';
+
+// Item fields the authoring page edits, in the order they are written out
+const FIELDS = ['id', 'level', 'category', 'image', 'label', 'aliases', 'labels', 'distractors', 'fact', 'origin', 'usage', 'regions', 'alt', 'audio', 'attribution'];
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// "Maasai Shuka!" -> "maasai-shuka"; file names for uploaded pictures
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// "sima, posho ,," -> ["sima", "posho"]
+export function parseList(text) {
+  return String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Drop empty fields and put the rest in FIELDS order; unknown fields are kept at the end
+export function cleanItem(raw) {
+  const out = {};
+  const keys = FIELDS.concat(Object.keys(raw).filter(k => FIELDS.indexOf(k) === -1));
+  keys.forEach(function (key) {
+    let value = raw[key];
+    if (typeof value === 'string') value = value.trim();
+    if (value == null || value === '') return;
+    if (Array.isArray(value) && !value.length) return;
+    if (typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length) return;
+    out[key] = value;
+  });
+  return out;
+}
+
+// A draft from a dataset document: { title, questionTypes, items }
+export function createDraft(json) {
+  json = json || {};
+  const items = Array.isArray(json) ? json : (Array.isArray(json.items) ? json.items : []);
+  return {
+    title: typeof json.title === 'string' ? json.title : '',
+    questionTypes: json.questionTypes && typeof json.questionTypes === 'object' ? clone(json.questionTypes) : {},
+    items: items.map(raw => cleanItem(clone(raw || {})))
+  };
+}
+
+export function loadDraft(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return null;
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    return parsed && Array.isArray(parsed.items) ? createDraft(parsed) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveDraft(draft, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(draft));
+  } catch (e) {
+    console.debug('Could not save the draft:', e && e.message);
+  }
+}
+
+export function clearDraft(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (storage) storage.removeItem(STORAGE_KEY);
+}
+
+export function findItem(draft, id) {
+  return draft.items.find(i => i.id === id) || null;
+}
+
+// Next free id in the dataset's "q<number>" style
+export function nextId(draft) {
+  const max = draft.items.reduce(function (m, item) {
+    const match = /^q(\d+)$/i.exec(String(item.id || ''));
+    return match ? Math.max(m, Number(match[1])) : m;
+  }, 0);
+  return 'q' + (max + 1);
+}
+
+// Append a new item, in the last item's level and category by default
+export function addItem(draft, fields) {
+  const last = draft.items[draft.items.length - 1];
+  const item = cleanItem(Object.assign({
+    id: nextId(draft),
+    level: last ? last.level : 1,
+    category: last ? last.category : CATEGORIES[0]
+  }, fields));
+  draft.items.push(item);
+  return item;
+}
+
+// Replace an item's fields; `fields` holds the whole edited item (blank fields are dropped)
+export function updateItem(draft, id, fields) {
+  const index = draft.items.findIndex(i => i.id === id);
+  if (index === -1) return null;
+  const item = cleanItem(Object.assign({}, fields, { id: fields.id || id }));
+  draft.items[index] = item;
+  return item;
+}
+
+export function removeItem(draft, id) {
+  const index = draft.items.findIndex(i => i.id === id);
+  if (index === -1) return null;
+  return draft.items.splice(index, 1)[0];
+}
+
+// Move an item `delta` places up (negative) or down the list; returns its new index
+export function moveItem(draft, id, delta) {
+  const from = draft.items.findIndex(i => i.id === id);
+  if (from === -1) return -1;
+  const to = Math.max(0, Math.min(draft.items.length - 1, from + delta));
+  const item = draft.items.splice(from, 1)[0];
+  draft.items.splice(to, 0, item);
+  return to;
+}
+
+// Path for an uploaded picture, named after its label (or id) so the validator's
+// file name check passes, and not used by any other item
+export function imagePathFor(draft, item, ext) {
+  const base = slugify(item.label) || slugify(item.id) || 'picture';
+  const taken = new Set(draft.items.filter(i => i.id !== item.id).map(i => i.image));
+  let path = IMAGE_DIR + base + ext;
+  for (let n = 2; taken.has(path); n++) path = IMAGE_DIR + base + '-' + n + ext;
+  return path;
+}
+
+// True when `label` already names another item (as its label or an alias)
+export function labelTaken(draft, label, exceptId) {
+  const key = compactName(label);
+  if (!key) return false;
+  return draft.items.some(function (i) {
+    if (i.id === exceptId) return false;
+    return [i.label].concat(i.aliases || []).some(l => compactName(l) === key);
+  });
+}
+
+// The dataset document to export; check it with validateDataset() from js/dataset.js
+export function toDataset(draft) {
+  const json = { schemaVersion: SCHEMA_VERSION };
+  if (draft.title && draft.title.trim()) json.title = draft.title.trim();
+  if (draft.questionTypes && Object.keys(draft.questionTypes).length) json.questionTypes = clone(draft.questionTypes);
+  json.items = draft.items.map(item => cleanItem(clone(item)));
+  return json;
+}
+
+// JSON on one line with a space after colons and commas, e.g. {"ki": "ngima"}
+function inline(value) {
+  if (Array.isArray(value)) return '[' + value.map(inline).join(', ') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).map(k => JSON.stringify(k) + ': ' + inline(value[k])).join(', ') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// JSON text in the layout of api/questions.json: one item per line so diffs stay readable
+export function formatDataset(json) {
+  const lines = Object.keys(json).filter(k => k !== 'items').map(function (key) {
+    const value = json[key];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return '  ' + JSON.stringify(key) + ': ' + inline(value);
+    const entries = Object.keys(value).map(k => '    ' + JSON.stringify(k) + ': ' + inline(value[k]));
+    return '  ' + JSON.stringify(key) + ': {\n' + entries.join(',\n') + '\n  }';
+  });
+  const items = (json.items || []).map(item => '    ' + inline(item));
+  lines.push('  "items": [' + (items.length ? '\n' + items.join(',\n') + '\n  ' : '') + ']');
+  return '{\n' + lines.join(',\n') + '\n}\n';
+}
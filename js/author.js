@@ -0,0 +1,721 @@
+// Kulture question authoring
+// Lets teachers build a dataset without editing JSON: add, edit, reorder and delete
+// items, upload and crop pictures, ask the image detector for a name, preview an item
+// with the quiz's own question types, see what the quiz's analytics log says about each
+// item (js/analytics.js) and export a questions.json that passes validateDataset(), or
+// a question pack with its pictures included (js/packs.js). The draft is saved on every
+// change (js/author-draft.js); uploaded pictures stay in IndexedDB (js/image-store.js)
+// until they are downloaded.
+import { CATEGORIES, LEARN_FIELDS, REGIONS, parseDataset, validateDataset } from './dataset.js';
+import { learnLines } from './learn.js';
+import { loadEvents, clearEvents, analyseEvents } from './analytics.js';
+import { renderAnalytics } from './analytics-view.js';
+import {
+  loadDraft, saveDraft, createDraft, findItem, addItem, updateItem, removeItem, moveItem,
+  imagePathFor, labelTaken, parseList, slugify, toDataset, formatDataset
+} from './author-draft.js';
+import { PACK_FORMAT, PACK_FORMAT_VERSION, packPath, validatePack, writePack } from './packs.js';
+import { createImageStore } from './image-store.js';
+import { cropRect, cropImage, MAX_ZOOM } from './image-crop.js';
+import { initI18n, t, itemLabel, getLocale, mountLanguageSwitcher, LOCALES, DEFAULT_LOCALE, LOCALE_CHANGE_EVENT } from './i18n.js';
+import { pronounce, speakText, stopSpeaking } from './speech.js';
+import { DEFAULT_TYPE, availableQuestionTypes, resolveQuestionType } from './question-types.js';
+import { detectLabels } from '../api/api.js';
+
+const DATASET_URL = './api/questions.json';
+const PLACEHOLDER_IMAGE = './images/offline.svg';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function saveFile(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// The form edits the default picture description; descriptions per locale are kept
+function readAlt(alt, text) {
+  if (!alt || typeof alt !== 'object') return text;
+  const out = Object.assign({}, alt);
+  if (text.trim()) out.default = text;
+  else delete out.default;
+  return out;
+}
+
+// "sw" -> "Swahili" in the page's language, where the browser knows it
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames([getLocale()], { type: 'language' }).of(code) || code;
+  } catch (e) {
+    return code;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  const listEl = document.getElementById('author-list');
+  const titleInput = document.getElementById('author-dataset-title');
+  const form = document.getElementById('author-form');
+  const emptyEl = document.getElementById('author-empty');
+  const pictureEl = document.getElementById('author-picture');
+  const uploadInput = document.getElementById('author-upload');
+  const detectBtn = document.getElementById('btn-author-detect');
+  const suggestionsEl = document.getElementById('author-suggestions');
+  const localeLabelsEl = document.getElementById('author-locale-labels');
+  const regionsEl = document.getElementById('author-regions');
+  const idEl = document.getElementById('author-item-id');
+  const statusEl = document.getElementById('author-status');
+  const problemsEl = document.getElementById('author-problems');
+  const analyticsEl = document.getElementById('author-analytics');
+  const openInput = document.getElementById('author-open');
+  const cropDialog = document.getElementById('author-crop');
+  const cropCanvas = document.getElementById('author-crop-canvas');
+  const cropZoom = document.getElementById('author-crop-zoom');
+  const previewTypeSelect = document.getElementById('author-preview-type');
+  const preview = {
+    photo: document.getElementById('preview-photo'),
+    img: document.getElementById('preview-img'),
+    pictures: document.getElementById('preview-pictures'),
+    choices: document.getElementById('preview-choices'),
+    custom: document.getElementById('preview-answer-area'),
+    prompt: document.getElementById('preview-prompt'),
+    feedback: document.getElementById('preview-feedback'),
+    fact: document.getElementById('preview-fact')
+  };
+  const extraLocales = LOCALES.filter(code => code !== DEFAULT_LOCALE);
+
+  const store = createImageStore();
+  // Object URLs for pictures held in the store, by dataset path
+  const urls = new Map();
+  let draft = null;
+  let selectedId = null;
+  let previewType = DEFAULT_TYPE;
+  let saveTimer = null;
+
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+
+  function setStatus(text) {
+    statusEl.textContent = text || '';
+  }
+
+  // Uploaded pictures are shown from IndexedDB; everything else by its path
+  function imageSrc(path) {
+    return urls.get(path) || path || PLACEHOLDER_IMAGE;
+  }
+
+  async function rememberImage(path, blob) {
+    await store.set(path, blob);
+    if (urls.has(path)) URL.revokeObjectURL(urls.get(path));
+    urls.set(path, URL.createObjectURL(blob));
+  }
+
+  // Drop stored pictures no item uses any more (replaced, or their item deleted)
+  async function forgetUnusedImages() {
+    const used = new Set(draft.items.map(i => i.image));
+    for (const path of await store.paths()) {
+      if (used.has(path)) continue;
+      await store.remove(path);
+      if (urls.has(path)) { URL.revokeObjectURL(urls.get(path)); urls.delete(path); }
+    }
+  }
+
+  function renderList() {
+    listEl.innerHTML = '';
+    draft.items.forEach(function (item, index) {
+      const li = el('li', 'author-list-item' + (item.id === selectedId ? ' selected' : ''));
+      const pick = el('button', 'author-list-pick');
+      pick.type = 'button';
+      pick.setAttribute('aria-current', item.id === selectedId ? 'true' : 'false');
+      const thumb = document.createElement('img');
+      thumb.src = imageSrc(item.image);
+      thumb.alt = '';
+      thumb.loading = 'lazy';
+      thumb.onerror = function () { thumb.src = PLACEHOLDER_IMAGE; };
+      pick.appendChild(thumb);
+      const text = el('span', 'author-list-text');
+      text.appendChild(el('strong', null, item.label || t('author.unnamed')));
+      text.appendChild(el('span', null, t('author.itemMeta', { level: item.level, category: t('author.categories.' + item.category) })));
+      pick.appendChild(text);
+      pick.onclick = function () { select(item.id); };
+      li.appendChild(pick);
+
+      const name = item.label || item.id;
+      [['↑', -1, 'author.moveUp'], ['↓', 1, 'author.moveDown']].forEach(function (spec) {
+        const btn = el('button', 'author-move', spec[0]);
+        btn.type = 'button';
+        btn.setAttribute('aria-label', t(spec[2], { label: name }));
+        btn.disabled = spec[1] < 0 ? index === 0 : index === draft.items.length - 1;
+        btn.onclick = function () {
+          moveItem(draft, item.id, spec[1]);
+          changed();
+          // Keep focus on the same control of the moved item
+          const moved = listEl.querySelectorAll('.author-list-item')[draft.items.indexOf(item)];
+          const again = moved && moved.querySelectorAll('.author-move')[spec[1] < 0 ? 0 : 1];
+          if (again && !again.disabled) again.focus();
+        };
+        li.appendChild(btn);
+      });
+      listEl.appendChild(li);
+    });
+  }
+
+  function fillCategories() {
+    const field = form.elements.category;
+    const value = field.value;
+    field.innerHTML = '';
+    CATEGORIES.forEach(function (id) {
+      const opt = el('option', null, t('author.categories.' + id));
+      opt.value = id;
+      field.appendChild(opt);
+    });
+    field.value = value;
+  }
+
+  function fillRegions() {
+    const checked = Array.from(regionsEl.querySelectorAll('input:checked')).map(box => box.value);
+    regionsEl.innerHTML = '';
+    REGIONS.forEach(function (id) {
+      const label = el('label', 'author-region');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.name = 'regions';
+      box.value = id;
+      box.checked = checked.indexOf(id) !== -1;
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(' ' + t('regions.' + id)));
+      regionsEl.appendChild(label);
+    });
+  }
+
+  function fillLocaleLabels() {
+    localeLabelsEl.innerHTML = '';
+    extraLocales.forEach(function (code) {
+      const field = el('label', 'author-field');
+      field.appendChild(el('span', null, t('author.localeLabel', { language: languageName(code) })));
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = 'label-' + code;
+      input.lang = code;
+      field.appendChild(input);
+      localeLabelsEl.appendChild(field);
+    });
+  }
+
+  function fillForm(item) {
+    form.hidden = !item;
+    emptyEl.hidden = !!item;
+    suggestionsEl.innerHTML = '';
+    if (!item) return;
+    const f = form.elements;
+    f.label.value = item.label || '';
+    f.aliases.value = (item.aliases || []).join(', ');
+    f.category.value = item.category || '';
+    f.level.value = item.level || '';
+    LEARN_FIELDS.forEach(field => { f[field].value = item[field] || ''; });
+    regionsEl.querySelectorAll('input').forEach(box => { box.checked = (item.regions || []).indexOf(box.value) !== -1; });
+    f.alt.value = typeof item.alt === 'string' ? item.alt : (item.alt && item.alt.default) || '';
+    f.distractors.value = (item.distractors || []).join(', ');
+    extraLocales.forEach(function (code) {
+      f['label-' + code].value = (item.labels && item.labels[code]) || '';
+    });
+    pictureEl.src = imageSrc(item.image);
+    pictureEl.alt = item.label ? t('author.pictureOf', { label: item.label }) : '';
+    pictureEl.onerror = function () { pictureEl.src = PLACEHOLDER_IMAGE; };
+    idEl.textContent = t('author.itemId', { id: item.id });
+  }
+
+  // The edited item: the form's fields over the ones it does not show (image, audio, ...)
+  function readForm(item) {
+    const f = form.elements;
+    const labels = Object.assign({}, item.labels);
+    extraLocales.forEach(function (code) {
+      const value = f['label-' + code].value.trim();
+      if (value) labels[code] = value;
+      else delete labels[code];
+    });
+    return Object.assign({}, item, {
+      label: f.label.value,
+      aliases: parseList(f.aliases.value),
+      labels: labels,
+      category: f.category.value,
+      level: Number(f.level.value) || f.level.value,
+      fact: f.fact.value,
+      origin: f.origin.value,
+      usage: f.usage.value,
+      regions: Array.from(regionsEl.querySelectorAll('input:checked')).map(box => box.value),
+      alt: readAlt(item.alt, f.alt.value),
+      distractors: parseList(f.distractors.value)
+    });
+  }
+
+  function select(id) {
+    selectedId = id;
+    fillForm(findItem(draft, id));
+    renderList();
+    renderPreview();
+  }
+
+  // Save and redraw after any change to the draft
+  function changed() {
+    saveDraft(draft);
+    renderList();
+    renderPreview();
+    runChecks();
+    renderStats();
+  }
+
+  form.addEventListener('input', function () {
+    const item = findItem(draft, selectedId);
+    if (!item) return;
+    updateItem(draft, item.id, readForm(item));
+    const label = form.elements.label.value.trim();
+    setStatus(labelTaken(draft, label, item.id) ? t('author.labelTaken', { label: label }) : '');
+    // Typing redraws the list and preview a moment after the last key
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(changed, 300);
+  });
+  form.addEventListener('submit', function (e) { e.preventDefault(); });
+
+  document.getElementById('btn-author-add').addEventListener('click', function () {
+    const item = addItem(draft, {});
+    changed();
+    select(item.id);
+    form.elements.label.focus();
+  });
+
+  document.getElementById('btn-author-delete').addEventListener('click', async function () {
+    const item = findItem(draft, selectedId);
+    if (!item || !window.confirm(t('author.confirmDelete', { label: item.label || item.id }))) return;
+    const index = draft.items.indexOf(item);
+    removeItem(draft, item.id);
+    await forgetUnusedImages();
+    const next = draft.items[Math.min(index, draft.items.length - 1)];
+    changed();
+    select(next ? next.id : null);
+  });
+
+  titleInput.addEventListener('input', function () {
+    draft.title = titleInput.value;
+    saveDraft(draft);
+  });
+
+  const crop = { image: null, url: null, view: { zoom: 1 }, drag: null };
+
+  function drawCrop() {
+    const img = crop.image;
+    const rect = cropRect(img.naturalWidth, img.naturalHeight, crop.view);
+    // Keep the centre where the clamped rectangle actually is, so dragging back works at once
+    crop.view.cx = rect.sx + rect.sw / 2;
+    crop.view.cy = rect.sy + rect.sh / 2;
+    const g = cropCanvas.getContext('2d');
+    g.clearRect(0, 0, cropCanvas.width, cropCanvas.height);
+    g.drawImage(img, rect.sx, rect.sy, rect.sw, rect.sh, 0, 0, cropCanvas.width, cropCanvas.height);
+    return rect;
+  }
+
+  function closeCrop() {
+    if (crop.url) URL.revokeObjectURL(crop.url);
+    crop.image = null;
+    crop.url = null;
+    uploadInput.value = '';
+    if (cropDialog.open) cropDialog.close();
+  }
+
+  function openCrop(file) {
+    const img = new Image();
+    crop.url = URL.createObjectURL(file);
+    img.onload = function () {
+      crop.image = img;
+      crop.view = { zoom: 1 };
+      cropZoom.max = String(MAX_ZOOM);
+      cropZoom.value = '1';
+      drawCrop();
+      cropDialog.showModal();
+    };
+    img.onerror = function () {
+      closeCrop();
+      setStatus(t('author.badPicture'));
+    };
+    img.src = crop.url;
+  }
+
+  uploadInput.addEventListener('change', function () {
+    if (uploadInput.files && uploadInput.files[0]) openCrop(uploadInput.files[0]);
+  });
+
+  cropZoom.addEventListener('input', function () {
+    crop.view.zoom = Number(cropZoom.value);
+    if (crop.image) drawCrop();
+  });
+
+  // Drag to pan: canvas pixels are converted to picture pixels at the current zoom
+  cropCanvas.addEventListener('pointerdown', function (e) {
+    crop.drag = { x: e.clientX, y: e.clientY };
+    cropCanvas.setPointerCapture(e.pointerId);
+  });
+  cropCanvas.addEventListener('pointermove', function (e) {
+    if (!crop.drag || !crop.image) return;
+    const rect = cropRect(crop.image.naturalWidth, crop.image.naturalHeight, crop.view);
+    const scale = rect.sw / cropCanvas.clientWidth;
+    crop.view.cx -= (e.clientX - crop.drag.x) * scale;
+    crop.view.cy -= (e.clientY - crop.drag.y) * scale;
+    crop.drag = { x: e.clientX, y: e.clientY };
+    drawCrop();
+  });
+  ['pointerup', 'pointercancel'].forEach(function (type) {
+    cropCanvas.addEventListener(type, function () { crop.drag = null; });
+  });
+  // Arrow keys pan too, for keyboard users
+  cropCanvas.tabIndex = 0;
+  cropCanvas.addEventListener('keydown', function (e) {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!moves[e.key] || !crop.image) return;
+    e.preventDefault();
+    const rect = cropRect(crop.image.naturalWidth, crop.image.naturalHeight, crop.view);
+    crop.view.cx += moves[e.key][0] * rect.sw / 20;
+    crop.view.cy += moves[e.key][1] * rect.sh / 20;
+    drawCrop();
+  });
+
+  document.getElementById('btn-crop-cancel').addEventListener('click', closeCrop);
+  cropDialog.addEventListener('cancel', closeCrop);
+
+  document.getElementById('btn-crop-use').addEventListener('click', async function () {
+    const item = findItem(draft, selectedId);
+    if (!item || !crop.image) { closeCrop(); return; }
+    try {
+      const blob = await cropImage(crop.image, drawCrop());
+      const path = imagePathFor(draft, item, '.jpg');
+      await rememberImage(path, blob);
+      item.image = path;
+      await forgetUnusedImages();
+      closeCrop();
+      changed();
+      fillForm(item);
+      // A new picture without a name: ask the detector straight away
+      if (!item.label) suggestLabel();
+    } catch (err) {
+      console.error(err);
+      closeCrop();
+      setStatus(t('author.badPicture'));
+    }
+  });
+
+  // The selected item's picture as a Blob: uploaded, or fetched from the site
+  async function pictureBlob(item) {
+    const stored = await store.get(item.image);
+    if (stored) return stored;
+    const res = await fetch(item.image);
+    if (!res.ok) throw new Error('Could not load ' + item.image + ': ' + res.status);
+    return res.blob();
+  }
+
+  // Ask the configured image detector (api/api.js) for names; the best one fills an
+  // empty name field and the others are offered as buttons
+  async function suggestLabel() {
+    const item = findItem(draft, selectedId);
+    if (!item || !item.image) { setStatus(t('author.needPicture')); return; }
+    detectBtn.disabled = true;
+    suggestionsEl.textContent = t('author.detecting');
+    try {
+      const result = await detectLabels(await pictureBlob(item), { src: item.image });
+      suggestionsEl.innerHTML = '';
+      if (!result) { setStatus(t('author.detectOff')); return; }
+      if (!result.labels.length) { setStatus(t('author.detectNone')); return; }
+      result.labels.forEach(function (r) {
+        const btn = el('button', 'btn btn-outline author-suggestion', t('author.suggestion', { label: r.label, confidence: Math.round(r.confidence * 100) }));
+        btn.type = 'button';
+        btn.onclick = function () {
+          form.elements.label.value = r.label;
+          form.dispatchEvent(new Event('input'));
+        };
+        suggestionsEl.appendChild(btn);
+      });
+      if (findItem(draft, selectedId) === item && !form.elements.label.value.trim()) {
+        form.elements.label.value = result.label;
+        form.dispatchEvent(new Event('input'));
+      }
+      setStatus(t('author.detected', { label: result.label }));
+    } catch (err) {
+      console.warn('Detection failed:', err);
+      suggestionsEl.innerHTML = '';
+      setStatus(t('author.detectFailed'));
+    } finally {
+      detectBtn.disabled = false;
+    }
+  }
+
+  detectBtn.addEventListener('click', suggestLabel);
+
+  function fillPreviewTypes() {
+    previewTypeSelect.innerHTML = '';
+    availableQuestionTypes().forEach(function (type) {
+      const opt = el('option', null, t(type.nameKey));
+      opt.value = type.id;
+      previewTypeSelect.appendChild(opt);
+    });
+    previewTypeSelect.value = previewType;
+  }
+
+  // Draw the selected item the way quiz.js renderQuestion() does, with answers
+  // checked but not recorded anywhere
+  function renderPreview() {
+    stopSpeaking();
+    preview.img.style.display = '';
+    preview.photo.hidden = false;
+    preview.pictures.hidden = true;
+    preview.pictures.innerHTML = '';
+    preview.choices.style.display = 'none';
+    preview.custom.hidden = true;
+    preview.custom.innerHTML = '';
+    preview.feedback.textContent = '';
+    preview.fact.textContent = '';
+
+    let items;
+    try {
+      items = parseDataset(toDataset(draft)).items.map(i => Object.assign(i, { image: imageSrc(i.image) }));
+    } catch (err) {
+      items = [];
+    }
+    const q = items.find(i => i.id === selectedId);
+    if (!q) {
+      preview.img.src = PLACEHOLDER_IMAGE;
+      preview.prompt.textContent = t('author.noItem');
+      return;
+    }
+    preview.img.src = q.image;
+    preview.img.onerror = function () { preview.img.src = PLACEHOLDER_IMAGE; };
+    preview.img.alt = q.label ? t('quiz.imageAlt', { label: itemLabel(q) }) : t('quiz.imageAltUnknown');
+    if (!q.label) {
+      preview.prompt.textContent = t('quiz.prompt');
+      preview.feedback.textContent = t('author.previewNoLabel');
+      return;
+    }
+
+    const byLabel = new Map(items.map(i => [i.label, i]));
+    let view = null;
+    const ctx = {
+      els: {
+        photo: preview.photo,
+        pictures: preview.pictures,
+        choices: preview.choices,
+        choiceButtons: Array.from(preview.choices.querySelectorAll('.choice-btn')),
+        choiceSpeakers: Array.from(preview.choices.querySelectorAll('.choice-speak')),
+        custom: preview.custom
+      },
+      candidates: items,
+      random: Math.random,
+      displayLabel: function (label) { return byLabel.has(label) ? itemLabel(byLabel.get(label)) : label; },
+      say: function (label) { return byLabel.has(label) ? pronounce(byLabel.get(label)) : speakText(label); },
+      answer: function (correct) {
+        preview.feedback.textContent = t(correct ? 'quiz.correct' : 'quiz.tryAgain');
+        if (correct && view) view.disable();
+      },
+      reveal: function () {
+        preview.feedback.textContent = t('quiz.answerWas', { label: itemLabel(q) });
+        if (view) {
+          view.disable();
+          if (view.showAnswer) view.showAnswer();
+        }
+      }
+    };
+    const type = resolveQuestionType(previewType, q, ctx);
+    preview.prompt.textContent = t(type.promptKey, { label: itemLabel(q) });
+    view = type.render(q, ctx);
+    view.paint();
+    if (type.id !== previewType) preview.feedback.textContent = t('author.previewFallback');
+    // What the learn card will say after the question
+    preview.fact.textContent = learnLines(q).map(line => t('learn.' + line.field) + ' ' + line.text).join(' ');
+  }
+
+  previewTypeSelect.addEventListener('change', function () {
+    previewType = previewTypeSelect.value;
+    renderPreview();
+  });
+
+  function listProblems(result) {
+    problemsEl.innerHTML = '';
+    result.errors.forEach(msg => problemsEl.appendChild(el('li', 'author-error', t('author.error', { message: msg }))));
+    result.warnings.forEach(msg => problemsEl.appendChild(el('li', 'author-warning', t('author.warning', { message: msg }))));
+    if (!result.errors.length && !result.warnings.length) problemsEl.appendChild(el('li', null, t('author.noProblems')));
+  }
+
+  // Checks that need no network: the dataset rules in js/dataset.js
+  async function runChecks() {
+    listProblems(await validateDataset(toDataset(draft)));
+  }
+
+  // The quiz log measured against the draft's items and levels; a suggested level can be
+  // taken with one click
+  function renderStats() {
+    const events = loadEvents();
+    const items = parseDataset(toDataset(draft)).items;
+    renderAnalytics(analyticsEl, analyseEvents(events, items), {
+      events: events.length,
+      onMove: function (id, level) {
+        updateItem(draft, id, Object.assign({}, findItem(draft, id), { level: level }));
+        changed();
+        if (id === selectedId) fillForm(findItem(draft, id));
+        setStatus(t('analytics.moved', { label: findItem(draft, id).label || id, level: level }));
+      }
+    });
+  }
+
+  document.getElementById('btn-analytics-refresh').addEventListener('click', renderStats);
+  document.getElementById('btn-analytics-clear').addEventListener('click', function () {
+    if (!window.confirm(t('analytics.confirmClear'))) return;
+    clearEvents();
+    renderStats();
+  });
+
+  // Pictures are found when they were uploaded here or the site serves them
+  async function fileExists(src) {
+    if (urls.has(src)) return true;
+    try {
+      return (await fetch(src, { method: 'HEAD' })).ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  document.getElementById('btn-author-export').addEventListener('click', async function () {
+    const json = toDataset(draft);
+    const result = await validateDataset(json, { fileExists: fileExists });
+    listProblems(result);
+    if (result.errors.length) {
+      setStatus(t('author.exportBlocked', { count: result.errors.length }));
+      return;
+    }
+    saveFile('questions.json', new Blob([formatDataset(json)], { type: 'application/json' }));
+    setStatus(t(draft.items.some(i => urls.has(i.image)) ? 'author.exportedWithImages' : 'author.exported'));
+  });
+
+  // The draft as a single-file question pack: uploaded pictures come from this device,
+  // the others are fetched from the site
+  document.getElementById('btn-author-pack').addEventListener('click', async function () {
+    const id = window.prompt(t('packs.exportId'), slugify(draft.title) || 'my-questions');
+    if (!id) return;
+    const json = toDataset(draft);
+    const files = new Map();
+    for (const item of json.items) {
+      const sources = [item.image].concat(typeof item.audio === 'string' ? [item.audio] : Object.values(item.audio || {}));
+      for (const src of sources) {
+        const path = packPath(src);
+        if (!path || files.has(path)) continue;
+        let blob = urls.has(src) ? await store.get(src) : null;
+        if (!blob) {
+          try {
+            const res = await fetch(src);
+            if (res.ok) blob = await res.blob();
+          } catch (e) { /* reported as missing below */ }
+        }
+        if (blob) files.set(path, blob);
+      }
+    }
+    const manifest = { format: PACK_FORMAT, formatVersion: PACK_FORMAT_VERSION, id: id.trim(), title: draft.title || id.trim() };
+    const result = await validatePack({ manifest: manifest, dataset: json, files: files });
+    listProblems(result);
+    if (result.errors.length) {
+      setStatus(t('author.exportBlocked', { count: result.errors.length }));
+      return;
+    }
+    const name = manifest.id + '.json';
+    saveFile(name, new Blob([JSON.stringify(await writePack(manifest, json, files))], { type: 'application/json' }));
+    setStatus(t('packs.exported', { name: name }));
+  });
+
+  document.getElementById('btn-author-images').addEventListener('click', async function () {
+    const paths = draft.items.map(i => i.image).filter(p => urls.has(p));
+    if (!paths.length) { setStatus(t('author.noNewImages')); return; }
+    for (const path of paths) {
+      saveFile(path.split('/').pop(), await store.get(path));
+      // Browsers drop downloads started in the same instant
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+    setStatus(t('author.imagesDownloaded', { count: paths.length }));
+  });
+
+  async function useDraft(next) {
+    draft = next;
+    saveDraft(draft);
+    await forgetUnusedImages();
+    titleInput.value = draft.title;
+    changed();
+    select(draft.items.length ? draft.items[0].id : null);
+  }
+
+  async function bundledDraft() {
+    const res = await fetch(DATASET_URL);
+    if (!res.ok) throw new Error('Could not load questions dataset');
+    return createDraft(await res.json());
+  }
+
+  document.getElementById('btn-author-reset').addEventListener('click', async function () {
+    if (!window.confirm(t('author.confirmReset'))) return;
+    try {
+      await useDraft(await bundledDraft());
+      setStatus('');
+    } catch (err) {
+      console.error(err);
+      setStatus(t('author.loadError'));
+    }
+  });
+
+  openInput.addEventListener('change', async function () {
+    const file = openInput.files && openInput.files[0];
+    openInput.value = '';
+    if (!file) return;
+    try {
+      const json = JSON.parse(await file.text());
+      parseDataset(json);
+      await useDraft(createDraft(json));
+      setStatus(t('author.opened', { name: file.name }));
+    } catch (err) {
+      console.warn(err);
+      setStatus(t('author.openError', { name: file.name }));
+    }
+  });
+
+  document.addEventListener(LOCALE_CHANGE_EVENT, function () {
+    fillCategories();
+    fillRegions();
+    fillLocaleLabels();
+    fillPreviewTypes();
+    fillForm(findItem(draft, selectedId));
+    renderList();
+    renderPreview();
+    runChecks();
+    renderStats();
+  });
+
+  // Start: the saved draft, else the built-in questions
+  fillCategories();
+  fillRegions();
+  fillLocaleLabels();
+  fillPreviewTypes();
+  for (const path of await store.paths()) {
+    const blob = await store.get(path);
+    if (blob) urls.set(path, URL.createObjectURL(blob));
+  }
+  try {
+    draft = loadDraft() || await bundledDraft();
+  } catch (err) {
+    console.error(err);
+    setStatus(t('author.loadError'));
+    draft = createDraft({ items: [] });
+  }
+  titleInput.value = draft.title;
+  runChecks();
+  renderStats();
+  select(draft.items.length ? draft.items[0].id : null);
+});
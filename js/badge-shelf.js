@@ -0,0 +1,112 @@
+// Kulture badge shelf
+// Shows one player's points, stars per level (built-in questions and each question
+// pack), streaks and every badge, earned or still to win. Records come from
+// js/achievements.js; nothing is sent anywhere.
+import { loadProfiles, getActiveProfile } from './profiles.js';
+import { loadAchievements, badgeShelf, totalStars } from './achievements.js';
+import { createPackStore } from './packs.js';
+import { initI18n, t, mountLanguageSwitcher, getLocale, LOCALE_CHANGE_EVENT } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// "★★☆" with a spoken equivalent
+function starRow(stars) {
+  const row = el('span', 'badges-stars', '★'.repeat(stars) + '☆'.repeat(3 - stars));
+  row.setAttribute('role', 'img');
+  row.setAttribute('aria-label', t('badges.stars', { count: stars }));
+  return row;
+}
+
+function statCard(label, value) {
+  const card = el('div', 'badges-stat');
+  card.appendChild(el('span', 'badges-stat-value', value));
+  card.appendChild(el('span', 'badges-stat-label', label));
+  return card;
+}
+
+function renderShelf(record, packTitles) {
+  const wrap = el('div');
+  const stats = el('div', 'badges-stats');
+  stats.appendChild(statCard(t('badges.points'), String(record.points)));
+  stats.appendChild(statCard(t('badges.totalStars'), String(Object.keys(record.stars).reduce((sum, pack) => sum + totalStars(record, pack), 0))));
+  stats.appendChild(statCard(t('badges.bestStreak'), String(record.bestStreak)));
+  stats.appendChild(statCard(t('badges.dayStreak'), t('badges.days', { count: record.days.current, best: record.days.best })));
+  wrap.appendChild(stats);
+
+  const packs = Object.keys(record.stars);
+  if (packs.length) {
+    const section = el('section', 'badges-levels');
+    section.appendChild(el('h2', null, t('badges.levels')));
+    packs.sort().forEach(function (pack) {
+      const list = el('ul', 'badges-level-list');
+      const levels = Object.keys(record.stars[pack]).map(Number).sort((a, b) => a - b);
+      levels.forEach(function (level) {
+        const item = el('li', 'badges-level', t('quiz.level', { level: level }) + ' ');
+        item.appendChild(starRow(record.stars[pack][level]));
+        list.appendChild(item);
+      });
+      section.appendChild(el('h3', null, pack ? packTitles[pack] || pack : t('packs.builtin')));
+      section.appendChild(list);
+    });
+    wrap.appendChild(section);
+  }
+
+  const shelf = badgeShelf(record);
+  const section = el('section', 'badges-shelf-section');
+  section.appendChild(el('h2', null, t('badges.shelf', { count: shelf.filter(s => s.earned).length, total: shelf.length })));
+  const list = el('ul', 'badges-shelf');
+  shelf.forEach(function (entry) {
+    const item = el('li', 'badge' + (entry.earned ? ' earned' : ''));
+    item.appendChild(el('span', 'badge-icon', entry.badge.icon)).setAttribute('aria-hidden', 'true');
+    item.appendChild(el('strong', 'badge-name', t('badges.' + entry.badge.id + '.name')));
+    item.appendChild(el('span', 'badge-description', t('badges.' + entry.badge.id + '.description')));
+    item.appendChild(el('span', 'badge-status', entry.earned ? t('badges.earnedOn', { date: formatDate(entry.at) }) : t('badges.locked')));
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+  wrap.appendChild(section);
+  return wrap;
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  const select = document.getElementById('badges-child');
+  const output = document.getElementById('badges-output');
+  const state = loadProfiles();
+  const packTitles = {};
+  const packs = await createPackStore().list().catch(() => []);
+  packs.forEach(record => { packTitles[record.id] = record.manifest.title; });
+
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+
+  state.profiles.forEach(function (p) {
+    const opt = el('option', null, p.avatar + ' ' + p.name);
+    opt.value = p.id;
+    select.appendChild(opt);
+  });
+  const active = getActiveProfile(state);
+  if (active) select.value = active.id;
+
+  function render() {
+    output.innerHTML = '';
+    if (!state.profiles.length) {
+      select.disabled = true;
+      output.appendChild(el('p', 'badges-empty', t('badges.noPlayers')));
+      return;
+    }
+    output.appendChild(renderShelf(loadAchievements(select.value), packTitles));
+  }
+
+  select.addEventListener('change', render);
+  document.addEventListener(LOCALE_CHANGE_EVENT, render);
+  render();
+});
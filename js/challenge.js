@@ -0,0 +1,146 @@
+// Kulture challenge mode
+// A race against the clock for older children: as many questions as possible from all
+// levels before time runs out. Fast first-try answers earn a time bonus, every wrong
+// try costs points, and the best scores on this device are kept in a top-10 table.
+// The quiz session still asks the questions (js/quiz-session.js); this module keeps
+// the clock and the challenge score. DOM-free, so the rules run under `npm test`.
+
+// Length of a challenge
+export const CHALLENGE_SECONDS = 60;
+
+// Extra points for a first-try answer, falling from TIME_BONUS_MAX for an instant
+// answer to nothing at BONUS_WINDOW_MS
+export const TIME_BONUS_MAX = 10;
+export const BONUS_WINDOW_MS = 10000;
+
+// Points taken off for each wrong try
+export const WRONG_PENALTY = 3;
+
+export const MAX_HIGH_SCORES = 10;
+const MAX_NAME_LENGTH = 24;
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+export function timeBonus(ms) {
+  return Math.round(TIME_BONUS_MAX * Math.max(0, 1 - (ms || 0) / BONUS_WINDOW_MS));
+}
+
+// Points for a question of the challenge: the session's points (js/quiz-session.js)
+// plus the time bonus when it was right first time
+export function challengePoints(result) {
+  return (result.points || 0) + (result.firstTry ? timeBonus(result.ms) : 0);
+}
+
+// A running challenge: { start, pause, resume, remaining, expired, addResult, addWrong,
+// summary } plus the counters below. The clock only runs while started and not paused.
+// options: { seconds, now }
+export function createChallenge(options) {
+  options = options || {};
+  const now = options.now || Date.now;
+  const duration = (options.seconds || CHALLENGE_SECONDS) * 1000;
+  let used = 0;
+  let since = null;
+
+  const challenge = {
+    score: 0,
+    answered: 0,
+    firstTry: 0,
+    wrong: 0,
+    streak: 0,
+    bestStreak: 0,
+    start: function () {
+      if (since == null) since = now();
+    },
+    pause: function () {
+      if (since == null) return;
+      used += now() - since;
+      since = null;
+    },
+    resume: function () {
+      if (since == null && !challenge.expired()) since = now();
+    },
+    get paused() { return since == null; },
+    // Milliseconds left on the clock
+    remaining: function () {
+      return Math.max(0, duration - used - (since == null ? 0 : now() - since));
+    },
+    expired: function () {
+      return challenge.remaining() === 0;
+    },
+    // A question is done: result is the session's result event
+    addResult: function (result) {
+      challenge.answered++;
+      challenge.score += challengePoints(result);
+      if (result.firstTry) {
+        challenge.firstTry++;
+        challenge.streak++;
+        challenge.bestStreak = Math.max(challenge.bestStreak, challenge.streak);
+      } else {
+        challenge.streak = 0;
+      }
+    },
+    // A wrong try; the score never drops below zero
+    addWrong: function () {
+      challenge.wrong++;
+      challenge.score = Math.max(0, challenge.score - WRONG_PENALTY);
+    },
+    summary: function () {
+      return {
+        score: challenge.score,
+        answered: challenge.answered,
+        firstTry: challenge.firstTry,
+        wrong: challenge.wrong,
+        bestStreak: challenge.bestStreak
+      };
+    }
+  };
+  return challenge;
+}
+
+// Storage key of the top-10 table; each question pack (js/packs.js) has its own
+export function highScoresKey(pack) {
+  return 'kulture.challenge.v1' + (pack ? '.' + pack : '');
+}
+
+// [{ name, score, answered, at }], best first
+export function loadHighScores(pack, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(highScoresKey(pack)) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveHighScores(list, pack, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    storage.setItem(highScoresKey(pack), JSON.stringify(list));
+  } catch (e) {
+    console.debug('Could not save high scores:', e && e.message);
+  }
+}
+
+// Whether a score earns a place in the table
+export function qualifies(list, score) {
+  if (score <= 0) return false;
+  return list.length < MAX_HIGH_SCORES || score > list[list.length - 1].score;
+}
+
+// Add an entry in place; ties keep the earlier score ahead. Returns its place (0-based),
+// or -1 when it did not make the table.
+export function addHighScore(list, entry) {
+  const name = String(entry.name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+  if (!name) throw new Error('Please enter a name');
+  const row = { name: name, score: entry.score, answered: entry.answered || 0, at: entry.at || Date.now() };
+  let place = list.findIndex(r => r.score < row.score);
+  if (place === -1) place = list.length;
+  list.splice(place, 0, row);
+  if (list.length > MAX_HIGH_SCORES) list.length = MAX_HIGH_SCORES;
+  return place < MAX_HIGH_SCORES ? place : -1;
+}
@@ -0,0 +1,47 @@
+// Kulture classroom connection
+// The WebSocket the host page (js/classroom-host.js) and the student page
+// (js/classroom-student.js) share with the server; the messages are listed in
+// server/classroom.js. Classroom play needs the Node server, so there is no offline
+// fallback.
+
+export const CLASSROOM_PATH = '/classroom';
+
+// Colours and shapes of the four choices, the same on the projector and the tablets
+export const CHOICE_MARKS = ['▲', '◆', '●', '■'];
+
+export function classroomUrl(loc) {
+  loc = loc || location;
+  return (loc.protocol === 'https:' ? 'wss://' : 'ws://') + loc.host + CLASSROOM_PATH;
+}
+
+// handlers: { onOpen(), onMessage(message), onClose() }
+// Returns { send(message), close() }; messages are plain objects.
+export function connectClassroom(handlers) {
+  const socket = new WebSocket(classroomUrl());
+  let closedByUs = false;
+  socket.addEventListener('open', function () {
+    if (handlers.onOpen) handlers.onOpen();
+  });
+  socket.addEventListener('message', function (e) {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch (err) {
+      console.warn('Ignoring a classroom message that is not JSON');
+      return;
+    }
+    if (handlers.onMessage) handlers.onMessage(message);
+  });
+  socket.addEventListener('close', function () {
+    if (!closedByUs && handlers.onClose) handlers.onClose();
+  });
+  return {
+    send: function (message) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    },
+    close: function () {
+      closedByUs = true;
+      socket.close();
+    }
+  };
+}
@@ -0,0 +1,257 @@
+// Kulture classroom host page
+// The teacher's projected screen: opens a room, shows the join code and who has
+// joined, then each picture with live answer counts, the answer and a leaderboard.
+// The server runs the game (server/classroom.js); this page only draws its messages.
+import { connectClassroom, CHOICE_MARKS } from './classroom-client.js';
+import { MAX_QUESTIONS } from './question-api.js';
+import { initI18n, t, itemLabel, mountLanguageSwitcher, LOCALE_CHANGE_EVENT } from './i18n.js';
+
+// Rows of the leaderboard shown between questions (all are shown at the end)
+const LEADERBOARD_ROWS = 5;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function button(text, onClick, className) {
+  const btn = el('button', className || 'btn btn-primary', text);
+  btn.type = 'button';
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function leaderboardList(rows) {
+  const list = el('ol', 'classroom-leaderboard');
+  list.setAttribute('aria-label', t('classroom.leaderboard'));
+  rows.forEach(function (row) {
+    const item = el('li');
+    item.appendChild(el('span', 'classroom-place', MEDALS[row.place - 1] || String(row.place)));
+    item.appendChild(el('span', 'classroom-name', row.name));
+    item.appendChild(el('span', 'classroom-points', t('quiz.score', { points: row.score })));
+    list.appendChild(item);
+  });
+  return list;
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  const output = document.getElementById('classroom-output');
+  // What the server last told us; render() draws it again after a language change
+  const state = { view: 'setup', count: MAX_QUESTIONS, code: null, urls: [], players: [], question: null, answers: null, reveal: null, leaderboard: [], error: null };
+  let connection = null;
+  let countdown = null;
+
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+
+  function open() {
+    if (connection) connection.close();
+    state.error = null;
+    connection = connectClassroom({
+      onOpen: function () { connection.send({ type: 'host', count: state.count }); },
+      onMessage: onMessage,
+      onClose: function () {
+        stopCountdown();
+        state.view = 'lost';
+        render();
+      }
+    });
+  }
+
+  function onMessage(message) {
+    switch (message.type) {
+      case 'room':
+        state.view = 'lobby';
+        state.error = null;
+        state.code = message.code;
+        state.urls = message.urls || [];
+        break;
+      case 'players':
+        state.players = message.players;
+        if (state.view !== 'lobby') return;
+        break;
+      case 'question':
+        state.view = 'question';
+        state.question = message;
+        state.answers = null;
+        startCountdown(message.seconds);
+        break;
+      case 'answers':
+        state.answers = message;
+        if (state.view === 'question') { updateAnswers(); return; }
+        break;
+      case 'reveal':
+        stopCountdown();
+        state.view = 'reveal';
+        state.reveal = message;
+        break;
+      case 'end':
+        stopCountdown();
+        state.view = 'end';
+        state.leaderboard = message.leaderboard;
+        break;
+      case 'error':
+        state.error = message.code;
+        break;
+      default:
+        return;
+    }
+    render();
+  }
+
+  function startCountdown(seconds) {
+    stopCountdown();
+    const ends = Date.now() + seconds * 1000;
+    function tick() {
+      const clock = output.querySelector('.classroom-clock');
+      const left = Math.max(0, Math.ceil((ends - Date.now()) / 1000));
+      if (clock) clock.textContent = t('challenge.clock', { time: left });
+      if (!left) stopCountdown();
+    }
+    countdown = setInterval(tick, 250);
+    setTimeout(tick, 0);
+  }
+
+  function stopCountdown() {
+    if (countdown) clearInterval(countdown);
+    countdown = null;
+  }
+
+  // Live "n of m answered" without redrawing the picture
+  function updateAnswers() {
+    const line = output.querySelector('.classroom-answered');
+    if (line && state.answers) line.textContent = t('classroom.answered', { count: state.answers.answered, total: state.answers.players });
+  }
+
+  function joinBox() {
+    const box = el('div', 'classroom-join');
+    box.appendChild(el('p', 'classroom-join-label', t('classroom.joinAt')));
+    const urls = state.urls.length ? state.urls : [location.origin + '/join.html'];
+    urls.forEach(url => box.appendChild(el('p', 'classroom-url', url.replace(/^https?:\/\//, ''))));
+    box.appendChild(el('p', 'classroom-join-label', t('classroom.withCode')));
+    box.appendChild(el('p', 'classroom-code', state.code));
+    return box;
+  }
+
+  function renderSetup() {
+    const form = el('form', 'classroom-setup');
+    form.appendChild(el('p', null, t('classroom.intro')));
+    const label = el('label', null, t('classroom.questions') + ' ');
+    const select = document.createElement('select');
+    [5, MAX_QUESTIONS].forEach(function (n) {
+      const opt = el('option', null, String(n));
+      opt.value = String(n);
+      select.appendChild(opt);
+    });
+    select.value = String(state.count);
+    select.addEventListener('change', function () { state.count = Number(select.value); });
+    label.appendChild(select);
+    form.appendChild(label);
+    const start = el('button', 'btn btn-primary', t('classroom.open'));
+    start.type = 'submit';
+    form.appendChild(start);
+    form.addEventListener('submit', function (e) { e.preventDefault(); open(); });
+    return form;
+  }
+
+  function renderLobby() {
+    const wrap = el('div', 'classroom-lobby');
+    wrap.appendChild(joinBox());
+    const present = state.players.filter(p => p.connected);
+    wrap.appendChild(el('h2', null, t('classroom.joined', { count: present.length })));
+    const list = el('ul', 'classroom-players');
+    present.forEach(p => list.appendChild(el('li', null, p.name)));
+    wrap.appendChild(list);
+    const start = button(t('classroom.start'), function () { connection.send({ type: 'next' }); });
+    start.disabled = !present.length;
+    wrap.appendChild(start);
+    return wrap;
+  }
+
+  function choiceGrid(choices, answer, counts) {
+    const grid = el('ol', 'classroom-choices');
+    choices.forEach(function (choice, i) {
+      const item = el('li', 'classroom-choice classroom-choice-' + (i + 1));
+      if (answer) item.classList.add(choice.label === answer.label ? 'classroom-right' : 'classroom-wrong');
+      item.appendChild(el('span', 'classroom-mark', CHOICE_MARKS[i])).setAttribute('aria-hidden', 'true');
+      item.appendChild(el('span', 'classroom-label', itemLabel(choice)));
+      if (counts) item.appendChild(el('span', 'classroom-count', t('classroom.votes', { count: counts[i] || 0 })));
+      grid.appendChild(item);
+    });
+    return grid;
+  }
+
+  function questionHeader(q) {
+    return el('p', 'classroom-progress', t('quiz.progress', { current: q.index + 1, total: q.total }));
+  }
+
+  function renderQuestion() {
+    const q = state.question;
+    const wrap = el('div', 'classroom-question');
+    const top = el('div', 'classroom-top');
+    top.appendChild(questionHeader(q));
+    top.appendChild(el('p', 'classroom-clock'));
+    top.appendChild(el('p', 'classroom-answered'));
+    wrap.appendChild(top);
+    const img = document.createElement('img');
+    img.className = 'classroom-image';
+    img.src = q.image;
+    img.alt = t('quiz.imageAltUnknown');
+    wrap.appendChild(img);
+    wrap.appendChild(choiceGrid(q.choices));
+    wrap.appendChild(button(t('classroom.showAnswer'), function () { connection.send({ type: 'reveal' }); }));
+    return wrap;
+  }
+
+  function renderReveal() {
+    const q = state.question;
+    const r = state.reveal;
+    const wrap = el('div', 'classroom-question');
+    wrap.appendChild(questionHeader(q));
+    const img = document.createElement('img');
+    img.className = 'classroom-image';
+    img.src = q.image;
+    img.alt = t('quiz.imageAlt', { label: itemLabel(r.answer) });
+    wrap.appendChild(img);
+    wrap.appendChild(el('p', 'classroom-answer', t('quiz.answerWas', { label: itemLabel(r.answer) })));
+    wrap.appendChild(choiceGrid(q.choices, r.answer, r.counts));
+    if (r.leaderboard.length) wrap.appendChild(leaderboardList(r.leaderboard.slice(0, LEADERBOARD_ROWS)));
+    const last = q.index + 1 >= q.total;
+    wrap.appendChild(button(t(last ? 'classroom.finish' : 'classroom.next'), function () { connection.send({ type: 'next' }); }));
+    return wrap;
+  }
+
+  function renderEnd() {
+    const wrap = el('div', 'classroom-end');
+    wrap.appendChild(el('h2', null, t('classroom.final')));
+    wrap.appendChild(leaderboardList(state.leaderboard));
+    wrap.appendChild(button(t('classroom.again'), function () {
+      state.view = 'setup';
+      if (connection) connection.close();
+      connection = null;
+      render();
+    }));
+    return wrap;
+  }
+
+  function render() {
+    output.innerHTML = '';
+    if (state.error) output.appendChild(el('p', 'classroom-error', t('classroom.errors.' + state.error)));
+    if (state.view === 'setup') output.appendChild(renderSetup());
+    else if (state.view === 'lobby') output.appendChild(renderLobby());
+    else if (state.view === 'question') output.appendChild(renderQuestion());
+    else if (state.view === 'reveal') output.appendChild(renderReveal());
+    else if (state.view === 'end') output.appendChild(renderEnd());
+    else if (state.view === 'lost') {
+      output.appendChild(el('p', 'classroom-error', t('classroom.lost')));
+      output.appendChild(button(t('classroom.open'), open));
+    }
+    updateAnswers();
+  }
+
+  document.addEventListener(LOCALE_CHANGE_EVENT, render);
+  render();
+});
@@ -0,0 +1,183 @@
+// Kulture classroom student page
+// What a child sees on their own tablet during a class quiz: a join form, then only
+// the four choices of the picture on the big screen, and their result after each
+// question. The server runs the game (server/classroom.js).
+import { connectClassroom, CHOICE_MARKS } from './classroom-client.js';
+import { loadProfiles, getActiveProfile } from './profiles.js';
+import { initI18n, t, itemLabel, mountLanguageSwitcher, LOCALE_CHANGE_EVENT } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  const output = document.getElementById('classroom-output');
+  const active = getActiveProfile(loadProfiles());
+  // The join details stay so a lost connection can rejoin; the seat's secret from the
+  // server is what keeps the score
+  const state = {
+    view: 'join',
+    code: new URLSearchParams(location.search).get('code') || '',
+    name: active ? active.name : '',
+    secret: '',
+    question: null,
+    picked: null,
+    result: null,
+    end: null,
+    error: null
+  };
+  let connection = null;
+
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+
+  function join() {
+    if (connection) connection.close();
+    state.error = null;
+    connection = connectClassroom({
+      onOpen: function () { connection.send({ type: 'join', code: state.code, name: state.name, secret: state.secret }); },
+      onMessage: onMessage,
+      onClose: function () {
+        if (state.view === 'end' || state.view === 'closed') return;
+        state.view = 'lost';
+        render();
+      }
+    });
+  }
+
+  function onMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        state.name = message.name;
+        state.secret = message.secret;
+        state.view = 'waiting';
+        break;
+      case 'question':
+        state.view = 'question';
+        state.question = message;
+        state.picked = null;
+        break;
+      case 'answered':
+        state.view = 'answered';
+        break;
+      case 'result':
+        state.view = 'result';
+        state.result = message;
+        break;
+      case 'end':
+        state.view = 'end';
+        state.end = message;
+        break;
+      case 'closed':
+        state.view = 'closed';
+        break;
+      case 'error':
+        state.error = message.code;
+        // A refused join leaves the form up to fix the code or name
+        if (state.view === 'join' || state.view === 'lost') {
+          state.view = 'join';
+          connection.close();
+          connection = null;
+        }
+        break;
+      default:
+        return;
+    }
+    render();
+  }
+
+  function renderJoin() {
+    const form = el('form', 'classroom-setup');
+    const codeLabel = el('label', null, t('classroom.code'));
+    const code = document.createElement('input');
+    code.type = 'text';
+    code.inputMode = 'numeric';
+    code.autocomplete = 'off';
+    code.required = true;
+    code.maxLength = 4;
+    code.value = state.code;
+    codeLabel.appendChild(code);
+    const nameLabel = el('label', null, t('classroom.name'));
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.required = true;
+    name.maxLength = 24;
+    name.value = state.name;
+    nameLabel.appendChild(name);
+    const submit = el('button', 'btn btn-primary', t('classroom.join'));
+    submit.type = 'submit';
+    form.appendChild(codeLabel);
+    form.appendChild(nameLabel);
+    form.appendChild(submit);
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      state.code = code.value.trim();
+      state.name = name.value.trim();
+      join();
+    });
+    setTimeout(() => (state.code ? name : code).focus(), 0);
+    return form;
+  }
+
+  function renderQuestion() {
+    const q = state.question;
+    const wrap = el('div', 'classroom-question');
+    wrap.appendChild(el('p', 'classroom-progress', t('quiz.progress', { current: q.index + 1, total: q.total })));
+    wrap.appendChild(el('p', null, t('classroom.lookUp')));
+    const grid = el('div', 'classroom-choices classroom-buttons');
+    q.choices.forEach(function (choice, i) {
+      const btn = el('button', 'classroom-choice classroom-choice-' + (i + 1));
+      btn.type = 'button';
+      btn.appendChild(el('span', 'classroom-mark', CHOICE_MARKS[i])).setAttribute('aria-hidden', 'true');
+      btn.appendChild(el('span', 'classroom-label', itemLabel(choice)));
+      btn.addEventListener('click', function () {
+        state.picked = i;
+        grid.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        connection.send({ type: 'answer', choice: i });
+      });
+      grid.appendChild(btn);
+    });
+    wrap.appendChild(grid);
+    return wrap;
+  }
+
+  function renderResult() {
+    const r = state.result;
+    const wrap = el('div', 'classroom-result ' + (r.correct ? 'classroom-right' : 'classroom-wrong'));
+    wrap.appendChild(el('p', 'classroom-answer', r.correct ? t('classroom.right', { points: r.points }) : t('quiz.answerWas', { label: itemLabel(r.answer) })));
+    wrap.appendChild(el('p', null, t('classroom.standing', { points: r.score, place: r.place })));
+    return wrap;
+  }
+
+  function render() {
+    output.innerHTML = '';
+    if (state.error) output.appendChild(el('p', 'classroom-error', t('classroom.errors.' + state.error)));
+    if (state.view === 'join') {
+      output.appendChild(renderJoin());
+    } else if (state.view === 'waiting') {
+      output.appendChild(el('p', 'classroom-status', t('classroom.waiting', { name: state.name })));
+    } else if (state.view === 'question') {
+      output.appendChild(renderQuestion());
+    } else if (state.view === 'answered') {
+      output.appendChild(el('p', 'classroom-status', t('classroom.sent')));
+    } else if (state.view === 'result') {
+      output.appendChild(renderResult());
+    } else if (state.view === 'end') {
+      output.appendChild(el('p', 'classroom-status', t('classroom.finished', { place: state.end.place, count: state.end.players, points: state.end.score })));
+    } else if (state.view === 'closed') {
+      output.appendChild(el('p', 'classroom-status', t('classroom.closed')));
+    } else if (state.view === 'lost') {
+      output.appendChild(el('p', 'classroom-error', t('classroom.lost')));
+      const again = el('button', 'btn btn-primary', t('classroom.rejoin', { name: state.name }));
+      again.type = 'button';
+      again.addEventListener('click', join);
+      output.appendChild(again);
+    }
+  }
+
+  document.addEventListener(LOCALE_CHANGE_EVENT, render);
+  render();
+});
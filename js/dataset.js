@@ -0,0 +1,307 @@
+// Kulture question dataset helpers
+// Parses, normalises and validates `api/questions.json`. This module is shared by
+// the quiz page, the service worker and the Node validator, so it must stay DOM-free.
+
+export const SCHEMA_VERSION = 1;
+
+// Categories an item may belong to (see api/questions.schema.json)
+export const CATEGORIES = ['food', 'animals', 'clothing', 'instruments', 'home', 'plants'];
+
+// Regions an item may be linked to: Kenya's eight former provinces (outlines for the
+// Explore map in js/regions.js)
+export const REGIONS = ['nairobi', 'central', 'coast', 'eastern', 'north-eastern', 'nyanza', 'rift-valley', 'western'];
+
+// Question types a dataset may ask for per level (implemented in js/question-types.js)
+export const QUESTION_TYPES = ['picture-to-word', 'word-to-picture', 'listen', 'type-answer', 'match-pairs'];
+
+// Short texts the learn card shows after a question, in this order (js/learn.js)
+export const LEARN_FIELDS = ['fact', 'origin', 'usage'];
+
+// A level needs at least one full round of questions
+export const MIN_ITEMS_PER_LEVEL = 5;
+
+// Legacy datasets were plain arrays where the level came from the numeric id
+const LEGACY_LEVEL_SIZE = 5;
+
+// Extract numeric ID from question identifiers like "q5" to return 5
+export function idToNum(id) {
+  if (!id) return NaN;
+  const m = String(id).match(/q(\d+)/i);
+  return m ? Number(m[1]) : NaN;
+}
+
+function toStringList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Per-locale display labels, e.g. { sw: "twiga", ki: "ndũiga" }; blank entries are dropped
+function toLabelMap(value) {
+  const labels = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return labels;
+  Object.keys(value).forEach(function (code) {
+    if (typeof value[code] === 'string' && value[code].trim()) labels[code] = value[code].trim();
+  });
+  return labels;
+}
+
+// Pronunciation recordings and picture descriptions: a single value, or values per
+// locale code. Normalised to { default?, en?, sw?, ... }
+function toLocaleMap(value) {
+  if (typeof value === 'string') return value.trim() ? { default: value.trim() } : {};
+  return toLabelMap(value);
+}
+
+// Normalise one raw dataset entry into the shape the app works with.
+// Unknown fields are kept so newer datasets still round-trip through older code.
+export function normalizeItem(raw) {
+  const item = Object.assign({}, raw);
+  item.id = raw.id != null ? String(raw.id) : '';
+  item.label = typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : null;
+  item.level = Number(raw.level);
+  item.category = raw.category ? String(raw.category) : null;
+  item.aliases = toStringList(raw.aliases);
+  item.regions = toStringList(raw.regions);
+  item.labels = toLabelMap(raw.labels);
+  item.audio = toLocaleMap(raw.audio);
+  item.alt = toLocaleMap(raw.alt);
+  item.distractors = toStringList(raw.distractors);
+  item.attribution = raw.attribution && typeof raw.attribution === 'object' ? raw.attribution : null;
+  // What the learn card tells about the item: a fun fact, the community or region it
+  // comes from and how it is used
+  LEARN_FIELDS.forEach(function (field) {
+    item[field] = typeof raw[field] === 'string' && raw[field].trim() ? raw[field].trim() : null;
+  });
+  return item;
+}
+
+// `questionTypes` maps a level to the question types its rounds use, e.g.
+// { "3": ["type-answer", "match-pairs"] }. Unknown type ids are dropped.
+function toQuestionTypes(value) {
+  const types = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return types;
+  Object.keys(value).forEach(function (level) {
+    const list = toStringList(value[level]).filter(id => QUESTION_TYPES.indexOf(id) !== -1);
+    if (list.length) types[level] = list;
+  });
+  return types;
+}
+
+// Accepts either the versioned `{ schemaVersion, items }` document or a legacy
+// array and returns `{ schemaVersion, items, questionTypes }` with every item normalised.
+export function parseDataset(json) {
+  if (Array.isArray(json)) {
+    const items = json.map(function (raw) {
+      const n = idToNum(raw && raw.id);
+      const level = raw && raw.level != null ? raw.level : (Number.isNaN(n) ? NaN : Math.ceil(n / LEGACY_LEVEL_SIZE));
+      return normalizeItem(Object.assign({}, raw, { level }));
+    });
+    return { schemaVersion: 0, items, questionTypes: {} };
+  }
+  if (!json || typeof json !== 'object' || !Array.isArray(json.items)) {
+    throw new Error('Dataset must be an object with an "items" array');
+  }
+  return {
+    schemaVersion: Number(json.schemaVersion) || 0,
+    items: json.items.map(normalizeItem),
+    questionTypes: toQuestionTypes(json.questionTypes)
+  };
+}
+
+// Sorted list of the distinct levels present in the dataset
+export function levelsOf(items) {
+  const set = new Set(items.map(i => i.level).filter(l => Number.isInteger(l) && l > 0));
+  return Array.from(set).sort((a, b) => a - b);
+}
+
+export function itemsForLevel(items, level) {
+  return items.filter(i => i.level === Number(level));
+}
+
+// Lowercase, strip diacritics and anything that is not a letter or digit so
+// "Maasai Shuka", "maasai-shuka" and "maasaishuka" compare equal.
+export function compactName(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function hasBalancedParens(s) {
+  let depth = 0;
+  for (const ch of String(s)) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+function isRemote(src) {
+  return /^(https?:)?\/\//i.test(String(src));
+}
+
+function imageBaseName(src) {
+  const file = String(src).split(/[?#]/)[0].split('/').pop() || '';
+  return file.replace(/\.[a-z0-9]+$/i, '');
+}
+
+// Validate a raw dataset document.
+// options.fileExists(path) -> boolean|Promise<boolean> lets the caller check local
+// image and audio files (the Node validator passes a filesystem check; browsers can omit it).
+// Returns { errors: string[], warnings: string[] }.
+export async function validateDataset(json, options) {
+  options = options || {};
+  const errors = [];
+  const warnings = [];
+
+  if (Array.isArray(json)) {
+    errors.push('Dataset is a legacy array; wrap items as { "schemaVersion": ' + SCHEMA_VERSION + ', "items": [...] }');
+  } else if (!json || typeof json !== 'object' || !Array.isArray(json.items)) {
+    errors.push('Dataset must be an object with an "items" array');
+    return { errors, warnings };
+  } else if (json.schemaVersion !== SCHEMA_VERSION) {
+    errors.push('Unsupported schemaVersion ' + JSON.stringify(json.schemaVersion) + ' (expected ' + SCHEMA_VERSION + ')');
+  }
+
+  const rawItems = Array.isArray(json) ? json : json.items;
+  const seen = new Map();
+
+  for (let i = 0; i < rawItems.length; i++) {
+    const raw = rawItems[i] || {};
+    const where = raw.id ? 'Item "' + raw.id + '"' : 'Item #' + (i + 1);
+    const item = normalizeItem(raw);
+
+    if (!item.id) {
+      errors.push(where + ': missing id');
+    } else if (seen.has(item.id)) {
+      errors.push(where + ': duplicate id (also item #' + (seen.get(item.id) + 1) + ')');
+    } else {
+      seen.set(item.id, i);
+    }
+
+    if (!Number.isInteger(item.level) || item.level < 1) {
+      errors.push(where + ': "level" must be a positive integer');
+    }
+
+    if (!item.category) {
+      errors.push(where + ': missing category');
+    } else if (CATEGORIES.indexOf(item.category) === -1) {
+      errors.push(where + ': unknown category "' + item.category + '" (expected one of ' + CATEGORIES.join(', ') + ')');
+    }
+
+    if (!item.label) {
+      warnings.push(where + ': no label; the quiz will rely on image detection');
+    }
+
+    if (raw.labels != null) {
+      if (typeof raw.labels !== 'object' || Array.isArray(raw.labels)) {
+        errors.push(where + ': "labels" must map locale codes to strings');
+      } else {
+        Object.keys(raw.labels).forEach(function (code) {
+          if (typeof raw.labels[code] !== 'string' || !raw.labels[code].trim()) {
+            errors.push(where + ': label for locale "' + code + '" must be a non-empty string');
+          }
+        });
+      }
+    }
+
+    LEARN_FIELDS.forEach(function (field) {
+      if (raw[field] != null && typeof raw[field] !== 'string') errors.push(where + ': "' + field + '" must be a string');
+    });
+    if (raw.regions != null && !Array.isArray(raw.regions)) {
+      errors.push(where + ': "regions" must be an array of region ids');
+    } else {
+      item.regions.filter(id => REGIONS.indexOf(id) === -1).forEach(function (id) {
+        errors.push(where + ': unknown region "' + id + '" (expected one of ' + REGIONS.join(', ') + ')');
+      });
+    }
+
+    // Screen readers read the description while the question is open, so it must not
+    // name the answer
+    if (raw.alt != null && typeof raw.alt !== 'string' && (typeof raw.alt !== 'object' || Array.isArray(raw.alt))) {
+      errors.push(where + ': "alt" must be a description or map locale codes to descriptions');
+    }
+    const spoilers = [item.label].concat(item.aliases, Object.keys(item.labels).map(code => item.labels[code])).filter(Boolean).map(compactName);
+    Object.keys(item.alt).forEach(function (code) {
+      const text = compactName(item.alt[code]);
+      if (spoilers.some(answer => answer && text.indexOf(answer) !== -1)) {
+        warnings.push(where + ': picture description "' + item.alt[code] + '" gives the answer away');
+      }
+    });
+
+    const localized = Object.keys(item.labels).map(code => item.labels[code]);
+    const texts = [item.label].concat(item.aliases, item.distractors, localized).filter(Boolean);
+    texts.forEach(function (t) {
+      if (!hasBalancedParens(t)) errors.push(where + ': unbalanced parentheses in "' + t + '"');
+    });
+
+    const answers = [item.label].concat(item.aliases).filter(Boolean).map(compactName);
+    item.distractors.forEach(function (d) {
+      if (answers.indexOf(compactName(d)) !== -1) errors.push(where + ': distractor "' + d + '" matches the answer');
+    });
+
+    if (!item.image) {
+      errors.push(where + ': missing image');
+    } else if (isRemote(item.image)) {
+      warnings.push(where + ': image is remote and will not be available offline (' + item.image + ')');
+    } else {
+      if (options.fileExists && !(await options.fileExists(item.image))) {
+        errors.push(where + ': image file not found (' + item.image + ')');
+      }
+      const base = compactName(imageBaseName(item.image));
+      if (answers.length && answers.indexOf(base) === -1) {
+        warnings.push(where + ': image file name "' + imageBaseName(item.image) + '" does not match the label or any alias');
+      }
+    }
+
+    if (raw.audio != null && typeof raw.audio !== 'string' && (typeof raw.audio !== 'object' || Array.isArray(raw.audio))) {
+      errors.push(where + ': "audio" must be a path or map locale codes to paths');
+    }
+    for (const code of Object.keys(item.audio)) {
+      const src = item.audio[code];
+      if (isRemote(src)) {
+        warnings.push(where + ': audio is remote and will not be available offline (' + src + ')');
+      } else if (options.fileExists && !(await options.fileExists(src))) {
+        errors.push(where + ': audio file not found (' + src + ')');
+      }
+    }
+  }
+
+  const items = rawItems.map(r => normalizeItem(r || {}));
+  levelsOf(items).forEach(function (level) {
+    const count = itemsForLevel(items, level).length;
+    if (count < MIN_ITEMS_PER_LEVEL) {
+      errors.push('Level ' + level + ' has only ' + count + ' item(s); at least ' + MIN_ITEMS_PER_LEVEL + ' are needed for a round');
+    }
+  });
+
+  // Once the dataset places items on the Explore map, a category with none there is missing from it
+  if (items.some(item => item.regions.length)) {
+    CATEGORIES.filter(c => items.some(item => item.category === c)).forEach(function (category) {
+      if (!items.some(item => item.category === category && item.regions.length)) {
+        warnings.push('Category "' + category + '" has no item with regions, so the Explore map shows none of it');
+      }
+    });
+  }
+
+  const types = Array.isArray(json) ? null : json.questionTypes;
+  if (types != null) {
+    if (typeof types !== 'object' || Array.isArray(types)) {
+      errors.push('"questionTypes" must map levels to lists of question types');
+    } else {
+      Object.keys(types).forEach(function (level) {
+        if (levelsOf(items).indexOf(Number(level)) === -1) warnings.push('questionTypes: level ' + level + ' has no items');
+        const list = Array.isArray(types[level]) ? types[level] : [types[level]];
+        list.forEach(function (id) {
+          if (QUESTION_TYPES.indexOf(id) === -1) {
+            errors.push('questionTypes: unknown question type "' + id + '" for level ' + level + ' (expected one of ' + QUESTION_TYPES.join(', ') + ')');
+          }
+        });
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
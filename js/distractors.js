@@ -0,0 +1,95 @@
+// Kulture distractor generation
+// Picks the wrong answers shown next to the right one. Shared by the quiz page,
+// scripts/quiz-frontend.js and the service worker's /api/question, so it is DOM-free.
+//
+// Hand-picked `distractors` from the dataset always come first. The rest are drawn
+// from the dataset so that they are plausible: mostly the same category, more so as
+// the level rises. Level 1 mixes in other categories so the answer stands out;
+// from level 3 every option shares the category and the closest-sounding names win.
+import { compactName } from './dataset.js';
+import { editDistance } from './answer-match.js';
+import { shuffle } from './rng.js';
+
+// Categories a child could reasonably confuse with each other
+export const RELATED_CATEGORIES = {
+  food: ['plants'],
+  plants: ['food'],
+  animals: [],
+  clothing: ['home'],
+  home: ['clothing', 'instruments'],
+  instruments: ['home']
+};
+
+// From this level on, same-category options are ranked by how alike the names are
+export const CLOSE_CONFUSER_LEVEL = 3;
+
+// Every spelling that means this item: label, aliases and translated labels
+function namesOf(item) {
+  const labels = item.labels ? Object.keys(item.labels).map(code => item.labels[code]) : [];
+  return [item.label].concat(item.aliases || [], labels).filter(Boolean).map(compactName);
+}
+
+// 0 for identical names up to 1 for nothing in common
+function nameDistance(a, b) {
+  const x = compactName(a);
+  const y = compactName(b);
+  return editDistance(x, y) / Math.max(x.length, y.length, 1);
+}
+
+// How many options should come from the answer's own category at this level
+export function sameCategoryShare(level, count) {
+  const n = Number(level) || 1;
+  return Math.max(1, Math.min(count, n));
+}
+
+// Labels of `count` wrong answers for `item`, drawn from `pool` (dataset items).
+// options: { count = 3, level = item.level, random = Math.random }
+// Never returns the answer, one of its aliases or translations, or the same name twice.
+export function pickDistractors(item, pool, options) {
+  options = options || {};
+  const count = options.count == null ? 3 : options.count;
+  const level = options.level || item.level || 1;
+  const random = options.random || Math.random;
+
+  const taken = new Set(namesOf(item));
+  const out = [];
+  function add(label) {
+    const key = compactName(label);
+    if (out.length >= count || !key || taken.has(key)) return;
+    taken.add(key);
+    out.push(label);
+  }
+
+  // The dataset author knows best
+  shuffle(item.distractors || [], random).forEach(add);
+
+  const others = (pool || []).filter(function (c) {
+    return c && c.label && c.id !== item.id && !namesOf(c).some(n => taken.has(n));
+  });
+  const related = RELATED_CATEGORIES[item.category] || [];
+  let same = shuffle(others.filter(c => c.category && c.category === item.category), random);
+  const near = shuffle(others.filter(c => related.indexOf(c.category) !== -1), random);
+  const far = shuffle(others.filter(c => c.category !== item.category && related.indexOf(c.category) === -1), random);
+
+  // Closer confusers at higher levels: similar-looking names first
+  if (level >= CLOSE_CONFUSER_LEVEL && item.label) {
+    same = same.slice().sort((a, b) => nameDistance(item.label, a.label) - nameDistance(item.label, b.label));
+  }
+
+  const fromSame = sameCategoryShare(level, count);
+  for (const c of same) {
+    if (out.length >= fromSame) break;
+    add(c.label);
+  }
+  near.concat(far).forEach(c => add(c.label));
+  // Small datasets: top up from the category after all
+  same.forEach(c => add(c.label));
+  return out;
+}
+
+// The answer and its distractors in random order
+export function buildChoices(item, pool, options) {
+  options = options || {};
+  const random = options.random || Math.random;
+  return shuffle([item.label].concat(pickDistractors(item, pool, options)), random);
+}
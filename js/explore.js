@@ -0,0 +1,218 @@
+// Kulture Explore page
+// Every item in api/questions.json as a card (picture, word, pronunciation and its
+// learn lines), filtered by category, level and region, and an SVG map of Kenya's
+// regions: choosing one lists the foods, clothing and instruments from there. The
+// shapes and filters live in js/regions.js.
+import { parseDataset, levelsOf, CATEGORIES, REGIONS } from './dataset.js';
+import { REGION_SHAPES, LAKES, MAP_CATEGORIES, MAP_VIEWBOX, project, outlinePath, filterItems, regionItems } from './regions.js';
+import { learnLines } from './learn.js';
+import { canSpeak, pronounce } from './speech.js';
+import { initI18n, t, itemLabel, mountLanguageSwitcher, LOCALE_CHANGE_EVENT } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FALLBACK_IMAGE = './images/pexels-jairo-david-arboleda-621072-1425883.jpg';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function svg(tag, attrs) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs || {}).forEach(name => node.setAttribute(name, attrs[name]));
+  return node;
+}
+
+function option(value, text) {
+  const opt = el('option', null, text);
+  opt.value = value;
+  return opt;
+}
+
+function speakButton(item) {
+  const label = itemLabel(item);
+  const button = el('button', 'btn-icon explore-speak', '🔊');
+  button.type = 'button';
+  button.setAttribute('aria-label', t('quiz.hearChoice', { label: label }));
+  button.addEventListener('click', function () { pronounce(item); });
+  return button;
+}
+
+function renderCard(item) {
+  const card = el('li', 'explore-card');
+  const img = document.createElement('img');
+  img.className = 'explore-card-image';
+  img.src = item.image || FALLBACK_IMAGE;
+  img.alt = t('quiz.imageAlt', { label: itemLabel(item) });
+  img.loading = 'lazy';
+  img.onerror = function () { img.onerror = null; img.src = FALLBACK_IMAGE; };
+  card.appendChild(img);
+
+  const body = el('div', 'explore-card-body');
+  const heading = el('div', 'explore-card-heading');
+  heading.appendChild(el('h3', 'explore-card-label', itemLabel(item)));
+  if (canSpeak()) heading.appendChild(speakButton(item));
+  body.appendChild(heading);
+
+  const tags = el('ul', 'explore-tags');
+  tags.setAttribute('aria-label', t('explore.tags'));
+  if (item.category) tags.appendChild(el('li', 'explore-tag', t('author.categories.' + item.category)));
+  if (item.level) tags.appendChild(el('li', 'explore-tag', t('quiz.level', { level: item.level })));
+  item.regions.forEach(id => tags.appendChild(el('li', 'explore-tag explore-tag-region', t('regions.' + id))));
+  body.appendChild(tags);
+
+  const lines = learnLines(item);
+  if (lines.length) {
+    const list = el('dl', 'explore-learn');
+    lines.forEach(function (line) {
+      list.appendChild(el('dt', null, t('learn.' + line.field)));
+      list.appendChild(el('dd', null, line.text));
+    });
+    body.appendChild(list);
+  }
+  card.appendChild(body);
+  return card;
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  const form = document.getElementById('explore-filters');
+  const categorySelect = document.getElementById('explore-category');
+  const levelSelect = document.getElementById('explore-level');
+  const regionSelect = document.getElementById('explore-filter-region');
+  const countEl = document.getElementById('explore-count');
+  const grid = document.getElementById('explore-grid');
+  const mapEl = document.getElementById('explore-map');
+  const regionEl = document.getElementById('explore-region');
+
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+
+  let items = [];
+  let chosenRegion = null;
+  try {
+    const res = await fetch('./api/questions.json');
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    items = parseDataset(await res.json()).items.filter(item => item.label);
+  } catch (err) {
+    console.error('Explore: could not load the questions', err);
+    countEl.textContent = t('explore.loadError');
+    return;
+  }
+
+  // Options in the current language, keeping what was chosen
+  function fillFilters() {
+    const chosen = { category: categorySelect.value, level: levelSelect.value, region: regionSelect.value };
+    categorySelect.innerHTML = '';
+    categorySelect.appendChild(option('', t('explore.allCategories')));
+    CATEGORIES.filter(id => items.some(item => item.category === id))
+      .forEach(id => categorySelect.appendChild(option(id, t('author.categories.' + id))));
+    levelSelect.innerHTML = '';
+    levelSelect.appendChild(option('', t('explore.allLevels')));
+    levelsOf(items).forEach(level => levelSelect.appendChild(option(String(level), t('quiz.level', { level: level }))));
+    regionSelect.innerHTML = '';
+    regionSelect.appendChild(option('', t('explore.allRegions')));
+    REGIONS.forEach(id => regionSelect.appendChild(option(id, t('regions.' + id))));
+    categorySelect.value = chosen.category;
+    levelSelect.value = chosen.level;
+    regionSelect.value = chosen.region;
+  }
+
+  function renderGallery() {
+    const shown = filterItems(items, { category: categorySelect.value, level: levelSelect.value, region: regionSelect.value });
+    countEl.textContent = shown.length ? t('explore.count', { count: shown.length, total: items.length }) : t('explore.none');
+    grid.innerHTML = '';
+    shown.forEach(item => grid.appendChild(renderCard(item)));
+  }
+
+  // The map is drawn once; the names and the pressed region follow the language and choice
+  function drawMap() {
+    const map = svg('svg', { viewBox: MAP_VIEWBOX, class: 'explore-map-svg', role: 'group' });
+    REGION_SHAPES.forEach(function (shape) {
+      const path = svg('path', { d: outlinePath(shape.outline), class: 'explore-map-region', tabindex: '0', role: 'button', 'data-region': shape.id });
+      path.addEventListener('click', function () { chooseRegion(shape.id); });
+      path.addEventListener('keydown', function (e) {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        chooseRegion(shape.id);
+      });
+      map.appendChild(path);
+    });
+    LAKES.forEach(lake => map.appendChild(svg('path', { d: outlinePath(lake.outline), class: 'explore-map-lake', 'aria-hidden': 'true' })));
+    REGION_SHAPES.forEach(function (shape) {
+      const point = project(shape.label);
+      map.appendChild(svg('text', { x: point[0], y: point[1], class: 'explore-map-label', 'data-region': shape.id, 'aria-hidden': 'true' }));
+    });
+    mapEl.appendChild(map);
+  }
+
+  function paintMap() {
+    const map = mapEl.querySelector('svg');
+    map.setAttribute('aria-label', t('explore.mapLabel'));
+    map.querySelectorAll('.explore-map-region').forEach(function (path) {
+      const id = path.getAttribute('data-region');
+      path.setAttribute('aria-label', t('regions.' + id));
+      path.setAttribute('aria-pressed', String(id === chosenRegion));
+    });
+    map.querySelectorAll('.explore-map-label').forEach(function (text) {
+      text.textContent = t('regions.' + text.getAttribute('data-region'));
+    });
+  }
+
+  function renderRegion() {
+    regionEl.innerHTML = '';
+    if (!chosenRegion) {
+      regionEl.appendChild(el('p', 'explore-region-empty', t('explore.pickRegion')));
+      return;
+    }
+    regionEl.appendChild(el('h3', 'explore-region-title', t('regions.' + chosenRegion)));
+    const groups = regionItems(items, chosenRegion);
+    MAP_CATEGORIES.forEach(function (category) {
+      regionEl.appendChild(el('h4', null, t('author.categories.' + category)));
+      if (!groups[category].length) {
+        regionEl.appendChild(el('p', 'explore-region-empty', t('explore.nothingYet')));
+        return;
+      }
+      const list = el('ul', 'explore-region-list');
+      groups[category].forEach(function (item) {
+        const entry = el('li', null, itemLabel(item));
+        if (canSpeak()) entry.appendChild(speakButton(item));
+        list.appendChild(entry);
+      });
+      regionEl.appendChild(list);
+    });
+    const showAll = el('button', 'btn btn-outline btn-sm', t('explore.showInGallery'));
+    showAll.type = 'button';
+    showAll.addEventListener('click', function () {
+      form.reset();
+      regionSelect.value = chosenRegion;
+      renderGallery();
+      grid.scrollIntoView({ block: 'start' });
+    });
+    regionEl.appendChild(showAll);
+  }
+
+  function chooseRegion(id) {
+    chosenRegion = chosenRegion === id ? null : id;
+    paintMap();
+    renderRegion();
+  }
+
+  form.addEventListener('change', renderGallery);
+  // Reset clears the selects after this event, so draw once it has
+  form.addEventListener('reset', function () { setTimeout(renderGallery, 0); });
+  form.addEventListener('submit', function (e) { e.preventDefault(); });
+  document.addEventListener(LOCALE_CHANGE_EVENT, function () {
+    fillFilters();
+    paintMap();
+    renderRegion();
+    renderGallery();
+  });
+
+  drawMap();
+  fillFilters();
+  paintMap();
+  renderRegion();
+  renderGallery();
+});
@@ -0,0 +1,152 @@
+// Kulture answer history
+// Every answered question is appended to a per-profile log in localStorage. The
+// report page reads it back and summarises it; nothing is sent anywhere.
+
+// Oldest entries are dropped beyond this many answers per profile
+export const MAX_ENTRIES = 3000;
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+// Storage key for a profile's answer history
+export function historyKey(profileId) {
+  return 'kulture.history.v1.' + profileId;
+}
+
+// Identifier for one visit to the quiz page; the report groups answers by it
+export function newSessionId() {
+  return 's' + Date.now().toString(36);
+}
+
+export function loadHistory(profileId, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(historyKey(profileId)) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// entry: { sessionId, itemId, label, level, category, practice, type, attempts, hints, wrong, ms, pack, challenge }
+// `attempts` counts wrong picks before the right one; `hints` the hints taken; `wrong`
+// lists the labels picked; `type` is the question type it was asked as (see
+// js/question-types.js); `pack` is the question pack (js/packs.js) the item came from,
+// absent for the built-in questions; `challenge` is set for answers given in a timed
+// challenge (js/challenge.js).
+export function appendHistory(profileId, entry, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  const entries = loadHistory(profileId, storage);
+  entries.push(Object.assign({ at: Date.now() }, entry));
+  if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+  try {
+    storage.setItem(historyKey(profileId), JSON.stringify(entries));
+  } catch (e) {
+    console.debug('Could not save answer history:', e && e.message);
+  }
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : 0;
+}
+
+function group(entries, keyFn) {
+  const map = new Map();
+  entries.forEach(function (e) {
+    const key = keyFn(e);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(e);
+  });
+  return map;
+}
+
+// Right on the first try with no hints, as the quiz session counts it
+function isFirstTry(e) {
+  return !e.attempts && !(e.hints > 0);
+}
+
+function stats(entries) {
+  const firstTry = entries.filter(isFirstTry).length;
+  const ms = entries.reduce((sum, e) => sum + (e.ms || 0), 0);
+  return {
+    answered: entries.length,
+    firstTry: firstTry,
+    accuracy: percent(firstTry, entries.length),
+    totalMs: ms,
+    avgMs: entries.length ? Math.round(ms / entries.length) : 0
+  };
+}
+
+// Aggregate a profile's history for the report page:
+// totals, per-level and per-item accuracy, most-confused pairs and a per-session trend.
+export function summarizeHistory(entries) {
+  const levels = Array.from(group(entries, e => e.level).entries())
+    .map(([level, list]) => Object.assign({ level: level }, stats(list)))
+    .sort((a, b) => a.level - b.level);
+
+  // Pack items can share ids with the built-in ones, so they are told apart by pack
+  const items = Array.from(group(entries, e => (e.pack ? e.pack + '/' : '') + e.itemId).entries())
+    .map(([key, list]) => Object.assign({
+      itemId: list[0].itemId,
+      pack: list[0].pack || null,
+      label: list[list.length - 1].label,
+      level: list[list.length - 1].level,
+      category: list[list.length - 1].category
+    }, stats(list)))
+    .sort((a, b) => (a.accuracy - b.accuracy) || (b.answered - a.answered));
+
+  // "Picked X when the answer was Y", most frequent first
+  const pairs = new Map();
+  entries.forEach(function (e) {
+    (e.wrong || []).forEach(function (picked) {
+      const key = e.label + '\u0000' + picked;
+      pairs.set(key, (pairs.get(key) || 0) + 1);
+    });
+  });
+  const confusions = Array.from(pairs.entries())
+    .map(([key, count]) => ({ label: key.split('\u0000')[0], picked: key.split('\u0000')[1], count: count }))
+    .sort((a, b) => b.count - a.count);
+
+  const sessions = Array.from(group(entries, e => e.sessionId).entries())
+    .map(([sessionId, list]) => Object.assign({ sessionId: sessionId, at: list[0].at }, stats(list)))
+    .sort((a, b) => a.at - b.at);
+
+  return { totals: stats(entries), levels, items, confusions, sessions };
+}
+
+// Spreadsheets run cells starting with = + - or @ (or a tab or carriage return) as
+// formulas, so names typed into a pack or the author page get a leading ' to stay text
+function csvCell(value) {
+  let s = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// One row per answered question, for spreadsheets and school records
+export function historyToCsv(rows) {
+  const header = ['child', 'date', 'session', 'item_id', 'label', 'level', 'category', 'practice', 'question_type', 'first_try', 'wrong_attempts', 'wrong_choices', 'seconds', 'pack'];
+  const lines = [header.join(',')];
+  rows.forEach(function (r) {
+    const e = r.entry;
+    lines.push([
+      r.child,
+      new Date(e.at).toISOString(),
+      e.sessionId,
+      e.itemId,
+      e.label,
+      e.level,
+      e.category,
+      e.practice ? 'yes' : 'no',
+      e.type || (e.listen ? 'listen' : 'picture-to-word'),
+      isFirstTry(e) ? 'yes' : 'no',
+      e.attempts || 0,
+      (e.wrong || []).join('; '),
+      ((e.ms || 0) / 1000).toFixed(1),
+      e.pack || ''
+    ].map(csvCell).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
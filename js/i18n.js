@@ -0,0 +1,185 @@
+// Kulture localisation
+// Loads UI strings from locales/<code>.json, translates [data-i18n] elements, and
+// picks per-locale quiz item labels from the dataset (`labels: { sw: "...", ki: "..." }`).
+// English is always loaded as the fallback, so a locale may leave keys out.
+//
+// Message values are strings with {placeholders}, or plural objects keyed by
+// Intl.PluralRules categories ({ "one": "...", "other": "..." }).
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALES = ['en', 'sw', 'ki'];
+export const STORAGE_KEY = 'kulture.locale';
+
+// Fired on `document` after the locale changes: detail = { locale }
+export const LOCALE_CHANGE_EVENT = 'kulture:localechange';
+
+let current = DEFAULT_LOCALE;
+let messages = {};
+let fallback = {};
+let ready = null;
+const cache = {};
+
+function storage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+async function fetchLocale(code) {
+  if (cache[code]) return cache[code];
+  const res = await fetch(new URL('../locales/' + code + '.json', import.meta.url));
+  if (!res.ok) throw new Error('Could not load locale ' + code);
+  cache[code] = await res.json();
+  return cache[code];
+}
+
+// Stored choice first, then the browser's preferred languages, then English
+export function detectLocale() {
+  const store = storage();
+  const saved = store && store.getItem(STORAGE_KEY);
+  if (saved && LOCALES.indexOf(saved) !== -1) return saved;
+  const preferred = (globalThis.navigator && navigator.languages) || [];
+  for (const lang of preferred) {
+    const base = String(lang).toLowerCase().split('-')[0];
+    if (LOCALES.indexOf(base) !== -1) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+  return current;
+}
+
+function lookup(table, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), table);
+}
+
+// t() against given tables: { messages, fallback, locale }. DOM- and fetch-free so the
+// rules run under `npm test`.
+export function translate(tables, key, params) {
+  params = params || {};
+  let value = lookup(tables.messages || {}, key);
+  if (value === undefined) value = lookup(tables.fallback || {}, key);
+  if (value === undefined) return key;
+  if (value && typeof value === 'object') {
+    const n = Number(params.count);
+    let form = 'other';
+    try { form = new Intl.PluralRules(tables.locale).select(n); } catch (e) { /* unknown locale */ }
+    value = value[form] !== undefined ? value[form] : value.other;
+  }
+  return String(value).replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? params[name] : m));
+}
+
+// Translate `key`, filling {placeholders} from params. Plural messages choose
+// their form from params.count. Missing keys fall back to English, then to the key.
+export function t(key, params) {
+  return translate({ messages: messages, fallback: fallback, locale: current }, key, params);
+}
+
+// Metadata from the locale file: { name, dir, speech, partial }. `partial` marks a
+// translation that still leaves much of the app in English.
+export function localeInfo(code) {
+  const table = code === current ? messages : (cache[code] || {});
+  return Object.assign({ name: code, dir: 'ltr' }, table.meta || {});
+}
+
+// Label for a dataset item in the current locale (falls back to the base label)
+export function itemLabel(item) {
+  if (!item) return '';
+  const labels = item.labels || {};
+  return labels[current] || item.label || '';
+}
+
+// Apply translations to static markup:
+//   data-i18n="key"                      -> textContent
+//   data-i18n-params='{"level": 2}'      -> placeholder values
+//   data-i18n-attr="aria-label:key;alt:key2" -> attributes
+export function translateDom(root) {
+  root = root || document;
+  root.querySelectorAll('[data-i18n]').forEach(function (node) {
+    let params = {};
+    try { params = JSON.parse(node.getAttribute('data-i18n-params') || '{}'); } catch (e) { /* ignore */ }
+    node.textContent = t(node.getAttribute('data-i18n'), params);
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(function (node) {
+    node.getAttribute('data-i18n-attr').split(';').forEach(function (pair) {
+      const i = pair.indexOf(':');
+      if (i > 0) node.setAttribute(pair.slice(0, i).trim(), t(pair.slice(i + 1).trim()));
+    });
+  });
+}
+
+function applyDocument() {
+  const info = localeInfo(current);
+  document.documentElement.lang = current;
+  document.documentElement.dir = info.dir || 'ltr';
+  translateDom(document);
+}
+
+export async function setLocale(code) {
+  if (LOCALES.indexOf(code) === -1) code = DEFAULT_LOCALE;
+  fallback = await fetchLocale(DEFAULT_LOCALE);
+  try {
+    messages = await fetchLocale(code);
+  } catch (err) {
+    console.warn(err);
+    code = DEFAULT_LOCALE;
+    messages = fallback;
+  }
+  current = code;
+  const store = storage();
+  if (store) {
+    try { store.setItem(STORAGE_KEY, code); } catch (e) { /* ignore */ }
+  }
+  if (globalThis.document) {
+    applyDocument();
+    document.dispatchEvent(new CustomEvent(LOCALE_CHANGE_EVENT, { detail: { locale: code } }));
+  }
+  return code;
+}
+
+// Load the detected locale once; later calls return the same promise
+export function initI18n() {
+  if (!ready) {
+    ready = setLocale(detectLocale()).catch(function (err) {
+      console.warn('Could not load translations:', err);
+      return current;
+    });
+  }
+  return ready;
+}
+
+// Add a language <select> to `container` (the page header)
+export function mountLanguageSwitcher(container) {
+  if (!container || container.querySelector('.lang-switcher')) return null;
+  const select = document.createElement('select');
+  select.className = 'lang-switcher';
+  select.setAttribute('data-i18n-attr', 'aria-label:nav.language');
+  select.setAttribute('aria-label', t('nav.language'));
+  // Option names are written in their own language; a partial translation says so
+  // in the current one
+  function optionName(code) {
+    const meta = (cache[code] && cache[code].meta) || {};
+    const name = meta.name || code;
+    return meta.partial ? t('nav.languagePartial', { name: name }) : name;
+  }
+  LOCALES.forEach(function (code) {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.lang = code;
+    opt.textContent = optionName(code);
+    select.appendChild(opt);
+  });
+  select.value = current;
+  // Load each locale's meta for its name
+  LOCALES.forEach(function (code, i) {
+    fetchLocale(code).then(function () {
+      select.options[i].textContent = optionName(code);
+    }).catch(function () {});
+  });
+  select.addEventListener('change', function () { setLocale(select.value); });
+  document.addEventListener(LOCALE_CHANGE_EVENT, function () {
+    select.value = current;
+    LOCALES.forEach(function (code, i) { select.options[i].textContent = optionName(code); });
+  });
+  container.appendChild(select);
+  return select;
+}
@@ -0,0 +1,44 @@
+// Picture cropping for the authoring page
+// Uploaded photos are cut to the quiz's landscape frame and scaled down before they
+// are stored, so a 12-megapixel phone photo does not end up in the dataset.
+// cropRect() is plain arithmetic (tested in Node); cropImage() needs a canvas.
+
+// Width / height of the stored picture
+export const CROP_ASPECT = 4 / 3;
+// Width in pixels of the stored picture (smaller photos are not scaled up)
+export const CROP_WIDTH = 800;
+export const MAX_ZOOM = 4;
+
+// Source rectangle { sx, sy, sw, sh } of a `width` x `height` image to keep.
+// view: { zoom = 1, cx, cy, aspect } -- zoom 1 is the largest rectangle of the aspect
+// ratio that fits; (cx, cy) is the wanted centre in image pixels (default the middle).
+// The rectangle is moved back inside the image when the centre is too near an edge.
+export function cropRect(width, height, view) {
+  view = view || {};
+  const aspect = view.aspect || CROP_ASPECT;
+  const zoom = Math.min(MAX_ZOOM, Math.max(1, Number(view.zoom) || 1));
+  let sw = Math.min(width, height * aspect) / zoom;
+  let sh = sw / aspect;
+  const cx = view.cx == null ? width / 2 : view.cx;
+  const cy = view.cy == null ? height / 2 : view.cy;
+  const sx = Math.min(width - sw, Math.max(0, cx - sw / 2));
+  const sy = Math.min(height - sh, Math.max(0, cy - sh / 2));
+  return { sx: sx, sy: sy, sw: sw, sh: sh };
+}
+
+// Draw the rectangle of `image` (an <img> or ImageBitmap) into a canvas and resolve to
+// a JPEG Blob at most CROP_WIDTH wide
+export function cropImage(image, rect, width) {
+  const outWidth = Math.round(Math.min(width || CROP_WIDTH, rect.sw));
+  const outHeight = Math.round(outWidth * rect.sh / rect.sw);
+  const canvas = document.createElement('canvas');
+  canvas.width = outWidth;
+  canvas.height = outHeight;
+  canvas.getContext('2d').drawImage(image, rect.sx, rect.sy, rect.sw, rect.sh, 0, 0, outWidth, outHeight);
+  return new Promise(function (resolve, reject) {
+    canvas.toBlob(function (blob) {
+      if (blob) resolve(blob);
+      else reject(new Error('Could not encode the picture'));
+    }, 'image/jpeg', 0.85);
+  });
+}
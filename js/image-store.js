@@ -0,0 +1,77 @@
+// Pictures stored on this device
+// Images added in the browser (the authoring page's uploads) are kept in IndexedDB as
+// Blobs keyed by the path the dataset refers to them by, e.g. "./images/mandazi.jpg",
+// until they are exported. Where IndexedDB is missing (Node, some private modes) they
+// live in memory for the page's lifetime.
+
+export const DB_NAME = 'kulture-images';
+const DB_VERSION = 1;
+const STORE = 'images';
+
+function promisify(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () { resolve(request.result); };
+    request.onerror = function () { reject(request.error); };
+  });
+}
+
+function openDb(indexedDB) {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = function () {
+    request.result.createObjectStore(STORE);
+  };
+  return promisify(request);
+}
+
+// { get(path), set(path, blob), remove(path), paths(), clear() }, all async.
+// get() resolves to null for unknown paths.
+// options: { indexedDB }
+export function createImageStore(options) {
+  options = options || {};
+  const idb = options.indexedDB === undefined ? globalThis.indexedDB : options.indexedDB;
+  const memory = new Map();
+  let dbPromise = null;
+
+  function db() {
+    if (!idb) return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = openDb(idb).catch(function (err) {
+        console.debug('Image store unavailable:', err && err.message);
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, fn) {
+    const conn = await db();
+    if (!conn) return null;
+    return promisify(fn(conn.transaction(STORE, mode).objectStore(STORE)));
+  }
+
+  return {
+    get: async function (path) {
+      const conn = await db();
+      if (!conn) return memory.get(path) || null;
+      return (await run('readonly', s => s.get(path))) || null;
+    },
+    set: async function (path, blob) {
+      const conn = await db();
+      if (!conn) { memory.set(path, blob); return; }
+      await run('readwrite', s => s.put(blob, path));
+    },
+    remove: async function (path) {
+      memory.delete(path);
+      await run('readwrite', s => s.delete(path));
+    },
+    paths: async function () {
+      const conn = await db();
+      if (!conn) return Array.from(memory.keys());
+      return (await run('readonly', s => s.getAllKeys())).map(String);
+    },
+    clear: async function () {
+      memory.clear();
+      await run('readwrite', s => s.clear());
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// Kulture learn cards and hints
+// After each question the quiz can show a learn card with the item's fun fact, where it
+// comes from and how it is used (the dataset's LEARN_FIELDS); the move to the next
+// question waits while the card is open. Before answering, a child can take hints one
+// at a time: the category, the first letter, then two wrong choices taken away. Each
+// hint costs points (pointsFor() in js/quiz-session.js). DOM-free so it runs under `npm test`.
+import { LEARN_FIELDS } from './dataset.js';
+
+// Hints in the order they are given
+export const HINT_KINDS = ['category', 'firstLetter', 'eliminate'];
+
+// Wrong choices the last hint takes away
+export const ELIMINATE_COUNT = 2;
+
+// The hints the question on screen can give about `item`, in order. A question type
+// may offer fewer (type.hints), and taking choices away needs a view with eliminate().
+export function hintsFor(item, type, view) {
+  const kinds = type && Array.isArray(type.hints) ? type.hints : HINT_KINDS;
+  return kinds.filter(function (kind) {
+    if (kind === 'category') return !!(item && item.category);
+    if (kind === 'firstLetter') return !!(item && firstLetter(item.label));
+    return !!(view && typeof view.eliminate === 'function');
+  });
+}
+
+// "sukuma wiki" -> "S"; the first letter or digit, ignoring spaces and punctuation
+export function firstLetter(label) {
+  const match = String(label || '').match(/[\p{L}\p{N}]/u);
+  return match ? match[0].toLocaleUpperCase() : '';
+}
+
+// The learn card's lines for an item: [{ field, text }], empty when it has none
+export function learnLines(item) {
+  return LEARN_FIELDS.filter(field => item && item[field]).map(field => ({ field: field, text: item[field] }));
+}
+
+// A one-off timer that can be paused and resumed with the time it had left.
+// options: { setTimeout, clearTimeout, now } are injectable for tests.
+export function createPausableTimer(fn, ms, options) {
+  options = options || {};
+  const later = options.setTimeout || globalThis.setTimeout;
+  const cancel = options.clearTimeout || globalThis.clearTimeout;
+  const now = options.now || Date.now;
+  let left = ms;
+  let startedAt = 0;
+  let timer = null;
+  let done = false;
+
+  function run() {
+    startedAt = now();
+    timer = later(function () {
+      timer = null;
+      done = true;
+      fn();
+    }, Math.max(0, left));
+  }
+
+  const control = {
+    get paused() { return !done && timer == null; },
+    get done() { return done; },
+    pause: function () {
+      if (done || timer == null) return;
+      cancel(timer);
+      timer = null;
+      left -= now() - startedAt;
+    },
+    resume: function () {
+      if (done || timer != null) return;
+      run();
+    },
+    // Stop for good; fn never runs
+    cancel: function () {
+      if (timer != null) cancel(timer);
+      timer = null;
+      done = true;
+    }
+  };
+  run();
+  return control;
+}
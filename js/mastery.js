@@ -0,0 +1,107 @@
+// Kulture spaced repetition
+// Leitner-box mastery model: each item sits in a box from 1 (weak) to 5 (mastered).
+// A first-try correct answer moves it up one box, needing retries sends it back to box 1.
+// Higher boxes come back less often. Records persist in localStorage; the functions
+// take the storage and key as arguments so callers can keep separate records.
+import { shuffle } from './rng.js';
+
+export const STORAGE_KEY = 'kulture.mastery.v1';
+
+// Days before an item in box N is due again (index 0 is box 1)
+export const BOX_INTERVALS_DAYS = [0, 1, 3, 7, 21];
+export const MAX_BOX = BOX_INTERVALS_DAYS.length;
+
+// Boxes at or below this count as "weak" once an item has been seen
+const WEAK_BOX = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+// Read mastery records: { [itemId]: { box, due, seen, correct, lapses, lastSeen } }
+export function loadMastery(storage, key) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return {};
+  try {
+    const parsed = JSON.parse(storage.getItem(key || STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveMastery(records, storage, key) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    storage.setItem(key || STORAGE_KEY, JSON.stringify(records));
+  } catch (e) {
+    // Storage full or disabled (private mode); progress just will not persist
+    console.debug('Could not save mastery records:', e && e.message);
+  }
+}
+
+// Update the record for one answered item and return it.
+// firstTry: true when the child picked the right answer without retries.
+export function recordAnswer(records, itemId, firstTry, now) {
+  now = now || Date.now();
+  const rec = records[itemId] || { box: 1, due: now, seen: 0, correct: 0, lapses: 0, lastSeen: 0 };
+  rec.seen++;
+  rec.lastSeen = now;
+  if (firstTry) {
+    rec.correct++;
+    rec.box = Math.min(MAX_BOX, rec.box + 1);
+  } else {
+    rec.lapses++;
+    rec.box = 1;
+  }
+  rec.due = now + BOX_INTERVALS_DAYS[rec.box - 1] * DAY_MS;
+  records[itemId] = rec;
+  return rec;
+}
+
+export function isDue(rec, now) {
+  return !!rec && rec.due <= (now || Date.now());
+}
+
+// Weakest first: lower box, then more lapses, then least recently seen
+function byWeakness(records) {
+  return function (a, b) {
+    const ra = records[a.id];
+    const rb = records[b.id];
+    return (ra.box - rb.box) || (rb.lapses - ra.lapses) || (ra.lastSeen - rb.lastSeen);
+  };
+}
+
+// Items the child has seen and keeps missing, weakest first
+export function weakItems(pool, records) {
+  return pool
+    .filter(item => records[item.id] && records[item.id].box <= WEAK_BOX)
+    .sort(byWeakness(records));
+}
+
+// Pick `count` items from `pool`: due and weak items first, mixed with a share of
+// never-seen items so new words keep appearing. Not-yet-due items only fill gaps.
+// options: { now, newShare (0-1, default 0.4), random }
+export function selectItems(pool, records, count, options) {
+  options = options || {};
+  const now = options.now || Date.now();
+  const random = options.random || Math.random;
+  const newShare = options.newShare == null ? 0.4 : options.newShare;
+
+  const fresh = shuffle(pool.filter(i => !records[i.id]), random);
+  const due = shuffle(pool.filter(i => records[i.id] && isDue(records[i.id], now)), random).sort(byWeakness(records));
+  const later = pool.filter(i => records[i.id] && !isDue(records[i.id], now))
+    .sort((a, b) => records[a.id].due - records[b.id].due);
+
+  const newTarget = Math.min(fresh.length, Math.ceil(count * newShare));
+  const picked = due.slice(0, count - newTarget);
+  const fill = fresh.slice(0, count - picked.length);
+  const chosen = picked.concat(fill);
+  // Top up from whatever is left (more new items, then the soonest-due ones)
+  const rest = fresh.slice(fill.length).concat(due.slice(picked.length), later);
+  while (chosen.length < count && rest.length) chosen.push(rest.shift());
+
+  return shuffle(chosen, random);
+}
@@ -0,0 +1,166 @@
+// Kulture match setup
+// Renders the "Play together" dialog for hot-seat multiplayer: two to four player
+// names and colours, the level, and whether missed questions can be stolen. Match
+// rules live in js/multiplayer.js.
+import { MIN_PLAYERS, MAX_PLAYERS, PLAYER_COLORS, TURNS_PER_PLAYER } from './multiplayer.js';
+import { t } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// Open the setup inside a <dialog>.
+// options.names: suggested names (e.g. the device's profiles);
+// options.levels: the dataset's levels;
+// options.last: the previous setup { players, level, steal } to start from;
+// options.onStart(setup) runs with { players: [{ name, color }], level, steal }.
+export function openMatchSetup(dialog, options) {
+  options = options || {};
+  const last = options.last || {};
+  const names = options.names || [];
+  let seats = (last.players || []).map(p => ({ name: p.name, color: p.color }));
+  while (seats.length < MIN_PLAYERS) {
+    seats.push({ name: names[seats.length] || '', color: PLAYER_COLORS[seats.length] });
+  }
+  let level = last.level || 0;
+  let steal = last.steal !== undefined ? last.steal : true;
+
+  // Keep what was typed when the list is redrawn
+  function collect() {
+    dialog.querySelectorAll('.match-seat').forEach(function (row, i) {
+      seats[i].name = row.querySelector('input[type="text"]').value;
+      const checked = row.querySelector('input[type="radio"]:checked');
+      if (checked) seats[i].color = checked.value;
+    });
+  }
+
+  function seatRow(seat, i) {
+    const row = el('li', 'match-seat');
+    row.style.setProperty('--player-color', seat.color);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.required = true;
+    input.maxLength = 24;
+    input.value = seat.name;
+    input.placeholder = t('match.playerName', { n: i + 1 });
+    input.setAttribute('aria-label', t('match.playerName', { n: i + 1 }));
+    input.setAttribute('list', 'match-names');
+    row.appendChild(input);
+
+    const colors = el('div', 'match-colors');
+    colors.setAttribute('role', 'radiogroup');
+    colors.setAttribute('aria-label', t('match.playerColor', { n: i + 1 }));
+    PLAYER_COLORS.forEach(function (color, c) {
+      const label = el('label', 'match-color');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'match-color-' + i;
+      radio.value = color;
+      radio.checked = color === seat.color;
+      radio.setAttribute('aria-label', t('match.color', { n: c + 1 }));
+      radio.addEventListener('change', function () { row.style.setProperty('--player-color', color); });
+      const swatch = el('span');
+      swatch.style.background = color;
+      label.appendChild(radio);
+      label.appendChild(swatch);
+      colors.appendChild(label);
+    });
+    row.appendChild(colors);
+
+    if (seats.length > MIN_PLAYERS) {
+      const removeBtn = el('button', 'btn btn-outline match-remove', '✕');
+      removeBtn.type = 'button';
+      removeBtn.setAttribute('aria-label', t('match.removePlayer', { n: i + 1 }));
+      removeBtn.addEventListener('click', function () {
+        collect();
+        seats.splice(i, 1);
+        render();
+      });
+      row.appendChild(removeBtn);
+    }
+    return row;
+  }
+
+  function render() {
+    dialog.innerHTML = '';
+    const form = el('form', 'match-setup');
+    const title = el('h2', 'profile-dialog-title', t('match.title'));
+    title.id = 'match-dialog-title';
+    dialog.setAttribute('aria-labelledby', title.id);
+    form.appendChild(title);
+    form.appendChild(el('p', 'pack-note', t('match.intro', { count: TURNS_PER_PLAYER })));
+
+    const list = el('ol', 'match-seats');
+    seats.forEach((seat, i) => list.appendChild(seatRow(seat, i)));
+    form.appendChild(list);
+
+    const suggestions = document.createElement('datalist');
+    suggestions.id = 'match-names';
+    names.forEach(name => { const opt = document.createElement('option'); opt.value = name; suggestions.appendChild(opt); });
+    form.appendChild(suggestions);
+
+    if (seats.length < MAX_PLAYERS) {
+      const addBtn = el('button', 'btn btn-outline', t('match.addPlayer'));
+      addBtn.type = 'button';
+      addBtn.addEventListener('click', function () {
+        collect();
+        const used = seats.map(s => s.color);
+        seats.push({ name: names[seats.length] || '', color: PLAYER_COLORS.find(c => used.indexOf(c) === -1) });
+        render();
+        const inputs = dialog.querySelectorAll('.match-seat input[type="text"]');
+        inputs[inputs.length - 1].focus();
+      });
+      form.appendChild(addBtn);
+    }
+
+    const levelLabel = el('label', 'match-option', t('match.level'));
+    const levelSelect = document.createElement('select');
+    const all = el('option', null, t('match.allLevels'));
+    all.value = '0';
+    levelSelect.appendChild(all);
+    (options.levels || []).forEach(function (n) {
+      const opt = el('option', null, t('quiz.level', { level: n }));
+      opt.value = String(n);
+      levelSelect.appendChild(opt);
+    });
+    levelSelect.value = String(level);
+    levelSelect.addEventListener('change', function () { level = Number(levelSelect.value); });
+    levelLabel.appendChild(levelSelect);
+    form.appendChild(levelLabel);
+
+    const stealLabel = el('label', 'match-option');
+    const stealBox = document.createElement('input');
+    stealBox.type = 'checkbox';
+    stealBox.checked = steal;
+    stealBox.addEventListener('change', function () { steal = stealBox.checked; });
+    stealLabel.appendChild(stealBox);
+    stealLabel.appendChild(document.createTextNode(' ' + t('match.steal')));
+    form.appendChild(stealLabel);
+
+    const actions = el('div', 'profile-edit-actions');
+    const startBtn = el('button', 'btn btn-primary', t('match.begin'));
+    startBtn.type = 'submit';
+    const cancelBtn = el('button', 'btn btn-outline', t('profiles.close'));
+    cancelBtn.type = 'button';
+    cancelBtn.addEventListener('click', function () { dialog.close(); });
+    actions.appendChild(startBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      collect();
+      dialog.close();
+      if (options.onStart) {
+        options.onStart({ players: seats.map(s => ({ name: s.name.trim(), color: s.color })), level: level, steal: steal });
+      }
+    });
+    dialog.appendChild(form);
+  }
+
+  render();
+  if (!dialog.open) dialog.showModal();
+}
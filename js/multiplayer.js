@@ -0,0 +1,108 @@
+// Kulture hot-seat multiplayer
+// Two to four children share one device and take turns: each question belongs to one
+// player, the device is passed on between questions, and the podium ranks them at the
+// end. With "steal" on, a missed question goes to the next player for one try.
+// The quiz session asks the questions and scores each one (js/quiz-session.js); a
+// match only decides whose turn it is and who gets the points. DOM-free.
+import { itemsForLevel } from './dataset.js';
+import { shuffle } from './rng.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+// Questions each player answers in a match
+export const TURNS_PER_PLAYER = 3;
+
+// Points for answering a stolen question
+export const STEAL_POINTS = 5;
+
+// Player colours offered in the setup, one per seat by default
+export const PLAYER_COLORS = ['#e11d48', '#2563eb', '#16a34a', '#f59e0b', '#9333ea', '#0891b2'];
+
+const MAX_NAME_LENGTH = 24;
+
+function cleanName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+}
+
+// The questions of a match: `count` items from `level` (all levels when 0), shuffled,
+// repeating the pool when it is smaller than the match
+export function matchQuestions(items, level, count, random) {
+  const pool = level ? itemsForLevel(items, level) : items.slice();
+  const source = pool.length ? pool : items.slice();
+  const list = [];
+  while (list.length < count && source.length) {
+    list.push(...shuffle(source, random).slice(0, count - list.length));
+  }
+  return list;
+}
+
+// players: [{ name, color }]; options: { steal }
+// Throws when there are too few or too many players or a name is missing.
+export function createMatch(players, options) {
+  options = options || {};
+  if (!Array.isArray(players) || players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+    throw new Error('A match needs ' + MIN_PLAYERS + ' to ' + MAX_PLAYERS + ' players');
+  }
+  const seats = players.map(function (p, i) {
+    const name = cleanName(p.name);
+    if (!name) throw new Error('Please enter a name for player ' + (i + 1));
+    return { name: name, color: p.color || PLAYER_COLORS[i % PLAYER_COLORS.length], score: 0, firstTry: 0, steals: 0, turns: 0 };
+  });
+  let turn = 0;
+  let stealer = null;
+
+  const match = {
+    players: seats,
+    steal: !!options.steal,
+    // Seat whose question it is, and the seat answering right now (a stealer)
+    get turn() { return turn; },
+    get active() { return stealer == null ? turn : stealer; },
+    get stealing() { return stealer != null; },
+    current: function () { return seats[match.active]; },
+    // A wrong try: 'steal' hands the question to the next player, 'reveal' means the
+    // steal failed too, 'retry' lets the player try again
+    wrong: function () {
+      if (!match.steal) return 'retry';
+      if (stealer != null) return 'reveal';
+      stealer = (turn + 1) % seats.length;
+      return 'steal';
+    },
+    // The question is done: result is the session's result event
+    settle: function (result) {
+      const owner = seats[turn];
+      owner.turns++;
+      if (stealer != null) {
+        if (result.points > 0) {
+          seats[stealer].score += STEAL_POINTS;
+          seats[stealer].steals++;
+        }
+        return;
+      }
+      owner.score += result.points || 0;
+      if (result.firstTry) owner.firstTry++;
+    },
+    // Pass the device to the next player
+    nextTurn: function () {
+      stealer = null;
+      turn = (turn + 1) % seats.length;
+      return seats[turn];
+    },
+    standings: function () {
+      return standings(seats);
+    }
+  };
+  return match;
+}
+
+// Players best first with their place; equal scores (and first tries) share a place
+export function standings(players) {
+  const sorted = players.slice().sort((a, b) => b.score - a.score || b.firstTry - a.firstTry);
+  const ranked = [];
+  sorted.forEach(function (p, i) {
+    const prev = ranked[i - 1];
+    const tied = prev && prev.score === p.score && prev.firstTry === p.firstTry;
+    ranked.push(Object.assign({ place: tied ? prev.place : i + 1 }, p));
+  });
+  return ranked;
+}
@@ -0,0 +1,193 @@
+// Kulture pack picker
+// Renders the "Question packs" dialog: play the built-in questions or an installed
+// pack, import a pack file, or remove a pack. Also loads a pack's dataset for the quiz
+// and installs packs named in a ?pack= link. Pack rules live in js/packs.js.
+import {
+  BUILTIN_PACK, datasetUrl, readPack, validatePack, resolvePackDataset
+} from './packs.js';
+import { t } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function itemCount(dataset) {
+  return (Array.isArray(dataset) ? dataset : (dataset && dataset.items) || []).length;
+}
+
+// The dataset JSON of a pack ('' for the built-in questions). The service worker serves
+// installed packs; without one (first visit, private windows) the pack is read from
+// IndexedDB and its files are given object URLs.
+export async function loadPackDataset(store, id) {
+  try {
+    const res = await fetch(datasetUrl(id));
+    if (res.ok) return await res.json();
+    if (!id) throw new Error('Could not load questions dataset');
+  } catch (err) {
+    if (!id) throw err;
+  }
+  const record = await store.get(id);
+  if (!record) throw new Error('Unknown pack: ' + id);
+  const urls = {};
+  for (const path of record.files) {
+    const blob = await store.file(id, path);
+    if (blob) urls[path] = URL.createObjectURL(blob);
+  }
+  return resolvePackDataset(record, path => urls[path]);
+}
+
+// Read, check and install a pack file. Returns { record, errors, warnings } where
+// record is null when the pack has errors or was turned down (nothing is installed then).
+// options: { keepExisting } refuses a pack whose id is already installed instead of
+// replacing it; { confirm(manifest) } asks before installing and installs only on true.
+export async function installPack(store, input, options) {
+  options = options || {};
+  let pack;
+  try {
+    pack = await readPack(input);
+  } catch (err) {
+    return { record: null, errors: [err.message], warnings: [] };
+  }
+  const result = await validatePack(pack);
+  if (result.errors.length) return { record: null, errors: result.errors, warnings: result.warnings };
+  if (options.keepExisting && await store.get(pack.manifest.id)) {
+    return { record: null, errors: [t('packs.alreadyInstalled', { id: pack.manifest.id })], warnings: result.warnings };
+  }
+  if (options.confirm && !options.confirm(pack.manifest)) return { record: null, errors: [], warnings: result.warnings };
+  return { record: await store.install(pack), errors: [], warnings: result.warnings };
+}
+
+// The pack a ?pack= link asks for: the id of an installed pack, or the URL of a pack
+// file to download and install. A downloaded pack is only installed once the player
+// agrees (options.confirm, window.confirm by default) and never replaces an installed
+// one. Returns { id, errors } (id null on failure, with no errors when turned down).
+export async function packFromLink(store, value, options) {
+  options = options || {};
+  const confirm = options.confirm || (message => window.confirm(message));
+  if (await store.get(value)) return { id: value, errors: [] };
+  let url;
+  try {
+    url = new URL(value, location.href);
+  } catch (e) {
+    return { id: null, errors: [t('packs.unknown', { id: value })] };
+  }
+  if (!/^https?:$/.test(url.protocol)) return { id: null, errors: [t('packs.unknown', { id: value })] };
+  try {
+    const res = await fetch(url.href);
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    const result = await installPack(store, await res.blob(), {
+      keepExisting: true,
+      confirm: manifest => confirm(t('packs.confirmInstall', { title: manifest.title, host: url.host }))
+    });
+    return { id: result.record ? result.record.id : null, errors: result.errors };
+  } catch (err) {
+    return { id: null, errors: [t('packs.downloadFailed', { url: url.href })] };
+  }
+}
+
+// Open the picker inside a <dialog>.
+// options.active is the pack being played ('' for the built-in questions);
+// options.onSelect(id) runs when a pack is chosen, also after one is imported or
+// the active pack is removed.
+export function openPackPicker(dialog, store, options) {
+  options = options || {};
+  let active = options.active || BUILTIN_PACK;
+  let problems = null;
+
+  function select(id) {
+    active = id;
+    dialog.close();
+    if (options.onSelect) options.onSelect(id);
+  }
+
+  function card(id, title, details) {
+    const item = el('li', 'pack-item');
+    const pick = el('button', 'pack-card');
+    pick.type = 'button';
+    pick.setAttribute('aria-label', t('packs.play', { title: title }));
+    if (id === active) pick.setAttribute('aria-current', 'true');
+    pick.appendChild(el('span', 'pack-card-title', title));
+    details.forEach(text => { if (text) pick.appendChild(el('span', 'pack-card-detail', text)); });
+    pick.addEventListener('click', function () { select(id); });
+    item.appendChild(pick);
+    return item;
+  }
+
+  function importForm() {
+    const form = el('div', 'pack-import');
+    form.appendChild(el('h3', 'profile-add-title', t('packs.import')));
+    form.appendChild(el('p', 'pack-note', t('packs.importHelp')));
+    const label = el('label', 'btn btn-outline pack-file-btn', t('packs.chooseFile'));
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.zip,application/json,application/zip';
+    label.appendChild(input);
+    input.addEventListener('change', async function () {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      const result = await installPack(store, file);
+      if (!result.record) {
+        problems = { title: t('packs.importFailed', { name: file.name }), list: result.errors };
+        await render();
+        return;
+      }
+      problems = null;
+      select(result.record.id);
+    });
+    form.appendChild(label);
+    if (problems) {
+      const box = el('div', 'pack-problems');
+      box.setAttribute('role', 'alert');
+      box.appendChild(el('p', null, problems.title));
+      const list = el('ul');
+      problems.list.forEach(text => list.appendChild(el('li', null, text)));
+      box.appendChild(list);
+      form.appendChild(box);
+    }
+    return form;
+  }
+
+  async function render() {
+    const packs = await store.list();
+    dialog.innerHTML = '';
+    const title = el('h2', 'profile-dialog-title', t('packs.title'));
+    title.id = 'pack-dialog-title';
+    dialog.setAttribute('aria-labelledby', title.id);
+    dialog.appendChild(title);
+
+    const list = el('ul', 'pack-list');
+    list.appendChild(card(BUILTIN_PACK, t('packs.builtin'), [t('packs.builtinDescription')]));
+    packs.forEach(function (record) {
+      const m = record.manifest;
+      const item = card(record.id, m.title, [
+        t('packs.items', { count: itemCount(record.dataset) }) + (m.author ? ' · ' + m.author : ''),
+        m.description
+      ]);
+      const removeBtn = el('button', 'btn btn-outline pack-remove', t('packs.remove'));
+      removeBtn.type = 'button';
+      removeBtn.setAttribute('aria-label', t('packs.removeNamed', { title: m.title }));
+      removeBtn.addEventListener('click', async function () {
+        if (!window.confirm(t('packs.confirmRemove', { title: m.title }))) return;
+        await store.remove(record.id);
+        if (record.id === active) select(BUILTIN_PACK);
+        else await render();
+      });
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+    dialog.appendChild(list);
+    dialog.appendChild(importForm());
+
+    const closeBtn = el('button', 'btn btn-outline profile-close', t('profiles.close'));
+    closeBtn.type = 'button';
+    closeBtn.addEventListener('click', function () { dialog.close(); });
+    dialog.appendChild(closeBtn);
+  }
+
+  return render().then(function () {
+    if (!dialog.open) dialog.showModal();
+  });
+}
@@ -0,0 +1,379 @@
+// Kulture question packs
+// A pack is a dataset plus the pictures and recordings it uses, so teachers can share
+// their own quizzes. It comes as one of two files:
+//
+//   pack.json   { format: "kulture-pack", formatVersion: 1, id, title, description?,
+//                 version?, author?, license?, dataset: { schemaVersion, items, ... },
+//                 files: { "images/mandazi.jpg": "data:image/jpeg;base64,..." } }
+//   pack.zip    manifest.json (the same fields without dataset and files),
+//               questions.json (the dataset) and the files themselves, e.g. images/mandazi.jpg
+//
+// Item paths ("./images/mandazi.jpg") are relative to the pack and every local one must
+// be inside it. Installed packs are kept in IndexedDB and served by the service worker
+// under /packs/<id>/ (api/sw.js), so they play offline. DOM-free: used by the pages,
+// the service worker and the tests.
+import { validateDataset, parseDataset } from './dataset.js';
+import { isZip, readZip } from './zip.js';
+
+export const PACK_FORMAT = 'kulture-pack';
+export const PACK_FORMAT_VERSION = 1;
+
+// Active pack id for the bundled api/questions.json
+export const BUILTIN_PACK = '';
+export const ACTIVE_PACK_KEY = 'kulture.pack';
+
+// URL prefix the service worker serves installed packs under
+export const PACK_ROOT = '/packs/';
+
+// Packs larger than this are refused (pictures should be scaled down first)
+export const MAX_PACK_BYTES = 50 * 1024 * 1024;
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const MANIFEST_FIELDS = ['id', 'title', 'description', 'version', 'author', 'license'];
+
+// The files a pack may carry, by extension: pictures and recordings only. SVG is left
+// out because it can run script. A file's type always comes from its extension, never
+// from what a data: URL or the zip declares, since packs are served from this site.
+export const MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav'
+};
+
+// The type a pack file is stored and served with, or null when packs may not carry it
+export function mediaType(path) {
+  const ext = String(path).split('.').pop().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(MEDIA_TYPES, ext) ? MEDIA_TYPES[ext] : null;
+}
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+function isRemote(src) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(String(src));
+}
+
+// Path of a dataset reference inside the pack: "./images/a.jpg" -> "images/a.jpg".
+// null for remote URLs and paths that climb out of the pack.
+export function packPath(src) {
+  if (!src || isRemote(src)) return null;
+  const parts = String(src).split(/[?#]/)[0].split('/').filter(p => p && p !== '.');
+  if (!parts.length || parts.indexOf('..') !== -1) return null;
+  return parts.join('/');
+}
+
+// URL an installed pack's file is served at
+export function packUrl(id, path) {
+  return PACK_ROOT + encodeURIComponent(id) + '/' + path.split('/').map(encodeURIComponent).join('/');
+}
+
+// Where the quiz loads a pack's dataset from
+export function datasetUrl(id) {
+  return id ? packUrl(id, 'questions.json') : './api/questions.json';
+}
+
+// { id, path } for a URL under PACK_ROOT, else null
+export function parsePackUrl(pathname) {
+  if (!pathname.startsWith(PACK_ROOT)) return null;
+  const rest = pathname.slice(PACK_ROOT.length).split('/');
+  if (rest.length < 2) return null;
+  try {
+    return { id: decodeURIComponent(rest[0]), path: rest.slice(1).map(decodeURIComponent).join('/') };
+  } catch (e) {
+    return null;
+  }
+}
+
+function dataUrlToBlob(url, path) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(String(url));
+  if (!match) throw new Error('File "' + path + '" must be a data: URL');
+  // The declared type is ignored; validatePack() refuses files of other kinds
+  const type = mediaType(path) || '';
+  if (!match[2]) return new Blob([decodeURIComponent(match[3])], { type: type });
+  const binary = atob(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: type });
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Chunked so large pictures do not overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return 'data:' + (blob.type || 'application/octet-stream') + ';base64,' + btoa(binary);
+}
+
+function pickManifest(raw) {
+  const manifest = { format: raw.format, formatVersion: raw.formatVersion };
+  MANIFEST_FIELDS.forEach(function (key) {
+    if (raw[key] != null) manifest[key] = raw[key];
+  });
+  return manifest;
+}
+
+async function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  return new Uint8Array(await input.arrayBuffer());
+}
+
+// The pack in a .zip: manifest.json and questions.json at the top level, or inside
+// one folder (as made by "compress folder" tools)
+async function readZipPack(bytes) {
+  const entries = await readZip(bytes);
+  const manifestName = Array.from(entries.keys()).find(n => /^([^/]+\/)?manifest\.json$/.test(n));
+  if (!manifestName) throw new Error('The zip has no manifest.json');
+  const prefix = manifestName.slice(0, -'manifest.json'.length);
+  const decoder = new TextDecoder();
+  const json = name => JSON.parse(decoder.decode(entries.get(name)));
+  const raw = json(manifestName);
+  const dataset = entries.has(prefix + 'questions.json') ? json(prefix + 'questions.json') : raw.dataset;
+  const files = new Map();
+  entries.forEach(function (data, name) {
+    if (!name.startsWith(prefix)) return;
+    const path = name.slice(prefix.length);
+    if (path === 'manifest.json' || path === 'questions.json') return;
+    files.set(path, new Blob([data], { type: mediaType(path) || '' }));
+  });
+  return { manifest: pickManifest(raw), dataset: dataset, files: files };
+}
+
+function readJsonPack(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Not a Kulture pack');
+  const files = new Map();
+  Object.keys(raw.files || {}).forEach(function (name) {
+    const path = packPath(name);
+    if (path) files.set(path, dataUrlToBlob(raw.files[name], path));
+  });
+  return { manifest: pickManifest(raw), dataset: raw.dataset, files: files };
+}
+
+// Read a pack file (Blob, ArrayBuffer, Uint8Array, JSON text or parsed object) into
+// { manifest, dataset, files } where files maps pack paths to Blobs. Check the result
+// with validatePack() before installing it.
+export async function readPack(input) {
+  if (typeof input === 'string') return readJsonPack(JSON.parse(input));
+  if (input && !(input instanceof ArrayBuffer) && !(input instanceof Uint8Array) && typeof input.arrayBuffer !== 'function') {
+    return readJsonPack(input);
+  }
+  const bytes = await toBytes(input);
+  if (bytes.length > MAX_PACK_BYTES) throw new Error('The pack is larger than ' + Math.round(MAX_PACK_BYTES / 1048576) + ' MB');
+  if (isZip(bytes)) return readZipPack(bytes);
+  let raw;
+  try {
+    raw = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    throw new Error('Not a Kulture pack: expected a .json or .zip file');
+  }
+  return readJsonPack(raw);
+}
+
+// { errors, warnings } for a pack read by readPack(): the manifest, the dataset rules
+// from js/dataset.js, that every local picture and recording is in the pack, and that
+// the pack carries nothing else (only pictures and recordings its items use)
+export async function validatePack(pack) {
+  const errors = [];
+  const m = pack.manifest || {};
+  if (m.format !== PACK_FORMAT) errors.push('Manifest: "format" must be "' + PACK_FORMAT + '"');
+  if (m.formatVersion !== PACK_FORMAT_VERSION) {
+    errors.push('Manifest: unsupported formatVersion ' + JSON.stringify(m.formatVersion) + ' (expected ' + PACK_FORMAT_VERSION + ')');
+  }
+  if (typeof m.id !== 'string' || !ID_PATTERN.test(m.id)) {
+    errors.push('Manifest: "id" must be lowercase letters, digits and dashes (e.g. "coast-foods")');
+  }
+  if (typeof m.title !== 'string' || !m.title.trim()) errors.push('Manifest: missing title');
+
+  const files = pack.files || new Map();
+  const result = await validateDataset(pack.dataset, {
+    fileExists: src => { const path = packPath(src); return !!path && files.has(path); }
+  });
+
+  const used = new Set();
+  try {
+    parseDataset(pack.dataset).items.forEach(function (item) {
+      [item.image].concat(Object.values(item.audio)).forEach(src => used.add(packPath(src)));
+    });
+  } catch (e) { /* reported by validateDataset */ }
+  files.forEach(function (blob, path) {
+    if (!mediaType(path)) {
+      errors.push('File "' + path + '" is not a picture or recording (allowed: ' + Object.keys(MEDIA_TYPES).join(', ') + ')');
+    } else if (!used.has(path)) {
+      errors.push('File "' + path + '" is not used by any item');
+    }
+  });
+
+  return { errors: errors.concat(result.errors), warnings: result.warnings };
+}
+
+// The installed dataset with the pack's own files pointing at their /packs/<id>/ URLs,
+// or at urlFor(path) when given (e.g. object URLs where no service worker runs)
+export function resolvePackDataset(record, urlFor) {
+  const json = JSON.parse(JSON.stringify(record.dataset));
+  const inPack = new Set(record.files);
+  urlFor = urlFor || (path => packUrl(record.id, path));
+  function resolve(src) {
+    const path = packPath(src);
+    return path && inPack.has(path) ? urlFor(path) : src;
+  }
+  (Array.isArray(json) ? json : json.items).forEach(function (item) {
+    if (item.image) item.image = resolve(item.image);
+    if (typeof item.audio === 'string') item.audio = resolve(item.audio);
+    else if (item.audio && typeof item.audio === 'object') {
+      Object.keys(item.audio).forEach(code => { item.audio[code] = resolve(item.audio[code]); });
+    }
+  });
+  return json;
+}
+
+// A single-file pack (the pack.json form) from a manifest, a dataset and its files
+export async function writePack(manifest, dataset, files) {
+  const out = Object.assign(pickManifest(manifest), { format: PACK_FORMAT, formatVersion: PACK_FORMAT_VERSION, dataset: dataset, files: {} });
+  for (const [path, blob] of files) out.files[path] = await blobToDataUrl(blob);
+  return out;
+}
+
+export function getActivePack(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return BUILTIN_PACK;
+  try {
+    return storage.getItem(ACTIVE_PACK_KEY) || BUILTIN_PACK;
+  } catch (e) {
+    return BUILTIN_PACK;
+  }
+}
+
+export function setActivePack(id, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    if (id) storage.setItem(ACTIVE_PACK_KEY, id);
+    else storage.removeItem(ACTIVE_PACK_KEY);
+  } catch (e) {
+    console.debug('Could not save the active pack:', e && e.message);
+  }
+}
+
+export const DB_NAME = 'kulture-packs';
+const DB_VERSION = 1;
+
+function promisify(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () { resolve(request.result); };
+    request.onerror = function () { reject(request.error); };
+  });
+}
+
+function completed(tx) {
+  return new Promise(function (resolve, reject) {
+    tx.oncomplete = function () { resolve(); };
+    tx.onerror = tx.onabort = function () { reject(tx.error); };
+  });
+}
+
+function openDb(indexedDB) {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = function () {
+    request.result.createObjectStore('packs');
+    request.result.createObjectStore('files');
+  };
+  return promisify(request);
+}
+
+// Installed packs: { install(pack), list(), get(id), file(id, path), remove(id) }, all
+// async. Records are { id, manifest, dataset, files: [paths], size, installedAt }.
+// Where IndexedDB is missing the packs live in memory for the page's lifetime.
+// options: { indexedDB, now }
+export function createPackStore(options) {
+  options = options || {};
+  const idb = options.indexedDB === undefined ? globalThis.indexedDB : options.indexedDB;
+  const now = options.now || Date.now;
+  const memory = { packs: new Map(), files: new Map() };
+  let dbPromise = null;
+
+  function db() {
+    if (!idb) return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = openDb(idb).catch(function (err) {
+        console.debug('Pack store unavailable:', err && err.message);
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  const fileKey = (id, path) => id + '/' + path;
+
+  async function get(id) {
+    const conn = await db();
+    if (!conn) return memory.packs.get(id) || null;
+    return (await promisify(conn.transaction('packs', 'readonly').objectStore('packs').get(id))) || null;
+  }
+
+  async function remove(id) {
+    const record = await get(id);
+    if (!record) return false;
+    const conn = await db();
+    if (!conn) {
+      memory.packs.delete(id);
+      record.files.forEach(path => memory.files.delete(fileKey(id, path)));
+      return true;
+    }
+    const tx = conn.transaction(['packs', 'files'], 'readwrite');
+    tx.objectStore('packs').delete(id);
+    record.files.forEach(path => tx.objectStore('files').delete(fileKey(id, path)));
+    await completed(tx);
+    return true;
+  }
+
+  return {
+    // Install (or replace) a pack that passed validatePack()
+    install: async function (pack) {
+      const id = pack.manifest.id;
+      const files = Array.from(pack.files.keys());
+      const record = {
+        id: id,
+        manifest: pack.manifest,
+        dataset: pack.dataset,
+        files: files,
+        size: Array.from(pack.files.values()).reduce((sum, b) => sum + b.size, 0),
+        installedAt: now()
+      };
+      await remove(id);
+      const conn = await db();
+      if (!conn) {
+        memory.packs.set(id, record);
+        pack.files.forEach((blob, path) => memory.files.set(fileKey(id, path), blob));
+        return record;
+      }
+      const tx = conn.transaction(['packs', 'files'], 'readwrite');
+      tx.objectStore('packs').put(record, id);
+      pack.files.forEach((blob, path) => tx.objectStore('files').put(blob, fileKey(id, path)));
+      await completed(tx);
+      return record;
+    },
+    list: async function () {
+      const conn = await db();
+      const records = conn
+        ? await promisify(conn.transaction('packs', 'readonly').objectStore('packs').getAll())
+        : Array.from(memory.packs.values());
+      return records.sort((a, b) => String(a.manifest.title).localeCompare(String(b.manifest.title)));
+    },
+    get: get,
+    file: async function (id, path) {
+      const conn = await db();
+      if (!conn) return memory.files.get(fileKey(id, path)) || null;
+      return (await promisify(conn.transaction('files', 'readonly').objectStore('files').get(fileKey(id, path)))) || null;
+    },
+    remove: remove
+  };
+}
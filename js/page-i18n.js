@@ -0,0 +1,7 @@
+// Localisation for pages without a script of their own (home, about, offline, 404):
+// applies the saved language to the markup and adds the switcher to the header.
+import { initI18n, mountLanguageSwitcher } from './i18n.js';
+
+initI18n().then(function () {
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+});
@@ -0,0 +1,186 @@
+// Kulture profile picker
+// Renders the "Who is playing?" dialog: pick a profile, add a new one, or
+// rename / reset / delete an existing one. Storage rules live in js/profiles.js.
+import {
+  AVATARS, saveProfiles, setActiveProfile, createProfile, renameProfile,
+  resetProfile, deleteProfile, getActiveProfile
+} from './profiles.js';
+import { t } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// Row of avatar radio buttons; returns { node, value() }
+function avatarChooser(name, selected) {
+  const wrap = el('div', 'profile-avatars');
+  wrap.setAttribute('role', 'radiogroup');
+  wrap.setAttribute('aria-label', t('profiles.chooseAvatar'));
+  AVATARS.forEach(function (a, i) {
+    const label = el('label', 'profile-avatar-option');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = name;
+    input.value = a;
+    input.checked = selected ? a === selected : i === 0;
+    label.appendChild(input);
+    label.appendChild(el('span', null, a));
+    wrap.appendChild(label);
+  });
+  return {
+    node: wrap,
+    value: function () {
+      const checked = wrap.querySelector('input:checked');
+      return checked ? checked.value : AVATARS[0];
+    }
+  };
+}
+
+// Open the picker inside a <dialog>.
+// options.onSelect(profile) runs when a child picks (or creates) a profile;
+// options.onChange(state) runs after any edit so the page can refresh its header.
+export function openProfilePicker(dialog, state, options) {
+  options = options || {};
+
+  function commit() {
+    saveProfiles(state);
+    if (options.onChange) options.onChange(state);
+  }
+
+  function select(profile) {
+    setActiveProfile(state, profile.id);
+    saveProfiles(state);
+    dialog.close();
+    if (options.onSelect) options.onSelect(profile);
+  }
+
+  function editPanel(profile) {
+    const panel = el('form', 'profile-edit');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = profile.name;
+    nameInput.required = true;
+    nameInput.setAttribute('aria-label', t('profiles.name'));
+    const avatars = avatarChooser('avatar-' + profile.id, profile.avatar);
+
+    const saveBtn = el('button', 'btn btn-primary', t('profiles.save'));
+    saveBtn.type = 'submit';
+    const resetBtn = el('button', 'btn btn-outline', t('profiles.reset'));
+    resetBtn.type = 'button';
+    const deleteBtn = el('button', 'btn btn-outline', t('profiles.delete'));
+    deleteBtn.type = 'button';
+
+    panel.addEventListener('submit', function (e) {
+      e.preventDefault();
+      try {
+        renameProfile(state, profile.id, nameInput.value, avatars.value());
+        commit();
+        render();
+      } catch (err) {
+        nameInput.setCustomValidity(t('profiles.nameRequired'));
+        nameInput.reportValidity();
+      }
+    });
+    nameInput.addEventListener('input', function () { nameInput.setCustomValidity(''); });
+    resetBtn.addEventListener('click', function () {
+      if (!window.confirm(t('profiles.confirmReset', { name: profile.name }))) return;
+      resetProfile(state, profile.id);
+      commit();
+      render();
+    });
+    deleteBtn.addEventListener('click', function () {
+      if (!window.confirm(t('profiles.confirmDelete', { name: profile.name }))) return;
+      deleteProfile(state, profile.id);
+      commit();
+      render();
+    });
+
+    panel.appendChild(nameInput);
+    panel.appendChild(avatars.node);
+    const actions = el('div', 'profile-edit-actions');
+    actions.appendChild(saveBtn);
+    actions.appendChild(resetBtn);
+    actions.appendChild(deleteBtn);
+    panel.appendChild(actions);
+    return panel;
+  }
+
+  function addForm() {
+    const form = el('form', 'profile-add');
+    form.appendChild(el('h3', 'profile-add-title', t('profiles.add')));
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = t('profiles.name');
+    nameInput.required = true;
+    nameInput.setAttribute('aria-label', t('profiles.newName'));
+    const avatars = avatarChooser('avatar-new');
+    const addBtn = el('button', 'btn btn-primary', t('profiles.addAndPlay'));
+    addBtn.type = 'submit';
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      try {
+        const profile = createProfile(state, nameInput.value, avatars.value());
+        commit();
+        select(profile);
+      } catch (err) {
+        nameInput.setCustomValidity(t('profiles.nameRequired'));
+        nameInput.reportValidity();
+      }
+    });
+    nameInput.addEventListener('input', function () { nameInput.setCustomValidity(''); });
+
+    form.appendChild(nameInput);
+    form.appendChild(avatars.node);
+    form.appendChild(addBtn);
+    return form;
+  }
+
+  function render() {
+    dialog.innerHTML = '';
+    const title = el('h2', 'profile-dialog-title', t('profiles.title'));
+    title.id = 'profile-dialog-title';
+    dialog.setAttribute('aria-labelledby', title.id);
+    dialog.appendChild(title);
+
+    const list = el('ul', 'profile-list');
+    state.profiles.forEach(function (profile) {
+      const item = el('li', 'profile-item');
+      const pick = el('button', 'profile-card');
+      pick.type = 'button';
+      pick.setAttribute('aria-label', t('profiles.playAs', { name: profile.name }));
+      if (profile.id === state.activeId) pick.setAttribute('aria-current', 'true');
+      pick.appendChild(el('span', 'profile-card-avatar', profile.avatar));
+      pick.appendChild(el('span', 'profile-card-name', profile.name));
+      pick.appendChild(el('span', 'profile-card-level', t('profiles.level', { level: profile.progress.unlockedLevel })));
+      pick.addEventListener('click', function () { select(profile); });
+
+      const details = el('details', 'profile-manage');
+      details.appendChild(el('summary', null, t('profiles.edit')));
+      details.appendChild(editPanel(profile));
+
+      item.appendChild(pick);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+    if (state.profiles.length) dialog.appendChild(list);
+    dialog.appendChild(addForm());
+
+    // Closing is only allowed once someone is selected
+    if (getActiveProfile(state)) {
+      const closeBtn = el('button', 'btn btn-outline profile-close', t('profiles.close'));
+      closeBtn.type = 'button';
+      closeBtn.addEventListener('click', function () { dialog.close(); });
+      dialog.appendChild(closeBtn);
+    }
+  }
+
+  // Escape would leave the page without a player
+  dialog.oncancel = function (e) { if (!getActiveProfile(state)) e.preventDefault(); };
+
+  render();
+  if (!dialog.open) dialog.showModal();
+}
@@ -0,0 +1,168 @@
+// Kulture child profiles
+// Several children can share one device: each profile has a name and an avatar and
+// keeps its own progress (unlocked level, best result per level, round in progress)
+// plus its own spaced-repetition records, answer history and badges. Everything lives in
+// localStorage; there are no accounts and nothing leaves the device.
+import { historyKey } from './history.js';
+import { achievementsKey } from './achievements.js';
+
+export const STORAGE_KEY = 'kulture.profiles.v1';
+
+// Avatars offered in the profile picker
+export const AVATARS = ['🦒', '🦓', '🦁', '🐘', '🦩', '🐢', '🌳', '🥁'];
+
+const MAX_NAME_LENGTH = 24;
+
+function defaultStorage() {
+  try { return globalThis.localStorage || null; } catch (e) { return null; }
+}
+
+// Storage key for a profile's mastery records (see js/mastery.js); question packs
+// (js/packs.js) get their own records because their item ids can repeat the built-in ones
+export function masteryKey(profileId, pack) {
+  return 'kulture.mastery.v1.' + profileId + (pack ? '.' + pack : '');
+}
+
+function emptyProgress() {
+  return { unlockedLevel: 1, currentLevel: 1, best: {}, inProgress: null };
+}
+
+function cleanName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+}
+
+// Read all profiles: { activeId, profiles: [{ id, name, avatar, createdAt, progress, packs }] }
+// where `packs` holds the progress in each installed question pack, by pack id
+export function loadProfiles(storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  const empty = { activeId: null, profiles: [] };
+  if (!storage) return empty;
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    if (!parsed || !Array.isArray(parsed.profiles)) return empty;
+    parsed.profiles.forEach(function (p) {
+      p.progress = Object.assign(emptyProgress(), p.progress);
+      p.packs = p.packs || {};
+    });
+    return parsed;
+  } catch (e) {
+    return empty;
+  }
+}
+
+export function saveProfiles(state, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.debug('Could not save profiles:', e && e.message);
+  }
+}
+
+export function getProfile(state, id) {
+  return state.profiles.find(p => p.id === id) || null;
+}
+
+export function getActiveProfile(state) {
+  return getProfile(state, state.activeId);
+}
+
+export function setActiveProfile(state, id) {
+  if (!getProfile(state, id)) throw new Error('Unknown profile: ' + id);
+  state.activeId = id;
+}
+
+export function createProfile(state, name, avatar) {
+  name = cleanName(name);
+  if (!name) throw new Error('Please enter a name');
+  const profile = {
+    id: 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: name,
+    avatar: AVATARS.indexOf(avatar) !== -1 ? avatar : AVATARS[0],
+    createdAt: Date.now(),
+    progress: emptyProgress(),
+    packs: {}
+  };
+  state.profiles.push(profile);
+  return profile;
+}
+
+export function renameProfile(state, id, name, avatar) {
+  const profile = getProfile(state, id);
+  if (!profile) throw new Error('Unknown profile: ' + id);
+  name = cleanName(name);
+  if (!name) throw new Error('Please enter a name');
+  profile.name = name;
+  if (AVATARS.indexOf(avatar) !== -1) profile.avatar = avatar;
+  return profile;
+}
+
+// Clear a profile's progress, mastery records and answer history but keep its name and avatar
+export function resetProfile(state, id, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  const profile = getProfile(state, id);
+  if (!profile) throw new Error('Unknown profile: ' + id);
+  if (storage) removeRecords(profile, storage);
+  profile.progress = emptyProgress();
+  profile.packs = {};
+  return profile;
+}
+
+export function deleteProfile(state, id, storage) {
+  storage = storage === undefined ? defaultStorage() : storage;
+  const profile = getProfile(state, id);
+  state.profiles = state.profiles.filter(p => p.id !== id);
+  if (state.activeId === id) state.activeId = null;
+  if (storage && profile) removeRecords(profile, storage);
+}
+
+// Mastery records (built-in and per pack), answer history and achievements of a profile
+function removeRecords(profile, storage) {
+  storage.removeItem(masteryKey(profile.id));
+  Object.keys(profile.packs || {}).forEach(pack => storage.removeItem(masteryKey(profile.id, pack)));
+  storage.removeItem(historyKey(profile.id));
+  storage.removeItem(achievementsKey(profile.id));
+}
+
+// A profile's progress in the built-in questions, or in question pack `pack`
+export function progressFor(profile, pack) {
+  if (!pack) return profile.progress;
+  profile.packs = profile.packs || {};
+  if (!profile.packs[pack]) profile.packs[pack] = emptyProgress();
+  return profile.packs[pack];
+}
+
+// Store the result of a finished level and unlock the next one.
+// result: { firstTry, total } where firstTry counts questions answered without retries.
+// `pack` is the question pack played, if not the built-in questions.
+export function recordLevelResult(profile, level, result, maxLevel, pack) {
+  const progress = progressFor(profile, pack);
+  const prev = progress.best[level];
+  if (!prev || result.firstTry > prev.firstTry) {
+    progress.best[level] = { firstTry: result.firstTry, total: result.total, at: Date.now() };
+  }
+  if (level + 1 <= (maxLevel || level + 1)) {
+    progress.unlockedLevel = Math.max(progress.unlockedLevel, level + 1);
+  }
+  progress.inProgress = null;
+}
+
+// Remember the round being played so it can be resumed after a reload.
+// round: { level, ids, index, firstTry, score, missed }
+export function saveRoundProgress(profile, round, pack) {
+  const progress = progressFor(profile, pack);
+  progress.currentLevel = round.level;
+  progress.inProgress = {
+    level: round.level,
+    ids: round.ids.slice(),
+    index: round.index,
+    firstTry: round.firstTry,
+    score: round.score || 0,
+    missed: (round.missed || []).slice()
+  };
+}
+
+export function clearRoundProgress(profile, pack) {
+  progressFor(profile, pack).inProgress = null;
+}
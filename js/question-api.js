@@ -0,0 +1,89 @@
+// Kulture question API
+// Builds the response for `GET /api/question?count=N`. The service worker answers it
+// offline and the Node server (server/) online; both use this module so the contract
+// cannot drift. The quiz page picks a shared challenge round (js/round-link.js) with
+// the same functions, so a seed gives the same round everywhere. DOM-free.
+//
+//   count     questions wanted, 1-10 (default 1)
+//   seed      makes the answer repeatable: the same seed, level, category and count
+//             always give the same questions, in the same order, with the same choices
+//   level     only items of this level
+//   category  only items of this category (see CATEGORIES in js/dataset.js)
+//   pack      id of a question pack installed on the device (js/packs.js); only the
+//             service worker has them, so the server answers 404 for any pack
+//   200       { questions: [{ id, image, label, level, category, choices }] }; fewer
+//             than `count` (or none) when the filters leave fewer items
+//   400       { error }   (bad level or category)
+//   404       { error }   (unknown pack)
+//   500       { error }   (dataset missing or invalid)
+import { CATEGORIES, parseDataset } from './dataset.js';
+import { buildChoices } from './distractors.js';
+import { createRandom, sample } from './rng.js';
+
+export const MAX_QUESTIONS = 10;
+
+// The `count` query parameter, clamped to 1..MAX_QUESTIONS
+export function questionCount(params) {
+  const n = parseInt(params && params.get('count'), 10);
+  return Math.max(1, Math.min(MAX_QUESTIONS, Number.isNaN(n) ? 1 : n));
+}
+
+// All query parameters: { count, seed, level, category }, with `error` set when the
+// level or category cannot be used. Missing ones are null.
+export function questionParams(params) {
+  const query = { count: questionCount(params), seed: null, level: null, category: null };
+  const seed = params && params.get('seed');
+  const level = params && params.get('level');
+  const category = params && params.get('category');
+  if (seed) query.seed = seed.slice(0, 64);
+  if (level) {
+    query.level = Number(level);
+    if (!Number.isInteger(query.level) || query.level < 1) query.error = 'level must be a whole number from 1';
+  }
+  if (category) {
+    query.category = category;
+    if (CATEGORIES.indexOf(category) === -1) query.error = 'Unknown category: ' + category;
+  }
+  return query;
+}
+
+// Random numbers for ordering the choices of the question at `index` in a seeded
+// round. Each question has its own, so a hint taken on one cannot change the next.
+export function choiceRandom(seed, index) {
+  return createRandom(seed + '#' + index);
+}
+
+// The items of a round: labelled items (image detection is not available to every
+// caller) matching options.level and options.category, `count` of them picked with
+// createRandom(options.seed), or with `random` when there is no seed.
+export function pickQuestions(items, options, random) {
+  options = options || {};
+  const pool = items.filter(function (d) {
+    if (!d.label) return false;
+    if (options.level != null && d.level !== options.level) return false;
+    if (options.category && d.category !== options.category) return false;
+    return true;
+  });
+  const pick = options.seed != null ? createRandom(options.seed) : random;
+  return sample(pool, options.count || 1, pick);
+}
+
+// `count` distinct questions from a raw dataset document. filters: { seed, level,
+// category } as read by questionParams(); with a seed, `random` is not used.
+export function buildQuestions(json, count, random, filters) {
+  filters = filters || {};
+  const items = parseDataset(json).items.filter(d => d.label);
+  const picked = pickQuestions(items, Object.assign({}, filters, { count: count }), random);
+  const questions = picked.map(function (item, index) {
+    return {
+      id: item.id,
+      image: item.image,
+      label: item.label,
+      level: item.level,
+      category: item.category,
+      // Same rules as the quiz page: own distractors first, then by category and level
+      choices: buildChoices(item, items, { random: filters.seed != null ? choiceRandom(filters.seed, index) : random })
+    };
+  });
+  return { questions: questions };
+}
@@ -0,0 +1,440 @@
+// Kulture question types
+// Each question in a round is shown by one of these types. quiz.js owns the round
+// (progress, scoring, feedback, history); a type only draws one question into the
+// stage and calls ctx.answer() every time the child tries.
+//
+// type = {
+//   id, nameKey          -- i18n key shown in the question type picker
+//   promptKey            -- i18n key for the prompt, given { label } of the item
+//   speaksWord           -- the prompt's 🔊 says the word instead of reading the prompt
+//   hints                -- optional: the hints (js/learn.js HINT_KINDS) that make sense
+//                           for this type; all of them by default
+//   available()          -- optional: false when this device cannot play the type
+//   supports(q, ctx)     -- optional: false when this item cannot be asked this way
+//   render(q, ctx)       -- draws the question and returns
+//                           { paint(), disable(), showAnswer()?, choose(n)?, eliminate(count)? };
+//                           paint() re-applies translated text after a language change;
+//                           showAnswer() marks the right choice when it is revealed;
+//                           choose(n), where the type has numbered choices, presses
+//                           choice n (0-3) for the number keys and returns whether it could;
+//                           eliminate(count) takes wrong choices away for a hint and
+//                           returns how many went
+// }
+//
+// ctx (built by quiz.js):
+//   els         { photo, pictures, choices, choiceButtons, choiceSpeakers, custom }
+//   candidates  dataset items to draw wrong answers from (see js/distractors.js)
+//   random      random number source for choice order (the session's, so seeded rounds repeat)
+//   displayLabel(label), say(label)
+//   answer(correct, picked)  -- picked is the wrong label chosen for this item, if any;
+//                               how many wrong tries are allowed before the answer is
+//                               shown is the answer policy's call (js/answer-policy.js)
+//   reveal()                 -- give up on the item: show the answer and move on
+import { QUESTION_TYPES as TYPE_IDS } from './dataset.js';
+import { t, getLocale } from './i18n.js';
+import { pictureDescription } from './a11y.js';
+import { canSpeak, pronounce } from './speech.js';
+import { matchAnswer } from './answer-match.js';
+import { pickDistractors, buildChoices } from './distractors.js';
+import { shuffle } from './rng.js';
+
+export const DEFAULT_TYPE = 'picture-to-word';
+
+const registry = new Map();
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// `count` items including q, for types that show pictures. Only dataset items with a
+// picture can be offered, so hand-picked distractors without one are skipped.
+function pickItems(q, ctx, count) {
+  const withImages = ctx.candidates.filter(c => c.image);
+  const byLabel = new Map(withImages.map(c => [c.label, c]));
+  const item = Object.assign({}, q, { distractors: (q.distractors || []).filter(l => byLabel.has(l)) });
+  const picked = pickDistractors(item, withImages, { count: count - 1, random: ctx.random }).map(l => byLabel.get(l));
+  return shuffle([q].concat(picked), ctx.random);
+}
+
+// The answer and three plausible wrong words
+function textChoices(q, ctx) {
+  return buildChoices(q, ctx.candidates, { count: 3, random: ctx.random });
+}
+
+// Alt text for picture n: never the item's name, which would give the answer away
+function pictureAlt(item, n) {
+  const description = pictureDescription(item, getLocale());
+  return description ? t('quiz.pictureDescribed', { n: n, description: description }) : t('quiz.picture', { n: n });
+}
+
+// Number the choices for the keys 1-4
+function markShortcuts(buttons) {
+  buttons.forEach(function (btn, i) {
+    btn.dataset.key = String(i + 1);
+    btn.setAttribute('aria-keyshortcuts', String(i + 1));
+  });
+}
+
+function pressChoice(buttons, n) {
+  const btn = buttons[n];
+  if (!btn || btn.disabled || btn.offsetParent === null) return false;
+  btn.click();
+  return true;
+}
+
+// Mark the right choice once the answer is revealed
+function markAnswer(buttons, answer) {
+  const btn = buttons.find(b => b.dataset.answer === answer);
+  if (btn) btn.classList.add('correct');
+}
+
+function eliminateWrong(buttons, answer, count, random) {
+  const wrong = buttons.filter(b => !b.disabled && b.offsetParent !== null && b.dataset.answer !== answer);
+  const gone = shuffle(wrong, random).slice(0, count);
+  gone.forEach(function (btn) {
+    btn.disabled = true;
+    btn.classList.add('eliminated');
+  });
+  return gone.length;
+}
+
+function hasPictureChoices(q, ctx) {
+  return !!q.label && pickItems(q, ctx, 4).length === 4;
+}
+
+// Four pictures to choose from (word-to-picture and listen)
+function renderPictureChoices(q, ctx) {
+  const els = ctx.els;
+  els.photo.hidden = true;
+  els.pictures.hidden = false;
+  els.pictures.innerHTML = '';
+  const items = pickItems(q, ctx, 4);
+  const buttons = items.map(function (item) {
+    const cell = el('div');
+    cell.setAttribute('role', 'listitem');
+    const btn = el('button', 'picture-choice');
+    btn.type = 'button';
+    btn.dataset.answer = item.label;
+    const img = document.createElement('img');
+    img.src = item.image;
+    img.onerror = function () { img.src = './images/offline.svg'; };
+    btn.appendChild(img);
+    btn.onclick = function () {
+      if (btn.dataset.answer === q.label) {
+        btn.classList.add('correct');
+        ctx.answer(true);
+      } else {
+        btn.classList.add('wrong');
+        btn.disabled = true;
+        ctx.answer(false, btn.dataset.answer);
+      }
+    };
+    cell.appendChild(btn);
+    els.pictures.appendChild(cell);
+    return btn;
+  });
+  markShortcuts(buttons);
+  return {
+    paint: function () { buttons.forEach((b, i) => { b.firstChild.alt = pictureAlt(items[i], i + 1); }); },
+    disable: function () { buttons.forEach(b => { b.disabled = true; }); },
+    showAnswer: () => markAnswer(buttons, q.label),
+    choose: n => pressChoice(buttons, n),
+    eliminate: count => eliminateWrong(buttons, q.label, count, ctx.random)
+  };
+}
+
+// Show the photo and choose one of four words (the original quiz)
+const pictureToWord = {
+  id: 'picture-to-word',
+  nameKey: 'quiz.types.pictureToWord',
+  promptKey: 'quiz.prompt',
+  render: function (q, ctx) {
+    const els = ctx.els;
+    els.choices.style.display = '';
+    const choices = textChoices(q, ctx);
+    // Answers are compared on the base label; the button shows it in the chosen language
+    els.choiceButtons.forEach(function (btn, i) {
+      btn.disabled = false;
+      btn.classList.remove('correct', 'wrong', 'eliminated');
+      btn.dataset.answer = choices[i] || '';
+      // A tiny dataset may not have three wrong answers to offer
+      if (btn.parentElement) btn.parentElement.style.display = choices[i] ? '' : 'none';
+      btn.onclick = function () {
+        if (btn.dataset.answer === q.label) {
+          btn.classList.add('correct');
+          ctx.answer(true);
+          return;
+        }
+        // A tried word cannot be picked again, and the right one stays hidden until
+        // the answer policy reveals it
+        btn.classList.add('wrong');
+        btn.disabled = true;
+        ctx.answer(false, btn.dataset.answer);
+      };
+    });
+    els.choiceSpeakers.forEach(function (btn, i) {
+      btn.onclick = function () { if (choices[i]) ctx.say(choices[i]); };
+    });
+    markShortcuts(els.choiceButtons);
+    return {
+      paint: function () {
+        els.choiceButtons.forEach(function (btn, i) { btn.textContent = choices[i] ? ctx.displayLabel(choices[i]) : ''; });
+        els.choiceSpeakers.forEach(function (btn, i) {
+          btn.hidden = !canSpeak() || !choices[i];
+          if (choices[i]) btn.setAttribute('aria-label', t('quiz.hearChoice', { label: ctx.displayLabel(choices[i]) }));
+        });
+      },
+      disable: function () { els.choiceButtons.forEach(b => { b.disabled = true; }); },
+      showAnswer: () => markAnswer(els.choiceButtons, q.label),
+      choose: n => pressChoice(els.choiceButtons, n),
+      eliminate: count => eliminateWrong(els.choiceButtons, q.label, count, ctx.random)
+    };
+  }
+};
+
+// Show a word and choose its picture
+const wordToPicture = {
+  id: 'word-to-picture',
+  nameKey: 'quiz.types.wordToPicture',
+  promptKey: 'quiz.findPicture',
+  speaksWord: true,
+  // The word is on screen, so its first letter would tell nothing
+  hints: ['category', 'eliminate'],
+  supports: hasPictureChoices,
+  render: renderPictureChoices
+};
+
+// Hear the word and choose its picture, for children who cannot read yet
+const listen = {
+  id: 'listen',
+  nameKey: 'quiz.types.listen',
+  promptKey: 'quiz.listenPrompt',
+  speaksWord: true,
+  available: canSpeak,
+  supports: hasPictureChoices,
+  render: function (q, ctx) {
+    const view = renderPictureChoices(q, ctx);
+    pronounce(q);
+    return view;
+  }
+};
+
+// Show the photo and type its name; see js/answer-match.js for what counts as right
+const typeAnswer = {
+  id: 'type-answer',
+  nameKey: 'quiz.types.typeAnswer',
+  promptKey: 'quiz.typePrompt',
+  supports: q => !!q.label,
+  render: function (q, ctx) {
+    const form = el('form', 'type-answer');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'type-answer-input';
+    input.autocomplete = 'off';
+    input.setAttribute('autocapitalize', 'off');
+    input.spellcheck = false;
+    const submit = el('button', 'btn btn-primary');
+    submit.type = 'submit';
+    const note = el('p', 'type-answer-note');
+    note.setAttribute('aria-live', 'polite');
+    let noteText = null;
+    let revealed = false;
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      const typed = input.value.trim();
+      if (!typed) { input.focus(); return; }
+      const result = matchAnswer(typed, q);
+      if (result.ok) {
+        input.classList.add('correct');
+        // Forgiven typos still show the right spelling
+        noteText = result.exact ? null : { key: 'quiz.spelledAs', params: { label: result.answer } };
+        paint();
+        ctx.answer(true);
+        return;
+      }
+      input.classList.add('wrong');
+      setTimeout(() => input.classList.remove('wrong'), 600);
+      input.select();
+      ctx.answer(false, typed);
+    });
+
+    form.appendChild(input);
+    form.appendChild(submit);
+    form.appendChild(note);
+    ctx.els.custom.appendChild(form);
+    ctx.els.custom.hidden = false;
+    input.focus();
+
+    function paint() {
+      input.setAttribute('aria-label', t('quiz.typeLabel'));
+      input.placeholder = t('quiz.typePlaceholder');
+      submit.textContent = t('quiz.check');
+      note.textContent = noteText ? t(noteText.key, noteText.params) : '';
+      // A revealed answer stands in the box, in the chosen language
+      if (revealed) input.value = ctx.displayLabel(q.label);
+    }
+    return {
+      paint: paint,
+      disable: function () { input.disabled = true; submit.disabled = true; },
+      showAnswer: function () {
+        revealed = true;
+        input.classList.remove('wrong');
+        input.classList.add('correct');
+        paint();
+      }
+    };
+  }
+};
+
+// Pair four pictures with four words by tapping one of each, or dragging a word onto
+// a picture. The pictures replace the photo and the words sit where the answers go.
+// The question counts as right first time when no pair was wrong.
+const matchPairs = {
+  id: 'match-pairs',
+  nameKey: 'quiz.types.matchPairs',
+  promptKey: 'quiz.matchPrompt',
+  // Four words to place at once: a hint about one of them would not help
+  hints: [],
+  supports: hasPictureChoices,
+  render: function (q, ctx) {
+    const els = ctx.els;
+    els.photo.hidden = true;
+    els.pictures.hidden = false;
+    els.pictures.innerHTML = '';
+    const items = pickItems(q, ctx, 4);
+    const wordCol = el('div', 'match-words');
+    wordCol.setAttribute('role', 'list');
+    let selected = null;
+    let matched = 0;
+    // Each unmatched picture's word, written under it once the answer is revealed
+    const captions = new Map();
+
+    function cell(btn) {
+      const li = el('div');
+      li.setAttribute('role', 'listitem');
+      li.appendChild(btn);
+      return li;
+    }
+
+    function choose(btn) {
+      if (btn.disabled) return;
+      if (selected && selected.dataset.side !== btn.dataset.side) {
+        const picture = btn.dataset.side === 'picture' ? btn : selected;
+        const word = btn.dataset.side === 'word' ? btn : selected;
+        selected.setAttribute('aria-pressed', 'false');
+        selected = null;
+        check(picture, word);
+        return;
+      }
+      if (selected) selected.setAttribute('aria-pressed', 'false');
+      selected = selected === btn ? null : btn;
+      if (selected) selected.setAttribute('aria-pressed', 'true');
+    }
+
+    function check(picture, word) {
+      if (picture.dataset.answer === word.dataset.answer) {
+        [picture, word].forEach(function (b) { b.classList.add('matched'); b.disabled = true; b.draggable = false; });
+        matched++;
+        if (matched === items.length) ctx.answer(true);
+        return;
+      }
+      [picture, word].forEach(function (b) {
+        b.classList.add('wrong');
+        setTimeout(() => b.classList.remove('wrong'), 600);
+      });
+      // Only a wrong word on this question's own picture says something about the item
+      ctx.answer(false, picture.dataset.answer === q.label ? word.dataset.answer : null);
+    }
+
+    const pictures = items.map(function (item) {
+      const btn = el('button', 'picture-choice match-picture');
+      btn.type = 'button';
+      btn.dataset.side = 'picture';
+      btn.dataset.answer = item.label;
+      btn.setAttribute('aria-pressed', 'false');
+      const img = document.createElement('img');
+      img.src = item.image;
+      img.onerror = function () { img.src = './images/offline.svg'; };
+      btn.appendChild(img);
+      btn.addEventListener('click', function () { choose(btn); });
+      btn.addEventListener('dragover', function (e) { if (!btn.disabled) e.preventDefault(); });
+      btn.addEventListener('drop', function (e) {
+        e.preventDefault();
+        const word = words.find(w => w.dataset.answer === e.dataTransfer.getData('text/plain'));
+        if (word && !word.disabled && !btn.disabled) check(btn, word);
+      });
+      els.pictures.appendChild(cell(btn));
+      return btn;
+    });
+
+    const words = shuffle(items, ctx.random).map(function (item) {
+      const btn = el('button', 'match-word');
+      btn.type = 'button';
+      btn.draggable = true;
+      btn.dataset.side = 'word';
+      btn.dataset.answer = item.label;
+      btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', function () { choose(btn); });
+      btn.addEventListener('dragstart', function (e) { e.dataTransfer.setData('text/plain', item.label); });
+      wordCol.appendChild(cell(btn));
+      return btn;
+    });
+
+    els.custom.appendChild(wordCol);
+    els.custom.hidden = false;
+
+    return {
+      paint: paint,
+      disable: function () { pictures.concat(words).forEach(b => { b.disabled = true; }); },
+      showAnswer: function () {
+        pictures.forEach(function (btn) {
+          if (btn.classList.contains('matched') || captions.has(btn)) return;
+          const caption = el('span', 'match-answer');
+          btn.appendChild(caption);
+          btn.classList.add('correct');
+          captions.set(btn, caption);
+        });
+        paint();
+      }
+    };
+
+    function paint() {
+      pictures.forEach((b, i) => { b.firstChild.alt = pictureAlt(items[i], i + 1); });
+      words.forEach(b => { b.textContent = ctx.displayLabel(b.dataset.answer); });
+      captions.forEach((caption, btn) => { caption.textContent = ctx.displayLabel(btn.dataset.answer); });
+    }
+  }
+};
+
+export function registerQuestionType(type) {
+  if (!type || !type.id || typeof type.render !== 'function') throw new Error('A question type needs an id and a render function');
+  registry.set(type.id, type);
+}
+
+export function getQuestionType(id) {
+  return registry.get(id) || null;
+}
+
+// Types this device can play, in registration order
+export function availableQuestionTypes() {
+  return Array.from(registry.values()).filter(type => !type.available || type.available());
+}
+
+// The type to use for `q`: the requested one if this item and device support it,
+// otherwise the default picture-to-word question
+export function resolveQuestionType(id, q, ctx) {
+  const type = registry.get(id);
+  if (type && (!type.available || type.available()) && (!type.supports || type.supports(q, ctx))) return type;
+  return registry.get(DEFAULT_TYPE);
+}
+
+[pictureToWord, wordToPicture, listen, typeAnswer, matchPairs].forEach(registerQuestionType);
+
+// Keep the dataset's list of known ids and the registry in step
+TYPE_IDS.forEach(function (id) {
+  if (!registry.has(id)) console.warn('Question type "' + id + '" is listed in js/dataset.js but not implemented');
+});
@@ -0,0 +1,358 @@
+// Kulture quiz session
+// The quiz without the page: which items a round asks, tries, points, streaks and
+// stars, moving on and finishing a level. quiz.js and scripts/quiz-frontend.js render from it
+// and react to its events. Nothing here touches the DOM or storage (callers persist
+// what the events report), so the same rules run in Node under `npm test`.
+//
+// Events (session.on(name, fn) returns a function that removes the listener):
+//   start     { level, practice, review, questions }          a round begins or resumes
+//   question  { item, index, total }                          a question is now current
+//   answer    { item, correct, picked, attempts, outOfTries } every try, right or wrong
+//   hint      { item, hints }                                 a hint was taken
+//   result    { item, firstTry, attempts, hints, wrong, ms, practice, points, streak }
+//                                                             once per question
+//   complete  { level, practice, review, firstTry, total, nextLevel, score, stars,
+//               bestStreak, missed }                          the last question is done
+import { parseDataset, itemsForLevel, levelsOf } from './dataset.js';
+import { recordAnswer, selectItems, weakItems } from './mastery.js';
+import { createRandom, shuffle } from './rng.js';
+import { DEFAULT_POLICY, wrongTriesAllowed } from './answer-policy.js';
+
+// Questions in a normal round
+export const ROUND_SIZE = 5;
+
+// Points for a question by the wrong tries before the right answer; a revealed or
+// skipped answer scores nothing
+export const POINTS = [10, 5, 2];
+
+export function pointsFor(attempts, missed, hints) {
+  if (missed) return 0;
+  return POINTS[Math.min(attempts + (hints || 0), POINTS.length - 1)];
+}
+
+// Hints a question can give, taken in this order (js/learn.js HINT_KINDS words them). Each costs
+// a step of points like a wrong try, and a hinted answer is not a first-try answer.
+export const MAX_HINTS = 3;
+
+// 1-3 stars for a finished round: all first try is three stars, most of them two,
+// and finishing at all earns one
+export function starsFor(firstTry, total) {
+  if (!total) return 0;
+  const ratio = firstTry / total;
+  if (ratio >= 1) return 3;
+  if (ratio >= 0.6) return 2;
+  return 1;
+}
+
+// options: { seed, random, now, roundSize, mastery, policy }
+// `seed` (number or string) makes every shuffle repeatable; otherwise `random`
+// (default Math.random) is used. `mastery` is the player's spaced-repetition records
+// and `policy` what a wrong answer leads to (js/answer-policy.js).
+export function createQuizSession(options) {
+  options = options || {};
+  const random = options.seed != null ? createRandom(options.seed) : (options.random || Math.random);
+  const now = options.now || Date.now;
+  const roundSize = options.roundSize || ROUND_SIZE;
+  const listeners = {};
+
+  let items = [];
+  let levels = [];
+  let questionTypes = {};
+  let labels = new Map();
+  let mastery = options.mastery || {};
+  let policy = options.policy || DEFAULT_POLICY;
+
+  // The round being played
+  let questions = [];
+  let index = 0;
+  let level = 1;
+  let practice = false;
+  // A review round re-asks the items missed in a level round; it is also a practice round
+  let review = false;
+  let firstTry = 0;
+  let score = 0;
+  // Questions in a row right on the first try, and the longest run this round
+  let streak = 0;
+  let bestStreak = 0;
+  let complete = false;
+  // Items answered wrong or revealed this round, for a review round after it
+  let mistakes = [];
+  // The current question: wrong tries, hints taken, wrong labels picked, whether it is settled
+  let attempts = 0;
+  let hints = 0;
+  let wrong = [];
+  let answered = false;
+  let shownAt = 0;
+
+  function emit(name, detail) {
+    (listeners[name] || []).slice().forEach(fn => fn(detail));
+  }
+
+  function on(name, fn) {
+    (listeners[name] = listeners[name] || []).push(fn);
+    return function () {
+      listeners[name] = (listeners[name] || []).filter(f => f !== fn);
+    };
+  }
+
+  // Parse `api/questions.json` (or a legacy array) and index it. Throws when it has no items.
+  function load(json) {
+    const parsed = parseDataset(json);
+    if (!parsed.items.length) throw new Error('No questions found');
+    items = parsed.items;
+    levels = levelsOf(items);
+    questionTypes = parsed.questionTypes;
+    labels = new Map(items.filter(d => d.label).map(d => [d.label, d]));
+    return items;
+  }
+
+  function requireItems() {
+    if (!items.length) throw new Error('No questions loaded');
+  }
+
+  function lastLevel() {
+    return levels.length ? levels[levels.length - 1] : 1;
+  }
+
+  // Levels outside the dataset's range play its first or last level
+  function clampLevel(n) {
+    n = Math.floor(Number(n)) || 1;
+    if (!levels.length) return n;
+    return Math.min(Math.max(n, levels[0]), lastLevel());
+  }
+
+  function current() {
+    return questions[index] || null;
+  }
+
+  function showQuestion() {
+    attempts = 0;
+    hints = 0;
+    wrong = [];
+    answered = false;
+    shownAt = now();
+    emit('question', { item: current(), index: index, total: questions.length });
+  }
+
+  // kind: { practice, review }; `saved` continues a round part-way: { index, firstTry,
+  // score, missed }
+  function begin(list, atLevel, kind, saved) {
+    saved = saved || {};
+    questions = list;
+    level = atLevel;
+    review = !!kind.review;
+    practice = !!kind.practice || review;
+    index = saved.index || 0;
+    firstTry = saved.firstTry || 0;
+    score = saved.score || 0;
+    mistakes = saved.missed || [];
+    streak = 0;
+    bestStreak = 0;
+    complete = false;
+    emit('start', { level: level, practice: practice, review: review, questions: questions.slice() });
+    showQuestion();
+    return questions.slice();
+  }
+
+  // A round of `count` items from `stage`: due and weak items first (js/mastery.js).
+  // A level with too few items borrows from the whole dataset.
+  function startLevel(stage, count) {
+    requireItems();
+    const n = clampLevel(stage);
+    count = count || roundSize;
+    const pool = itemsForLevel(items, n);
+    const source = pool.length >= Math.min(count, items.length) ? pool : items;
+    return begin(selectItems(source, mastery, Math.min(count, source.length), { random: random, now: now() }), n, {});
+  }
+
+  // A round of the items the child keeps missing, across all levels. Returns [] (and
+  // starts nothing) when there are none.
+  function startPractice(count) {
+    requireItems();
+    const weak = weakItems(items, mastery);
+    if (!weak.length) return [];
+    return begin(shuffle(weak.slice(0, count || roundSize), random), level, { practice: true });
+  }
+
+  // A round of exactly these items, e.g. a random pick for the detection demo.
+  // opts: { level, practice, review }; a review round is the `missed` list of a
+  // finished level round.
+  function startRound(list, opts) {
+    opts = opts || {};
+    if (!list || !list.length) throw new Error('A round needs at least one question');
+    return begin(list.slice(), clampLevel(opts.level || level), { practice: opts.practice, review: opts.review });
+  }
+
+  // Continue a round saved by progress(). Returns false when the dataset has changed
+  // since, so the caller can start the level afresh.
+  function resume(saved) {
+    requireItems();
+    if (!saved || !Array.isArray(saved.ids)) return false;
+    const byId = new Map(items.map(d => [d.id, d]));
+    const restored = saved.ids.map(id => byId.get(id)).filter(Boolean);
+    if (!restored.length || restored.length !== saved.ids.length) return false;
+    if (!(saved.index >= 0 && saved.index < restored.length)) return false;
+    // Missed items the dataset no longer has are left out of the review
+    const missedItems = (saved.missed || []).map(id => byId.get(id)).filter(Boolean);
+    begin(restored, clampLevel(saved.level), {}, { index: saved.index, firstTry: saved.firstTry, score: saved.score, missed: missedItems });
+    return true;
+  }
+
+  // Record the current question as done: points, streak, box moves in `mastery` and
+  // the result event. `missed` is set when the answer was revealed.
+  function settle(missed) {
+    const item = current();
+    const clean = attempts === 0 && hints === 0 && !missed;
+    const points = pointsFor(attempts, missed, hints);
+    answered = true;
+    score += points;
+    if (clean) {
+      firstTry++;
+      streak++;
+      bestStreak = Math.max(bestStreak, streak);
+    } else {
+      streak = 0;
+    }
+    // A hint is not a mistake; a wrong try or a revealed answer is
+    if ((attempts > 0 || missed) && mistakes.indexOf(item) === -1) mistakes.push(item);
+    if (item.id) recordAnswer(mastery, item.id, clean, now());
+    emit('result', {
+      item: item,
+      firstTry: clean,
+      attempts: attempts,
+      hints: hints,
+      wrong: wrong.slice(),
+      ms: shownAt ? now() - shownAt : 0,
+      practice: practice,
+      points: points,
+      streak: streak
+    });
+  }
+
+  // One try at the current question; `picked` is the wrong label chosen, if any.
+  // Wrong tries may be repeated as long as the policy allows; `outOfTries` says the
+  // caller should reveal() the answer now. Returns null once the question is settled.
+  function answer(correct, picked) {
+    const item = current();
+    if (!item || answered || complete) return null;
+    if (!correct) {
+      attempts++;
+      if (picked && wrong.indexOf(picked) === -1) wrong.push(picked);
+    }
+    const outOfTries = !correct && attempts >= wrongTriesAllowed(policy);
+    emit('answer', { item: item, correct: !!correct, picked: picked || null, attempts: attempts, outOfTries: outOfTries });
+    if (correct) settle();
+    return { correct: !!correct, attempts: attempts, done: answered, outOfTries: outOfTries };
+  }
+
+  // Take the next hint for the current question. Returns the number taken so far, or
+  // null when the question is settled or all of its hints are out.
+  function hint() {
+    const item = current();
+    if (!item || answered || complete || hints >= MAX_HINTS) return null;
+    hints++;
+    emit('hint', { item: item, hints: hints });
+    return hints;
+  }
+
+  // Give up on the current question: it counts as missed
+  function reveal() {
+    if (!current() || answered || complete) return null;
+    attempts = Math.max(attempts, 1);
+    settle(true);
+    return { correct: false, attempts: attempts, done: true };
+  }
+
+  // Move to the next question, skipping (and so missing) an unanswered one.
+  // Returns the new question, or null when the round is complete.
+  function next() {
+    if (complete || !questions.length) return null;
+    if (!answered) reveal();
+    if (index < questions.length - 1) {
+      index++;
+      showQuestion();
+      return current();
+    }
+    complete = true;
+    const after = levels.find(l => l > level);
+    emit('complete', {
+      level: level,
+      practice: practice,
+      review: review,
+      firstTry: firstTry,
+      total: questions.length,
+      nextLevel: after == null ? null : after,
+      score: score,
+      stars: starsFor(firstTry, questions.length),
+      bestStreak: bestStreak,
+      missed: mistakes.slice()
+    });
+    return null;
+  }
+
+  // What to save so the round can be resumed: the index is past a settled question
+  function progress() {
+    return {
+      level: level,
+      ids: questions.map(q => q.id),
+      index: answered ? index + 1 : index,
+      firstTry: firstTry,
+      score: score,
+      missed: mistakes.map(q => q.id)
+    };
+  }
+
+  // The question type the dataset plans for the current item: `roundType` when the
+  // player chose one, else the item level's types in turn. null means the default.
+  function plannedType(roundType) {
+    if (roundType) return roundType;
+    const item = current();
+    const list = item && questionTypes[item.level];
+    return list && list.length ? list[index % list.length] : null;
+  }
+
+  // Give an unlabelled item a label (e.g. from image detection) and index it
+  function setLabel(item, label) {
+    if (!item || !label) return;
+    item.label = label;
+    labels.set(label, item);
+  }
+
+  return {
+    random: random,
+    on: on,
+    load: load,
+    setMastery: function (records) { mastery = records || {}; },
+    setPolicy: function (name) { policy = name || DEFAULT_POLICY; },
+    startLevel: startLevel,
+    startPractice: startPractice,
+    startRound: startRound,
+    resume: resume,
+    answer: answer,
+    hint: hint,
+    reveal: reveal,
+    next: next,
+    current: current,
+    progress: progress,
+    plannedType: plannedType,
+    setLabel: setLabel,
+    itemByLabel: function (label) { return labels.get(label) || null; },
+    hasWeakItems: function () { return weakItems(items, mastery).length > 0; },
+    get items() { return items; },
+    get levels() { return levels.slice(); },
+    get lastLevel() { return lastLevel(); },
+    get questions() { return questions.slice(); },
+    get index() { return index; },
+    get level() { return level; },
+    get practice() { return practice; },
+    get review() { return review; },
+    get policy() { return policy; },
+    get firstTry() { return firstTry; },
+    get score() { return score; },
+    get streak() { return streak; },
+    get attempts() { return attempts; },
+    get hints() { return hints; },
+    get answered() { return answered; },
+    get complete() { return complete; }
+  };
+}
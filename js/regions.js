@@ -0,0 +1,114 @@
+// Kulture regions of Kenya
+// Simplified outlines of the regions the dataset's `regions` field refers to (REGIONS
+// in js/dataset.js, Kenya's eight former provinces) for the Explore page's map
+// (explore.html), and the gallery filters. Outlines are [longitude, latitude] points,
+// traced coarsely so neighbouring regions share their corners; they are for finding a
+// region, not for measuring. DOM-free so the map and filters can be tested.
+
+export const REGION_SHAPES = [
+  {
+    id: 'nairobi',
+    label: [36.88, -1.3],
+    outline: [[36.65, -1.16], [37.1, -1.16], [37.1, -1.45], [36.65, -1.45]]
+  },
+  {
+    id: 'central',
+    label: [36.9, -0.5],
+    outline: [[36.3, -0.1], [37.0, 0.15], [37.45, -0.2], [37.5, -0.9], [37.1, -1.16], [36.65, -1.16], [36.4, -0.9]]
+  },
+  {
+    id: 'coast',
+    label: [39.4, -2.9],
+    outline: [
+      [41.3, -1.3], [41.56, -1.66], [40.9, -2.3], [40.2, -2.9], [39.7, -4.0], [39.2, -4.68],
+      [37.7, -3.4], [37.6, -2.9], [38.6, -1.4], [38.9, -0.2], [40.2, -2.0]
+    ]
+  },
+  {
+    id: 'eastern',
+    label: [38.2, 1.6],
+    outline: [
+      [36.6, 4.4], [38.1, 3.6], [39.1, 3.5], [39.6, 3.55], [39.3, 1.0], [38.9, -0.2], [38.6, -1.4],
+      [37.6, -2.9], [37.2, -1.7], [37.1, -1.45], [37.1, -1.16], [37.5, -0.9], [37.45, -0.2],
+      [37.0, 0.15], [37.3, 0.3], [37.6, 1.0], [37.4, 1.6], [36.6, 2.4], [36.3, 3.2]
+    ]
+  },
+  {
+    id: 'north-eastern',
+    label: [40.3, 1.6],
+    outline: [
+      [39.6, 3.55], [40.8, 4.0], [41.9, 3.95], [41.0, 2.8], [41.0, -0.9], [41.3, -1.3], [40.2, -2.0],
+      [38.9, -0.2], [39.3, 1.0]
+    ]
+  },
+  {
+    id: 'nyanza',
+    label: [34.65, -0.75],
+    outline: [[34.0, -1.0], [34.8, -1.45], [35.1, -0.8], [35.3, -0.2], [34.9, 0.1], [34.0, 0.1]]
+  },
+  {
+    id: 'rift-valley',
+    label: [35.8, 1.3],
+    outline: [
+      [34.4, 4.6], [35.9, 4.6], [36.6, 4.4], [36.3, 3.2], [36.6, 2.4], [37.4, 1.6], [37.6, 1.0],
+      [37.3, 0.3], [37.0, 0.15], [36.3, -0.1], [36.4, -0.9], [36.65, -1.16], [36.65, -1.45],
+      [37.1, -1.45], [37.2, -1.7], [37.6, -2.9], [36.8, -2.55], [34.8, -1.45], [35.1, -0.8],
+      [35.3, -0.2], [34.9, 0.1], [35.0, 0.6], [34.8, 1.1], [34.6, 1.2], [35.0, 2.5]
+    ]
+  },
+  {
+    id: 'western',
+    label: [34.5, 0.55],
+    outline: [[34.0, 0.1], [34.9, 0.1], [35.0, 0.6], [34.8, 1.1], [34.6, 1.2], [34.1, 0.6]]
+  }
+];
+
+// Lakes drawn over the regions, for orientation only
+export const LAKES = [
+  { id: 'victoria', outline: [[33.3, -1.2], [34.0, -1.0], [34.3, -0.5], [34.8, -0.3], [34.4, -0.1], [34.0, 0.1], [33.3, 0.4]] },
+  { id: 'turkana', outline: [[36.0, 4.5], [36.3, 4.2], [36.2, 3.5], [36.6, 2.5], [36.4, 2.4], [35.9, 3.4], [35.8, 4.2]] }
+];
+
+// Categories the map lists for a region: the things people make, wear and play
+export const MAP_CATEGORIES = ['food', 'clothing', 'instruments'];
+
+// The map's SVG viewBox and the projection into it (plain longitude/latitude scaling,
+// fine this close to the equator)
+const WEST = 33.2;
+const NORTH = 5.0;
+const SCALE = 48;
+export const MAP_VIEWBOX = '0 0 420 470';
+
+export function project(point) {
+  return [Math.round((point[0] - WEST) * SCALE * 10) / 10, Math.round((NORTH - point[1]) * SCALE * 10) / 10];
+}
+
+// SVG path data for an outline
+export function outlinePath(outline) {
+  return outline.map((point, i) => (i ? 'L' : 'M') + project(point).join(' ')).join(' ') + ' Z';
+}
+
+export function regionById(id) {
+  return REGION_SHAPES.find(r => r.id === id) || null;
+}
+
+// Items the Explore gallery shows for the chosen filters; an empty or missing filter
+// matches everything. filters: { category, level, region }
+export function filterItems(items, filters) {
+  filters = filters || {};
+  return items.filter(function (item) {
+    if (filters.category && item.category !== filters.category) return false;
+    if (filters.level && Number(item.level) !== Number(filters.level)) return false;
+    if (filters.region && item.regions.indexOf(filters.region) === -1) return false;
+    return true;
+  });
+}
+
+// What the map shows for a region: { food: [items], clothing: [...], instruments: [...] }
+export function regionItems(items, regionId) {
+  const groups = {};
+  MAP_CATEGORIES.forEach(function (category) {
+    groups[category] = items.filter(item => item.category === category && item.regions.indexOf(regionId) !== -1);
+  });
+  return groups;
+}
@@ -1,20 +1,99 @@
 /*
   Service Worker Registration
-  Registers the service worker for offline support and request interception
-  SW Path: /api/sw.js
+  Registers the service worker for offline support and request interception,
+  and shows an "update available" prompt when a new version has been installed.
+  SW Path: /sw.js (entry point for api/sw.js, kept at the root so it controls every page)
 */
 
-if ('serviceWorker' in navigator) {
+(function () {
+  if (!('serviceWorker' in navigator)) {
+    // Graceful fallback for browsers without service worker support
+    console.warn('Service workers not supported in this browser.');
+    return;
+  }
+
+  // Ask the waiting worker to take over; the page reloads on controllerchange
+  function showUpdatePrompt(worker) {
+    if (document.getElementById('sw-update-banner')) return;
+    const banner = document.createElement('div');
+    banner.id = 'sw-update-banner';
+    banner.className = 'sw-update-banner';
+    banner.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = 'A new version of Kulture is available.';
+    text.setAttribute('data-i18n', 'update.available');
+
+    const reloadBtn = document.createElement('button');
+    reloadBtn.type = 'button';
+    reloadBtn.className = 'btn btn-primary';
+    reloadBtn.textContent = 'Update now';
+    reloadBtn.setAttribute('data-i18n', 'update.now');
+    reloadBtn.addEventListener('click', function () {
+      reloadBtn.disabled = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    const laterBtn = document.createElement('button');
+    laterBtn.type = 'button';
+    laterBtn.className = 'btn btn-outline';
+    laterBtn.textContent = 'Later';
+    laterBtn.setAttribute('data-i18n', 'update.later');
+    laterBtn.addEventListener('click', function () { banner.remove(); });
+
+    banner.appendChild(text);
+    banner.appendChild(reloadBtn);
+    banner.appendChild(laterBtn);
+    document.body.appendChild(banner);
+
+    // This is a classic script, so the translations are loaded on demand
+    import('/js/i18n.js').then(function (i18n) {
+      return i18n.initI18n().then(function () { i18n.translateDom(banner); });
+    }).catch(function () {});
+  }
+
+  function watchForUpdates(reg) {
+    // A worker may already be waiting from an earlier visit
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+    reg.addEventListener('updatefound', function () {
+      const installing = reg.installing;
+      if (!installing) return;
+      installing.addEventListener('statechange', function () {
+        // Only prompt when replacing an existing worker, not on the very first install
+        if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdatePrompt(installing);
+        }
+      });
+    });
+  }
+
+  // clients.claim() also fires controllerchange on the first install; only reload
+  // when an existing worker was replaced
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', function () {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
   // Wait for page load before registering service worker to avoid blocking
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/api/sw.js').then((reg) => {
+    // Earlier releases registered /api/sw.js, whose scope only covered /api/
+    navigator.serviceWorker.getRegistrations().then((regs) => {
+      regs.forEach((r) => {
+        const w = r.active || r.waiting || r.installing;
+        if (w && new URL(w.scriptURL).pathname === '/api/sw.js') r.unregister();
+      });
+    }).catch(() => {});
+
+    // The worker imports the shared dataset helpers, so it runs as a module
+    navigator.serviceWorker.register('/sw.js', { type: 'module', scope: '/' }).then((reg) => {
       console.log('Service worker registered.', reg);
+      watchForUpdates(reg);
     }).catch((err) => {
       // Log but don't block app if service worker fails to register
       console.warn('Service worker registration failed:', err);
     });
   });
-} else {
-  // Graceful fallback for browsers without service worker support
-  console.warn('Service workers not supported in this browser.');
-}
+})();
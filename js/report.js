@@ -0,0 +1,177 @@
+// Kulture progress report
+// Reads each profile's locally stored answer history and renders per-child accuracy
+// by level and item, time spent, most-confused items and the trend over sessions.
+// Adults can download the raw answers as CSV or print the page for school records.
+import { loadProfiles, masteryKey } from './profiles.js';
+import { loadHistory, summarizeHistory, historyToCsv } from './history.js';
+import { loadMastery, MAX_BOX } from './mastery.js';
+import { initI18n, t, mountLanguageSwitcher, getLocale, LOCALE_CHANGE_EVENT } from './i18n.js';
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes >= 60) return t('report.durationHours', { h: Math.floor(minutes / 60), m: minutes % 60 });
+  return minutes ? t('report.durationMinutes', { m: minutes, s: seconds }) : t('report.durationSeconds', { s: seconds });
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Build a <table> from a header row and an array of row arrays
+function table(caption, headers, rows) {
+  const t = el('table', 'report-table');
+  t.appendChild(el('caption', null, caption));
+  const thead = el('thead');
+  const headRow = el('tr');
+  headers.forEach(h => { const th = el('th', null, h); th.scope = 'col'; headRow.appendChild(th); });
+  thead.appendChild(headRow);
+  t.appendChild(thead);
+  const tbody = el('tbody');
+  rows.forEach(function (cells) {
+    const tr = el('tr');
+    cells.forEach(c => tr.appendChild(el('td', null, c)));
+    tbody.appendChild(tr);
+  });
+  t.appendChild(tbody);
+  return t;
+}
+
+function statCard(label, value) {
+  const card = el('div', 'report-stat');
+  card.appendChild(el('span', 'report-stat-value', value));
+  card.appendChild(el('span', 'report-stat-label', label));
+  return card;
+}
+
+// First-try accuracy per session as a row of bars (oldest on the left)
+function trendChart(sessions) {
+  const wrap = el('figure', 'report-trend');
+  wrap.appendChild(el('figcaption', null, t('report.trend')));
+  const bars = el('div', 'report-trend-bars');
+  sessions.slice(-20).forEach(function (s) {
+    const bar = el('div', 'report-trend-bar');
+    bar.style.setProperty('--value', s.accuracy + '%');
+    bar.title = t('report.trendBar', { date: formatDate(s.at), accuracy: s.accuracy, count: s.answered });
+    bar.setAttribute('aria-label', bar.title);
+    bar.appendChild(el('span', null, s.accuracy + '%'));
+    bars.appendChild(bar);
+  });
+  wrap.appendChild(bars);
+  return wrap;
+}
+
+function renderChild(profile) {
+  const section = el('section', 'report-child');
+  section.appendChild(el('h2', 'report-child-name', profile.avatar + ' ' + profile.name));
+
+  const entries = loadHistory(profile.id);
+  if (!entries.length) {
+    section.appendChild(el('p', 'report-empty', t('report.noAnswers')));
+    return section;
+  }
+  const summary = summarizeHistory(entries);
+  const mastery = loadMastery(undefined, masteryKey(profile.id));
+
+  const stats = el('div', 'report-stats');
+  stats.appendChild(statCard(t('report.answered'), String(summary.totals.answered)));
+  stats.appendChild(statCard(t('report.firstTry'), summary.totals.accuracy + '%'));
+  stats.appendChild(statCard(t('report.timeSpent'), formatDuration(summary.totals.totalMs)));
+  stats.appendChild(statCard(t('report.sessions'), String(summary.sessions.length)));
+  stats.appendChild(statCard(t('report.unlocked'), String(profile.progress.unlockedLevel)));
+  section.appendChild(stats);
+
+  section.appendChild(table(t('report.perLevel'), [t('report.colLevel'), t('report.colAnswered'), t('report.colFirstTry'), t('report.colAvgTime')],
+    summary.levels.map(l => [t('report.levelN', { level: l.level }), String(l.answered), l.accuracy + '%', formatDuration(l.avgMs)])));
+
+  if (summary.sessions.length > 1) section.appendChild(trendChart(summary.sessions));
+
+  if (summary.confusions.length) {
+    section.appendChild(table(t('report.confused'), [t('report.colPicture'), t('report.colPicked'), t('report.colTimes')],
+      summary.confusions.slice(0, 8).map(c => [c.label, c.picked, String(c.count)])));
+  }
+
+  section.appendChild(table(t('report.perItem'), [t('report.colItem'), t('report.colLevel'), t('report.colCategory'), t('report.colAnswered'),
+    t('report.colFirstTry'), t('report.colAvgTime'), t('report.colMastery')],
+    summary.items.map(i => [
+      i.label || i.itemId,
+      String(i.level),
+      i.category || '',
+      String(i.answered),
+      i.accuracy + '%',
+      formatDuration(i.avgMs),
+      !i.pack && mastery[i.itemId] ? t('report.box', { box: mastery[i.itemId].box, max: MAX_BOX }) : '—'
+    ])));
+
+  section.appendChild(el('p', 'report-range', t('report.range', { from: formatDate(entries[0].at), to: formatDate(entries[entries.length - 1].at) })));
+  return section;
+}
+
+function download(filename, text) {
+  const blob = new Blob([text], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  const select = document.getElementById('report-child');
+  const output = document.getElementById('report-output');
+  const csvBtn = document.getElementById('btn-report-csv');
+  const printBtn = document.getElementById('btn-report-print');
+  const dateEl = document.getElementById('report-date');
+  const state = loadProfiles();
+
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+
+  state.profiles.forEach(function (p) {
+    const opt = el('option', null, p.avatar + ' ' + p.name);
+    opt.value = p.id;
+    select.appendChild(opt);
+  });
+
+  function selectedProfiles() {
+    return select.value ? state.profiles.filter(p => p.id === select.value) : state.profiles;
+  }
+
+  function render() {
+    if (dateEl) dateEl.textContent = t('report.generated', { date: formatDate(Date.now()) });
+    output.innerHTML = '';
+    const chosen = selectedProfiles();
+    if (!chosen.length) {
+      output.appendChild(el('p', 'report-empty', t('report.noPlayers')));
+      csvBtn.disabled = true;
+      return;
+    }
+    csvBtn.disabled = false;
+    chosen.forEach(p => output.appendChild(renderChild(p)));
+  }
+
+  select.addEventListener('change', render);
+  document.addEventListener(LOCALE_CHANGE_EVENT, render);
+  csvBtn.addEventListener('click', function () {
+    const rows = [];
+    selectedProfiles().forEach(function (p) {
+      loadHistory(p.id).forEach(entry => rows.push({ child: p.name, entry: entry }));
+    });
+    const who = select.value ? selectedProfiles()[0].name.replace(/[^\w-]+/g, '-') : 'all-children';
+    download('kulture-report-' + who + '-' + new Date().toISOString().slice(0, 10) + '.csv', historyToCsv(rows));
+  });
+  printBtn.addEventListener('click', function () { window.print(); });
+
+  render();
+});
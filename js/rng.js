@@ -0,0 +1,44 @@
+// Kulture random numbers
+// A small seedable generator so a round can be replayed exactly (tests, shared links).
+// Everything that shuffles takes a `random` function returning numbers in [0, 1);
+// pass Math.random for a fresh round or createRandom(seed) for a repeatable one.
+
+// 32-bit hash of a string seed (FNV-1a)
+function hashSeed(seed) {
+  const s = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Mulberry32: fast, tiny and good enough for shuffling quiz items.
+// The same seed (number or string) always gives the same sequence.
+export function createRandom(seed) {
+  let a = typeof seed === 'number' && Number.isFinite(seed) ? seed >>> 0 : hashSeed(seed);
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle of a copy of `arr`
+export function shuffle(arr, random) {
+  random = random || Math.random;
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = a[i]; a[i] = a[j]; a[j] = tmp;
+  }
+  return a;
+}
+
+// Up to `n` distinct items from `arr`, in random order
+export function sample(arr, n, random) {
+  return shuffle(arr, random).slice(0, Math.max(0, n));
+}
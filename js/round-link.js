@@ -0,0 +1,81 @@
+// Kulture challenge links
+// "Challenge a friend" turns a finished round into a quiz.html link that replays it on
+// another device: the same questions in the same order with the same choices (each
+// question's choices are shuffled with choiceRandom(seed, index) from
+// js/question-api.js), and the sender's score to beat. A link names its questions by
+// id, or leaves them to the seed, level and category exactly like /api/question does,
+// so a teacher can also hand out quiz.html?seed=lions&level=2. Only the built-in
+// questions can be shared; packs live on one device. DOM-free.
+import { pickQuestions } from './question-api.js';
+import { ROUND_SIZE } from './quiz-session.js';
+
+// Longest sender name a link carries
+export const MAX_NAME = 24;
+
+// A short random seed for a new round, e.g. "k3v9q2"
+export function newSeed(random) {
+  random = random || Math.random;
+  let seed = '';
+  while (seed.length < 6) seed += Math.floor(random() * 36).toString(36);
+  return seed;
+}
+
+// The quiz page URL for `link`: { seed, ids, level, category, count, type, by, score }.
+// `base` is the quiz page's own URL; its other parameters are dropped.
+export function roundLink(base, link) {
+  const url = new URL(base);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('seed', link.seed);
+  if (link.ids && link.ids.length) url.searchParams.set('ids', link.ids.join(','));
+  if (link.level != null) url.searchParams.set('level', String(link.level));
+  if (link.category) url.searchParams.set('category', link.category);
+  if (link.count != null) url.searchParams.set('count', String(link.count));
+  if (link.type) url.searchParams.set('type', link.type);
+  if (link.by) url.searchParams.set('by', String(link.by).slice(0, MAX_NAME));
+  if (link.score != null) url.searchParams.set('score', String(link.score));
+  return url.href;
+}
+
+// The link in a page's query parameters, or null without a seed. Values that make no
+// sense are left out rather than refused, so a hand-typed link still plays.
+export function readRoundLink(params) {
+  const seed = params.get('seed');
+  if (!seed) return null;
+  const level = parseInt(params.get('level'), 10);
+  const count = parseInt(params.get('count'), 10);
+  const score = parseInt(params.get('score'), 10);
+  const ids = (params.get('ids') || '').split(',').map(id => id.trim()).filter(Boolean);
+  return {
+    seed: seed.slice(0, 64),
+    ids: ids.length ? ids : null,
+    level: level >= 1 ? level : null,
+    category: params.get('category') || null,
+    count: count >= 1 ? Math.min(count, 20) : null,
+    type: params.get('type') || null,
+    by: (params.get('by') || '').trim().slice(0, MAX_NAME) || null,
+    score: score >= 0 ? score : null
+  };
+}
+
+// The questions of a linked round from the parsed dataset `items`. Named items come in
+// their order; if the dataset has changed and one is gone, the seed picks instead.
+export function roundItems(items, link) {
+  if (link.ids) {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const named = link.ids.map(id => byId.get(id)).filter(item => item && item.label);
+    if (named.length === link.ids.length) return named;
+  }
+  return pickQuestions(items, {
+    seed: link.seed,
+    level: link.level,
+    category: link.category,
+    count: link.count || ROUND_SIZE
+  });
+}
+
+// How a score compares with the friend's: 'win', 'lose' or 'tie'
+export function versus(mine, theirs) {
+  if (mine === theirs) return 'tie';
+  return mine > theirs ? 'win' : 'lose';
+}
@@ -0,0 +1,82 @@
+// Kulture pronunciation
+// Speaks quiz words for children who cannot read the answer buttons yet. A recorded
+// file from the dataset (`audio`) is preferred; otherwise the browser's speech
+// synthesis reads the label in the current language's voice.
+import { getLocale, localeInfo, itemLabel } from './i18n.js';
+
+let playing = null;
+
+function synth() {
+  return globalThis.speechSynthesis && globalThis.SpeechSynthesisUtterance ? globalThis.speechSynthesis : null;
+}
+
+// True when there is some way to pronounce words on this device
+export function canSpeak() {
+  return !!(synth() || globalThis.Audio);
+}
+
+// Recorded audio for an item in the current locale (or its `default` recording)
+export function audioFor(item, locale) {
+  const audio = (item && item.audio) || {};
+  return audio[locale || getLocale()] || audio.default || null;
+}
+
+export function stopSpeaking() {
+  if (playing) {
+    playing.pause();
+    playing = null;
+  }
+  const s = synth();
+  if (s) s.cancel();
+}
+
+// Prefer a voice for the exact language tag, then any voice for the base language
+function pickVoice(lang) {
+  const voices = synth().getVoices() || [];
+  const base = lang.toLowerCase().split('-')[0];
+  return voices.find(v => v.lang.toLowerCase() === lang.toLowerCase()) ||
+    voices.find(v => v.lang.toLowerCase().split(/[-_]/)[0] === base) || null;
+}
+
+// Read `text` aloud with speech synthesis. Resolves when speaking ends.
+export function speakText(text, locale) {
+  const s = synth();
+  if (!s || !text) return Promise.resolve(false);
+  const lang = localeInfo(locale || getLocale()).speech || locale || getLocale();
+  return new Promise(function (resolve) {
+    s.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    const voice = pickVoice(lang);
+    if (voice) utterance.voice = voice;
+    // Slower than conversation so young children can follow
+    utterance.rate = 0.85;
+    utterance.onend = function () { resolve(true); };
+    utterance.onerror = function () { resolve(false); };
+    s.speak(utterance);
+  });
+}
+
+function playFile(src) {
+  return new Promise(function (resolve, reject) {
+    const audio = new Audio(src);
+    playing = audio;
+    audio.onended = function () { if (playing === audio) playing = null; resolve(true); };
+    audio.onerror = function () { if (playing === audio) playing = null; reject(new Error('Could not play ' + src)); };
+    audio.play().catch(reject);
+  });
+}
+
+// Pronounce a dataset item: its recording if there is one, else its localised label
+export async function pronounce(item) {
+  stopSpeaking();
+  const src = audioFor(item);
+  if (src && globalThis.Audio) {
+    try {
+      return await playFile(src);
+    } catch (err) {
+      console.debug(err.message);
+    }
+  }
+  return speakText(itemLabel(item));
+}
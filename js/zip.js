@@ -0,0 +1,97 @@
+// Minimal zip reader for question packs
+// Reads the central directory of a .zip and inflates its entries with the built-in
+// DecompressionStream, so no library is needed in the page, the service worker or
+// Node. Supports stored and deflated entries; encrypted and Zip64 archives are refused.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Most bytes readZip will unpack in all, so a small archive cannot fill the memory
+export const MAX_UNZIPPED_BYTES = 100 * 1024 * 1024;
+
+// Zip files start with a local file header ("PK\x03\x04")
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function findEndOfDirectory(view) {
+  // The record is 22 bytes plus a comment of up to 64 KiB at the very end
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error('Not a zip file: end of central directory not found');
+}
+
+function tooLarge(limit) {
+  return new Error('Zip contents are larger than ' + Math.round(limit / 1048576) + ' MB');
+}
+
+// Inflate `data`, giving up as soon as it grows past `room` bytes: the sizes in the
+// directory are only what the archive claims
+async function inflate(data, room, limit) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > room) {
+      await reader.cancel();
+      throw tooLarge(limit);
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(length);
+  let at = 0;
+  chunks.forEach(function (chunk) {
+    out.set(chunk, at);
+    at += chunk.length;
+  });
+  return out;
+}
+
+// Entries of a zip archive as a Map of path -> Uint8Array (folders are skipped).
+// options.maxBytes caps the unpacked size of all entries together (MAX_UNZIPPED_BYTES).
+export async function readZip(input, options) {
+  const limit = (options && options.maxBytes) || MAX_UNZIPPED_BYTES;
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const eocd = findEndOfDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+  const files = new Map();
+  let unzipped = 0;
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip: bad central directory entry');
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const unpackedSize = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 1) throw new Error('Encrypted zip entries are not supported: ' + name);
+    if (unzipped + Math.max(size, unpackedSize) > limit) throw tooLarge(limit);
+    if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error('Corrupt zip: bad local header for ' + name);
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(start, start + size);
+    let file;
+    if (method === 0) file = data.slice();
+    else if (method === 8) file = await inflate(data, limit - unzipped, limit);
+    else throw new Error('Unsupported zip compression method ' + method + ' for ' + name);
+    unzipped += file.length;
+    files.set(name, file);
+  }
+  return files;
+}
@@ -1,8 +1,33 @@
 // Kulture Quiz Frontend
 // Main quiz logic: loads questions, renders UI, handles user interactions, manages level progression
-import { detectObjectNinjas } from './api/api.js';
+import { detectImage, loadConfig } from './api/api.js';
+import { loadMastery, saveMastery } from './js/mastery.js';
+import { createQuizSession } from './js/quiz-session.js';
+import {
+  loadProfiles, saveProfiles, getActiveProfile, masteryKey,
+  recordLevelResult, saveRoundProgress, progressFor
+} from './js/profiles.js';
+import { openProfilePicker } from './js/profile-picker.js';
+import { BUILTIN_PACK, createPackStore, getActivePack, setActivePack } from './js/packs.js';
+import { openPackPicker, loadPackDataset, packFromLink } from './js/pack-picker.js';
+import { appendHistory, newSessionId } from './js/history.js';
+import { loadAchievements, saveAchievements, recordResult, recordRound, awardBadges } from './js/achievements.js';
+import { createChallenge, loadHighScores, saveHighScores, qualifies, addHighScore } from './js/challenge.js';
+import { createMatch, matchQuestions, TURNS_PER_PLAYER, STEAL_POINTS } from './js/multiplayer.js';
+import { openMatchSetup } from './js/match-setup.js';
+import { loadA11ySettings, applyA11ySettings, reduceMotion, shortcutIndex, pictureDescription, createAnnouncer, createScanner } from './js/a11y.js';
+import { openA11yPanel } from './js/a11y-panel.js';
+import { createEventLog, createPostSink } from './js/analytics.js';
+import { hintsFor, firstLetter, learnLines, createPausableTimer, ELIMINATE_COUNT } from './js/learn.js';
+import { shuffle } from './js/rng.js';
+import { choiceRandom } from './js/question-api.js';
+import { newSeed, roundLink, readRoundLink, roundItems, versus } from './js/round-link.js';
+import { initI18n, t, itemLabel, getLocale, mountLanguageSwitcher, LOCALE_CHANGE_EVENT } from './js/i18n.js';
+import { canSpeak, pronounce, speakText, stopSpeaking } from './js/speech.js';
+import { DEFAULT_TYPE, availableQuestionTypes, resolveQuestionType } from './js/question-types.js';
+import { ANSWER_POLICIES, loadAnswerPolicy, saveAnswerPolicy, wrongTriesAllowed } from './js/answer-policy.js';
 
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
   // Cache DOM elements for efficient access throughout the app
   const choiceEls = [
     document.getElementById('choice1'),
@@ -14,168 +39,1208 @@ document.addEventListener('DOMContentLoaded', function () {
   const feedbackEl = document.getElementById('quiz-feedback');
   const imgEl = document.getElementById('quiz-img');
   const titleEl = document.getElementById('quiz-title');
+  const scoreEl = document.getElementById('quiz-score');
   const level1Btn = document.getElementById('level-1');
   const level2Btn = document.getElementById('level-2');
   const level3Btn = document.getElementById('level-3');
   const stageActions = document.getElementById('stage-actions');
   const promptEl = document.getElementById('stage-action-question');
+  const practiceBtn = document.getElementById('btn-practice');
+  const challengeBtn = document.getElementById('btn-challenge');
+  const clockEl = document.getElementById('challenge-clock');
+  const matchBtn = document.getElementById('btn-match');
+  const matchDialog = document.getElementById('match-dialog');
+  const boardEl = document.getElementById('match-board');
+  const a11yBtn = document.getElementById('btn-a11y');
+  const a11yDialog = document.getElementById('a11y-dialog');
+  const hintBtn = document.getElementById('btn-hint');
+  const hintEl = document.getElementById('quiz-hint');
+  const learnCardEl = document.getElementById('learn-card');
+  const profileBtn = document.getElementById('btn-profile');
+  const profileDialog = document.getElementById('profile-dialog');
+  const packBtn = document.getElementById('btn-pack');
+  const packDialog = document.getElementById('pack-dialog');
+  const quizImageEl = document.getElementById('quiz-image');
+  const picturesEl = document.getElementById('picture-choices');
+  const choicesEl = document.querySelector('.quiz-choices');
+  const speakBtn = document.getElementById('btn-speak');
+  const typeSelect = document.getElementById('question-type');
+  const policySelect = document.getElementById('answer-policy');
+  const answerAreaEl = document.getElementById('answer-area');
+  const choiceSpeakEls = Array.from(document.querySelectorAll('.choice-speak'));
 
-  // Quiz state
-  let questions = [];
-  let index = 0;
-  let currentStage = 1;
+  // Question packs installed on this device and the one being played ('' = built-in)
+  const packs = createPackStore();
+  let packId = getActivePack();
+  let packTitle = null;
+  let loadedPack = null;
+  // Profiles sharing this device and the one currently playing
+  let profiles = loadProfiles();
+  let profile = null;
+  // Spaced-repetition records of the current profile
+  let mastery = {};
+  // Points, stars, streaks and badges of the current profile (js/achievements.js) and
+  // the badges won during this round
+  let achievements = null;
+  let roundBadges = [];
+  // The timed challenge being played (js/challenge.js) and its clock, and the last
+  // finished one for the results screen: { summary, canSave, place }
+  let challenge = null;
+  let challengeTimer = null;
+  let challengeResult = null;
+  // The hot-seat match being played (js/multiplayer.js), the setup it started from
+  // (for a rematch) and whether the player whose turn it is has taken the device
+  let match = null;
+  let matchSetup = null;
+  let matchReady = false;
+  // Rounds, tries, scores and level progression (js/quiz-session.js); this file draws them
+  const session = createQuizSession({ mastery: mastery, policy: loadAnswerPolicy() });
+  // Answer history: this visit's session id
+  const sessionId = newSessionId();
+  // Anonymous item analytics for the author page (js/analytics.js); the events also go
+  // to ANALYTICS_ENDPOINT once api/config.js turns out to name one
+  let analyticsSink = null;
+  const analytics = createEventLog({ sink: { add: event => { if (analyticsSink) analyticsSink.add(event); } } });
+  // What the stage currently shows ('question', 'resume', 'complete', 'challenge',
+  // 'pass' or 'podium') so a
+  // language change can redraw it; `feedback` is the last message as { key, params }
+  let screen = null;
+  let resumeSaved = null;
+  let completedRound = null;
+  let feedback = null;
+  // The type picked for this round ('' follows the level), the current question's
+  // type and its view
+  let roundType = '';
+  let questionType = null;
+  let view = null;
+  // Challenge links (js/round-link.js): the seed shuffling this round's choices, the
+  // link the round was started from (with the friend's score), the one about to start
+  // and one opened with the page that waits until a player is picked
+  let roundSeed = newSeed();
+  let linkedRound = null;
+  // The player's own question type while a link's type is in use (null otherwise)
+  let typeBeforeLink = null;
+  let startingLink = null;
+  let pendingLink = readRoundLink(new URLSearchParams(location.search));
+  // Accessibility settings (js/a11y.js), screen-reader announcements and, with switch
+  // scanning on, the scanner stepping through the buttons
+  let a11y = null;
+  let scanner = null;
+  const announce = createAnnouncer(document.getElementById('quiz-announcer'));
+  // Hints taken for the current question (js/learn.js HINT_KINDS), the item whose learn
+  // card is open and the timer that moves on to the next question (paused while it is)
+  let hintsTaken = [];
+  let learnItem = null;
+  let advance = null;
 
-  // Fisher-Yates shuffle algorithm for randomizing choices
-  function shuffle(arr) {
-    const a = arr.slice();
-    for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      const tmp = a[i]; a[i] = a[j]; a[j] = tmp;
+  // Provide fallback image if image path is missing or broken
+  function safeImageSrc(src) {
+    if (!src) return './images/pexels-jairo-david-arboleda-621072-1425883.jpg';
+    return src;
+  }
+
+  // Localised text for a base label; labels without a dataset item are shown as-is
+  function displayLabel(label) {
+    const item = session.itemByLabel(label);
+    return item ? itemLabel(item) : label;
+  }
+
+  // Show a translated message under the picture and remember it for language changes
+  function setFeedback(key, params) {
+    feedback = key ? { key: key, params: params } : null;
+    feedbackEl.textContent = key ? t(key, params) : '';
+    if (key) announce(feedbackEl.textContent);
+  }
+
+  // Buttons switch scanning steps through: the open dialog's, else the question's and
+  // the end-of-round ones
+  const SCAN_TARGETS = '#picture-choices button, .quiz-choices .choice-btn, #answer-area button, #stage-actions button, #stage-actions a[href]';
+  function scanTargets() {
+    const dialog = document.querySelector('dialog[open]');
+    const found = dialog ? dialog.querySelectorAll('button, input, select') : document.querySelectorAll(SCAN_TARGETS);
+    return Array.from(found).filter(node => !node.disabled && node.offsetParent !== null);
+  }
+
+  function highlightScan(node) {
+    document.querySelectorAll('.scan-highlight').forEach(other => other.classList.remove('scan-highlight'));
+    if (!node) return;
+    node.classList.add('scan-highlight');
+    node.focus();
+  }
+
+  function useA11ySettings(settings) {
+    a11y = settings;
+    applyA11ySettings(a11y);
+    if (scanner) scanner.stop();
+    scanner = a11y.scanning ? createScanner({ targets: scanTargets, highlight: highlightScan, seconds: a11y.scanSeconds }) : null;
+    if (scanner) scanner.start();
+  }
+
+  function showA11yPanel() {
+    if (a11yDialog) openA11yPanel(a11yDialog, a11y, { onChange: useA11ySettings });
+  }
+
+  // End-of-round screens replace the buttons the child was on: focus the first new
+  // one (or `target`) and scan from the top
+  function focusStage(target) {
+    const first = target || (stageActions && stageActions.querySelector('button, a[href]'));
+    if (first) first.focus();
+    if (scanner) scanner.restart();
+  }
+
+  // A new question: read it out, and move focus that was lost with the last question's
+  // buttons to the heading
+  function focusQuestion() {
+    const active = document.activeElement;
+    const lost = !active || active === document.body || active.disabled || active.offsetParent === null;
+    if (lost) titleEl.focus();
+    announce(lost ? promptEl.textContent : titleEl.textContent + '. ' + promptEl.textContent);
+    if (scanner) scanner.restart();
+  }
+
+  // Hide the question while resume or end-of-round options are shown
+  function hideStage() {
+    imgEl.style.display = 'none';
+    if (quizImageEl) quizImageEl.hidden = false;
+    if (choicesEl) choicesEl.style.display = 'none';
+    if (picturesEl) picturesEl.hidden = true;
+    if (answerAreaEl) { answerAreaEl.hidden = true; answerAreaEl.innerHTML = ''; }
+    if (promptEl) promptEl.style.display = 'none';
+    if (speakBtn) speakBtn.hidden = true;
+    if (hintBtn) hintBtn.hidden = true;
+    if (hintEl) hintEl.hidden = true;
+    hideLearnCard();
+    stopSpeaking();
+  }
+
+  // Move on to the next question after `ms`, or once the learn card is closed
+  function advanceAfter(ms) {
+    if (advance) advance.cancel();
+    advance = createPausableTimer(nextQuestion, ms);
+    if (learnItem) advance.pause();
+  }
+
+  // Hints left for the question on screen; none in a challenge or a match, where
+  // everyone plays by the same points
+  function hintsLeft() {
+    const q = session.current();
+    if (screen !== 'question' || !q || !view || session.answered || challenge || match) return [];
+    return hintsFor(q, questionType, view).slice(session.hints);
+  }
+
+  function updateHintButton() {
+    if (!hintBtn) return;
+    const left = hintsLeft().length;
+    hintBtn.hidden = !left;
+    if (left) {
+      hintBtn.textContent = t('hints.button', { count: left });
+      hintBtn.setAttribute('aria-label', t('hints.buttonLabel', { count: left }));
     }
-    return a;
   }
 
-  // Extract numeric ID from question identifiers like "q5" to return 5
-  function idToNum(id) {
-    if (!id) return NaN;
-    const m = String(id).match(/q(\d+)/i);
-    return m ? Number(m[1]) : NaN;
+  function paintHints() {
+    if (!hintEl) return;
+    const q = session.current();
+    hintEl.hidden = !hintsTaken.length || !q;
+    if (hintEl.hidden) return;
+    hintEl.textContent = hintsTaken.map(function (kind) {
+      if (kind === 'category') return t('hints.category', { category: t('author.categories.' + q.category) });
+      if (kind === 'firstLetter') return t('hints.firstLetter', { letter: firstLetter(itemLabel(q)) });
+      return t('hints.eliminated', { count: ELIMINATE_COUNT });
+    }).join(' · ');
   }
 
-  // Provide fallback image if image path is missing or broken
-  function safeImageSrc(src) {
-    if (!src) return './images/pexels-jairo-david-arboleda-621072-1425883.jpg';
-    return src;
+  // The next hint; it costs points (js/quiz-session.js pointsFor)
+  function takeHint() {
+    const kind = hintsLeft()[0];
+    if (!kind) return;
+    if (kind === 'eliminate' && !view.eliminate(ELIMINATE_COUNT)) return;
+    if (session.hint() == null) return;
+    hintsTaken.push(kind);
+    paintHints();
+    updateHintButton();
+    announce(hintEl.textContent);
+    if (hintBtn && hintBtn.hidden) titleEl.focus();
   }
 
-  // Show only the active level button and hide others to reduce confusion
+  // The learn card for `item` after its question: what it is, where it comes from, how
+  // it is used. Skipped in a challenge and for items the dataset says nothing about.
+  function showLearnCard(item) {
+    if (!learnCardEl || challenge || !learnLines(item).length) return;
+    learnItem = item;
+    if (advance) advance.pause();
+    paintLearnCard();
+    learnCardEl.hidden = false;
+    announce(feedbackEl.textContent + ' ' + learnCardEl.textContent);
+    const closeBtn = learnCardEl.querySelector('button');
+    if (closeBtn) closeBtn.focus();
+    if (scanner) scanner.restart();
+  }
+
+  function paintLearnCard() {
+    if (!learnCardEl || !learnItem) return;
+    learnCardEl.innerHTML = '';
+    const title = document.createElement('h3');
+    title.id = 'learn-card-title';
+    title.className = 'learn-card-title';
+    title.textContent = t('learn.title', { label: itemLabel(learnItem) });
+    learnCardEl.appendChild(title);
+    learnLines(learnItem).forEach(function (line) {
+      const row = document.createElement('p');
+      const name = document.createElement('strong');
+      name.textContent = t('learn.' + line.field) + ' ';
+      row.appendChild(name);
+      row.appendChild(document.createTextNode(line.text));
+      learnCardEl.appendChild(row);
+    });
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'btn btn-primary';
+    closeBtn.textContent = t('learn.close');
+    closeBtn.onclick = closeLearnCard;
+    learnCardEl.appendChild(closeBtn);
+  }
+
+  function hideLearnCard() {
+    learnItem = null;
+    if (learnCardEl) {
+      learnCardEl.hidden = true;
+      learnCardEl.innerHTML = '';
+    }
+  }
+
+  // The child has read the card: carry on to the next question
+  function closeLearnCard() {
+    if (!learnItem) return;
+    hideLearnCard();
+    if (advance) advance.resume();
+  }
+
+  // Say a choice aloud: dataset items use their recording, other labels are synthesised
+  function sayLabel(label) {
+    const item = session.itemByLabel(label);
+    return item ? pronounce(item) : speakText(label);
+  }
+
+  function questionContext(q) {
+    return {
+      els: {
+        photo: quizImageEl,
+        pictures: picturesEl,
+        choices: choicesEl,
+        choiceButtons: choiceEls,
+        choiceSpeakers: choiceSpeakEls,
+        custom: answerAreaEl
+      },
+      // Wrong answers come from the whole dataset, by category (js/distractors.js)
+      candidates: session.items,
+      random: choiceRandom(roundSeed, session.index),
+      displayLabel: displayLabel,
+      say: sayLabel,
+      answer: onAnswer,
+      reveal: revealAnswer
+    };
+  }
+
+  // The round's chosen type, else the level's types from the dataset taken in turn;
+  // items a type cannot show fall back to picture-to-word
+  function typeFor(q, ctx) {
+    return resolveQuestionType(session.plannedType(roundType) || DEFAULT_TYPE, q, ctx);
+  }
+
+  // Question prompt, image text and speaker label in the current language
+  function paintPrompt(q) {
+    if (promptEl) promptEl.textContent = t(questionType.promptKey, { label: itemLabel(q) });
+    if (speakBtn) speakBtn.setAttribute('aria-label', t(questionType.speaksWord ? 'quiz.hearWord' : 'quiz.hearQuestion'));
+    imgEl.alt = questionAlt(q);
+  }
+
+  // While the question is open the photo's text must not give the answer away: the
+  // dataset's description of the picture, if it has one
+  function questionAlt(q) {
+    const description = pictureDescription(q, getLocale());
+    return description ? t('quiz.imageAltDescribed', { description: description }) : t('quiz.imageAltQuestion');
+  }
+
+  // Options for the question type picker in the current language
+  function fillTypeSelect() {
+    if (!typeSelect) return;
+    typeSelect.innerHTML = '';
+    const levelOpt = document.createElement('option');
+    levelOpt.value = '';
+    levelOpt.textContent = t('quiz.types.level');
+    typeSelect.appendChild(levelOpt);
+    availableQuestionTypes().forEach(function (type) {
+      const opt = document.createElement('option');
+      opt.value = type.id;
+      opt.textContent = t(type.nameKey);
+      typeSelect.appendChild(opt);
+    });
+    typeSelect.value = roundType;
+  }
+
+  // Options for the answer policy picker in the current language
+  function fillPolicySelect() {
+    if (!policySelect) return;
+    policySelect.innerHTML = '';
+    ANSWER_POLICIES.forEach(function (policy) {
+      const opt = document.createElement('option');
+      opt.value = policy;
+      opt.textContent = t('quiz.policy.' + (policy === 'one-retry' ? 'oneRetry' : policy));
+      policySelect.appendChild(opt);
+    });
+    policySelect.value = session.policy;
+  }
+
+  // Show the active level button plus any other level the profile has unlocked;
+  // locked levels stay hidden to reduce confusion
   function setActiveLevelButton(level) {
+    const unlocked = profile ? progressFor(profile, packId).unlockedLevel : 1;
     [level1Btn, level2Btn, level3Btn].forEach(function (b) {
       if (!b) return;
-      // Display only the current level button
-      if (Number(b.dataset.level) === level) {
-        b.style.display = '';
+      const n = Number(b.dataset.level);
+      b.style.display = (n === level || n <= unlocked) ? '' : 'none';
+      if (n === level) {
         b.classList.add('active');
         b.setAttribute('aria-pressed','true');
       } else {
-        b.style.display = 'none';
         b.classList.remove('active');
         b.setAttribute('aria-pressed','false');
       }
     });
   }
 
+  // Header chip showing who is playing; opens the profile picker
+  function updateProfileButton() {
+    if (!profileBtn) return;
+    profileBtn.textContent = profile ? profile.avatar + ' ' + profile.name : t('quiz.choosePlayer');
+    profileBtn.setAttribute('aria-label', profile ? t('quiz.playingAs', { name: profile.name }) : t('quiz.choosePlayer'));
+  }
+
+  function showProfilePicker() {
+    if (!profileDialog) return;
+    openProfilePicker(profileDialog, profiles, {
+      onSelect: startForProfile,
+      onChange: function () {
+        // The active profile may have been renamed, reset or deleted
+        const active = getActiveProfile(profiles);
+        if (active && profile && active.id === profile.id) {
+          profile = active;
+          mastery = loadMastery(undefined, masteryKey(profile.id, packId));
+          if (!match) session.setMastery(mastery);
+          achievements = loadAchievements(profile.id);
+          setActiveLevelButton(session.practice ? 0 : session.level);
+        } else if (!active) {
+          profile = null;
+        }
+        updateProfileButton();
+      }
+    });
+  }
+
+  function saveProgress() {
+    if (profile) saveProfiles(profiles);
+  }
+
+  // Load the chosen profile's records and continue where they left off
+  async function startForProfile(selected) {
+    stopChallenge();
+    stopMatch();
+    profile = selected;
+    mastery = loadMastery(undefined, masteryKey(profile.id, packId));
+    session.setMastery(mastery);
+    achievements = loadAchievements(profile.id);
+    updateProfileButton();
+    if (pendingLink) { playLink(); return; }
+    const progress = progressFor(profile, packId);
+    const saved = progress.inProgress;
+    if (saved && saved.ids && saved.index < saved.ids.length) {
+      offerResume(saved);
+    } else {
+      loadQuestions(5, progress.currentLevel || 1);
+    }
+  }
+
+  // Ask whether to continue an unfinished round from an earlier visit
+  function offerResume(saved) {
+    if (!stageActions) { resumeRound(saved); return; }
+    screen = 'resume'; resumeSaved = saved;
+    hideStage();
+    setFeedback('quiz.welcomeBack', { name: profile.name });
+    stageActions.innerHTML = '';
+    stageActions.style.display = '';
+
+    const resumeBtn = document.createElement('button');
+    resumeBtn.type = 'button';
+    resumeBtn.className = 'btn btn-primary';
+    resumeBtn.textContent = t('quiz.resume', { level: saved.level, current: saved.index + 1, total: saved.ids.length });
+    resumeBtn.onclick = function () { resumeRound(saved); };
+
+    const restartBtn = document.createElement('button');
+    restartBtn.type = 'button';
+    restartBtn.className = 'btn btn-primary';
+    restartBtn.textContent = t('quiz.restartLevel', { level: saved.level });
+    restartBtn.onclick = function () { loadQuestions(5, saved.level); };
+
+    stageActions.appendChild(resumeBtn);
+    stageActions.appendChild(restartBtn);
+    resumeBtn.focus();
+  }
+
+  async function resumeRound(saved) {
+    stopChallenge();
+    stopMatch();
+    try {
+      await getDataset();
+      // The dataset changed since the round was saved; start the level fresh
+      if (!session.resume(saved)) loadQuestions(5, saved.level);
+    } catch (err) {
+      console.error(err);
+      loadQuestions(5, saved.level);
+    }
+  }
+
+  // Persist the current level round after every answered question
+  function saveRound() {
+    if (!profile || session.practice || challenge || match) return;
+    saveRoundProgress(profile, session.progress(), packId);
+    saveProgress();
+  }
+
+  // Fetch and parse the active pack's dataset once per page load (and again after
+  // switching packs); a pack removed since the last visit falls back to the built-in one
+  async function getDataset() {
+    if (session.items.length && loadedPack === packId) return session.items;
+    let json;
+    try {
+      json = await loadPackDataset(packs, packId);
+    } catch (err) {
+      if (!packId) throw err;
+      console.warn('Pack unavailable, using the built-in questions:', err.message);
+      useBuiltinPack();
+      json = await loadPackDataset(packs, packId);
+    }
+    const items = session.load(json);
+    loadedPack = packId;
+    return items;
+  }
+
+  function useBuiltinPack() {
+    packId = BUILTIN_PACK;
+    packTitle = null;
+    setActivePack(packId);
+    updatePackButton();
+  }
+
+  // Header chip naming the question pack; opens the pack picker
+  async function updatePackButton() {
+    if (!packBtn) return;
+    if (packId && packTitle == null) {
+      const record = await packs.get(packId);
+      packTitle = record ? record.manifest.title : '';
+    }
+    const title = packId ? packTitle : t('packs.builtin');
+    packBtn.textContent = '📚 ' + title;
+    packBtn.setAttribute('aria-label', t('packs.playing', { title: title }));
+  }
+
+  function showPackPicker() {
+    if (!packDialog) return;
+    openPackPicker(packDialog, packs, { active: packId, onSelect: switchPack });
+  }
+
+  // Play another pack: its own progress, mastery and levels, from its first round
+  function switchPack(id) {
+    packId = id || BUILTIN_PACK;
+    packTitle = null;
+    setActivePack(packId);
+    updatePackButton();
+    if (profile) startForProfile(profile);
+    else if (!profileDialog) loadQuestions(5, 1);
+  }
+
   // Load questions for a specific level (1, 2, or 3)
   async function loadQuestions(count, stage) {
     count = count || 5; stage = stage || 1;
+    stopChallenge();
+    stopMatch();
     try {
-      // Hide level completion options when loading new questions
-      if (stageActions) stageActions.style.display = 'none';
-      // Try multiple paths to find the questions dataset
-      const paths = ['./api/questions.json', './api/questions.json', './api/questions.json'];
-      let data = null;
-      for (let p of paths) {
-        try {
-          const res = await fetch(p);
-          if (!res.ok) continue;
-          const json = await res.json();
-          if (Array.isArray(json) && json.length) { data = json; break; }
-        } catch (e) {
-          // Continue to next path if fetch fails
-        }
+      await getDataset();
+      // Due and weak items first, mixed with some the child has not seen yet
+      session.startLevel(stage, count);
+      saveRound();
+    } catch (err) {
+      console.error(err);
+      setFeedback('quiz.loadError');
+      choiceEls.forEach(b => b.disabled = true);
+    }
+  }
+
+  // A friend's challenge link: their round, question for question, on the built-in questions
+  async function loadLinkedRound(link) {
+    stopChallenge();
+    stopMatch();
+    try {
+      await getDataset();
+      const list = roundItems(session.items, link);
+      if (!list.length) {
+        setFeedback('share.noQuestions');
+        return;
       }
-      if (!Array.isArray(data) || !data.length) throw new Error('No questions found');
+      startingLink = link;
+      if (link.type && availableQuestionTypes().some(type => type.id === link.type)) {
+        if (typeBeforeLink == null) typeBeforeLink = roundType;
+        roundType = link.type;
+        fillTypeSelect();
+      }
+      // Played as practice: a link is anyone's to make, so it records no level result
+      // and unlocks nothing
+      session.startRound(list, { level: link.level || list[0].level, practice: true });
+    } catch (err) {
+      console.error(err);
+      setFeedback('quiz.loadError');
+    }
+  }
+
+  // Back to the player's own question type once a linked round is over
+  function restoreRoundType() {
+    if (typeBeforeLink == null) return;
+    roundType = typeBeforeLink;
+    typeBeforeLink = null;
+    fillTypeSelect();
+  }
+
+  // Play the link the page was opened with, once
+  function playLink() {
+    const link = pendingLink;
+    pendingLink = null;
+    loadLinkedRound(link);
+  }
+
+  // Ask again every item missed in the level round just finished
+  function loadReviewRound(round) {
+    stopChallenge();
+    stopMatch();
+    session.startRound(round.missed, { level: round.level, review: true });
+  }
+
+  // Start a round made only of items the child keeps missing (across all levels)
+  async function loadWeakRound(count) {
+    count = count || 5;
+    stopChallenge();
+    stopMatch();
+    try {
+      await getDataset();
+      if (!session.startPractice(count).length) setFeedback('quiz.noWeakWords');
+    } catch (err) {
+      console.error(err);
+      setFeedback('quiz.loadError');
+    }
+  }
+
+  // A round started: clear the end-of-round options and mark its level
+  session.on('start', function (round) {
+    roundBadges = [];
+    // A new seed per round; a linked round keeps the sender's so its choices match
+    roundSeed = startingLink ? startingLink.seed : newSeed();
+    linkedRound = startingLink;
+    startingLink = null;
+    if (!linkedRound) restoreRoundType();
+    updateScore();
+    if (stageActions) stageActions.style.display = 'none';
+    if (homeBtn) homeBtn.style.display = '';
+    setActiveLevelButton((round.practice && !round.review) || challenge || match ? 0 : round.level);
+  });
+
+  session.on('question', renderQuestion);
+
+  // Challenge mode: every item of the dataset in a shuffled run, again and again until
+  // the clock runs out
+  async function startChallenge() {
+    stopChallenge();
+    stopMatch();
+    try {
+      await getDataset();
+    } catch (err) {
+      console.error(err);
+      setFeedback('quiz.loadError');
+      return;
+    }
+    challenge = createChallenge();
+    challengeResult = null;
+    session.startRound(shuffle(session.items.slice(), session.random), { level: session.lastLevel });
+    challenge.start();
+    if (clockEl) clockEl.hidden = false;
+    tickChallenge();
+    challengeTimer = setInterval(tickChallenge, 250);
+  }
+
+  function stopChallenge() {
+    if (challengeTimer) clearInterval(challengeTimer);
+    challengeTimer = null;
+    challenge = null;
+    if (clockEl) clockEl.hidden = true;
+  }
 
-      // Filter questions by level range (1-5 for level 1, 6-10 for level 2, etc)
-      const ranges = {1: [1,5], 2: [6,10], 3: [11,15]};
-      const r = ranges[stage] || ranges[1];
-      const pool = data.filter(d => {
-        const n = idToNum(d.id); return !Number.isNaN(n) && n >= r[0] && n <= r[1];
+  // Redraw the clock; time up ends the challenge
+  function tickChallenge() {
+    if (!challenge) return;
+    const left = Math.ceil(challenge.remaining() / 1000);
+    const time = Math.floor(left / 60) + ':' + String(left % 60).padStart(2, '0');
+    if (clockEl) {
+      clockEl.textContent = challenge.paused ? t('challenge.paused', { time: time }) : t('challenge.clock', { time: time });
+      clockEl.classList.toggle('challenge-clock-low', left <= 10);
+    }
+    if (challenge.expired()) finishChallenge();
+  }
+
+  function finishChallenge() {
+    const summary = challenge.summary();
+    stopChallenge();
+    if (view) view.disable();
+    challengeResult = { summary: summary, canSave: qualifies(loadHighScores(packId), summary.score), place: -1 };
+    setFeedback(null);
+    hideStage();
+    showConfetti();
+    showChallengeResults();
+  }
+
+  // Results of the challenge, the name form when the score makes the top 10, and the
+  // table; drawn in the end-of-round area like a finished level
+  function showChallengeResults() {
+    if (!stageActions || !challengeResult) return;
+    const summary = challengeResult.summary;
+    const scores = loadHighScores(packId);
+    screen = 'challenge';
+    stageActions.innerHTML = '';
+    stageActions.style.display = '';
+    if (homeBtn) homeBtn.style.display = 'none';
+
+    const box = document.createElement('div');
+    box.className = 'round-summary';
+    const total = document.createElement('p');
+    total.className = 'challenge-total';
+    total.textContent = t('challenge.total', { points: summary.score });
+    box.appendChild(total);
+    const details = document.createElement('p');
+    details.className = 'round-score';
+    details.textContent = t('challenge.details', { count: summary.answered, firstTry: summary.firstTry, streak: summary.bestStreak });
+    box.appendChild(details);
+
+    if (challengeResult.canSave && challengeResult.place === -1) {
+      const form = document.createElement('form');
+      form.className = 'challenge-name';
+      const label = document.createElement('label');
+      label.textContent = t('challenge.newHighScore');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.required = true;
+      input.maxLength = 24;
+      input.value = profile ? profile.name : '';
+      label.appendChild(input);
+      const saveBtn = document.createElement('button');
+      saveBtn.type = 'submit';
+      saveBtn.className = 'btn btn-primary';
+      saveBtn.textContent = t('challenge.save');
+      form.appendChild(label);
+      form.appendChild(saveBtn);
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        if (!input.value.trim()) return;
+        challengeResult.place = addHighScore(scores, { name: input.value, score: summary.score, answered: summary.answered });
+        saveHighScores(scores, packId);
+        showChallengeResults();
       });
-      const source = pool.length >= Math.min(count, data.length) ? pool : data;
-      questions = shuffle(source).slice(0, Math.min(count, source.length));
-      index = 0; currentStage = stage; setActiveLevelButton(stage);
-      renderQuestion();
+      box.appendChild(form);
+    }
+
+    if (scores.length) {
+      const table = document.createElement('ol');
+      table.className = 'high-scores';
+      table.setAttribute('aria-label', t('challenge.highScores'));
+      scores.forEach(function (row, i) {
+        const item = document.createElement('li');
+        if (i === challengeResult.place) {
+          item.className = 'high-score-new';
+          item.setAttribute('aria-current', 'true');
+        }
+        const name = document.createElement('span');
+        name.textContent = row.name;
+        const points = document.createElement('span');
+        points.textContent = t('quiz.score', { points: row.score });
+        item.appendChild(name);
+        item.appendChild(points);
+        table.appendChild(item);
+      });
+      const heading = document.createElement('h3');
+      heading.textContent = t('challenge.highScores');
+      box.appendChild(heading);
+      box.appendChild(table);
+    }
+    stageActions.appendChild(box);
+
+    const againBtn = document.createElement('button');
+    againBtn.type = 'button';
+    againBtn.className = 'btn btn-primary';
+    againBtn.textContent = t('challenge.again');
+    againBtn.onclick = startChallenge;
+
+    const levelsBtn = document.createElement('button');
+    levelsBtn.type = 'button';
+    levelsBtn.className = 'btn btn-primary';
+    levelsBtn.textContent = t('challenge.backToLevels');
+    levelsBtn.onclick = function () { loadQuestions(5, profile ? progressFor(profile, packId).currentLevel || 1 : 1); };
+
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'btn btn-primary';
+    backBtn.textContent = t('quiz.home');
+    backBtn.setAttribute('aria-label', t('quiz.homeLabel'));
+    backBtn.onclick = function () { window.location.href = 'index.html'; };
+
+    stageActions.appendChild(againBtn);
+    stageActions.appendChild(levelsBtn);
+    stageActions.appendChild(backBtn);
+    const input = stageActions.querySelector('.challenge-name input');
+    focusStage(input || againBtn);
+  }
+
+  // Hot-seat match setup: names default to the profiles on this device
+  async function showMatchSetup() {
+    if (!matchDialog) return;
+    try {
+      await getDataset();
     } catch (err) {
       console.error(err);
-      feedbackEl.textContent = 'Could not load quiz questions.';
-      choiceEls.forEach(b => b.disabled = true);
+      setFeedback('quiz.loadError');
+      return;
     }
+    openMatchSetup(matchDialog, {
+      names: profiles.map(p => p.name),
+      levels: session.levels,
+      last: matchSetup,
+      onStart: startMatch
+    });
   }
 
+  // A match: TURNS_PER_PLAYER questions each, asked in turn. The profile's mastery is
+  // set aside so shared answers do not change anyone's records.
+  async function startMatch(setup) {
+    stopChallenge();
+    stopMatch();
+    let next;
+    try {
+      await getDataset();
+      next = createMatch(setup.players, { steal: setup.steal });
+    } catch (err) {
+      console.error(err);
+      setFeedback('quiz.loadError');
+      return;
+    }
+    match = next;
+    matchSetup = setup;
+    matchReady = false;
+    session.setMastery({});
+    renderBoard();
+    const count = match.players.length * TURNS_PER_PLAYER;
+    session.startRound(matchQuestions(session.items, setup.level, count, session.random), { level: setup.level || session.lastLevel });
+  }
+
+  function stopMatch() {
+    if (!match) return;
+    match = null;
+    session.setMastery(mastery);
+    if (boardEl) boardEl.hidden = true;
+  }
+
+  // Scoreboard above the question; the player answering now is highlighted
+  function renderBoard() {
+    if (!boardEl) return;
+    boardEl.innerHTML = '';
+    boardEl.hidden = !match;
+    if (!match) return;
+    boardEl.setAttribute('aria-label', t('match.board'));
+    match.players.forEach(function (player, i) {
+      const item = document.createElement('li');
+      item.style.setProperty('--player-color', player.color);
+      if (i === match.active) {
+        item.className = 'match-active';
+        item.setAttribute('aria-current', 'true');
+      }
+      const name = document.createElement('span');
+      name.textContent = player.name;
+      const points = document.createElement('span');
+      points.textContent = t('quiz.score', { points: player.score });
+      item.appendChild(name);
+      item.appendChild(points);
+      boardEl.appendChild(item);
+    });
+  }
+
+  // Between questions: hand the device to the next player, who taps when ready
+  function showPassScreen() {
+    if (!stageActions || !match) return;
+    const player = match.current();
+    screen = 'pass';
+    view = null;
+    hideStage();
+    setFeedback(null);
+    renderBoard();
+    updateProgress();
+    updateScore();
+    stageActions.innerHTML = '';
+    stageActions.style.display = '';
+
+    const box = document.createElement('div');
+    box.className = 'match-pass';
+    box.style.setProperty('--player-color', player.color);
+    const text = document.createElement('p');
+    text.textContent = t('match.passTo', { name: player.name });
+    box.appendChild(text);
+    stageActions.appendChild(box);
+
+    const readyBtn = document.createElement('button');
+    readyBtn.type = 'button';
+    readyBtn.className = 'btn btn-primary';
+    readyBtn.textContent = t('match.ready', { name: player.name });
+    readyBtn.onclick = function () {
+      matchReady = true;
+      stageActions.style.display = 'none';
+      renderQuestion();
+    };
+    stageActions.appendChild(readyBtn);
+    focusStage(readyBtn);
+  }
+
+  // The final podium: replaces the single-player end-of-round options
+  function showPodium() {
+    if (!stageActions || !match) return;
+    screen = 'podium';
+    feedback = null;
+    feedbackEl.textContent = '';
+    hideStage();
+    renderBoard();
+    stageActions.innerHTML = '';
+    stageActions.style.display = '';
+    if (homeBtn) homeBtn.style.display = 'none';
+
+    const medals = ['🥇', '🥈', '🥉'];
+    const ranked = match.standings();
+    const box = document.createElement('div');
+    box.className = 'round-summary';
+    const winners = ranked.filter(p => p.place === 1).map(p => p.name);
+    const heading = document.createElement('p');
+    heading.className = 'challenge-total';
+    heading.textContent = winners.length > 1 ? t('match.draw', { names: winners.join(' & ') }) : t('match.winner', { name: winners[0] });
+    box.appendChild(heading);
+
+    const podium = document.createElement('ol');
+    podium.className = 'match-podium';
+    podium.setAttribute('aria-label', t('match.podium'));
+    ranked.forEach(function (player) {
+      const item = document.createElement('li');
+      item.style.setProperty('--player-color', player.color);
+      item.dataset.place = player.place;
+      const medal = document.createElement('span');
+      medal.className = 'match-medal';
+      medal.textContent = medals[player.place - 1] || String(player.place);
+      medal.setAttribute('aria-label', t('match.place', { place: player.place }));
+      const name = document.createElement('span');
+      name.className = 'match-name';
+      name.textContent = player.name;
+      const details = document.createElement('span');
+      details.className = 'match-details';
+      details.textContent = t('quiz.score', { points: player.score }) +
+        (player.steals ? ' · ' + t('match.steals', { count: player.steals }) : '');
+      item.appendChild(medal);
+      item.appendChild(name);
+      item.appendChild(details);
+      podium.appendChild(item);
+    });
+    box.appendChild(podium);
+    stageActions.appendChild(box);
+
+    const rematchBtn = document.createElement('button');
+    rematchBtn.type = 'button';
+    rematchBtn.className = 'btn btn-primary';
+    rematchBtn.textContent = t('match.rematch');
+    rematchBtn.onclick = function () { startMatch(matchSetup); };
+
+    const setupBtn = document.createElement('button');
+    setupBtn.type = 'button';
+    setupBtn.className = 'btn btn-primary';
+    setupBtn.textContent = t('match.newPlayers');
+    setupBtn.onclick = showMatchSetup;
+
+    const aloneBtn = document.createElement('button');
+    aloneBtn.type = 'button';
+    aloneBtn.className = 'btn btn-primary';
+    aloneBtn.textContent = t('match.playAlone');
+    aloneBtn.onclick = function () { loadQuestions(5, profile ? progressFor(profile, packId).currentLevel || 1 : 1); };
+
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'btn btn-primary';
+    backBtn.textContent = t('quiz.home');
+    backBtn.setAttribute('aria-label', t('quiz.homeLabel'));
+    backBtn.onclick = function () { window.location.href = 'index.html'; };
+
+    stageActions.appendChild(rematchBtn);
+    stageActions.appendChild(setupBtn);
+    stageActions.appendChild(aloneBtn);
+    stageActions.appendChild(backBtn);
+    announce(heading.textContent);
+    focusStage(rematchBtn);
+  }
+
+  // Every try goes in the analytics log. Only dataset labels are kept as the pick, never
+  // typed text; `attempts` has already counted a wrong try.
+  session.on('answer', function (e) {
+    analytics.tried(e.item, {
+      correct: e.correct,
+      attempt: e.correct ? e.attempts + 1 : e.attempts,
+      picked: e.correct ? e.item.label : (session.itemByLabel(e.picked) ? e.picked : null),
+      type: questionType ? questionType.id : DEFAULT_TYPE,
+      pack: packId
+    });
+  });
+
+  // Every wrong try costs points in a challenge
+  session.on('answer', function (e) {
+    if (!challenge || e.correct) return;
+    challenge.addWrong();
+    updateScore();
+  });
+
   function renderQuestion() {
-    const q = questions[index];
+    const q = session.current();
     if (!q) return;
-    // Ensure image and choices are visible when rendering a new question
+    // In a match each question waits for its player to take the device
+    if (match && !matchReady) { showPassScreen(); return; }
+    screen = 'question';
+    view = null;
+    if (advance) advance.cancel();
+    advance = null;
+    hideLearnCard();
+    hintsTaken = [];
+    paintHints();
+    if (hintBtn) hintBtn.hidden = true;
+    stopSpeaking();
+    // Reset the stage to the photo; the question type shows the other parts it uses
     imgEl.style.display = '';
-    document.querySelector('.quiz-choices').style.display = '';
+    if (quizImageEl) quizImageEl.hidden = false;
+    if (picturesEl) { picturesEl.hidden = true; picturesEl.innerHTML = ''; }
+    if (choicesEl) choicesEl.style.display = 'none';
+    if (answerAreaEl) { answerAreaEl.hidden = true; answerAreaEl.innerHTML = ''; }
     // show the persistent prompt above choices
-    if (promptEl) { promptEl.textContent = 'What is this?'; promptEl.style.display = ''; }
+    if (promptEl) promptEl.style.display = '';
+    if (speakBtn) speakBtn.hidden = !canSpeak();
     imgEl.src = safeImageSrc(q.image);
-    imgEl.alt = q.label ? 'Picture of ' + q.label : 'Quiz image';
     imgEl.onerror = function () { imgEl.src = './images/pexels-jairo-david-arboleda-621072-1425883.jpg'; };
-    feedbackEl.textContent = '';
-    // If label missing, use detection but do not block UI
+    setFeedback(null);
+    // If label missing, use detection (cached per image, with a time limit)
     (async function(){
       if (!q.label) {
-        try {
-          const resp = await fetch(imgEl.src);
-          const blob = await resp.blob();
-          const detected = await detectObjectNinjas(blob).catch(()=>null);
-          if (detected && typeof detected === 'object' && detected.label) q.label = detected.label;
-        } catch (e) {}
+        // Only a confident match to a dataset label becomes the answer
+        const detected = await detectImage(imgEl.src, { items: session.items }).catch(()=>null);
+        if (detected && detected.label) session.setLabel(q, detected.label);
       }
-      // prepare choices
-      const labels = questions.map(s => s.label).filter(Boolean);
-      const pool = labels.length >= 4 ? labels : ['Elephant','Baobab Tree','Drum','Kente Cloth','Mask','Giraffe','Lion','Zebra'];
-      const distractors = shuffle(pool.filter(l=>l!==q.label)).slice(0,3);
-      const choices = shuffle([q.label, ...distractors]);
-      choiceEls.forEach(function(btn,i){ btn.disabled=false; btn.classList.remove('correct','wrong'); btn.textContent = choices[i]||''; btn.onclick = function(){ onChoiceClick(btn, q.label); }; });
+      // The child may have moved on while detection ran
+      if (session.current() !== q || screen !== 'question') return;
+      const ctx = questionContext(q);
+      questionType = typeFor(q, ctx);
+      paintPrompt(q);
+      view = questionType.render(q, ctx);
+      view.paint();
+      analytics.shown(q, { type: questionType.id, pack: packId });
       updateProgress();
+      updateHintButton();
+      focusQuestion();
     })();
   }
 
-  function updateProgress(){ if (titleEl && questions.length) titleEl.textContent = 'Question ' + (index+1) + ' of ' + questions.length; }
+  // The round's points so far and the current run of first-try answers
+  function updateScore() {
+    if (!scoreEl) return;
+    if (match) {
+      scoreEl.textContent = t(match.stealing ? 'match.stealTurn' : 'match.turn', { name: match.current().name });
+      return;
+    }
+    const source = challenge || session;
+    const parts = [t('quiz.score', { points: source.score })];
+    if (source.streak >= 2) parts.push(t('quiz.streak', { count: source.streak }));
+    scoreEl.textContent = parts.join(' · ');
+  }
+
+  // Add a result or a finished round to the profile's achievements and keep any new badges
+  function updateAchievements(record) {
+    if (!profile || !achievements) return;
+    record();
+    const earned = awardBadges(achievements, { items: session.items, levels: session.levels, pack: packId });
+    roundBadges = roundBadges.concat(earned);
+    saveAchievements(profile.id, achievements);
+  }
 
-  function onChoiceClick(btn, correctLabel){ const chosen = btn.textContent;
-    if (chosen === correctLabel){ choiceEls.forEach(b=>b.disabled=true); btn.classList.add('correct'); feedbackEl.textContent='Correct!'; showConfetti(); setTimeout(nextQuestion,1500); }
-    else { btn.classList.add('wrong'); feedbackEl.textContent='Try Again!'; const correctBtn = choiceEls.find(b=>b.textContent===correctLabel); if (correctBtn) correctBtn.classList.add('correct'); }
+  function updateProgress(){
+    const total = session.questions.length;
+    if (!titleEl) return;
+    if (challenge) titleEl.textContent = t('challenge.question', { n: challenge.answered + 1 });
+    else titleEl.textContent = total ? t('quiz.progress', { current: session.index+1, total: total }) : t('quiz.heading');
   }
 
-  function nextQuestion(){ 
-    if (!questions.length) return; 
-    if (index < questions.length-1){ 
-      index++; renderQuestion(); 
-    } else { 
-      // Level complete - show confetti and completion options
-      feedbackEl.textContent='Level complete — well done!'; 
-      // hide the prompt immediately when the level finishes
-      if (promptEl) promptEl.style.display = 'none';
-      imgEl.style.display='none'; 
-      document.querySelector('.quiz-choices').style.display='none'; 
-      showConfetti(); 
-      setTimeout(function(){ 
-        showLevelCompletionOptions(); 
-      }, 2000); 
-    } 
+  // Called by the question type on every try; `picked` is the wrong label chosen, if any.
+  // Out of a match, the answer policy decides whether a wrong try may be retried.
+  function onAnswer(correct, picked) {
+    const q = session.current();
+    const result = session.answer(correct, picked);
+    if (!result) return;
+    if (!correct) {
+      const next = match ? match.wrong() : (result.outOfTries ? 'reveal' : 'retry');
+      if (next === 'reveal') {
+        revealAnswer();
+      } else if (next === 'steal') {
+        setFeedback('match.stealNow', { name: match.current().name, points: STEAL_POINTS });
+        renderBoard();
+        updateScore();
+      } else if (match) {
+        // Without stealing a match player may keep trying, whatever the answer policy says
+        setFeedback('quiz.tryAgain');
+      } else {
+        setFeedback(wrongTriesAllowed(session.policy) - result.attempts === 1 ? 'quiz.lastTry' : 'quiz.tryAgain');
+      }
+      return;
+    }
+    if (view) view.disable();
+    imgEl.alt = t('quiz.imageAlt', { label: itemLabel(q) });
+    setFeedback('quiz.correct');
+    updateHintButton();
+    pronounce(q);
+    showConfetti();
+    advanceAfter(challenge ? 600 : 1500);
+    showLearnCard(q);
   }
 
+  // The question type gave up on the item: show the answer, count it as missed, move on
+  function revealAnswer() {
+    const q = session.current();
+    if (!session.reveal()) return;
+    if (view) {
+      view.disable();
+      if (view.showAnswer) view.showAnswer();
+    }
+    imgEl.alt = t('quiz.imageAlt', { label: itemLabel(q) });
+    setFeedback('quiz.answerWas', { label: itemLabel(q) });
+    updateHintButton();
+    pronounce(q);
+    advanceAfter(challenge ? 1500 : 2500);
+    showLearnCard(q);
+  }
+
+  // The session has moved the item between Leitner boxes; save that, the answer
+  // history and the round position
+  session.on('result', function (result) {
+    const q = result.item;
+    // A match keeps its own scores and leaves the profile's records alone
+    if (match) {
+      match.settle(result);
+      renderBoard();
+      return;
+    }
+    if (!q.id) return;
+    if (profile) {
+      saveMastery(mastery, undefined, masteryKey(profile.id, packId));
+      appendHistory(profile.id, {
+        sessionId: sessionId,
+        itemId: q.id,
+        label: q.label,
+        level: q.level,
+        category: q.category,
+        practice: result.practice,
+        type: questionType ? questionType.id : DEFAULT_TYPE,
+        attempts: result.attempts,
+        hints: result.hints || undefined,
+        wrong: result.wrong,
+        ms: result.ms,
+        pack: packId || undefined,
+        challenge: challenge ? true : undefined
+      });
+    }
+    if (challenge) challenge.addResult(result);
+    updateAchievements(() => recordResult(achievements, result, { pack: packId }));
+    updateScore();
+    saveRound();
+  });
+
+  // In a match the next question belongs to the next player
+  function nextQuestion(){
+    if (screen !== 'question') return;
+    if (match) {
+      match.nextTurn();
+      matchReady = false;
+    }
+    session.next();
+  }
+
+  // Level complete - show confetti and completion options
+  session.on('complete', function (round) {
+    if (challenge) {
+      // Out of questions before the clock: shuffle them again
+      setTimeout(function () {
+        if (challenge) session.startRound(shuffle(session.items.slice(), session.random), { level: session.lastLevel });
+      }, 0);
+      return;
+    }
+    if (match) {
+      completedRound = null;
+      setFeedback(null);
+      hideStage();
+      showConfetti();
+      setTimeout(showPodium, 1500);
+      return;
+    }
+    completedRound = round;
+    restoreRoundType();
+    setFeedback(round.review ? 'quiz.reviewComplete' : round.practice ? 'quiz.practiceComplete' : 'quiz.levelComplete');
+    // hide the prompt immediately when the level finishes
+    hideStage();
+    showConfetti();
+    setTimeout(function(){
+      finishRound(round);
+      showLevelCompletionOptions();
+    }, 2000);
+  });
+
+  // Store the result on the player's profile and unlock the next level
+  function finishRound(round) {
+    updateAchievements(() => recordRound(achievements, round, { pack: packId }));
+    if (!profile || round.practice) return;
+    recordLevelResult(profile, round.level, { firstTry: round.firstTry, total: round.total }, session.lastLevel, packId);
+    if (round.nextLevel != null) progressFor(profile, packId).currentLevel = round.nextLevel;
+    saveProgress();
+  }
+
+  // Draw the end-of-round buttons; safe to call again when the language changes
   function showLevelCompletionOptions() {
     // Use the dedicated actions container so we do not replace the answer buttons
-    if (!stageActions) return;
+    if (!stageActions || !completedRound) return;
+    const round = completedRound;
+    screen = 'complete';
+    feedback = null;
     stageActions.innerHTML = '';
     stageActions.style.display = '';
 
     // Hide the static back button when showing stage actions
     if (homeBtn) homeBtn.style.display = 'none';
 
-    // Hide the persistent prompt when showing completion options
-    if (promptEl) promptEl.style.display = 'none';
+    let bestText = '';
+    if (profile && !round.practice) {
+      const best = progressFor(profile, packId).best[round.level];
+      if (best) bestText = t('quiz.firstTry', { count: round.firstTry, total: round.total, best: best.firstTry, bestTotal: best.total });
+    }
 
-    // hide the image and choices area while options are shown
-    imgEl.style.display = 'none';
-    const quizChoices = document.querySelector('.quiz-choices');
-    if (quizChoices) quizChoices.style.display = 'none';
+    // Hide the prompt, image and choices while options are shown
+    hideStage();
+    stageActions.appendChild(roundSummary(round));
 
     // small helper to set ARIA and keyboard handlers (Enter/Space)
     function makeAccessible(btn, ariaLabel) {
@@ -190,59 +1255,216 @@ document.addEventListener('DOMContentLoaded', function () {
       });
     }
 
-    if (currentStage < 3) {
+    // A level round with mistakes offers them again before moving on
+    const reviewBtn = document.createElement('button');
+    reviewBtn.className = 'btn btn-primary';
+    reviewBtn.textContent = t('quiz.reviewMistakes', { count: round.missed.length });
+    makeAccessible(reviewBtn, t('quiz.reviewMistakesLabel', { count: round.missed.length }));
+    reviewBtn.onclick = function () { loadReviewRound(round); };
+    const canReview = !round.practice && round.missed.length > 0;
+
+    if (round.practice && !round.review) {
       feedbackEl.textContent = '';
 
+      const practiceAgainBtn = document.createElement('button');
+      practiceAgainBtn.className = 'btn btn-primary';
+      practiceAgainBtn.textContent = t('quiz.practiceAgain');
+      makeAccessible(practiceAgainBtn, t('quiz.practiceAgainLabel'));
+      practiceAgainBtn.onclick = function() { loadWeakRound(5); };
+
+      const levelBtn = document.createElement('button');
+      levelBtn.className = 'btn btn-primary';
+      levelBtn.textContent = t('quiz.backToLevel', { level: round.level });
+      makeAccessible(levelBtn, t('quiz.backToLevelLabel', { level: round.level }));
+      levelBtn.onclick = function() { loadQuestions(5, round.level); };
+
+      const backBtn = document.createElement('button');
+      backBtn.className = 'btn btn-primary';
+      backBtn.textContent = t('quiz.home');
+      makeAccessible(backBtn, t('quiz.homeLabel'));
+      backBtn.onclick = function() { window.location.href = 'index.html'; };
+
+      if (session.hasWeakItems()) stageActions.appendChild(practiceAgainBtn);
+      stageActions.appendChild(levelBtn);
+      stageActions.appendChild(backBtn);
+    } else if (round.nextLevel != null) {
+      feedbackEl.textContent = bestText;
+
       const playAgainBtn = document.createElement('button');
       playAgainBtn.className = 'btn btn-primary';
-      playAgainBtn.textContent = 'Play Level Again';
-      makeAccessible(playAgainBtn, 'Play this level again');
-      playAgainBtn.onclick = function() {
-        stageActions.style.display = 'none';
-        loadQuestions(5, currentStage);
-      };
+      playAgainBtn.textContent = t('quiz.playLevelAgain');
+      makeAccessible(playAgainBtn, t('quiz.playLevelAgainLabel'));
+      playAgainBtn.onclick = function() { loadQuestions(5, round.level); };
 
       const proceedBtn = document.createElement('button');
       proceedBtn.className = 'btn btn-primary';
-      proceedBtn.textContent = 'Proceed';
-      makeAccessible(proceedBtn, 'Proceed to next level');
-      proceedBtn.onclick = function() {
-        stageActions.style.display = 'none';
-        currentStage++;
-        loadQuestions(5, currentStage);
-      };
+      proceedBtn.textContent = t('quiz.proceed');
+      makeAccessible(proceedBtn, t('quiz.proceedLabel'));
+      proceedBtn.onclick = function() { loadQuestions(5, round.nextLevel); };
 
       const backBtn = document.createElement('button');
       backBtn.className = 'btn btn-primary';
-      backBtn.textContent = 'Back to Home';
-      makeAccessible(backBtn, 'Go back to the home page');
+      backBtn.textContent = t('quiz.home');
+      makeAccessible(backBtn, t('quiz.homeLabel'));
       backBtn.onclick = function() { window.location.href = 'index.html'; };
 
       stageActions.appendChild(playAgainBtn);
+      if (canReview) stageActions.appendChild(reviewBtn);
       stageActions.appendChild(proceedBtn);
       stageActions.appendChild(backBtn);
     } else {
-      feedbackEl.textContent = 'All levels complete! You finished the quiz!';
+      feedbackEl.textContent = t('quiz.allComplete') + (bestText ? ' ' + bestText : '');
 
       const playAgainBtn = document.createElement('button');
       playAgainBtn.className = 'btn btn-primary';
-      playAgainBtn.textContent = 'Play Quiz Again';
-      makeAccessible(playAgainBtn, 'Play the whole quiz again');
-      playAgainBtn.onclick = function() {
-        stageActions.style.display = 'none';
-        currentStage = 1;
-        loadQuestions(5, 1);
-      };
+      playAgainBtn.textContent = t('quiz.playQuizAgain');
+      makeAccessible(playAgainBtn, t('quiz.playQuizAgainLabel'));
+      playAgainBtn.onclick = function() { loadQuestions(5, 1); };
 
       const backBtn = document.createElement('button');
       backBtn.className = 'btn btn-primary';
-      backBtn.textContent = 'Back to Home';
-      makeAccessible(backBtn, 'Go back to the home page');
+      backBtn.textContent = t('quiz.home');
+      makeAccessible(backBtn, t('quiz.homeLabel'));
       backBtn.onclick = function() { window.location.href = 'index.html'; };
 
+      if (canReview) stageActions.appendChild(reviewBtn);
       stageActions.appendChild(playAgainBtn);
       stageActions.appendChild(backBtn);
     }
+
+    // Built-in rounds can be sent to a friend to play the same questions, and a
+    // friend's round passed on
+    if (!packId && (!round.practice || linkedRound)) {
+      const shareBtn = document.createElement('button');
+      shareBtn.className = 'btn btn-outline';
+      shareBtn.textContent = t('share.button');
+      makeAccessible(shareBtn, t('share.buttonLabel'));
+      shareBtn.onclick = function () { shareRound(round); };
+      stageActions.appendChild(shareBtn);
+    }
+
+    if (profile) {
+      const shelfLink = document.createElement('a');
+      shelfLink.className = 'btn btn-outline';
+      shelfLink.href = 'badges.html';
+      shelfLink.textContent = t('quiz.seeBadges');
+      stageActions.appendChild(shelfLink);
+    }
+    announce([t('quiz.roundScore', { points: round.score, streak: round.bestStreak }), feedbackEl.textContent].filter(Boolean).join(' '));
+    focusStage();
+  }
+
+  // The link that replays the finished round, with its score to beat
+  function challengeLinkFor(round) {
+    const by = profile ? profile.name : null;
+    // A linked round is passed on as it came, so it stays the same round
+    if (linkedRound) return roundLink(location.href, Object.assign({}, linkedRound, { by: by, score: round.score }));
+    return roundLink(location.href, {
+      seed: roundSeed,
+      ids: session.questions.map(q => q.id),
+      level: round.level,
+      type: roundType || null,
+      by: by,
+      score: round.score
+    });
+  }
+
+  // Hand the link to the device's share sheet, else copy it, and show it to copy by hand
+  async function shareRound(round) {
+    const url = challengeLinkFor(round);
+    let panel = stageActions.querySelector('.share-panel');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'share-panel';
+      const label = document.createElement('label');
+      label.textContent = t('share.linkLabel');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.className = 'share-url';
+      label.appendChild(input);
+      const status = document.createElement('p');
+      status.className = 'share-status';
+      status.setAttribute('role', 'status');
+      panel.appendChild(label);
+      panel.appendChild(status);
+      stageActions.appendChild(panel);
+    }
+    const input = panel.querySelector('.share-url');
+    const status = panel.querySelector('.share-status');
+    input.value = url;
+    status.textContent = '';
+    const text = t('share.message', { points: round.score });
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: t('share.title'), text: text, url: url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      status.textContent = t('share.copied');
+    } catch (err) {
+      // Dismissed, or no clipboard: the link is there to copy
+      if (err && err.name === 'AbortError') return;
+      input.focus();
+      input.select();
+      status.textContent = t('share.copyByHand');
+    }
+  }
+
+  // Your score next to the friend's whose link started this round
+  function versusBox(round) {
+    const box = document.createElement('div');
+    box.className = 'versus';
+    const friend = linkedRound.by || t('share.friend');
+    [[profile ? profile.name : t('share.you'), round.score], [friend, linkedRound.score]].forEach(function (side) {
+      const card = document.createElement('p');
+      card.className = 'versus-side';
+      const name = document.createElement('span');
+      name.className = 'versus-name';
+      name.textContent = side[0];
+      const points = document.createElement('strong');
+      points.className = 'versus-points';
+      points.textContent = t('quiz.score', { points: side[1] });
+      card.appendChild(name);
+      card.appendChild(points);
+      box.appendChild(card);
+    });
+    const verdict = document.createElement('p');
+    verdict.className = 'versus-verdict';
+    verdict.textContent = t('share.' + versus(round.score, linkedRound.score), { name: friend });
+    box.appendChild(verdict);
+    return box;
+  }
+
+  // Stars, points and best streak of the finished round, and the badges it won
+  function roundSummary(round) {
+    const box = document.createElement('div');
+    box.className = 'round-summary';
+    if (!round.practice) {
+      const stars = document.createElement('p');
+      stars.className = 'round-stars';
+      stars.textContent = '★'.repeat(round.stars) + '☆'.repeat(3 - round.stars);
+      stars.setAttribute('role', 'img');
+      stars.setAttribute('aria-label', t('badges.stars', { count: round.stars }));
+      box.appendChild(stars);
+    }
+    const score = document.createElement('p');
+    score.className = 'round-score';
+    score.textContent = t('quiz.roundScore', { points: round.score, streak: round.bestStreak });
+    box.appendChild(score);
+    if (linkedRound && linkedRound.score != null) box.appendChild(versusBox(round));
+    if (roundBadges.length) {
+      const list = document.createElement('ul');
+      list.className = 'round-badges';
+      list.setAttribute('aria-label', t('quiz.newBadges'));
+      roundBadges.forEach(function (badge) {
+        const item = document.createElement('li');
+        item.textContent = badge.icon + ' ' + t('quiz.newBadge', { name: t('badges.' + badge.id + '.name') });
+        list.appendChild(item);
+      });
+      box.appendChild(list);
+    }
+    return box;
   }
 
   
@@ -251,14 +1473,151 @@ document.addEventListener('DOMContentLoaded', function () {
   if (level1Btn) level1Btn.addEventListener('click', function(e){ e.preventDefault(); loadQuestions(5,1); });
   if (level2Btn) level2Btn.addEventListener('click', function(e){ e.preventDefault(); loadQuestions(5,2); });
   if (level3Btn) level3Btn.addEventListener('click', function(e){ e.preventDefault(); loadQuestions(5,3); });
+  if (profileBtn) profileBtn.addEventListener('click', function(e){ e.preventDefault(); showProfilePicker(); });
+
+  if (practiceBtn) practiceBtn.addEventListener('click', function(e){ e.preventDefault(); loadWeakRound(5); });
+  if (challengeBtn) challengeBtn.addEventListener('click', function(e){ e.preventDefault(); startChallenge(); });
+  if (matchBtn) matchBtn.addEventListener('click', function(e){ e.preventDefault(); showMatchSetup(); });
+  if (a11yBtn) a11yBtn.addEventListener('click', function(e){ e.preventDefault(); showA11yPanel(); });
+  if (hintBtn) hintBtn.addEventListener('click', takeHint);
+  if (learnCardEl) learnCardEl.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') closeLearnCard();
+  });
+
+  // Number keys 1-4 pick a choice on the question types that have them
+  document.addEventListener('keydown', function (e) {
+    const n = shortcutIndex(e);
+    if (n === -1 || screen !== 'question' || !view || !view.choose) return;
+    if (document.querySelector('dialog[open]')) return;
+    if (view.choose(n)) e.preventDefault();
+  });
 
-  // Start
-  setActiveLevelButton(currentStage);
-  loadQuestions(5, currentStage);
+  // Switch scanning starts again from the top after each press and when a dialog closes
+  document.addEventListener('click', function () {
+    if (scanner) scanner.restart();
+  });
+  document.querySelectorAll('dialog').forEach(function (dialog) {
+    dialog.addEventListener('close', function () {
+      if (scanner) scanner.restart();
+    });
+  });
+
+  // Waiting analytics events are written while the page can still run: hidden pages
+  // may be closed without notice, and pagehide is the last chance
+  document.addEventListener('visibilitychange', function () { if (document.hidden) analytics.save(); });
+  window.addEventListener('pagehide', function () { analytics.save(); });
+
+  // The challenge clock stops while the page is hidden (another tab, a locked phone)
+  document.addEventListener('visibilitychange', function () {
+    if (!challenge) return;
+    if (document.hidden) challenge.pause();
+    else challenge.resume();
+    tickChallenge();
+  });
+
+  // The prompt's speaker reads the question, or says the word for types that ask for it
+  if (speakBtn) speakBtn.addEventListener('click', function(){
+    const q = session.current();
+    if (q && questionType && questionType.speaksWord) pronounce(q);
+    else if (promptEl) speakText(promptEl.textContent);
+  });
+
+  // Question type for the round; changing it redraws the current question
+  if (typeSelect) {
+    fillTypeSelect();
+    typeSelect.addEventListener('change', function(){
+      roundType = typeSelect.value;
+      if (screen === 'question') renderQuestion();
+    });
+  }
+
+  // The answer policy applies from the next wrong try and is kept for later visits
+  if (policySelect) {
+    fillPolicySelect();
+    policySelect.addEventListener('change', function () {
+      session.setPolicy(policySelect.value);
+      saveAnswerPolicy(policySelect.value);
+    });
+  }
+
+  // Redraw whatever is on screen in the newly chosen language
+  document.addEventListener(LOCALE_CHANGE_EVENT, function () {
+    updateProfileButton();
+    updatePackButton();
+    updateProgress();
+    updateScore();
+    fillTypeSelect();
+    fillPolicySelect();
+    if (screen === 'question' && session.current() && view) {
+      paintPrompt(session.current());
+      view.paint();
+      paintHints();
+      updateHintButton();
+      paintLearnCard();
+    } else if (screen === 'resume') {
+      offerResume(resumeSaved);
+    } else if (screen === 'complete') {
+      showLevelCompletionOptions();
+    } else if (screen === 'challenge') {
+      showChallengeResults();
+    } else if (screen === 'pass') {
+      showPassScreen();
+    } else if (screen === 'podium') {
+      showPodium();
+    }
+    renderBoard();
+    tickChallenge();
+    if (feedback) setFeedback(feedback.key, feedback.params);
+    if (profileDialog && profileDialog.open) showProfilePicker();
+    if (packDialog && packDialog.open) showPackPicker();
+    if (matchDialog && matchDialog.open) showMatchSetup();
+    if (a11yDialog && a11yDialog.open) showA11yPanel();
+  });
+
+  if (packBtn) packBtn.addEventListener('click', showPackPicker);
+
+  // Start: a shared device asks who is playing before the first round
+  useA11ySettings(loadA11ySettings());
+  loadConfig().then(function (cfg) {
+    if (!cfg.ANALYTICS_ENDPOINT) return;
+    analyticsSink = createPostSink({ endpoint: cfg.ANALYTICS_ENDPOINT });
+    window.addEventListener('pagehide', function () { analyticsSink.flush(true); });
+  });
+  await initI18n();
+  mountLanguageSwitcher(document.querySelector('.quiz-header-inner'));
+  // A shared link (?pack=<id or pack file URL>) selects, or installs, a question pack
+  const linked = new URLSearchParams(location.search).get('pack');
+  if (linked) {
+    const result = await packFromLink(packs, linked);
+    if (result.id) {
+      packId = result.id;
+      setActivePack(packId);
+    } else if (result.errors.length) {
+      console.warn('Could not open the linked pack:', result.errors.join('; '));
+      setFeedback('packs.linkFailed');
+    }
+    const url = new URL(location.href);
+    url.searchParams.delete('pack');
+    history.replaceState(null, '', url.pathname + url.search + url.hash);
+  }
+  // A challenge link plays on the built-in questions; it is taken off the address so a
+  // reload does not start it again
+  if (pendingLink) {
+    if (packId) useBuiltinPack();
+    history.replaceState(null, '', location.pathname + location.hash);
+  }
+  setActiveLevelButton(session.level);
+  updateProfileButton();
+  updatePackButton();
+  if (profileDialog) showProfilePicker();
+  else if (pendingLink) playLink();
+  else loadQuestions(5, session.level);
 
   // --- Confetti helper ---
   function showConfetti() {
-    const container = document.querySelector('.quiz-image');
+    // Children who asked for less motion or a calm screen get the feedback text only
+    if (reduceMotion(a11y)) return;
+    const container = picturesEl && !picturesEl.hidden ? picturesEl : quizImageEl;
     if (!container) return;
 
     let confettiWrap = container.querySelector('.confetti-container');
@@ -2,7 +2,10 @@
 // If you want to enable an alternate implementation, add it as
 // `scripts/quiz-frontend-clean.js` and import it explicitly from `quiz.html`.
 
-import { detectObjectNinjas } from '/api/api.js';
+import { detectImage } from '/api/api.js';
+import { buildChoices } from '/js/distractors.js';
+import { createQuizSession } from '/js/quiz-session.js';
+import { sample } from '/js/rng.js';
 
 const imageEl = document.getElementById('quiz-image');
 const choicesEl = document.getElementById('choices');
@@ -11,30 +14,13 @@ const nextBtn = document.getElementById('next-btn');
 const restartBtn = document.getElementById('restart-btn');
 const progressEl = document.getElementById('progress');
 
-let questions = [];
-let currentIndex = 0;
-let score = 0;
-let answered = false;
-
-const LABEL_POOL = [
-  'Elephant', 'Baobab Tree', 'Drum', 'Kente Cloth', 'Ceremonial Mask', 'Canoe',
-  'Giraffe', 'Rhino', 'Lion', 'Thatched Hut', 'Market', 'Safari Jeep', 'Chapati',
-  'Ugali', 'Zebra'
-];
-
-function sample(array, n) {
-  const copy = array.slice();
-  const out = [];
-  while (out.length < n && copy.length) {
-    const i = Math.floor(Math.random() * copy.length);
-    out.push(copy.splice(i, 1)[0]);
-  }
-  return out;
-}
+// One try per question; the score is the number answered right (js/quiz-session.js)
+const session = createQuizSession();
 
 function renderProgress() {
   if (!progressEl) return;
-  progressEl.textContent = `Question ${Math.min(currentIndex + 1, questions.length)} / ${questions.length}  •  Score: ${score}`;
+  const total = session.questions.length;
+  progressEl.textContent = `Question ${Math.min(session.index + 1, total)} / ${total}  •  Score: ${session.firstTry}`;
 }
 
 function clearChoices() {
@@ -87,7 +73,6 @@ function clearDebug() {
 }
 
 async function showQuestion(q) {
-  answered = false;
   feedbackEl.textContent = 'Detecting image...';
   const imgUrl = normalizeImageUrl(q.image);
   imageEl.src = imgUrl;
@@ -104,25 +89,24 @@ async function showQuestion(q) {
   renderProgress();
 
   try {
-    const resp = await fetch(imgUrl);
-    const blob = await resp.blob();
-
+    // Cached per image; resolves to null if the provider is slow
     let detected = null;
-    try { detected = await detectObjectNinjas(blob); } catch (e) { console.warn('detection failed', e); }
+    try { detected = await detectImage(imgUrl, { items: session.items }); } catch (e) { console.warn('detection failed', e); }
 
-    const rawLabel = detected && typeof detected === 'object' ? detected.label : null;
+    const rawLabel = detected ? detected.label : null;
     const displayLabel = normalizeLabelForDisplay(rawLabel);
-    const finalCorrect = displayLabel || sample(LABEL_POOL, 1)[0];
+    // Without a detection, the dataset's own label is the answer
+    const finalCorrect = displayLabel || normalizeLabelForDisplay(q.label);
+    if (!finalCorrect) throw new Error('No label for ' + q.id);
 
     // Save for evaluation
-    q.label = finalCorrect;
+    session.setLabel(q, finalCorrect);
     q.detectedLabel = displayLabel;
     q.detectedRaw = detected && detected.raw ? detected.raw : detected || null;
 
-    // Build distractors from LABEL_POOL excluding the correct label
-    const pool = LABEL_POOL.filter(l => String(l).toLowerCase() !== String(finalCorrect).toLowerCase());
-    const distractors = sample(pool, Math.min(3, pool.length));
-    const choices = [finalCorrect, ...distractors].sort(() => Math.random() - 0.5);
+    // Plausible wrong answers from the same category as the dataset item
+    const choices = buildChoices(q, session.items, { random: session.random })
+      .map(normalizeLabelForDisplay);
 
     clearChoices();
     choices.forEach(choice => {
@@ -131,22 +115,23 @@ async function showQuestion(q) {
       choicesEl.appendChild(b);
     });
 
-    feedbackEl.textContent = q.detectedLabel ? `Detected: ${q.detectedLabel}` : 'No label detected (using fallback)';
+    feedbackEl.textContent = q.detectedLabel ? `Detected: ${q.detectedLabel} (${Math.round(detected.confidence * 100)}%)` : 'No label detected (using fallback)';
 
     if (q.detectedRaw) setDebugRaw(q.detectedRaw); else clearDebug();
 
     renderProgress();
   } catch (err) {
-    console.error('Failed to fetch image for detection:', err);
-    feedbackEl.textContent = 'Image fetch failed';
+    console.error('Failed to prepare question:', err);
+    feedbackEl.textContent = 'Could not load this question';
     clearChoices();
     clearDebug();
   }
 }
 
 function onChoose(choice, btn, q) {
-  if (answered) return;
-  answered = true;
+  if (session.answered) return;
+  // A wrong pick ends the question here: no retries in this demo
+  if (!session.answer(choice === q.label, choice).correct) session.reveal();
 
   const buttons = choicesEl.querySelectorAll('.choice');
   buttons.forEach(b => {
@@ -157,7 +142,6 @@ function onChoose(choice, btn, q) {
 
   if (choice === q.label) {
     feedbackEl.textContent = 'Correct! 🎉';
-    score += 1;
   } else {
     feedbackEl.textContent = `Wrong — correct: ${q.label}` + (q.detectedLabel ? ` (detected: ${q.detectedLabel})` : '');
   }
@@ -165,26 +149,28 @@ function onChoose(choice, btn, q) {
 }
 
 nextBtn.addEventListener('click', () => {
-  if (!questions.length) return;
-  if (!answered) {
+  const q = session.current();
+  if (!q || session.complete) return;
+  if (!session.answered) {
     // reveal correct if user didn't answer
+    session.reveal();
     const buttons = choicesEl.querySelectorAll('.choice');
-    buttons.forEach(b => { if (b.textContent === questions[currentIndex].label) b.classList.add('correct'); b.style.pointerEvents = 'none'; });
-    feedbackEl.textContent = `Skipped — correct: ${questions[currentIndex].label}` + (questions[currentIndex].detectedLabel ? ` (detected: ${questions[currentIndex].detectedLabel})` : '');
-    answered = true;
+    buttons.forEach(b => { if (b.textContent === q.label) b.classList.add('correct'); b.style.pointerEvents = 'none'; });
+    feedbackEl.textContent = `Skipped — correct: ${q.label}` + (q.detectedLabel ? ` (detected: ${q.detectedLabel})` : '');
+    renderProgress();
     return;
   }
+  session.next();
+});
 
-  currentIndex += 1;
-  if (currentIndex >= questions.length) {
-    feedbackEl.textContent = `Quiz finished! Score: ${score} / ${questions.length}`;
-    imageEl.src = '/images/quiz-finish.jpg';
-    clearChoices();
-    clearDebug();
-    renderProgress();
-  } else {
-    showQuestion(questions[currentIndex]);
-  }
+session.on('question', event => showQuestion(event.item));
+
+session.on('complete', round => {
+  feedbackEl.textContent = `Quiz finished! Score: ${round.firstTry} / ${round.total}`;
+  imageEl.src = '/images/quiz-finish.jpg';
+  clearChoices();
+  clearDebug();
+  renderProgress();
 });
 
 restartBtn.addEventListener('click', () => {
@@ -195,17 +181,16 @@ async function startQuiz() {
   try {
     const res = await fetch('/api/questions.json');
     if (!res.ok) throw new Error('Failed to load questions.json');
-    const all = await res.json();
-    const normalized = all.map(q => ({ ...q, image: normalizeImageUrl(q.image) }));
-    questions = sample(normalized, Math.min(5, normalized.length));
-    currentIndex = 0;
-    score = 0;
-    if (!questions.length) {
+    let all;
+    try {
+      all = session.load(await res.json());
+    } catch (err) {
       feedbackEl.textContent = 'No questions available.';
       renderProgress();
       return;
     }
-    showQuestion(questions[currentIndex]);
+    all.forEach(q => { q.image = normalizeImageUrl(q.image); });
+    session.startRound(sample(all, 5, session.random));
   } catch (err) {
     console.error(err);
     feedbackEl.textContent = 'Error loading questions. Try again.';
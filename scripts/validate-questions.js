@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Dataset validator
+// Checks api/questions.json (or the file given as the first argument) against the
+// schema rules in js/dataset.js and verifies that local images and audio files exist on disk.
+// Usage: npm run validate [-- path/to/questions.json]
+// Exits with status 1 when errors are found; warnings alone do not fail the run.
+
+import { readFile, access } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateDataset } from '../js/dataset.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const file = path.resolve(process.argv[2] || path.join(root, 'api', 'questions.json'));
+
+async function fileExists(src) {
+  // Image and audio paths are relative to the site root, not to the dataset file
+  const clean = decodeURIComponent(String(src).split(/[?#]/)[0]).replace(/^\.?\//, '');
+  try {
+    await access(path.join(root, clean));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function main() {
+  let json;
+  try {
+    json = JSON.parse(await readFile(file, 'utf8'));
+  } catch (e) {
+    console.error('Could not read ' + path.relative(root, file) + ': ' + e.message);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = await validateDataset(json, { fileExists });
+  warnings.forEach(w => console.warn('warning: ' + w));
+  errors.forEach(e => console.error('error: ' + e));
+
+  const count = Array.isArray(json) ? json.length : (json.items || []).length;
+  console.log(path.relative(root, file) + ': ' + count + ' item(s), ' + errors.length + ' error(s), ' + warnings.length + ' warning(s)');
+  if (errors.length) process.exit(1);
+}
+
+main();
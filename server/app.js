@@ -0,0 +1,213 @@
+// Kulture server
+// Serves the site and the small API the pages use, with no dependencies beyond Node:
+//
+//   GET  /api/question   questions with choices (same contract as the service worker,
+//                        see js/question-api.js)
+//   POST /api/detect     image bytes in, provider results out: { results, raw }.
+//                        The key stays here; size, type and per-client rate limits apply.
+//   GET  /api/config.js  browser settings generated from the server's own, so pages
+//                        use the `proxy` provider and never see the key
+//   WS   /classroom      live class quizzes: host and student pages (server/classroom.js)
+//   GET  everything else from the site root (server/static.js)
+//
+// The upstream detector is an option so tests can stub it without network.
+import http from 'node:http';
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { buildQuestions, questionParams } from '../js/question-api.js';
+import { serveStatic } from './static.js';
+import { createRateLimiter } from './rate-limit.js';
+import { createClassroom } from './classroom.js';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Largest image accepted by /api/detect
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+function sendJson(res, status, body, headers) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    'Cache-Control': 'no-store'
+  }, headers));
+  res.end(text);
+}
+
+// Read the request body, rejecting (with .status 413) once it passes `limit` bytes
+function readBody(req, limit) {
+  return new Promise(function (resolve, reject) {
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      const err = new Error('Image is larger than ' + limit + ' bytes');
+      err.status = 413;
+      reject(err);
+      req.resume();
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', function (chunk) {
+      if (failed) return;
+      size += chunk.length;
+      if (size > limit) {
+        failed = true;
+        const err = new Error('Image is larger than ' + limit + ' bytes');
+        err.status = 413;
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () { if (!failed) resolve(Buffer.concat(chunks)); });
+    req.on('error', reject);
+  });
+}
+
+function clientKey(req, trustProxy) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket.remoteAddress || 'unknown';
+}
+
+// The browser's api/config.js: every setting except the key
+function clientConfig(settings) {
+  const lines = [
+    '// Generated by the Kulture server (server/app.js); the API key stays on the server',
+    'export const DETECTION_PROVIDER = ' + JSON.stringify(settings.detect ? 'proxy' : 'none') + ';'
+  ];
+  ['DETECTION_THRESHOLD', 'DETECTION_TIMEOUT_MS', 'DETECTION_CONCURRENCY', 'ANALYTICS_ENDPOINT'].forEach(function (name) {
+    if (settings.client[name] != null) lines.push('export const ' + name + ' = ' + JSON.stringify(settings.client[name]) + ';');
+  });
+  return lines.join('\n') + '\n';
+}
+
+// options: {
+//   root             site directory (default: the repository root)
+//   detect(blob)     upstream detector resolving to { results, raw }, or null when it
+//                    cannot run; omit to turn detection off (503)
+//   maxImageBytes    default MAX_IMAGE_BYTES
+//   rateLimit        { limit, windowMs } per client for /api/detect (default 30 a minute)
+//   trustProxy       take the client address from X-Forwarded-For
+//   client           { DETECTION_THRESHOLD, DETECTION_TIMEOUT_MS, DETECTION_CONCURRENCY,
+//                      ANALYTICS_ENDPOINT }
+//   random           random source for /api/question and the classroom
+//   questionSeconds  time to answer a classroom question (default QUESTION_SECONDS)
+// }
+export function createApp(options) {
+  options = options || {};
+  const root = options.root || ROOT;
+  const maxImageBytes = options.maxImageBytes || MAX_IMAGE_BYTES;
+  const limiter = createRateLimiter(options.rateLimit);
+  const settings = { detect: typeof options.detect === 'function', client: options.client || {} };
+
+  async function handleQuestion(res, url) {
+    // Packs are installed per device and served by the service worker
+    const pack = url.searchParams.get('pack');
+    if (pack) {
+      sendJson(res, 404, { error: 'Unknown pack: ' + pack });
+      return;
+    }
+    const query = questionParams(url.searchParams);
+    if (query.error) {
+      sendJson(res, 400, { error: query.error });
+      return;
+    }
+    try {
+      const json = JSON.parse(await readFile(path.join(root, 'api', 'questions.json'), 'utf8'));
+      sendJson(res, 200, buildQuestions(json, query.count, options.random, query));
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  }
+
+  async function handleDetect(req, res) {
+    if (!settings.detect) {
+      sendJson(res, 503, { error: 'Image detection is not configured on this server' });
+      return;
+    }
+    const allowance = limiter.take(clientKey(req, options.trustProxy));
+    if (!allowance.ok) {
+      sendJson(res, 429, { error: 'Too many detection requests' }, { 'Retry-After': String(allowance.retryAfter) });
+      req.resume();
+      return;
+    }
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (IMAGE_TYPES.indexOf(type) === -1) {
+      sendJson(res, 415, { error: 'Send a JPEG, PNG, WebP or GIF image' });
+      req.resume();
+      return;
+    }
+    let body;
+    try {
+      body = await readBody(req, maxImageBytes);
+    } catch (err) {
+      sendJson(res, err.status || 400, { error: err.message });
+      return;
+    }
+    if (!body.length) {
+      sendJson(res, 400, { error: 'No image received' });
+      return;
+    }
+    try {
+      const out = await options.detect(new Blob([body], { type: type }));
+      if (!out) {
+        sendJson(res, 503, { error: 'Image detection is not configured on this server' });
+        return;
+      }
+      sendJson(res, 200, { results: out.results || [], raw: out.raw === undefined ? null : out.raw });
+    } catch (err) {
+      // Pass rate limiting on to the browser so it backs off; anything else is a bad gateway
+      if (err.status === 429) {
+        sendJson(res, 429, { error: 'Detection provider is busy' }, { 'Retry-After': String(err.retryAfter || 5) });
+      } else {
+        console.warn('Detection failed:', err.message);
+        sendJson(res, 502, { error: 'Detection provider failed' });
+      }
+    }
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname === '/api/detect') {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Use POST' }, { Allow: 'POST' });
+          return;
+        }
+        await handleDetect(req, res);
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+        return;
+      }
+      if (url.pathname === '/api/question') {
+        await handleQuestion(res, url);
+      } else if (url.pathname === '/api/config.js') {
+        const text = clientConfig(settings);
+        res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : text);
+      } else {
+        await serveStatic(root, req, res, url.pathname);
+      }
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' });
+      else res.end();
+    }
+  };
+}
+
+// The HTTP server plus the classroom's WebSocket upgrades
+export function createServer(options) {
+  options = options || {};
+  const server = http.createServer(createApp(options));
+  const classroom = createClassroom({ root: options.root || ROOT, random: options.random, questionSeconds: options.questionSeconds });
+  server.on('upgrade', classroom.handleUpgrade);
+  server.on('close', classroom.close);
+  return server;
+}
@@ -0,0 +1,364 @@
+// Kulture classroom
+// Kahoot-style play for a class: the teacher's laptop runs the server and projects the
+// host page (classroom.html), each child answers on their own tablet (join.html), and
+// they talk over a WebSocket at CLASSROOM_PATH. Questions and choices come from the
+// same code as /api/question (js/question-api.js).
+//
+// Messages are JSON objects with a `type`:
+//
+//   host → server     { type: 'host', count }        open a room with `count` questions
+//                     { type: 'next' }               first or next question, then the end
+//                     { type: 'reveal' }             stop answers and show the answer
+//   server → host     { type: 'room', code, urls }   join code and addresses to join from
+//                     { type: 'players', players }   [{ name, connected }] after every change
+//                     { type: 'question', index, total, image, choices, seconds }
+//                     { type: 'answers', counts, answered, players }
+//                     { type: 'reveal', answer, counts, leaderboard }
+//                     { type: 'end', leaderboard }
+//   student → server  { type: 'join', code, name, secret }  joining again after a lost
+//                                                    connection with the seat's secret (from
+//                                                    'joined') keeps the score
+//                     { type: 'answer', choice }     index into the question's choices
+//   server → student  { type: 'joined', name, secret }
+//                     { type: 'question', index, total, choices, seconds }  (no picture)
+//                     { type: 'answered' }
+//                     { type: 'result', correct, answer, points, score, place }
+//                     { type: 'end', score, place, players }
+//                     { type: 'closed' }             the teacher left
+//   server → anyone   { type: 'error', code }        see ERROR_CODES
+//
+// Choices are { label, labels } so each device shows them in its own language.
+import path from 'node:path';
+import os from 'node:os';
+import { readFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { acceptWebSocket } from './websocket.js';
+import { buildQuestions, MAX_QUESTIONS } from '../js/question-api.js';
+import { parseDataset } from '../js/dataset.js';
+import { POINTS } from '../js/quiz-session.js';
+import { timeBonus } from '../js/challenge.js';
+import { standings } from '../js/multiplayer.js';
+
+export const CLASSROOM_PATH = '/classroom';
+
+// Time to answer before the answer is shown anyway
+export const QUESTION_SECONDS = 20;
+
+export const MAX_STUDENTS = 40;
+const MAX_NAME_LENGTH = 24;
+
+export const ERROR_CODES = ['badMessage', 'unknownRoom', 'nameMissing', 'nameTaken', 'roomFull', 'notJoined', 'noQuestions', 'serverError'];
+
+function roomError(code) {
+  const err = new Error('Classroom error: ' + code);
+  err.code = code;
+  return err;
+}
+
+// Seat secrets: unguessable, unlike a join code or a child's name
+function newSecret() {
+  return randomBytes(16).toString('hex');
+}
+
+function cleanName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+}
+
+// One class playing through `questions` (from buildQuestions). options: { now }
+export function createRoom(code, questions, options) {
+  options = options || {};
+  const now = options.now || Date.now;
+  const students = [];
+  let index = -1;
+  let phase = 'lobby';
+  let askedAt = 0;
+
+  const room = {
+    code: code,
+    students: students,
+    // 'lobby', 'question' (answers open), 'reveal' or 'end'
+    get phase() { return phase; },
+    get index() { return index; },
+    get total() { return questions.length; },
+    current: function () { return questions[index] || null; },
+    // Returns the student, whose secret takes the seat back after a lost connection;
+    // the name alone does not
+    join: function (name, secret) {
+      const clean = cleanName(name);
+      if (!clean) throw roomError('nameMissing');
+      const existing = students.find(s => s.name.toLowerCase() === clean.toLowerCase());
+      if (existing) {
+        if (existing.connected || !secret || secret !== existing.secret) throw roomError('nameTaken');
+        existing.connected = true;
+        return existing;
+      }
+      if (students.length >= MAX_STUDENTS) throw roomError('roomFull');
+      const student = { name: clean, secret: newSecret(), score: 0, correct: 0, connected: true, answer: null, last: null };
+      students.push(student);
+      return student;
+    },
+    leave: function (student) {
+      student.connected = false;
+    },
+    // Move on to the next question, or to the end after the last one
+    next: function () {
+      if (phase === 'end') return phase;
+      index++;
+      students.forEach(function (s) { s.answer = null; s.last = null; });
+      phase = index < questions.length ? 'question' : 'end';
+      askedAt = now();
+      return phase;
+    },
+    // A student's first answer to the open question counts; later ones are ignored
+    answer: function (student, choice) {
+      const q = room.current();
+      if (phase !== 'question' || student.answer || !Number.isInteger(choice) || choice < 0 || choice >= q.choices.length) return false;
+      student.answer = { choice: choice, ms: now() - askedAt };
+      return true;
+    },
+    counts: function () {
+      const q = room.current();
+      return q ? q.choices.map((c, i) => students.filter(s => s.answer && s.answer.choice === i).length) : [];
+    },
+    answered: function () {
+      return students.filter(s => s.answer).length;
+    },
+    // Everyone still connected has answered
+    allAnswered: function () {
+      const present = students.filter(s => s.connected);
+      return present.length > 0 && present.every(s => s.answer);
+    },
+    // Close the question and score it: first-try points plus a bonus for speed
+    reveal: function () {
+      if (phase !== 'question') return false;
+      phase = 'reveal';
+      const q = room.current();
+      students.forEach(function (s) {
+        const correct = !!s.answer && q.choices[s.answer.choice].label === q.label;
+        const points = correct ? POINTS[0] + timeBonus(s.answer.ms) : 0;
+        s.score += points;
+        if (correct) s.correct++;
+        s.last = { correct: correct, points: points };
+      });
+      return true;
+    },
+    // [{ name, score, correct, place }] best first; equal scores share a place
+    leaderboard: function () {
+      return standings(students.map(s => ({ name: s.name, score: s.score, firstTry: s.correct })))
+        .map(p => ({ name: p.name, score: p.score, correct: p.firstTry, place: p.place }));
+    }
+  };
+  return room;
+}
+
+// Addresses of this machine on the local network, for the host page to show
+export function joinUrls(port) {
+  const urls = [];
+  Object.values(os.networkInterfaces()).forEach(function (list) {
+    (list || []).forEach(function (a) {
+      if (a.family === 'IPv4' && !a.internal) urls.push('http://' + a.address + ':' + port + '/join.html');
+    });
+  });
+  return urls;
+}
+
+// The WebSocket side: rooms by join code and the connections in them.
+// options: { root, random, now, questionSeconds }
+// Returns { handleUpgrade(req, socket, head), close(), rooms }.
+export function createClassroom(options) {
+  options = options || {};
+  const random = options.random || Math.random;
+  const seconds = options.questionSeconds || QUESTION_SECONDS;
+  // code -> { room, host, sockets: Map(student -> connection), timer }
+  const rooms = new Map();
+
+  function send(conn, message) {
+    if (conn && conn.open) conn.send(JSON.stringify(message));
+  }
+
+  function newCode() {
+    let code;
+    do {
+      code = String(1000 + Math.floor(random() * 9000));
+    } while (rooms.has(code));
+    return code;
+  }
+
+  // Questions with translated choices, like /api/question
+  async function loadQuestions(count) {
+    const json = JSON.parse(await readFile(path.join(options.root, 'api', 'questions.json'), 'utf8'));
+    const byLabel = new Map(parseDataset(json).items.map(i => [i.label, i]));
+    return buildQuestions(json, count, random).questions.map(function (q) {
+      return Object.assign({}, q, {
+        choices: q.choices.map(label => ({ label: label, labels: (byLabel.get(label) || {}).labels || {} }))
+      });
+    });
+  }
+
+  function players(entry) {
+    return entry.room.students.map(s => ({ name: s.name, connected: s.connected }));
+  }
+
+  function sendPlayers(entry) {
+    send(entry.host, { type: 'players', players: players(entry) });
+  }
+
+  function sendAnswers(entry) {
+    send(entry.host, { type: 'answers', counts: entry.room.counts(), answered: entry.room.answered(), players: entry.room.students.filter(s => s.connected).length });
+  }
+
+  function questionFor(entry) {
+    const room = entry.room;
+    const q = room.current();
+    return { type: 'question', index: room.index, total: room.total, choices: q.choices, seconds: seconds };
+  }
+
+  function place(entry, student) {
+    const row = entry.room.leaderboard().find(p => p.name === student.name);
+    return row ? row.place : null;
+  }
+
+  function reveal(entry) {
+    clearTimeout(entry.timer);
+    if (!entry.room.reveal()) return;
+    const q = entry.room.current();
+    const answer = { label: q.label, labels: q.choices.find(c => c.label === q.label).labels };
+    send(entry.host, { type: 'reveal', answer: answer, counts: entry.room.counts(), leaderboard: entry.room.leaderboard() });
+    entry.sockets.forEach(function (conn, s) {
+      send(conn, { type: 'result', correct: s.last.correct, answer: answer, points: s.last.points, score: s.score, place: place(entry, s) });
+    });
+  }
+
+  function next(entry) {
+    const room = entry.room;
+    if (room.phase === 'question') reveal(entry);
+    if (room.next() === 'end') {
+      const leaderboard = room.leaderboard();
+      send(entry.host, { type: 'end', leaderboard: leaderboard });
+      entry.sockets.forEach(function (conn, s) {
+        send(conn, { type: 'end', score: s.score, place: place(entry, s), players: room.students.length });
+      });
+      return;
+    }
+    const q = room.current();
+    send(entry.host, Object.assign(questionFor(entry), { image: q.image }));
+    entry.sockets.forEach(conn => send(conn, questionFor(entry)));
+    sendAnswers(entry);
+    entry.timer = setTimeout(function () { reveal(entry); }, seconds * 1000);
+    if (entry.timer.unref) entry.timer.unref();
+  }
+
+  function closeRoom(entry) {
+    clearTimeout(entry.timer);
+    rooms.delete(entry.room.code);
+    entry.sockets.forEach(function (conn) {
+      send(conn, { type: 'closed' });
+      conn.close(1000);
+    });
+    entry.sockets.clear();
+  }
+
+  async function onHostMessage(client, message) {
+    if (message.type === 'host' && !client.entry && !client.opening) {
+      const count = Math.max(1, Math.min(MAX_QUESTIONS, parseInt(message.count, 10) || MAX_QUESTIONS));
+      // Until the questions are in, another 'host' is refused rather than opening a second room
+      client.opening = true;
+      let questions;
+      try {
+        questions = await loadQuestions(count);
+      } finally {
+        client.opening = false;
+      }
+      // The host left while they loaded: nobody could ever close the room
+      if (!client.conn.open) return;
+      if (!questions.length) throw roomError('noQuestions');
+      const code = newCode();
+      client.entry = { room: createRoom(code, questions, { now: options.now }), host: client.conn, sockets: new Map(), timer: null };
+      rooms.set(code, client.entry);
+      send(client.conn, { type: 'room', code: code, urls: joinUrls(client.port) });
+      sendPlayers(client.entry);
+    } else if (message.type === 'next' && client.entry) {
+      next(client.entry);
+    } else if (message.type === 'reveal' && client.entry) {
+      reveal(client.entry);
+    } else {
+      throw roomError('badMessage');
+    }
+  }
+
+  function onStudentMessage(client, message) {
+    if (message.type === 'join' && !client.student) {
+      const entry = rooms.get(String(message.code || '').trim());
+      if (!entry) throw roomError('unknownRoom');
+      const student = entry.room.join(message.name, typeof message.secret === 'string' ? message.secret : '');
+      client.entry = entry;
+      client.student = student;
+      entry.sockets.set(student, client.conn);
+      send(client.conn, { type: 'joined', name: student.name, secret: student.secret });
+      sendPlayers(entry);
+      // Joining during a question: it can still be answered
+      if (entry.room.phase === 'question' && !student.answer) send(client.conn, questionFor(entry));
+    } else if (message.type === 'answer') {
+      if (!client.student) throw roomError('notJoined');
+      const entry = client.entry;
+      if (!entry.room.answer(client.student, message.choice)) return;
+      send(client.conn, { type: 'answered' });
+      sendAnswers(entry);
+      if (entry.room.allAnswered()) reveal(entry);
+    } else {
+      throw roomError('badMessage');
+    }
+  }
+
+  function onClose(client) {
+    const entry = client.entry;
+    if (!entry) return;
+    if (entry.host === client.conn) {
+      closeRoom(entry);
+    } else if (client.student && entry.sockets.get(client.student) === client.conn) {
+      entry.sockets.delete(client.student);
+      entry.room.leave(client.student);
+      sendPlayers(entry);
+      if (entry.room.phase === 'question' && entry.room.allAnswered()) reveal(entry);
+    }
+  }
+
+  return {
+    rooms: rooms,
+    handleUpgrade: function (req, socket, head) {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== CLASSROOM_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      const client = { conn: null, entry: null, student: null, opening: false, port: socket.localPort };
+      client.conn = acceptWebSocket(req, socket, head, {
+        onMessage: async function (text) {
+          let message;
+          try {
+            message = JSON.parse(text);
+          } catch (e) {
+            message = null;
+          }
+          try {
+            if (!message || typeof message.type !== 'string') throw roomError('badMessage');
+            const isHost = message.type === 'host' || (client.entry && client.entry.host === client.conn);
+            if (isHost) await onHostMessage(client, message);
+            else onStudentMessage(client, message);
+          } catch (err) {
+            if (!err.code) console.error('Classroom:', err);
+            send(client.conn, { type: 'error', code: ERROR_CODES.indexOf(err.code) === -1 ? 'serverError' : err.code });
+          }
+        },
+        onClose: function () { onClose(client); }
+      });
+    },
+    // Close every room, e.g. when the server stops
+    close: function () {
+      rooms.forEach(function (entry) {
+        closeRoom(entry);
+        if (entry.host) entry.host.close(1001);
+      });
+    }
+  };
+}
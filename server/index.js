@@ -0,0 +1,42 @@
+// Kulture server entry point: `npm start`
+// Settings come from the environment (e.g. `node --env-file=.env server/index.js`):
+//   PORT                   port to listen on (default 8080)
+//   HOST                   interface to bind (default all)
+//   API_NINJAS_KEY         provider key; without it /api/detect answers 503
+//   DETECT_RATE_LIMIT      detection requests per client per minute (default 30)
+//   MAX_IMAGE_BYTES        largest image /api/detect accepts (default 5 MB)
+//   TRUST_PROXY            set to 1 behind a reverse proxy that sets X-Forwarded-For
+//   DETECTION_THRESHOLD, DETECTION_TIMEOUT_MS, DETECTION_CONCURRENCY
+//                          passed on to the browser's api/config.js
+//   ANALYTICS_ENDPOINT     URL the quiz POSTs its anonymous analytics to (default none)
+import { createServer, MAX_IMAGE_BYTES } from './app.js';
+import { ninjasProvider } from '../api/providers/api-ninjas.js';
+
+const env = process.env;
+
+function numberFrom(name) {
+  const n = Number(env[name]);
+  return env[name] && Number.isFinite(n) ? n : undefined;
+}
+
+const key = env.API_NINJAS_KEY && !env.API_NINJAS_KEY.startsWith('REPLACE') ? env.API_NINJAS_KEY : null;
+
+const server = createServer({
+  detect: key ? blob => ninjasProvider.detect(blob, { apiKey: key }) : null,
+  maxImageBytes: numberFrom('MAX_IMAGE_BYTES') || MAX_IMAGE_BYTES,
+  rateLimit: { limit: numberFrom('DETECT_RATE_LIMIT'), windowMs: 60 * 1000 },
+  trustProxy: env.TRUST_PROXY === '1',
+  client: {
+    DETECTION_THRESHOLD: numberFrom('DETECTION_THRESHOLD'),
+    DETECTION_TIMEOUT_MS: numberFrom('DETECTION_TIMEOUT_MS'),
+    DETECTION_CONCURRENCY: numberFrom('DETECTION_CONCURRENCY'),
+    ANALYTICS_ENDPOINT: env.ANALYTICS_ENDPOINT || undefined
+  }
+});
+
+const port = numberFrom('PORT') || 8080;
+server.listen(port, env.HOST || undefined, function () {
+  console.log('Kulture running at http://localhost:' + server.address().port + '/');
+  console.log('Class quiz host screen: http://localhost:' + server.address().port + '/classroom.html');
+  if (!key) console.log('API_NINJAS_KEY is not set; image detection is off.');
+});
@@ -0,0 +1,36 @@
+// Per-client rate limiting for the Kulture server
+// A fixed window per client key (the caller's address): at most `limit` requests
+// every `windowMs`. take() reports when the client may try again.
+
+// options: { limit = 30, windowMs = 60000, now = Date.now }
+export function createRateLimiter(options) {
+  options = options || {};
+  const limit = options.limit == null ? 30 : options.limit;
+  const windowMs = options.windowMs || 60 * 1000;
+  const now = options.now || Date.now;
+  const windows = new Map();
+
+  // Forget finished windows so the map does not grow with every client ever seen
+  function sweep(t) {
+    for (const [key, w] of windows) {
+      if (t >= w.resetAt) windows.delete(key);
+    }
+  }
+
+  return {
+    // { ok, remaining, retryAfter } where retryAfter is in whole seconds
+    take: function (key) {
+      const t = now();
+      if (windows.size > 1000) sweep(t);
+      let w = windows.get(key);
+      if (!w || t >= w.resetAt) {
+        w = { count: 0, resetAt: t + windowMs };
+        windows.set(key, w);
+      }
+      const retryAfter = Math.max(1, Math.ceil((w.resetAt - t) / 1000));
+      if (w.count >= limit) return { ok: false, remaining: 0, retryAfter: retryAfter };
+      w.count++;
+      return { ok: true, remaining: limit - w.count, retryAfter: retryAfter };
+    }
+  };
+}
@@ -0,0 +1,96 @@
+// Static file serving for the Kulture server
+// Serves the site from the repository root with correct MIME types (browsers refuse
+// module scripts served as text/plain). Only the pages at the top level and the folders
+// the site loads from are served: never server code, tests, dotfiles or the local
+// api/config.js (which may hold a private key), whatever the case or slashes of the URL.
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+export const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// What may be served (relative to the root, with a leading slash): pages, styles and
+// scripts at the top level, and everything in these folders
+const PUBLIC_FILE = /^\/[^/]+\.(html|css|js|webmanifest|ico|txt)$/;
+const PUBLIC_DIRS = ['api', 'audio', 'components', 'images', 'js', 'locales', 'scripts'];
+
+// Never served, even inside a public folder. Windows also opens api/config.js for a
+// trailing dot or space, or a ::$DATA stream suffix.
+const HIDDEN = [/\/\./, /^\/api\/config\.js([.\s:]|$)/];
+
+// Matched in lower case with forward slashes, as a case-insensitive filesystem (macOS,
+// Windows) would find `/API/Config.JS` or `/api\config.js` all the same
+export function isHidden(urlPath) {
+  const p = path.posix.normalize('/' + String(urlPath).replace(/\\/g, '/')).toLowerCase();
+  if (HIDDEN.some(re => re.test(p))) return true;
+  if (p === '/') return false;
+  return !PUBLIC_FILE.test(p) && PUBLIC_DIRS.indexOf(p.split('/')[1]) === -1;
+}
+
+// File on disk for a URL path, or null when it is outside the root or hidden
+export function resolvePath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (e) {
+    return null;
+  }
+  if (decoded.indexOf('\0') !== -1) return null;
+  const clean = path.posix.normalize('/' + decoded.replace(/\\/g, '/'));
+  if (isHidden(clean)) return null;
+  const file = path.join(root, clean);
+  const base = path.resolve(root);
+  if (file !== base && !file.startsWith(base + path.sep)) return null;
+  return file;
+}
+
+async function fileInfo(file) {
+  try {
+    const info = await stat(file);
+    if (info.isDirectory()) return fileInfo(path.join(file, 'index.html'));
+    return info.isFile() ? { file: file, size: info.size } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function send(req, res, status, found) {
+  const type = MIME_TYPES[path.extname(found.file).toLowerCase()] || 'application/octet-stream';
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Content-Length': found.size,
+    // The service worker does the offline caching; always revalidate code and pages
+    'Cache-Control': type.startsWith('image/') || type.startsWith('audio/') ? 'public, max-age=86400' : 'no-cache',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (req.method === 'HEAD') { res.end(); return; }
+  createReadStream(found.file).pipe(res);
+}
+
+// Serve GET/HEAD requests from `root`; unknown paths get 404.html with a 404 status
+export async function serveStatic(root, req, res, urlPath) {
+  const file = resolvePath(root, urlPath);
+  const found = file && await fileInfo(file);
+  if (found) return send(req, res, 200, found);
+  const notFound = await fileInfo(path.join(root, '404.html'));
+  if (notFound) return send(req, res, 404, notFound);
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found');
+}
@@ -0,0 +1,156 @@
+// Minimal WebSocket (RFC 6455) support for the Kulture server
+// Enough for the classroom's small JSON messages without a dependency: the opening
+// handshake, unfragmented text frames, ping/pong and close. Binary and fragmented
+// messages are refused by closing the connection, and so are unmasked client frames.
+import { createHash } from 'node:crypto';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const OPCODES = { text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Largest message accepted from a client
+export const MAX_PAYLOAD = 16 * 1024;
+
+// Sec-WebSocket-Accept for a client's Sec-WebSocket-Key
+export function acceptKey(key) {
+  return createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// One frame. Clients must mask what they send (mask = true); servers never do.
+export function encodeFrame(opcode, payload, mask) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || '');
+  const length = data.length;
+  const extra = length < 126 ? 0 : length < 65536 ? 2 : 8;
+  const head = Buffer.alloc(2 + extra + (mask ? 4 : 0));
+  head[0] = 0x80 | opcode;
+  head[1] = (mask ? 0x80 : 0) | (extra === 0 ? length : extra === 2 ? 126 : 127);
+  if (extra === 2) head.writeUInt16BE(length, 2);
+  if (extra === 8) head.writeBigUInt64BE(BigInt(length), 2);
+  if (!mask) return Buffer.concat([head, data]);
+  const key = head.subarray(2 + extra);
+  for (let i = 0; i < 4; i++) key[i] = Math.floor(Math.random() * 256);
+  const body = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) body[i] = data[i] ^ key[i % 4];
+  return Buffer.concat([head, body]);
+}
+
+// Feed it socket data; it calls onFrame({ fin, opcode, payload }) for each complete
+// frame. Throws (with .code, a close code) on a frame larger than maxPayload, or on an
+// unmasked one when requireMask is set (a server reading a client).
+export function createFrameParser(onFrame, maxPayload, requireMask) {
+  maxPayload = maxPayload || MAX_PAYLOAD;
+  let buffered = Buffer.alloc(0);
+
+  return function push(chunk) {
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      if (requireMask && !masked) {
+        const err = new Error('Client frames must be masked');
+        err.code = 1002;
+        throw err;
+      }
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        const big = buffered.readBigUInt64BE(2);
+        length = big > BigInt(maxPayload) ? maxPayload + 1 : Number(big);
+        offset = 10;
+      }
+      if (length > maxPayload) {
+        const err = new Error('Message is larger than ' + maxPayload + ' bytes');
+        err.code = 1009;
+        throw err;
+      }
+      const end = offset + (masked ? 4 : 0) + length;
+      if (buffered.length < end) return;
+      let payload = Buffer.from(buffered.subarray(end - length, end));
+      if (masked) {
+        const key = buffered.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= key[i % 4];
+      }
+      buffered = buffered.subarray(end);
+      onFrame({ fin: fin, opcode: opcode, payload: payload });
+    }
+  };
+}
+
+// Complete the handshake for an HTTP 'upgrade' request and return the connection:
+// { send(text), close(code), get open }. head is the upgrade event's first bytes of the
+// stream, which may already hold frames. handlers: { onMessage(text), onClose() }.
+// Returns null (after answering 400) when the request is not a WebSocket upgrade.
+export function acceptWebSocket(req, socket, head, handlers) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = String(req.headers.upgrade || '').toLowerCase();
+  if (upgrade !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Accept: ' + acceptKey(key),
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  let open = true;
+  const connection = {
+    get open() { return open; },
+    send: function (text) {
+      if (open) socket.write(encodeFrame(OPCODES.text, text));
+    },
+    close: function (code) {
+      if (!open) return;
+      const body = Buffer.alloc(2);
+      body.writeUInt16BE(code || 1000);
+      socket.write(encodeFrame(OPCODES.close, body));
+      finish();
+      socket.end();
+    }
+  };
+
+  function finish() {
+    if (!open) return;
+    open = false;
+    if (handlers.onClose) handlers.onClose();
+  }
+
+  const push = createFrameParser(function (frame) {
+    if (!open) return;
+    if (frame.opcode === OPCODES.close) {
+      connection.close(1000);
+    } else if (frame.opcode === OPCODES.ping) {
+      socket.write(encodeFrame(OPCODES.pong, frame.payload));
+    } else if (frame.opcode === OPCODES.text && frame.fin) {
+      if (handlers.onMessage) handlers.onMessage(frame.payload.toString('utf8'));
+    } else if (frame.opcode !== OPCODES.pong) {
+      // Binary or fragmented messages are not part of the protocol
+      connection.close(1003);
+    }
+  }, MAX_PAYLOAD, true);
+
+  function onData(chunk) {
+    if (!open) return;
+    try {
+      push(chunk);
+    } catch (err) {
+      connection.close(err.code || 1002);
+    }
+  }
+
+  socket.on('data', onData);
+  socket.on('close', finish);
+  socket.on('error', function () { socket.destroy(); finish(); });
+  // After the caller has the connection, and before any later data
+  if (head && head.length) process.nextTick(onData, head);
+  return connection;
+}
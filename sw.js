@@ -0,0 +1,3 @@
+/* Service worker entry point
+   Lives at the site root so its scope covers every page; the implementation is in api/sw.js */
+import './api/sw.js';
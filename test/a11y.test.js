@@ -0,0 +1,115 @@
+// Tests for the quiz's accessibility settings, shortcuts, announcements, switch
+// scanning and spoiler-free picture descriptions (js/a11y.js, js/dataset.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  A11Y_KEY, DEFAULT_A11Y, loadA11ySettings, saveA11ySettings, reduceMotion, shortcutIndex,
+  pictureDescription, createAnnouncer, createScanner
+} from '../js/a11y.js';
+import { normalizeItem, validateDataset } from '../js/dataset.js';
+import { memoryStorage } from './helpers.js';
+
+const source = JSON.parse(readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8'));
+
+// A fake interval timer driven by tick()
+function fakeTimers() {
+  let fn = null;
+  return {
+    setInterval: function (f) { fn = f; return 1; },
+    clearInterval: function () { fn = null; },
+    tick: function () { if (fn) fn(); },
+    get running() { return fn != null; }
+  };
+}
+
+test('settings round-trip and fall back to the defaults', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadA11ySettings(storage), DEFAULT_A11Y);
+  const settings = { motion: 'reduce', lowStimulation: true, scanning: true, scanSeconds: 3 };
+  saveA11ySettings(settings, storage);
+  assert.deepEqual(loadA11ySettings(storage), settings);
+  storage.setItem(A11Y_KEY, JSON.stringify({ motion: 'wild', scanning: 'yes', scanSeconds: 0.1 }));
+  assert.deepEqual(loadA11ySettings(storage), DEFAULT_A11Y);
+  storage.setItem(A11Y_KEY, '{broken');
+  assert.deepEqual(loadA11ySettings(storage), DEFAULT_A11Y);
+  assert.deepEqual(loadA11ySettings(null), DEFAULT_A11Y);
+});
+
+test('motion follows the system unless a setting turns it off', () => {
+  const calmSystem = () => ({ matches: true });
+  const busySystem = () => ({ matches: false });
+  assert.equal(reduceMotion(DEFAULT_A11Y, busySystem), false);
+  assert.equal(reduceMotion(DEFAULT_A11Y, calmSystem), true);
+  assert.equal(reduceMotion(Object.assign({}, DEFAULT_A11Y, { motion: 'reduce' }), busySystem), true);
+  assert.equal(reduceMotion(Object.assign({}, DEFAULT_A11Y, { lowStimulation: true }), busySystem), true);
+});
+
+test('the keys 1-4 pick a choice, except while typing or with a modifier', () => {
+  const button = { tagName: 'BUTTON' };
+  assert.equal(shortcutIndex({ key: '1', target: button }), 0);
+  assert.equal(shortcutIndex({ key: '4', target: button }), 3);
+  assert.equal(shortcutIndex({ key: '5', target: button }), -1);
+  assert.equal(shortcutIndex({ key: 'a', target: button }), -1);
+  assert.equal(shortcutIndex({ key: '2', target: { tagName: 'INPUT' } }), -1);
+  assert.equal(shortcutIndex({ key: '2', target: { tagName: 'DIV', isContentEditable: true } }), -1);
+  assert.equal(shortcutIndex({ key: '2', ctrlKey: true, target: button }), -1);
+});
+
+test('announcements clear the region first so a repeated message is read again', async () => {
+  const region = { textContent: 'old' };
+  const announce = createAnnouncer(region, 0);
+  announce('Try again');
+  assert.equal(region.textContent, '');
+  await new Promise(r => setTimeout(r, 5));
+  assert.equal(region.textContent, 'Try again');
+  announce('Try again');
+  announce('Correct!');
+  await new Promise(r => setTimeout(r, 5));
+  assert.equal(region.textContent, 'Correct!');
+});
+
+test('switch scanning steps through the buttons, wraps and starts again at the top', () => {
+  const timers = fakeTimers();
+  let buttons = ['a', 'b', 'c'];
+  const shown = [];
+  const scanner = createScanner({ targets: () => buttons, highlight: el => shown.push(el), seconds: 1, setInterval: timers.setInterval, clearInterval: timers.clearInterval });
+  scanner.restart();
+  assert.equal(scanner.running, false, 'restart does nothing before start');
+  scanner.start();
+  timers.tick();
+  timers.tick();
+  timers.tick();
+  assert.deepEqual(shown, ['a', 'b', 'c', 'a']);
+  scanner.restart();
+  assert.equal(scanner.current, 'a');
+  // The highlighted button went away (a new question): start from the first one
+  buttons = ['x', 'y'];
+  timers.tick();
+  assert.equal(scanner.current, 'x');
+  buttons = [];
+  timers.tick();
+  assert.equal(scanner.current, null);
+  scanner.stop();
+  assert.equal(timers.running, false);
+  assert.equal(shown[shown.length - 1], null);
+});
+
+test('picture descriptions come per locale and must not give the answer away', async () => {
+  const item = normalizeItem({ id: 'q1', label: 'ugali', alt: { default: 'A white mound on a plate', sw: 'Kilima cheupe sahanini' } });
+  assert.equal(pictureDescription(item, 'sw'), 'Kilima cheupe sahanini');
+  assert.equal(pictureDescription(item, 'ki'), 'A white mound on a plate');
+  assert.equal(pictureDescription(normalizeItem({ label: 'ugali', alt: '  ' }), 'en'), null);
+
+  const json = JSON.parse(JSON.stringify(source));
+  json.items[0].alt = 'A woman wearing a bright red cloth';
+  let result = await validateDataset(json);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.warnings.some(w => /gives the answer away/.test(w)), false);
+  json.items[0].alt = { sw: 'Mwanamke amevaa ' + json.items[0].label };
+  result = await validateDataset(json);
+  assert.ok(result.warnings.some(w => /gives the answer away/.test(w)));
+  json.items[0].alt = 7;
+  result = await validateDataset(json);
+  assert.ok(result.errors.some(e => /"alt" must be/.test(e)));
+});
@@ -0,0 +1,120 @@
+// Tests for points, stars, streaks and badges (js/achievements.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  emptyAchievements, loadAchievements, saveAchievements, recordResult, recordRound,
+  awardBadges, badgeShelf, totalStars, BADGES
+} from '../js/achievements.js';
+import { createQuizSession } from '../js/quiz-session.js';
+import { memoryStorage } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date(2025, 0, 6, 10).getTime();
+
+const items = [
+  { id: 'q1', category: 'food', level: 1 },
+  { id: 'q2', category: 'food', level: 1 },
+  { id: 'q3', category: 'animals', level: 1 }
+];
+
+function result(id, firstTry, points, streak) {
+  return { item: { id: id }, firstTry: firstTry, points: points, streak: streak };
+}
+
+function earnedIds(record, context, now) {
+  return awardBadges(record, context, now).map(b => b.id);
+}
+
+test('points add up and the best streak is kept', () => {
+  const record = emptyAchievements();
+  recordResult(record, result('q1', true, 10, 1), { now: () => start });
+  recordResult(record, result('q2', true, 10, 2), { now: () => start });
+  recordResult(record, result('q3', false, 5, 0), { now: () => start });
+  assert.equal(record.points, 25);
+  assert.equal(record.bestStreak, 2);
+  assert.deepEqual(record.firstTry, { '': ['q1', 'q2'] });
+  assert.deepEqual(earnedIds(record, { items: items }), ['firstAnswer', 'category.food']);
+  assert.deepEqual(earnedIds(record, { items: items }), []);
+});
+
+test('a category badge needs every item of it right first time', () => {
+  const record = emptyAchievements();
+  recordResult(record, result('q1', true, 10, 1));
+  recordResult(record, result('q2', false, 5, 0));
+  assert.equal(earnedIds(record, { items: items }).includes('category.food'), false);
+  recordResult(record, result('q2', true, 10, 1));
+  assert.equal(earnedIds(record, { items: items }).includes('category.food'), true);
+  // Answers in a question pack count for that pack only
+  recordResult(record, result('q3', true, 10, 3), { pack: 'coast-foods' });
+  assert.equal(earnedIds(record, { items: items }).includes('category.animals'), false);
+  assert.equal(earnedIds(record, { items: items, pack: 'coast-foods' }).includes('category.animals'), true);
+});
+
+test('days in a row count local calendar days', () => {
+  const record = emptyAchievements();
+  for (let day = 0; day < 7; day++) {
+    recordResult(record, result('q1', true, 10, 1), { now: () => start + day * DAY });
+    recordResult(record, result('q1', true, 10, 1), { now: () => start + day * DAY + 60000 });
+  }
+  assert.deepEqual(record.days, { last: '2025-01-12', current: 7, best: 7 });
+  assert.ok(earnedIds(record, {}).includes('days7'));
+  recordResult(record, result('q1', true, 10, 1), { now: () => start + 9 * DAY });
+  assert.equal(record.days.current, 1);
+  assert.equal(record.days.best, 7);
+});
+
+test('rounds keep their best stars per pack and level', () => {
+  const record = emptyAchievements();
+  recordRound(record, { level: 1, practice: false, stars: 2 });
+  recordRound(record, { level: 1, practice: false, stars: 1 });
+  recordRound(record, { level: 3, practice: false, stars: 3 });
+  recordRound(record, { level: 1, practice: true, stars: 3 });
+  recordRound(record, { level: 1, practice: false, stars: 3 }, { pack: 'coast-foods' });
+  assert.deepEqual(record.stars, { '': { 1: 2, 3: 3 }, 'coast-foods': { 1: 3 } });
+  assert.equal(totalStars(record), 5);
+  assert.equal(record.rounds, 4);
+  assert.equal(record.practiceRounds, 1);
+  const earned = earnedIds(record, { levels: [1, 2, 3] });
+  assert.ok(earned.includes('perfect1') && earned.includes('perfect3') && earned.includes('practice'));
+  assert.equal(earned.includes('perfect2'), false);
+  assert.equal(earned.includes('allLevels'), false);
+  recordRound(record, { level: 2, practice: false, stars: 1 });
+  assert.deepEqual(earnedIds(record, { levels: [1, 2, 3] }), ['allLevels']);
+});
+
+test('the shelf lists every badge, earned or not', () => {
+  const record = emptyAchievements();
+  record.points = 10;
+  awardBadges(record, {}, () => 1234);
+  const shelf = badgeShelf(record);
+  assert.equal(shelf.length, BADGES.length);
+  assert.deepEqual(shelf.find(s => s.badge.id === 'firstAnswer'), { badge: BADGES[0], earned: true, at: 1234 });
+  assert.equal(shelf.filter(s => s.earned).length, 1);
+  assert.equal(new Set(BADGES.map(b => b.id)).size, BADGES.length);
+});
+
+test('achievements survive a reload', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadAchievements('p1', storage), emptyAchievements());
+  const record = emptyAchievements();
+  record.points = 40;
+  saveAchievements('p1', record, storage);
+  assert.equal(loadAchievements('p1', storage).points, 40);
+  storage.setItem('kulture.achievements.v1.p1', '{broken');
+  assert.deepEqual(loadAchievements('p1', storage), emptyAchievements());
+});
+
+test('a played session feeds the records through its events', () => {
+  const s = createQuizSession({ seed: 7 });
+  const record = emptyAchievements();
+  s.load({ items: [1, 2, 3, 4, 5].map(n => ({ id: 'q' + n, level: 1, category: 'food', label: 'w' + n })) });
+  s.on('result', r => recordResult(record, r));
+  s.on('complete', r => recordRound(record, r));
+  s.startLevel(1);
+  while (!s.complete) { s.answer(true); s.next(); }
+  assert.equal(record.points, 50);
+  assert.equal(record.bestStreak, 5);
+  assert.deepEqual(record.stars, { '': { 1: 3 } });
+  const earned = earnedIds(record, { items: s.items, levels: s.levels });
+  for (const id of ['firstAnswer', 'streak5', 'perfect1', 'allLevels', 'category.food']) assert.ok(earned.includes(id), id);
+});
@@ -0,0 +1,259 @@
+// Tests for the anonymous question log, its analysis and the POST sink (js/analytics.js),
+// the sink against a local stub server
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  ANALYTICS_KEY, MAX_EVENTS, MIN_SAMPLES, SAVE_DELAY_MS, loadEvents, clearEvents, createEventLog, createPostSink, analyseEvents
+} from '../js/analytics.js';
+import { normalizeItem } from '../js/dataset.js';
+import { memoryStorage, manualTimers, fakeClock } from './helpers.js';
+
+const items = [
+  normalizeItem({ id: 'q1', level: 1, category: 'food', label: 'ugali' }),
+  normalizeItem({ id: 'q2', level: 1, category: 'food', label: 'chapati' }),
+  normalizeItem({ id: 'q3', level: 2, category: 'food', label: 'mutura' }),
+  normalizeItem({ id: 'q4', level: 2, category: 'food', label: 'nyama choma' })
+];
+
+// A log that is written out before every read in these tests
+function savingLog(storage, clock) {
+  const log = createEventLog({ storage: storage, now: clock.now, setTimeout: () => 1, clearTimeout: function () {} });
+  return {
+    shown: function (item, context) { log.shown(item, context); log.save(); },
+    tried: function (item, context) { log.tried(item, context); log.save(); }
+  };
+}
+
+// `n` questions about `item`: `wrong` of them missed first with `picked`, all right in the end
+function play(log, clock, item, n, wrong, picked) {
+  for (let i = 0; i < n; i++) {
+    log.shown(item, { type: 'picture-to-word' });
+    clock.advance(2000);
+    if (i < wrong) {
+      log.tried(item, { correct: false, attempt: 1, picked: picked });
+      clock.advance(1000);
+      log.tried(item, { correct: true, attempt: 2, picked: item.label });
+    } else {
+      log.tried(item, { correct: true, attempt: 1, picked: item.label });
+    }
+  }
+}
+
+test('the log keeps anonymous events and passes them to the sink', () => {
+  const storage = memoryStorage();
+  const clock = fakeClock(1000);
+  const sent = [];
+  const timers = manualTimers();
+  const log = createEventLog({ storage: storage, now: clock.now, sink: { add: e => sent.push(e) }, setTimeout: timers.setTimeout, clearTimeout: timers.clearTimeout });
+  log.shown(items[2], { type: 'listen', pack: 'pk1' });
+  clock.advance(4200);
+  log.tried(items[2], { correct: false, attempt: 1, picked: 'nyama choma', pack: 'pk1' });
+  // Written together once the save delay is up
+  assert.deepEqual(loadEvents(storage), []);
+  assert.equal(timers.list.length, 1);
+  assert.equal(timers.list[0].ms, SAVE_DELAY_MS);
+  timers.run();
+
+  const events = loadEvents(storage);
+  assert.deepEqual(events, [
+    { kind: 'shown', at: 1000, item: 'q3', label: 'mutura', level: 2, category: 'food', type: 'listen', pack: 'pk1' },
+    { kind: 'try', at: 5200, item: 'q3', label: 'mutura', level: 2, category: 'food', pack: 'pk1', attempt: 1, correct: false, picked: 'nyama choma', ms: 4200 }
+  ]);
+  assert.deepEqual(sent, events);
+  clearEvents(storage);
+  assert.deepEqual(loadEvents(storage), []);
+  storage.setItem(ANALYTICS_KEY, '{broken');
+  assert.deepEqual(loadEvents(storage), []);
+});
+
+test('the log drops its oldest events beyond the limit', () => {
+  const storage = memoryStorage();
+  storage.setItem(ANALYTICS_KEY, JSON.stringify(Array.from({ length: MAX_EVENTS }, (e, i) => ({ kind: 'shown', item: 'old' + i }))));
+  const log = createEventLog({ storage: storage, now: () => 1, setTimeout: () => 1, clearTimeout: function () {} });
+  log.shown(items[0]);
+  log.shown(items[1]);
+  log.save();
+  const events = loadEvents(storage);
+  assert.equal(events.length, MAX_EVENTS);
+  assert.equal(events[0].item, 'old2');
+  assert.equal(events[MAX_EVENTS - 1].item, 'q2');
+});
+
+test('saving keeps events another page stored meanwhile', () => {
+  const storage = memoryStorage();
+  const log = createEventLog({ storage: storage, now: () => 1, setTimeout: () => 1, clearTimeout: function () {} });
+  log.shown(items[0]);
+  storage.setItem(ANALYTICS_KEY, JSON.stringify([{ kind: 'shown', item: 'other-tab' }]));
+  log.save();
+  log.save();
+  assert.deepEqual(loadEvents(storage).map(e => e.item), ['other-tab', 'q1']);
+});
+
+test('error rates, answer times and confusions per item', () => {
+  const storage = memoryStorage();
+  const clock = fakeClock(0);
+  const log = savingLog(storage, clock);
+  play(log, clock, items[0], 4, 1, 'chapati');
+  play(log, clock, items[2], 4, 3, 'nyama choma');
+  play(log, clock, items[3], 2, 1, 'mutura');
+  // Another pack's answers are left out
+  log.tried(items[0], { correct: false, attempt: 1, picked: 'mutura', pack: 'pk1' });
+
+  const analysis = analyseEvents(loadEvents(storage), items);
+  assert.deepEqual(analysis.items.map(r => r.id), ['q3', 'q4', 'q1', 'q2']);
+  const mutura = analysis.items[0];
+  assert.equal(mutura.shown, 4);
+  assert.equal(mutura.tries, 4);
+  assert.equal(mutura.wrong, 3);
+  assert.equal(mutura.errorRate, 0.75);
+  assert.equal(mutura.medianMs, 2000);
+  assert.equal(analysis.items[3].errorRate, null, 'never asked');
+  assert.equal(analysis.levels[1], 0.25);
+  assert.equal(analysis.levels[2], 4 / 6);
+
+  assert.deepEqual(analysis.pairs, [
+    { target: 'mutura', picked: 'nyama choma', count: 3 },
+    { target: 'nyama choma', picked: 'mutura', count: 1 },
+    { target: 'ugali', picked: 'chapati', count: 1 }
+  ]);
+  assert.deepEqual(analysis.confusion.targets, ['mutura', 'nyama choma', 'ugali']);
+  assert.deepEqual(analysis.confusion.picked, ['chapati', 'mutura', 'nyama choma']);
+  assert.equal(analysis.confusion.counts.mutura['nyama choma'], 3);
+
+  const other = analyseEvents(loadEvents(storage), items, { pack: 'pk1' });
+  assert.equal(other.items.find(r => r.id === 'q1').wrong, 1);
+});
+
+test('items far from their level are suggested for the level they play like', () => {
+  const storage = memoryStorage();
+  const clock = fakeClock(0);
+  const log = savingLog(storage, clock);
+  // Level 1 is easy, level 2 hard, and chapati is as hard as level 2
+  play(log, clock, items[0], 10, 0);
+  play(log, clock, items[1], 10, 7, 'ugali');
+  play(log, clock, items[2], 10, 7, 'nyama choma');
+  play(log, clock, items[3], 10, 6, 'mutura');
+  let analysis = analyseEvents(loadEvents(storage), items);
+  const byId = id => analysis.items.find(r => r.id === id);
+  assert.equal(byId('q2').suggestedLevel, 2);
+  assert.equal(byId('q1').suggestedLevel, null, 'ugali is where it belongs');
+  assert.equal(byId('q3').suggestedLevel, null);
+
+  // Too few answers to say
+  clearEvents(storage);
+  play(log, clock, items[0], MIN_SAMPLES - 1, 0);
+  play(log, clock, items[1], MIN_SAMPLES - 1, MIN_SAMPLES - 1, 'ugali');
+  play(log, clock, items[2], MIN_SAMPLES - 1, MIN_SAMPLES - 1, 'ugali');
+  analysis = analyseEvents(loadEvents(storage), items);
+  assert.equal(byId('q2').suggestedLevel, null);
+});
+
+// A local stand-in for the analytics endpoint: records each batch, fails when told to
+const received = [];
+let failNext = false;
+const stub = http.createServer(function (req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', function () {
+    if (failNext) {
+      failNext = false;
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+    received.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+    res.writeHead(204);
+    res.end();
+  });
+});
+const stubReady = new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+after(() => new Promise(resolve => stub.close(resolve)));
+
+test('the sink POSTs full batches and keeps failed ones for the next', async () => {
+  await stubReady;
+  const endpoint = 'http://127.0.0.1:' + stub.address().port + '/events';
+  const timers = manualTimers();
+  const sink = createPostSink({
+    endpoint: endpoint,
+    batchSize: 3,
+    flushMs: 5000,
+    setTimeout: timers.setTimeout,
+    clearTimeout: timers.clearTimeout
+  });
+  sink.add({ n: 1 });
+  sink.add({ n: 2 });
+  assert.equal(received.length, 0);
+  assert.equal(timers.list[0].ms, 5000, 'a lone event waits for the timer');
+  sink.add({ n: 3 });
+  await sink.flush();
+  assert.equal(received.length, 1);
+  assert.equal(received[0].method, 'POST');
+  assert.equal(received[0].type, 'application/json');
+  assert.deepEqual(received[0].body, { events: [{ n: 1 }, { n: 2 }, { n: 3 }] });
+
+  failNext = true;
+  sink.add({ n: 4 });
+  assert.equal(await sink.flush(), false);
+  assert.equal(sink.pending, 1);
+  sink.add({ n: 5 });
+  assert.equal(await sink.flush(), true);
+  assert.deepEqual(received[1].body, { events: [{ n: 4 }, { n: 5 }] });
+  assert.equal(sink.pending, 0);
+});
+
+test('one batch is on its way at a time, and a leaving page sends at once', async () => {
+  const requests = [];
+  const sink = createPostSink({
+    endpoint: 'http://x',
+    fetch: function (url, init) {
+      return new Promise(function (resolve) {
+        requests.push({ body: JSON.parse(init.body), keepalive: init.keepalive, done: () => resolve({ ok: true }) });
+      });
+    },
+    setTimeout: () => 1,
+    clearTimeout: function () {}
+  });
+  sink.add({ n: 1 });
+  const first = sink.flush();
+  sink.add({ n: 2 });
+  const second = sink.flush();
+  const third = sink.flush();
+  await Promise.resolve();
+  assert.equal(requests.length, 1, 'the second waits for the first');
+  requests[0].done();
+  assert.equal(await first, true);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests[1].body, { events: [{ n: 2 }] });
+  requests[1].done();
+  assert.equal(await second, true);
+  assert.equal(await third, true);
+  assert.equal(requests.length, 2, 'nothing is sent twice');
+
+  // pagehide: the request is made before flush() returns, even with one in flight
+  sink.add({ n: 3 });
+  sink.flush();
+  sink.add({ n: 4 });
+  sink.flush(true);
+  assert.equal(requests.length, 4);
+  assert.deepEqual(requests[3].body, { events: [{ n: 4 }] });
+  assert.equal(requests[3].keepalive, true);
+  requests[2].done();
+  requests[3].done();
+});
+
+test('a sink with nowhere to send keeps its events', async () => {
+  const sink = createPostSink({
+    endpoint: 'http://x',
+    fetch: () => { throw new Error('offline'); },
+    maxQueue: 2,
+    setTimeout: () => 1,
+    clearTimeout: function () {}
+  });
+  sink.add({ n: 1 });
+  sink.add({ n: 2 });
+  sink.add({ n: 3 });
+  assert.equal(await sink.flush(), false);
+  assert.equal(sink.pending, 2);
+});
@@ -0,0 +1,74 @@
+// Tests for forgiving typed-answer matching (js/answer-match.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, allowedTypos, acceptedAnswers, matchAnswer } from '../js/answer-match.js';
+import { normalizeItem } from '../js/dataset.js';
+
+const giraffe = normalizeItem({ id: 'a1', level: 1, category: 'animals', label: 'giraffe', aliases: ['twiga'], labels: { sw: 'twiga', ki: 'ndũiga' } });
+const nyamaChoma = normalizeItem({ id: 'f1', level: 2, category: 'food', label: 'nyama choma' });
+const cow = normalizeItem({ id: 'a2', level: 1, category: 'animals', label: 'cow' });
+
+test('edit distance counts insertions, deletions and substitutions', () => {
+  assert.equal(editDistance('', ''), 0);
+  assert.equal(editDistance('abc', ''), 3);
+  assert.equal(editDistance('', 'ab'), 2);
+  assert.equal(editDistance('girafe', 'giraffe'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('ugali', 'ugali'), 0);
+});
+
+test('longer words forgive more typos, short ones none', () => {
+  assert.equal(allowedTypos(3), 0);
+  assert.equal(allowedTypos(4), 1);
+  assert.equal(allowedTypos(6), 1);
+  assert.equal(allowedTypos(7), 2);
+  assert.deepEqual(acceptedAnswers(giraffe), ['giraffe', 'twiga', 'twiga', 'ndũiga']);
+});
+
+test('case, accents, spaces and punctuation are ignored', () => {
+  for (const typed of ['GIRAFFE', '  giraffe ', 'Gi-raffe!', 'gïráffe']) {
+    assert.deepEqual(matchAnswer(typed, giraffe), { ok: true, exact: true, answer: 'giraffe', distance: 0 }, typed);
+  }
+  assert.equal(matchAnswer('NyamaChoma', nyamaChoma).exact, true);
+  assert.equal(matchAnswer('nyama-choma', nyamaChoma).exact, true);
+  // Accents in the accepted spelling too
+  assert.equal(matchAnswer('nduiga', giraffe).exact, true);
+  assert.equal(matchAnswer('nduiga', giraffe).answer, 'ndũiga');
+});
+
+test('aliases and translated labels count', () => {
+  assert.deepEqual(matchAnswer('Twiga', giraffe), { ok: true, exact: true, answer: 'twiga', distance: 0 });
+});
+
+test('near misses are forgiven with the right spelling, far ones are not', () => {
+  const typo = matchAnswer('girafe', giraffe);
+  assert.equal(typo.ok, true);
+  assert.equal(typo.exact, false);
+  assert.equal(typo.answer, 'giraffe');
+  assert.equal(matchAnswer('jiraff', giraffe).ok, true, 'two typos in a seven-letter word');
+  assert.equal(matchAnswer('jirap', giraffe).ok, false);
+  assert.equal(matchAnswer('twigga', giraffe).ok, true);
+  assert.equal(matchAnswer('nyama chomaa', nyamaChoma).ok, true);
+  // Three letters leave no room for a typo
+  assert.equal(matchAnswer('cow', cow).ok, true);
+  assert.equal(matchAnswer('cou', cow).ok, false);
+  assert.equal(matchAnswer('cows', cow).ok, false);
+});
+
+test('a miss reports the closest accepted spelling', () => {
+  const miss = matchAnswer('twigaxyz', giraffe);
+  assert.equal(miss.ok, false);
+  assert.equal(miss.answer, 'twiga');
+  assert.equal(miss.distance, 3);
+});
+
+test('empty and punctuation-only input never matches', () => {
+  for (const typed of ['', '   ', '?!', null, undefined]) {
+    const result = matchAnswer(typed, giraffe);
+    assert.equal(result.ok, false, String(typed));
+    assert.equal(result.exact, false);
+    assert.equal(result.answer, 'giraffe');
+  }
+  // An item without a label has nothing to match
+  assert.equal(matchAnswer('giraffe', normalizeItem({ id: 'x', level: 1 })).ok, false);
+});
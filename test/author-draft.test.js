@@ -0,0 +1,94 @@
+// Tests for the authoring page's draft editing, export and crop arithmetic
+// (js/author-draft.js, js/image-crop.js, js/image-store.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateDataset } from '../js/dataset.js';
+import {
+  createDraft, addItem, updateItem, removeItem, moveItem, nextId, imagePathFor,
+  labelTaken, parseList, slugify, toDataset, formatDataset, loadDraft, saveDraft
+} from '../js/author-draft.js';
+import { cropRect } from '../js/image-crop.js';
+import { createImageStore } from '../js/image-store.js';
+import { memoryStorage } from './helpers.js';
+
+const source = readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8');
+
+test('the bundled dataset exports unchanged, byte for byte', () => {
+  assert.equal(formatDataset(toDataset(createDraft(JSON.parse(source)))), source);
+});
+
+test('new items get the next id and the last item\'s level and category', () => {
+  const draft = createDraft(JSON.parse(source));
+  assert.equal(nextId(draft), 'q16');
+  const item = addItem(draft, { label: 'mandazi' });
+  assert.deepEqual(item, { id: 'q16', level: 3, category: 'instruments', label: 'mandazi' });
+  assert.equal(addItem(createDraft({ items: [] })).category, 'food');
+});
+
+test('editing drops blank fields and keeps ones the form does not show', () => {
+  const draft = createDraft(JSON.parse(source));
+  const before = draft.items[0];
+  const item = updateItem(draft, 'q1', Object.assign({}, before, { aliases: parseList(' sima, ,posho '), fact: '  ', labels: {} }));
+  assert.deepEqual(item.aliases, ['sima', 'posho']);
+  assert.equal('fact' in item, false);
+  assert.equal('labels' in item, false);
+  assert.equal(item.image, './images/ugali.jpg');
+  assert.equal(updateItem(draft, 'nope', {}), null);
+});
+
+test('items move within the list and can be removed', () => {
+  const draft = createDraft({ items: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] });
+  assert.equal(moveItem(draft, 'c', -1), 1);
+  assert.deepEqual(draft.items.map(i => i.id), ['a', 'c', 'b']);
+  assert.equal(moveItem(draft, 'a', -1), 0);
+  assert.equal(moveItem(draft, 'a', 5), 2);
+  assert.equal(removeItem(draft, 'c').id, 'c');
+  assert.deepEqual(draft.items.map(i => i.id), ['b', 'a']);
+});
+
+test('uploaded pictures are named after the label without clashing', () => {
+  const draft = createDraft({ items: [{ id: 'q1', label: 'Maasai Shuka', image: './images/maasai-shuka.jpg' }, { id: 'q2', label: 'Maasai shuka' }, { id: 'q3' }] });
+  assert.equal(slugify('Mũtura!'), 'mutura');
+  assert.equal(imagePathFor(draft, draft.items[0], '.jpg'), './images/maasai-shuka.jpg');
+  assert.equal(imagePathFor(draft, draft.items[1], '.jpg'), './images/maasai-shuka-2.jpg');
+  assert.equal(imagePathFor(draft, draft.items[2], '.jpg'), './images/q3.jpg');
+  assert.equal(labelTaken(draft, 'maasai-shuka', 'q1'), true);
+  assert.equal(labelTaken(draft, 'kiondo'), false);
+});
+
+test('an exported draft is checked by the dataset rules', async () => {
+  const draft = createDraft(JSON.parse(source));
+  addItem(draft, { label: 'mandazi', image: './images/mandazi.jpg', fact: 'Mandazi are fried for breakfast.' });
+  assert.deepEqual((await validateDataset(toDataset(draft))).errors, []);
+  updateItem(draft, 'q16', { level: '', fact: 42 });
+  const { errors } = await validateDataset(toDataset(draft));
+  assert.ok(errors.some(e => /"level" must be a positive integer/.test(e)));
+  assert.ok(errors.some(e => /"fact" must be a string/.test(e)));
+});
+
+test('drafts survive a reload', () => {
+  const storage = memoryStorage();
+  assert.equal(loadDraft(storage), null);
+  const draft = createDraft({ title: 'Class 2', items: [{ id: 'q1', label: 'kiondo', level: 1 }] });
+  saveDraft(draft, storage);
+  assert.deepEqual(loadDraft(storage), draft);
+  storage.setItem('kulture.authorDraft.v1', '{broken');
+  assert.equal(loadDraft(storage), null);
+});
+
+test('the crop rectangle keeps the frame shape and stays inside the picture', () => {
+  assert.deepEqual(cropRect(1600, 900), { sx: 200, sy: 0, sw: 1200, sh: 900 });
+  assert.deepEqual(cropRect(800, 1200, { zoom: 2, cx: 0, cy: 1200 }), { sx: 0, sy: 900, sw: 400, sh: 300 });
+  assert.deepEqual(cropRect(400, 300, { zoom: 99 }), { sx: 150, sy: 112.5, sw: 100, sh: 75 });
+});
+
+test('without IndexedDB pictures are kept in memory', async () => {
+  const store = createImageStore({ indexedDB: null });
+  const blob = new Blob(['jpeg'], { type: 'image/jpeg' });
+  await store.set('./images/kiondo.jpg', blob);
+  assert.equal(await store.get('./images/kiondo.jpg'), blob);
+  assert.deepEqual(await store.paths(), ['./images/kiondo.jpg']);
+  await store.remove('./images/kiondo.jpg');
+  assert.equal(await store.get('./images/kiondo.jpg'), null);
+});
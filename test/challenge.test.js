@@ -0,0 +1,78 @@
+// Tests for the timed challenge: clock, scoring and the top-10 table (js/challenge.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createChallenge, challengePoints, timeBonus, qualifies, addHighScore, loadHighScores,
+  saveHighScores, highScoresKey, MAX_HIGH_SCORES, WRONG_PENALTY
+} from '../js/challenge.js';
+import { memoryStorage, fakeClock } from './helpers.js';
+
+test('the clock runs only while started and not paused', () => {
+  const clock = fakeClock(1000);
+  const c = createChallenge({ seconds: 60, now: clock.now });
+  clock.advance(5000);
+  assert.equal(c.remaining(), 60000);
+  c.start();
+  clock.advance(20000);
+  assert.equal(c.remaining(), 40000);
+  c.pause();
+  assert.equal(c.paused, true);
+  clock.advance(30000);
+  assert.equal(c.remaining(), 40000);
+  c.resume();
+  clock.advance(45000);
+  assert.equal(c.remaining(), 0);
+  assert.equal(c.expired(), true);
+  c.pause();
+  c.resume();
+  assert.equal(c.paused, true);
+});
+
+test('fast first-try answers earn a time bonus', () => {
+  assert.equal(timeBonus(0), 10);
+  assert.equal(timeBonus(5000), 5);
+  assert.equal(timeBonus(20000), 0);
+  assert.equal(challengePoints({ points: 10, firstTry: true, ms: 2000 }), 18);
+  assert.equal(challengePoints({ points: 5, firstTry: false, ms: 1000 }), 5);
+  assert.equal(challengePoints({ points: 0, firstTry: false, ms: 0 }), 0);
+});
+
+test('wrong tries cost points but never below zero', () => {
+  const c = createChallenge({ now: fakeClock(1000).now });
+  c.addWrong();
+  assert.equal(c.score, 0);
+  c.addResult({ points: 10, firstTry: true, ms: 0 });
+  c.addResult({ points: 10, firstTry: true, ms: 10000 });
+  c.addWrong();
+  c.addResult({ points: 5, firstTry: false, ms: 3000 });
+  assert.equal(c.score, 20 + 10 - WRONG_PENALTY + 5);
+  assert.deepEqual(c.summary(), { score: 32, answered: 3, firstTry: 2, wrong: 2, bestStreak: 2 });
+  assert.equal(c.streak, 0);
+});
+
+test('the table keeps the ten best, earlier scores first on a tie', () => {
+  const list = [];
+  for (let i = 1; i <= MAX_HIGH_SCORES; i++) addHighScore(list, { name: 'p' + i, score: i * 10, at: i });
+  assert.deepEqual(list.map(r => r.score), [100, 90, 80, 70, 60, 50, 40, 30, 20, 10]);
+  assert.equal(qualifies(list, 10), false);
+  assert.equal(qualifies(list, 11), true);
+  assert.equal(addHighScore(list, { name: '  Achieng  ', score: 50, at: 99 }), 6);
+  assert.equal(list[6].name, 'Achieng');
+  assert.equal(list.length, MAX_HIGH_SCORES);
+  assert.equal(list[MAX_HIGH_SCORES - 1].score, 20);
+  assert.equal(addHighScore(list, { name: 'late', score: 5 }), -1);
+  assert.equal(qualifies([], 0), false);
+  assert.throws(() => addHighScore(list, { name: ' ', score: 500 }), /name/);
+});
+
+test('each pack has its own table and it survives a reload', () => {
+  const storage = memoryStorage();
+  const list = [];
+  addHighScore(list, { name: 'Kamau', score: 120, answered: 9, at: 5 });
+  saveHighScores(list, '', storage);
+  assert.deepEqual(loadHighScores('', storage), [{ name: 'Kamau', score: 120, answered: 9, at: 5 }]);
+  assert.deepEqual(loadHighScores('coast-foods', storage), []);
+  assert.equal(highScoresKey('coast-foods'), 'kulture.challenge.v1.coast-foods');
+  storage.setItem(highScoresKey(''), '{broken');
+  assert.deepEqual(loadHighScores('', storage), []);
+});
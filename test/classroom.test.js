@@ -0,0 +1,310 @@
+// Tests for the class quiz: WebSocket framing, room rules and a game over real sockets
+// (server/websocket.js, server/classroom.js)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { createServer } from '../server/app.js';
+import { createRoom, createClassroom, CLASSROOM_PATH, MAX_STUDENTS } from '../server/classroom.js';
+import { acceptKey, encodeFrame, createFrameParser, OPCODES } from '../server/websocket.js';
+import { createRandom } from '../js/rng.js';
+
+let server;
+let port;
+// Client sockets, so a failed test cannot keep the server open
+const sockets = [];
+
+before(async () => {
+  server = createServer({ random: createRandom(5), questionSeconds: 30 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(function (resolve) {
+  sockets.forEach(s => s.destroy());
+  server.close(resolve);
+}));
+
+// A WebSocket client for the tests: next() resolves with the next message received.
+// `at` is another server's port.
+function connect(at) {
+  return new Promise(function (resolve, reject) {
+    const req = http.request({
+      port: at || port,
+      host: '127.0.0.1',
+      path: CLASSROOM_PATH,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+    });
+    req.on('upgrade', function (res, socket) {
+      assert.equal(res.headers['sec-websocket-accept'], acceptKey('dGhlIHNhbXBsZSBub25jZQ=='));
+      sockets.push(socket);
+      const inbox = [];
+      const waiting = [];
+      let closed = false;
+      socket.on('close', () => { closed = true; });
+      socket.on('data', createFrameParser(function (frame) {
+        if (frame.opcode !== OPCODES.text) return;
+        const message = JSON.parse(frame.payload.toString('utf8'));
+        if (waiting.length) waiting.shift()(message);
+        else inbox.push(message);
+      }));
+      resolve({
+        send: message => socket.write(encodeFrame(OPCODES.text, JSON.stringify(message), true)),
+        // Several frames in one write, so the server reads them together
+        sendAll: frames => socket.write(Buffer.concat(frames)),
+        next: () => (inbox.length ? Promise.resolve(inbox.shift()) : new Promise(r => waiting.push(r))),
+        // Skip messages until one of `type` arrives
+        until: async function (type) {
+          for (;;) {
+            const message = await this.next();
+            if (message.type === type) return message;
+          }
+        },
+        close: () => new Promise(function (r) {
+          if (closed) { r(); return; }
+          socket.once('close', r);
+          socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0), true));
+        })
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const questions = [
+  { id: 'q1', label: 'Ugali', image: 'a.jpg', choices: [{ label: 'Chapati' }, { label: 'Ugali' }, { label: 'Mandazi' }, { label: 'Pilau' }] },
+  { id: 'q2', label: 'Lion', image: 'b.jpg', choices: [{ label: 'Lion' }, { label: 'Zebra' }, { label: 'Giraffe' }, { label: 'Elephant' }] }
+];
+
+test('frames survive masking, the 16-bit length and the handshake key', () => {
+  assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  const frames = [];
+  const push = createFrameParser(f => frames.push(f), 1000);
+  const long = 'x'.repeat(300);
+  const bytes = Buffer.concat([encodeFrame(OPCODES.text, 'hello', true), encodeFrame(OPCODES.text, long, false)]);
+  // Delivered in small pieces, as TCP may do
+  for (let i = 0; i < bytes.length; i += 7) push(bytes.subarray(i, i + 7));
+  assert.deepEqual(frames.map(f => f.payload.toString()), ['hello', long]);
+  assert.throws(() => push(encodeFrame(OPCODES.text, 'y'.repeat(1001), true)), e => e.code === 1009);
+  // A server reading a client refuses unmasked frames
+  const strict = createFrameParser(f => frames.push(f), 1000, true);
+  assert.throws(() => strict(encodeFrame(OPCODES.text, 'hi', false)), e => e.code === 1002);
+});
+
+test('a room scores right answers with a speed bonus and shares places', () => {
+  let time = 0;
+  const room = createRoom('1234', questions, { now: () => time });
+  const amani = room.join(' Amani ');
+  const baraka = room.join('Baraka');
+  assert.throws(() => room.join('amani'), e => e.code === 'nameTaken');
+  assert.throws(() => room.join('  '), e => e.code === 'nameMissing');
+  assert.equal(room.answer(amani, 1), false);
+  assert.equal(room.next(), 'question');
+  time = 0;
+  assert.equal(room.answer(amani, 1), true);
+  assert.equal(room.answer(amani, 2), false);
+  assert.equal(room.answer(baraka, 7), false);
+  time = 20000;
+  assert.equal(room.answer(baraka, 1), true);
+  assert.deepEqual(room.counts(), [0, 2, 0, 0]);
+  assert.equal(room.allAnswered(), true);
+  room.reveal();
+  assert.deepEqual(room.students.map(s => s.score), [20, 10]);
+  room.next();
+  room.reveal();
+  assert.deepEqual(room.leaderboard().map(p => [p.name, p.place]), [['Amani', 1], ['Baraka', 2]]);
+  assert.equal(room.next(), 'end');
+});
+
+test('a lost student takes their seat back with its secret, and a room has a limit', () => {
+  const room = createRoom('1', questions);
+  const first = room.join('Chebet');
+  assert.match(first.secret, /^[0-9a-f]{32}$/);
+  assert.notEqual(room.join('Daudi').secret, first.secret);
+  first.score = 30;
+  room.leave(first);
+  // The name alone does not get the seat back
+  assert.throws(() => room.join('chebet'), e => e.code === 'nameTaken');
+  assert.throws(() => room.join('chebet', 'guess'), e => e.code === 'nameTaken');
+  assert.equal(room.join('chebet', first.secret), first);
+  assert.equal(first.connected, true);
+  assert.throws(() => room.join('Chebet', first.secret), e => e.code === 'nameTaken', 'not twice at once');
+  for (let i = 2; i < MAX_STUDENTS; i++) room.join('child ' + i);
+  assert.throws(() => room.join('one more'), e => e.code === 'roomFull');
+});
+
+test('a class plays a game from the host and two tablets', async () => {
+  const host = await connect();
+  host.send({ type: 'host', count: 2 });
+  const room = await host.until('room');
+  assert.match(room.code, /^\d{4}$/);
+
+  const wrongCode = await connect();
+  wrongCode.send({ type: 'join', code: '0000', name: 'Amani' });
+  assert.deepEqual(await wrongCode.next(), { type: 'error', code: 'unknownRoom' });
+  await wrongCode.close();
+
+  const amani = await connect();
+  amani.send({ type: 'join', code: room.code, name: 'Amani' });
+  const seat = await amani.next();
+  assert.equal(seat.type, 'joined');
+  assert.equal(seat.name, 'Amani');
+  const baraka = await connect();
+  baraka.send({ type: 'join', code: room.code, name: 'Baraka' });
+  await baraka.until('joined');
+  let players = [];
+  while (players.length < 2) players = (await host.until('players')).players;
+  assert.deepEqual(players, [{ name: 'Amani', connected: true }, { name: 'Baraka', connected: true }]);
+
+  host.send({ type: 'next' });
+  const shown = await host.until('question');
+  assert.equal(shown.total, 2);
+  assert.ok(shown.image);
+  const asked = await amani.until('question');
+  // Tablets get the choices but not the picture or the answer
+  assert.equal(asked.image, undefined);
+  assert.equal(asked.choices.length, 4);
+  assert.ok(asked.choices.every(c => c.label && c.labels));
+  await baraka.until('question');
+
+  // Nobody answers: the teacher shows the answer and nobody scores
+  host.send({ type: 'reveal' });
+  const first = await host.until('reveal');
+  assert.ok(shown.choices.some(c => c.label === first.answer.label));
+  const missed = await amani.until('result');
+  assert.deepEqual([missed.correct, missed.points, missed.score], [false, 0, 0]);
+
+  host.send({ type: 'next' });
+  const second = await host.until('question');
+  assert.equal(second.label, undefined, 'the answer is not sent before the reveal');
+  await amani.until('question');
+  await baraka.until('question');
+  amani.send({ type: 'answer', choice: 0 });
+  assert.equal((await amani.next()).type, 'answered');
+  amani.send({ type: 'answer', choice: 1 });
+  // The last answer shows the answer without waiting for the teacher
+  baraka.send({ type: 'answer', choice: 1 });
+  const revealed = await host.until('reveal');
+  assert.deepEqual(revealed.counts.slice(0, 2), [1, 1]);
+  const scored = await amani.until('result');
+  assert.equal(scored.correct, second.choices[0].label === revealed.answer.label);
+  assert.equal(scored.points > 0, scored.correct);
+
+  host.send({ type: 'next' });
+  const end = await host.until('end');
+  assert.equal(end.leaderboard.length, 2);
+  const finished = await amani.until('end');
+  assert.equal(finished.players, 2);
+
+  // A lost tablet gets its seat back with the seat's secret, and nobody else does
+  await amani.close();
+  const impostor = await connect();
+  impostor.send({ type: 'join', code: room.code, name: 'amani' });
+  assert.deepEqual(await impostor.next(), { type: 'error', code: 'nameTaken' });
+  await impostor.close();
+  const back = await connect();
+  back.send({ type: 'join', code: room.code, name: 'Amani', secret: seat.secret });
+  assert.deepEqual(await back.until('joined'), seat);
+
+  // The teacher leaving closes the room for everyone
+  await host.close();
+  assert.deepEqual(await baraka.until('closed'), { type: 'closed' });
+  await back.close().catch(() => {});
+  await baraka.close().catch(() => {});
+});
+
+test('only the classroom path upgrades', async () => {
+  const status = await new Promise(function (resolve) {
+    const req = http.request({ port: port, host: '127.0.0.1', path: '/elsewhere', headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'a' } });
+    req.on('response', res => { res.resume(); resolve(res.statusCode); });
+    req.on('upgrade', (res, socket) => { socket.destroy(); resolve(101); });
+    req.on('error', () => resolve('closed'));
+    req.end();
+  });
+  assert.equal(status, 404);
+});
+
+test('frames sent along with the handshake are read, and unmasked ones close the connection', async () => {
+  const socket = net.connect(port, '127.0.0.1');
+  sockets.push(socket);
+  const frames = [];
+  let closed = false;
+  const gone = new Promise(resolve => socket.on('close', () => { closed = true; resolve(); }));
+  let handshake = Buffer.alloc(0);
+  const push = createFrameParser(f => frames.push(f), 1000);
+  socket.on('data', function (chunk) {
+    if (handshake) {
+      handshake = Buffer.concat([handshake, chunk]);
+      const end = handshake.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      const rest = handshake.subarray(end + 4);
+      handshake = null;
+      if (rest.length) push(rest);
+    } else {
+      push(chunk);
+    }
+  });
+  const until = async function (match) {
+    const deadline = Date.now() + 2000;
+    while (!frames.some(match) && !closed && Date.now() < deadline) await new Promise(r => setTimeout(r, 5));
+    return frames.find(match);
+  };
+  // The request and a first message in one write, so the message arrives in the upgrade's head
+  socket.write(Buffer.concat([
+    Buffer.from('GET ' + CLASSROOM_PATH + ' HTTP/1.1\r\nHost: 127.0.0.1\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n' +
+      'Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n'),
+    encodeFrame(OPCODES.text, 'not json', true)
+  ]));
+  const reply = await until(f => f.opcode === OPCODES.text);
+  assert.deepEqual(JSON.parse(reply.payload.toString()), { type: 'error', code: 'badMessage' });
+
+  socket.write(encodeFrame(OPCODES.text, JSON.stringify({ type: 'host' }), false));
+  const close = await until(f => f.opcode === OPCODES.close);
+  assert.equal(close.payload.readUInt16BE(0), 1002);
+  await gone;
+  assert.equal(frames.filter(f => f.opcode === OPCODES.text).length, 1, 'the unmasked message is not handled');
+});
+
+// A classroom on a server of its own, so a test can look at its rooms; it closes when
+// test `t` ends
+async function ownClassroom(t) {
+  const classroom = createClassroom({ root: new URL('..', import.meta.url).pathname, random: createRandom(2) });
+  const own = http.createServer();
+  own.on('upgrade', classroom.handleUpgrade);
+  await new Promise(resolve => own.listen(0, '127.0.0.1', resolve));
+  t.after(function () {
+    classroom.close();
+    own.close();
+  });
+  return { rooms: classroom.rooms, port: own.address().port };
+}
+
+const hostFrame = message => encodeFrame(OPCODES.text, JSON.stringify(message), true);
+
+test('a host that leaves while the questions load leaves no room behind', async t => {
+  const classroom = await ownClassroom(t);
+  const gone = await connect(classroom.port);
+  gone.sendAll([hostFrame({ type: 'host', count: 2 }), encodeFrame(OPCODES.close, Buffer.alloc(0), true)]);
+  await gone.close();
+  // A later host's room is ready only after the first load has finished
+  const later = await connect(classroom.port);
+  later.send({ type: 'host', count: 2 });
+  const room = await later.until('room');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(Array.from(classroom.rooms.keys()), [room.code]);
+  await later.close();
+  assert.equal(classroom.rooms.size, 0);
+});
+
+test('asking twice for a room while the questions load opens one', async t => {
+  const classroom = await ownClassroom(t);
+  const host = await connect(classroom.port);
+  host.sendAll([hostFrame({ type: 'host', count: 2 }), hostFrame({ type: 'host', count: 2 })]);
+  assert.deepEqual(await host.next(), { type: 'error', code: 'badMessage' });
+  const room = await host.until('room');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(Array.from(classroom.rooms.keys()), [room.code]);
+  await host.close();
+  assert.equal(classroom.rooms.size, 0);
+});
@@ -0,0 +1,112 @@
+// Tests for the dataset validator and the legacy format (js/dataset.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateDataset, parseDataset, SCHEMA_VERSION, MIN_ITEMS_PER_LEVEL } from '../js/dataset.js';
+
+const shipped = JSON.parse(readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8'));
+
+const LABELS = ['ugali', 'chapati', 'mandazi', 'githeri', 'mukimo'];
+
+// A small dataset that passes: one full level of food
+function dataset() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    items: LABELS.map((label, i) => ({ id: 'q' + (i + 1), level: 1, category: 'food', label: label, image: './images/' + label + '.jpg' }))
+  };
+}
+
+// The errors that mention `text`
+const errorsAbout = (result, text) => result.errors.filter(e => e.indexOf(text) !== -1);
+
+test('a complete dataset and the shipped one pass', async () => {
+  assert.deepEqual(await validateDataset(dataset()), { errors: [], warnings: [] });
+  assert.deepEqual((await validateDataset(shipped)).errors, []);
+});
+
+test('items need an id, and a different one each', async () => {
+  const json = dataset();
+  delete json.items[0].id;
+  json.items[2].id = 'q2';
+  const result = await validateDataset(json);
+  assert.deepEqual(errorsAbout(result, 'missing id'), ['Item #1: missing id']);
+  assert.deepEqual(errorsAbout(result, 'duplicate id'), ['Item "q2": duplicate id (also item #2)']);
+});
+
+test('image files are checked when the caller can look for them', async () => {
+  const asked = [];
+  const fileExists = async function (file) {
+    asked.push(file);
+    return file !== './images/mukimo.jpg';
+  };
+  const result = await validateDataset(dataset(), { fileExists: fileExists });
+  assert.deepEqual(result.errors, ['Item "q5": image file not found (./images/mukimo.jpg)']);
+  assert.equal(asked.length, LABELS.length);
+  // Without a check, and for remote pictures, nothing is looked up
+  assert.deepEqual((await validateDataset(dataset())).errors, []);
+  const remote = dataset();
+  remote.items[0].image = 'https://example.org/ugali.jpg';
+  asked.length = 0;
+  const warned = await validateDataset(remote, { fileExists: fileExists });
+  assert.equal(asked.indexOf('https://example.org/ugali.jpg'), -1);
+  assert.match(warned.warnings[0], /remote/);
+  const missing = dataset();
+  delete missing.items[1].image;
+  assert.deepEqual((await validateDataset(missing)).errors, ['Item "q2": missing image']);
+});
+
+test('parentheses must balance in every name', async () => {
+  const json = dataset();
+  json.items[0].label = 'ugali (maize';
+  json.items[1].aliases = ['roti)('];
+  json.items[2].labels = { sw: 'maandazi (mahamri)' };
+  const result = await validateDataset(json);
+  assert.deepEqual(errorsAbout(result, 'parentheses'), [
+    'Item "q1": unbalanced parentheses in "ugali (maize"',
+    'Item "q2": unbalanced parentheses in "roti)("'
+  ]);
+});
+
+test('an image named after something else is flagged', async () => {
+  const json = dataset();
+  json.items[0].image = './images/chapati.jpg';
+  json.items[1].aliases = ['roti'];
+  json.items[1].image = './images/Roti.JPG';
+  const result = await validateDataset(json);
+  assert.deepEqual(result.warnings, ['Item "q1": image file name "chapati" does not match the label or any alias']);
+});
+
+test('every level needs a full round of items', async () => {
+  const json = dataset();
+  json.items[3].level = 2;
+  json.items[4].level = 2;
+  const result = await validateDataset(json);
+  assert.deepEqual(result.errors, [
+    'Level 1 has only 3 item(s); at least ' + MIN_ITEMS_PER_LEVEL + ' are needed for a round',
+    'Level 2 has only 2 item(s); at least ' + MIN_ITEMS_PER_LEVEL + ' are needed for a round'
+  ]);
+});
+
+test('a category left off a dataset\'s map is flagged', async () => {
+  const json = dataset();
+  json.items.push({ id: 'q6', level: 1, category: 'instruments', label: 'marimba', image: './images/marimba.jpg' });
+  // No regions anywhere: the map is not in use
+  assert.deepEqual((await validateDataset(json)).warnings, []);
+  json.items[0].regions = ['central'];
+  assert.deepEqual((await validateDataset(json)).warnings, ['Category "instruments" has no item with regions, so the Explore map shows none of it']);
+  json.items[5].regions = ['western'];
+  assert.deepEqual((await validateDataset(json)).warnings, []);
+  assert.deepEqual((await validateDataset(shipped)).warnings, []);
+});
+
+test('the old bare array is refused by the validator but still read', async () => {
+  const legacy = dataset().items.map(item => Object.assign({}, item, { level: undefined }));
+  const result = await validateDataset(legacy);
+  assert.equal(result.errors[0], 'Dataset is a legacy array; wrap items as { "schemaVersion": ' + SCHEMA_VERSION + ', "items": [...] }');
+  // The quiz still reads it, taking the level from the id
+  const parsed = parseDataset(legacy.concat([{ id: 'q6', category: 'food', label: 'pilau', image: './images/pilau.jpg' }]));
+  assert.equal(parsed.schemaVersion, 0);
+  assert.deepEqual(parsed.items.map(i => i.level), [1, 1, 1, 1, 1, 2]);
+  assert.deepEqual((await validateDataset({ schemaVersion: 99, items: dataset().items })).errors, ['Unsupported schemaVersion 99 (expected ' + SCHEMA_VERSION + ')']);
+  assert.deepEqual((await validateDataset({ items: 'none' })).errors, ['Dataset must be an object with an "items" array']);
+});
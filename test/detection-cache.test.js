@@ -0,0 +1,82 @@
+// Tests for cached, deduplicated image labelling (api/detection-cache.js, api/api.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDetectionCache, hashBlob } from '../api/detection-cache.js';
+import { detectLabels, registerProvider } from '../api/api.js';
+
+function image(text) {
+  return new Blob([text], { type: 'image/jpeg' });
+}
+
+test('the hash depends on the bytes only', async () => {
+  const a = await hashBlob(image('pixels'));
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.equal(await hashBlob(new TextEncoder().encode('pixels')), a);
+  assert.notEqual(await hashBlob(image('other pixels')), a);
+});
+
+test('entries expire after the maximum age', async () => {
+  let clock = 1000;
+  const cache = createDetectionCache({ indexedDB: null, maxAge: 100, now: () => clock });
+  assert.equal(await cache.get('k'), null);
+  await cache.set('k', { results: [] });
+  assert.deepEqual(await cache.get('k'), { results: [] });
+  clock += 101;
+  assert.equal(await cache.get('k'), null);
+  await cache.set('k', 1);
+  await cache.clear();
+  assert.equal(await cache.get('k'), null);
+});
+
+test('an image is sent upstream once, even when asked for twice at once', async () => {
+  let calls = 0;
+  registerProvider({
+    id: 'counting',
+    detect: async () => {
+      calls++;
+      await new Promise(r => setTimeout(r, 10));
+      return { results: [{ label: 'antelope', confidence: 0.9 }] };
+    }
+  });
+  const options = { provider: 'counting', items: [{ label: 'wildebeest', aliases: [] }] };
+  const [a, b] = await Promise.all([detectLabels(image('gnu'), options), detectLabels(image('gnu'), options)]);
+  assert.equal(a.label, 'wildebeest');
+  assert.equal(b.label, 'wildebeest');
+  const again = await detectLabels(image('gnu'), Object.assign({ threshold: 0.95 }, options));
+  assert.equal(again.label, null, 'cached output is re-ranked with the new threshold');
+  assert.equal(calls, 1);
+});
+
+test('a slow provider times out without losing its answer', async () => {
+  let finish;
+  registerProvider({
+    id: 'slow',
+    detect: () => new Promise(r => { finish = r; })
+  });
+  const options = { provider: 'slow', timeout: 20 };
+  assert.equal(await detectLabels(image('slow'), options), null);
+  finish({ results: [{ label: 'zebra', confidence: 0.8 }] });
+  await new Promise(r => setTimeout(r, 5));
+  const later = await detectLabels(image('slow'), options);
+  assert.equal(later.label, 'zebra');
+});
+
+test('rate-limited requests are retried', async () => {
+  let calls = 0;
+  registerProvider({
+    id: 'busy',
+    detect: async () => {
+      calls++;
+      if (calls === 1) {
+        const err = new Error('Too many requests');
+        err.status = 429;
+        err.retryAfter = 0.01;
+        throw err;
+      }
+      return { results: [{ label: 'giraffe', confidence: 0.7 }] };
+    }
+  });
+  const result = await detectLabels(image('tall'), { provider: 'busy' });
+  assert.equal(result.label, 'giraffe');
+  assert.equal(calls, 2);
+});
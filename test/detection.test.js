@@ -0,0 +1,80 @@
+// Tests for image-labelling ranking, thresholds and label mapping (api/detection.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseDataset } from '../js/dataset.js';
+import { labelImage, rankLabels, mapLabel, registerProvider, getProvider } from '../api/detection.js';
+import { mockProvider } from '../api/providers/mock.js';
+
+const items = parseDataset(JSON.parse(readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8'))).items;
+
+registerProvider(mockProvider);
+
+test('vendor names map to dataset labels and aliases', () => {
+  assert.equal(mapLabel('Flatbread'), 'chapati');
+  assert.equal(mapLabel('person'), null);
+  assert.equal(mapLabel('gnu', { items: items }), 'wildebeest');
+  assert.equal(mapLabel('Sukuma Wiki', { items: items }), 'sukuma wiki');
+  assert.equal(mapLabel('submarine', { items: items }), undefined);
+  assert.equal(mapLabel('tree', { labelMap: { tree: 'acacia' } }), 'acacia');
+});
+
+test('results are ranked, thresholded and cut to the top k', () => {
+  const ranked = rankLabels([
+    { label: 'cat', confidence: '0.40' },
+    { label: 'dog', confidence: '0.95' },
+    { label: 'bird', confidence: 0.7 },
+    { label: 'lion', score: 0.6 }
+  ], { threshold: 0.5, limit: 2, labelMap: {} });
+  assert.deepEqual(ranked.map(r => r.label), ['dog', 'bird']);
+  assert.equal(ranked[0].confidence, 0.95);
+});
+
+test('labels that map to the same answer count once, at their best', () => {
+  const ranked = rankLabels([
+    { label: 'pancake', confidence: 0.6 },
+    { label: 'flatbread', confidence: 0.8 },
+    { label: 'person', confidence: 0.99 }
+  ], { items: items });
+  assert.deepEqual(ranked, [{ label: 'chapati', confidence: 0.8, providerLabel: 'flatbread' }]);
+});
+
+test('with a dataset, labels it does not know are dropped', () => {
+  assert.deepEqual(rankLabels([{ label: 'submarine', confidence: 0.9 }], { items: items }), []);
+  assert.deepEqual(rankLabels([{ label: 'Submarine', confidence: 0.9 }]).map(r => r.label), ['submarine']);
+});
+
+test('the mock provider labels images offline', async () => {
+  const chapati = await labelImage(null, { provider: 'mock', src: '/images/chapati.jpg', items: items });
+  assert.equal(chapati.provider, 'mock');
+  assert.equal(chapati.label, 'chapati');
+  assert.equal(chapati.confidence, 0.84);
+
+  const giraffe = await labelImage(null, { provider: 'mock', src: './images/giraffe.jpg?v=2', items: items });
+  assert.equal(giraffe.label, 'giraffe');
+
+  const shuka = await labelImage(null, { provider: 'mock', src: 'images/maasai-shuka.jpg', items: items });
+  assert.equal(shuka.label, 'maasai shuka');
+});
+
+test('a result below the threshold leaves the image unlabelled', async () => {
+  const result = await labelImage(null, { provider: 'mock', src: '/images/ugali.jpg', items: items, threshold: 0.8 });
+  assert.equal(result.label, null);
+  assert.deepEqual(result.labels, []);
+  assert.ok(result.raw);
+
+  const person = await labelImage(null, { provider: 'mock', src: '/images/pexels-jairo-david-arboleda-621072-1425883.jpg', items: items });
+  assert.equal(person.label, null);
+});
+
+test('custom providers plug in and may decline to run', async () => {
+  registerProvider({ id: 'in-browser', detect: async () => ({ results: [{ label: 'Xylophone', confidence: 0.75 }] }) });
+  registerProvider({ id: 'offline-model', detect: async () => null });
+  const result = await labelImage(null, { provider: 'in-browser', items: items });
+  assert.equal(result.label, 'marimba');
+  assert.deepEqual(result.raw, [{ label: 'Xylophone', confidence: 0.75 }]);
+  assert.equal(await labelImage(null, { provider: 'offline-model' }), null);
+  assert.ok(getProvider('in-browser'));
+  await assert.rejects(labelImage(null, { provider: 'missing' }), /Unknown detection provider/);
+  assert.throws(() => registerProvider({ id: 'broken' }), /detect\(\)/);
+});
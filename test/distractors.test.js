@@ -0,0 +1,94 @@
+// Tests for the wrong answers next to the right one (js/distractors.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickDistractors, buildChoices, sameCategoryShare, CLOSE_CONFUSER_LEVEL } from '../js/distractors.js';
+import { normalizeItem } from '../js/dataset.js';
+import { createRandom } from '../js/rng.js';
+
+let next = 0;
+function item(label, category, extra) {
+  return normalizeItem(Object.assign({ id: 'i' + (++next), level: 1, category: category, label: label }, extra));
+}
+
+const ugali = item('ugali', 'food', { aliases: ['sima'], labels: { sw: 'ugali', ki: 'ngima' } });
+const pool = [
+  ugali,
+  item('chapati', 'food'),
+  item('mandazi', 'food'),
+  item('githeri', 'food'),
+  item('mukimo', 'food'),
+  item('sukuma wiki', 'plants'),
+  item('mango', 'plants'),
+  item('lion', 'animals'),
+  item('zebra', 'animals'),
+  item('kikoi', 'clothing'),
+  item('nyatiti', 'instruments')
+];
+const byLabel = label => pool.find(i => i.label === label);
+
+test('the answer and its other names are never a wrong answer', () => {
+  const sameNames = pool.concat([item('Sima', 'food'), item('NGIMA', 'food'), item('u-gali', 'food')]);
+  for (let seed = 1; seed <= 20; seed++) {
+    const picked = pickDistractors(ugali, sameNames, { random: createRandom(seed) });
+    assert.equal(picked.length, 3);
+    picked.forEach(label => assert.ok(['ugali', 'sima', 'ngima', 'u-gali'].indexOf(label.toLowerCase()) === -1, label));
+    assert.equal(new Set(picked).size, 3, 'no name twice');
+  }
+});
+
+test('the same category takes a bigger share as the level rises', () => {
+  assert.equal(sameCategoryShare(1, 3), 1);
+  assert.equal(sameCategoryShare(2, 3), 2);
+  assert.equal(sameCategoryShare(5, 3), 3);
+  assert.equal(sameCategoryShare(undefined, 3), 1);
+  const food = label => byLabel(label).category === 'food';
+  for (let seed = 1; seed <= 20; seed++) {
+    const random = createRandom(seed);
+    assert.equal(pickDistractors(ugali, pool, { level: 1, random: random }).filter(food).length, 1);
+    assert.equal(pickDistractors(ugali, pool, { level: 2, random: random }).filter(food).length, 2);
+    assert.equal(pickDistractors(ugali, pool, { level: 3, random: random }).filter(food).length, 3);
+  }
+});
+
+test('related categories come before unrelated ones', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const picked = pickDistractors(ugali, pool, { level: 1, random: createRandom(seed) });
+    // One from food, then both plants (related to food) before any animal
+    assert.deepEqual(picked.slice(1).map(label => byLabel(label).category), ['plants', 'plants']);
+  }
+});
+
+test('from the close-confuser level the most alike names win', () => {
+  const matoke = item('matoke', 'food', { level: CLOSE_CONFUSER_LEVEL });
+  const foods = [matoke, item('matunda', 'food'), item('mataha', 'food'), item('pilau', 'food'), item('chai', 'food')];
+  const picked = pickDistractors(matoke, foods, { count: 2, random: createRandom(3) });
+  assert.deepEqual(picked.sort(), ['mataha', 'matunda']);
+});
+
+test('hand-picked distractors come first, once each', () => {
+  const chapati = item('chapati', 'food', { distractors: ['mandazi', 'Mandazi', 'chapati', 'samosa'] });
+  const picked = pickDistractors(chapati, pool, { count: 3, random: createRandom(7) });
+  // The list's own order is shuffled; "Mandazi" is the same name as "mandazi"
+  assert.deepEqual(picked.slice(0, 2).map(label => label.toLowerCase()).sort(), ['mandazi', 'samosa']);
+  assert.equal(picked.length, 3);
+  assert.notEqual(picked[2].toLowerCase(), 'mandazi');
+});
+
+test('small pools give what they can and top up from the category', () => {
+  const tiny = [ugali, byLabel('chapati'), byLabel('mandazi')];
+  // Level 1 wants one from food, but there is nothing else to draw from
+  assert.deepEqual(pickDistractors(ugali, tiny, { level: 1, random: createRandom(1) }).sort(), ['chapati', 'mandazi']);
+  assert.deepEqual(pickDistractors(ugali, [ugali], {}), []);
+  assert.deepEqual(pickDistractors(ugali, null, {}), []);
+  assert.deepEqual(pickDistractors(ugali, pool, { count: 0 }), []);
+  // Unlabelled items are never offered
+  assert.deepEqual(pickDistractors(ugali, [ugali, item('', 'food'), byLabel('lion')], {}), ['lion']);
+});
+
+test('choices hold the answer once among its distractors, the same for the same seed', () => {
+  const a = buildChoices(ugali, pool, { random: createRandom(11) });
+  const b = buildChoices(ugali, pool, { random: createRandom(11) });
+  assert.deepEqual(a, b);
+  assert.equal(a.length, 4);
+  assert.equal(a.filter(label => label === 'ugali').length, 1);
+});
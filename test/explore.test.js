@@ -0,0 +1,71 @@
+// Tests for the Explore page's regions map and gallery filters (js/regions.js) and the
+// dataset's regions field (js/dataset.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  REGION_SHAPES, LAKES, MAP_CATEGORIES, MAP_VIEWBOX, project, outlinePath, regionById, filterItems, regionItems
+} from '../js/regions.js';
+import { REGIONS, normalizeItem, parseDataset, validateDataset } from '../js/dataset.js';
+
+const source = JSON.parse(readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8'));
+
+test('every region has one shape and every point lands inside the map', () => {
+  assert.deepEqual(REGION_SHAPES.map(r => r.id).sort(), REGIONS.slice().sort());
+  const [, , width, height] = MAP_VIEWBOX.split(' ').map(Number);
+  REGION_SHAPES.concat(LAKES).forEach(function (shape) {
+    assert.ok(shape.outline.length >= 3, shape.id + ' has an outline');
+    shape.outline.concat(shape.label ? [shape.label] : []).forEach(function (point) {
+      const [x, y] = project(point);
+      assert.ok(x >= 0 && x <= width && y >= 0 && y <= height, shape.id + ' ' + point + ' is on the map');
+    });
+  });
+  assert.equal(regionById('coast').id, 'coast');
+  assert.equal(regionById('atlantis'), null);
+});
+
+test('outlines become closed SVG paths', () => {
+  assert.deepEqual(project([33.2, 5.0]), [0, 0]);
+  assert.deepEqual(project([34.2, 4.0]), [48, 48]);
+  assert.equal(outlinePath([[33.2, 5.0], [34.2, 5.0], [34.2, 4.0]]), 'M0 0 L48 0 L48 48 Z');
+});
+
+test('the gallery filters by category, level and region together', () => {
+  const items = [
+    normalizeItem({ id: 'q1', level: 1, category: 'food', label: 'ugali', regions: ['nairobi', 'central'] }),
+    normalizeItem({ id: 'q2', level: 1, category: 'clothing', label: 'kikoi', regions: ['coast'] }),
+    normalizeItem({ id: 'q3', level: 2, category: 'food', label: 'pilau', regions: ['coast'] }),
+    normalizeItem({ id: 'q4', level: 2, category: 'animals', label: 'twiga' })
+  ];
+  const labels = list => list.map(i => i.label);
+  assert.deepEqual(labels(filterItems(items)), ['ugali', 'kikoi', 'pilau', 'twiga']);
+  assert.deepEqual(labels(filterItems(items, { category: '', level: '', region: '' })), ['ugali', 'kikoi', 'pilau', 'twiga']);
+  assert.deepEqual(labels(filterItems(items, { category: 'food' })), ['ugali', 'pilau']);
+  assert.deepEqual(labels(filterItems(items, { level: '2' })), ['pilau', 'twiga']);
+  assert.deepEqual(labels(filterItems(items, { region: 'coast', category: 'food' })), ['pilau']);
+  assert.deepEqual(filterItems(items, { region: 'western' }), []);
+
+  const coast = regionItems(items, 'coast');
+  assert.deepEqual(Object.keys(coast), MAP_CATEGORIES);
+  assert.deepEqual(labels(coast.food), ['pilau']);
+  assert.deepEqual(labels(coast.clothing), ['kikoi']);
+  assert.deepEqual(coast.instruments, []);
+});
+
+test('regions are read, defaulted and checked against the known ids', async () => {
+  const items = parseDataset(source).items;
+  assert.ok(items.some(item => item.regions.length), 'the built-in items name their regions');
+  assert.deepEqual(normalizeItem({ label: 'twiga' }).regions, []);
+  assert.deepEqual(normalizeItem({ label: 'ugali', regions: [' coast ', '', 'nyanza'] }).regions, ['coast', 'nyanza']);
+
+  const json = JSON.parse(JSON.stringify(source));
+  json.items[0].regions = ['coast', 'narnia'];
+  let result = await validateDataset(json);
+  assert.ok(result.errors.some(e => /unknown region "narnia"/.test(e)));
+  json.items[0].regions = 'coast';
+  result = await validateDataset(json);
+  assert.ok(result.errors.some(e => /"regions" must be an array/.test(e)));
+  delete json.items[0].regions;
+  result = await validateDataset(json);
+  assert.deepEqual(result.errors, []);
+});
@@ -0,0 +1,39 @@
+// Shared test doubles: an in-memory localStorage and clocks and timers the tests drive
+
+// A localStorage stand-in backed by a Map
+export function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: k => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: k => data.delete(k)
+  };
+}
+
+// A clock with one-off timers, both moved on by advance(ms)
+export function fakeClock(start) {
+  let time = start || 0;
+  let pending = [];
+  return {
+    now: () => time,
+    setTimeout: function (fn, ms) { const timer = { fn: fn, at: time + (ms || 0) }; pending.push(timer); return timer; },
+    clearTimeout: function (timer) { pending = pending.filter(t => t !== timer); },
+    advance: function (ms) {
+      time += ms;
+      const due = pending.filter(t => t.at <= time).sort((a, b) => a.at - b.at);
+      pending = pending.filter(t => t.at > time);
+      due.forEach(t => t.fn());
+    }
+  };
+}
+
+// Timers that only run when told to; list holds { fn, ms } for each one set
+export function manualTimers() {
+  const timers = [];
+  return {
+    list: timers,
+    setTimeout: function (fn, ms) { timers.push({ fn: fn, ms: ms }); return timers.length; },
+    clearTimeout: function (id) { if (timers[id - 1]) timers[id - 1].fn = null; },
+    run: function () { timers.splice(0).forEach(timer => { if (timer.fn) timer.fn(); }); }
+  };
+}
@@ -0,0 +1,120 @@
+// Tests for the answer history, its report summary and CSV export (js/history.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendHistory, loadHistory, summarizeHistory, historyToCsv, historyKey, MAX_ENTRIES } from '../js/history.js';
+import { memoryStorage } from './helpers.js';
+
+const AT = Date.UTC(2024, 0, 1, 8);
+
+// An answered question; attempts counts the wrong picks before the right one
+function entry(sessionId, itemId, level, attempts, extra) {
+  return Object.assign({
+    sessionId: sessionId,
+    itemId: itemId,
+    label: itemId + ' label',
+    level: level,
+    category: 'food',
+    attempts: attempts,
+    wrong: [],
+    ms: 2000,
+    at: AT
+  }, extra);
+}
+
+test('answers are appended per profile, the oldest dropped past the limit', () => {
+  const storage = memoryStorage();
+  appendHistory('p1', entry('s1', 'q1', 1, 0), storage);
+  appendHistory('p2', entry('s1', 'q2', 1, 1), storage);
+  assert.deepEqual(loadHistory('p1', storage).map(e => e.itemId), ['q1']);
+  assert.deepEqual(loadHistory('p2', storage).map(e => e.itemId), ['q2']);
+
+  storage.setItem(historyKey('p1'), JSON.stringify(Array.from({ length: MAX_ENTRIES }, (_, i) => ({ itemId: 'old' + i }))));
+  appendHistory('p1', entry('s2', 'new', 1, 0), storage);
+  const entries = loadHistory('p1', storage);
+  assert.equal(entries.length, MAX_ENTRIES);
+  assert.equal(entries[0].itemId, 'old1');
+  assert.equal(entries[entries.length - 1].itemId, 'new');
+
+  storage.setItem(historyKey('p1'), '{not json');
+  assert.deepEqual(loadHistory('p1', storage), []);
+  assert.deepEqual(loadHistory('p1', null), []);
+});
+
+test('the summary gives first-try accuracy per level and per item, hardest items first', () => {
+  const summary = summarizeHistory([
+    entry('s1', 'q1', 1, 0),
+    entry('s1', 'q2', 1, 2, { ms: 4000 }),
+    entry('s1', 'q3', 2, 0),
+    entry('s2', 'q2', 1, 0),
+    entry('s2', 'q1', 1, 0),
+    entry('s2', 'q1', 1, 0, { pack: 'coast-foods', label: 'pack q1' })
+  ]);
+  assert.deepEqual(summary.totals, { answered: 6, firstTry: 5, accuracy: 83, totalMs: 14000, avgMs: 2333 });
+  assert.deepEqual(summary.levels.map(l => [l.level, l.answered, l.firstTry, l.accuracy]), [[1, 5, 4, 80], [2, 1, 1, 100]]);
+  assert.deepEqual(summary.items.map(i => [i.pack, i.itemId, i.answered, i.accuracy]), [
+    [null, 'q2', 2, 50],
+    [null, 'q1', 2, 100],
+    [null, 'q3', 1, 100],
+    ['coast-foods', 'q1', 1, 100]
+  ]);
+  assert.equal(summary.items[0].avgMs, 3000);
+  assert.equal(summary.items[3].label, 'pack q1');
+  assert.deepEqual(summarizeHistory([]).totals, { answered: 0, firstTry: 0, accuracy: 0, totalMs: 0, avgMs: 0 });
+});
+
+test('confusions count each wrong pick against the right answer, most frequent first', () => {
+  const summary = summarizeHistory([
+    entry('s1', 'q1', 1, 1, { label: 'ugali', wrong: ['mukimo'] }),
+    entry('s1', 'q2', 1, 2, { label: 'chapati', wrong: ['mandazi', 'ugali'] }),
+    entry('s2', 'q1', 1, 2, { label: 'ugali', wrong: ['mukimo', 'githeri'] })
+  ]);
+  assert.deepEqual(summary.confusions[0], { label: 'ugali', picked: 'mukimo', count: 2 });
+  assert.equal(summary.confusions.length, 4);
+  assert.ok(summary.confusions.slice(1).every(c => c.count === 1));
+});
+
+test('sessions form a trend in the order they were played', () => {
+  const summary = summarizeHistory([
+    entry('late', 'q1', 1, 0, { at: AT + 2000 }),
+    entry('early', 'q1', 1, 1, { at: AT }),
+    entry('early', 'q2', 1, 0, { at: AT + 1000 }),
+    entry('late', 'q2', 1, 0, { at: AT + 3000 })
+  ]);
+  assert.deepEqual(summary.sessions.map(s => [s.sessionId, s.at, s.answered, s.accuracy]), [['early', AT, 2, 50], ['late', AT + 2000, 2, 100]]);
+});
+
+test('the CSV has one row per answer and quotes what needs it', () => {
+  const csv = historyToCsv([
+    { child: 'Amani', entry: entry('s1', 'q1', 1, 0, { type: 'word-to-picture' }) },
+    { child: 'Zawadi "Zizi", Jr.', entry: entry('s1', 'q2', 2, 2, { label: 'nyama\nchoma', wrong: ['ugali', 'chapati'], practice: true, ms: 5250, pack: 'coast-foods' }) }
+  ]);
+  const lines = csv.split('\r\n');
+  assert.equal(lines[0], 'child,date,session,item_id,label,level,category,practice,question_type,first_try,wrong_attempts,wrong_choices,seconds,pack');
+  assert.equal(lines[1], 'Amani,2024-01-01T08:00:00.000Z,s1,q1,q1 label,1,food,no,word-to-picture,yes,0,,2.0,');
+  assert.equal(lines[2], '"Zawadi ""Zizi"", Jr.",2024-01-01T08:00:00.000Z,s1,q2,"nyama\nchoma",2,food,yes,picture-to-word,no,2,ugali; chapati,5.3,coast-foods');
+  assert.equal(lines[3], '');
+  assert.equal(lines.length, 4);
+});
+
+test('cells a spreadsheet would run as a formula are exported as text', () => {
+  const csv = historyToCsv([
+    { child: '=HYPERLINK("http://x")', entry: entry('s1', 'q1', 1, 1, { label: '+ugali', wrong: ['-1', '@SUM(A1)'] }) },
+    { child: 'A=B', entry: entry('s1', 'q2', 1, 0, { label: '\tmukimo' }) }
+  ]);
+  const lines = csv.split('\r\n');
+  assert.ok(lines[1].startsWith('"\'=HYPERLINK(""http://x"")",'), lines[1]);
+  assert.ok(lines[1].indexOf(",'+ugali,") !== -1, lines[1]);
+  assert.ok(lines[1].indexOf(",'-1; @SUM(A1),") !== -1, lines[1]);
+  assert.ok(lines[2].startsWith('A=B,'), 'only a leading sign counts');
+  assert.ok(lines[2].indexOf(",'\tmukimo,") !== -1, lines[2]);
+});
+
+test('an answer that needed a hint is not counted as first try', () => {
+  const hinted = entry('s1', 'q2', 1, 0, { hints: 1 });
+  const summary = summarizeHistory([entry('s1', 'q1', 1, 0, { hints: 0 }), hinted]);
+  assert.equal(summary.totals.firstTry, 1);
+  assert.equal(summary.totals.accuracy, 50);
+  assert.deepEqual(summary.items.map(i => [i.itemId, i.accuracy]), [['q2', 0], ['q1', 100]]);
+  const lines = historyToCsv([{ child: 'Amani', entry: hinted }]).split('\r\n');
+  assert.equal(lines[1].split(',')[9], 'no');
+});
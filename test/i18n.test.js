@@ -0,0 +1,52 @@
+// Tests for translation lookup: placeholders, plural forms and the English fallback
+// (js/i18n.js translate()), against the shipped locale files
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { translate, LOCALES } from '../js/i18n.js';
+
+const locale = code => JSON.parse(readFileSync(new URL('../locales/' + code + '.json', import.meta.url), 'utf8'));
+const en = locale('en');
+const sw = locale('sw');
+const ki = locale('ki');
+
+test('placeholders are filled and unknown ones left in place', () => {
+  const tables = { messages: en, fallback: en, locale: 'en' };
+  assert.equal(translate(tables, 'quiz.progress', { current: 2, total: 5 }), 'Question 2 of 5');
+  assert.equal(translate(tables, 'quiz.progress', { current: 2 }), 'Question 2 of {total}');
+  assert.equal(translate(tables, 'quiz.progress', { current: 0, total: 5 }), 'Question 0 of 5');
+});
+
+test('plural messages choose their form from the count', () => {
+  const tables = { messages: en, fallback: en, locale: 'en' };
+  assert.equal(translate(tables, 'packs.items', { count: 1 }), '1 question');
+  assert.equal(translate(tables, 'packs.items', { count: 0 }), '0 questions');
+  assert.equal(translate(tables, 'packs.items', { count: 12 }), '12 questions');
+  // No count and unknown locales use "other"
+  assert.equal(translate(tables, 'packs.items'), '{count} questions');
+  assert.equal(translate({ messages: en, locale: 'xx-invalid-' }, 'packs.items', { count: 1 }), '1 questions');
+  // A message without the chosen form falls back to "other"
+  const custom = { messages: { n: { other: '{count} things' } }, locale: 'en' };
+  assert.equal(translate(custom, 'n', { count: 1 }), '1 things');
+});
+
+test('missing keys fall back to English, then to the key', () => {
+  assert.equal(translate({ messages: sw, fallback: en, locale: 'sw' }, 'quiz.tryAgain'), sw.quiz.tryAgain);
+  // Kikuyu leaves most keys to English
+  assert.equal(ki.packs, undefined);
+  assert.equal(translate({ messages: ki, fallback: en, locale: 'ki' }, 'packs.items', { count: 3 }), '3 questions');
+  assert.equal(translate({ messages: ki, fallback: en, locale: 'ki' }, 'quiz.prompt'), ki.quiz.prompt);
+  assert.equal(translate({ messages: sw, fallback: en, locale: 'sw' }, 'no.such.key'), 'no.such.key');
+  // A key that names a group of messages rather than one is not a message
+  assert.equal(translate({ messages: en, fallback: en, locale: 'en' }, 'quiz.types.label.x'), 'quiz.types.label.x');
+});
+
+test('every locale names itself and only partial ones say so', () => {
+  const tables = { en: en, sw: sw, ki: ki };
+  LOCALES.forEach(function (code) {
+    assert.ok(tables[code].meta && tables[code].meta.name, code);
+  });
+  assert.equal(ki.meta.partial, true);
+  assert.equal(sw.meta.partial, undefined);
+  assert.equal(translate({ messages: en, locale: 'en' }, 'nav.languagePartial', { name: ki.meta.name }), 'Gĩkũyũ (partly translated)');
+});
@@ -0,0 +1,63 @@
+// Tests for the learn cards and hints (js/learn.js) and the dataset fields they show
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hintsFor, firstLetter, learnLines, createPausableTimer, HINT_KINDS } from '../js/learn.js';
+import { normalizeItem, validateDataset } from '../js/dataset.js';
+import { getQuestionType } from '../js/question-types.js';
+import { fakeClock } from './helpers.js';
+
+test('hints follow the question type, the view and what the item has', () => {
+  const item = { label: 'ugali', category: 'food' };
+  const withChoices = { eliminate: () => 2 };
+  assert.deepEqual(hintsFor(item, getQuestionType('picture-to-word'), withChoices), HINT_KINDS);
+  assert.deepEqual(hintsFor(item, getQuestionType('word-to-picture'), withChoices), ['category', 'eliminate']);
+  assert.deepEqual(hintsFor(item, getQuestionType('type-answer'), {}), ['category', 'firstLetter']);
+  assert.deepEqual(hintsFor(item, getQuestionType('match-pairs'), withChoices), []);
+  assert.deepEqual(hintsFor({ label: 'ugali' }, null, null), ['firstLetter']);
+});
+
+test('the first letter skips spaces and punctuation', () => {
+  assert.equal(firstLetter('sukuma wiki'), 'S');
+  assert.equal(firstLetter('  “ndũiga”'), 'N');
+  assert.equal(firstLetter('ũgĩ'), 'Ũ');
+  assert.equal(firstLetter(''), '');
+});
+
+test('learn cards show the fact, origin and usage an item has', () => {
+  const item = normalizeItem({ id: 'q1', label: 'mukimo', fact: ' Green mash. ', usage: 'At ceremonies', origin: '' });
+  assert.deepEqual(learnLines(item), [{ field: 'fact', text: 'Green mash.' }, { field: 'usage', text: 'At ceremonies' }]);
+  assert.deepEqual(learnLines(normalizeItem({ label: 'zebra' })), []);
+});
+
+test('the learn fields must be text', async () => {
+  const json = { schemaVersion: 1, items: [{ id: 'q1', level: 1, category: 'food', image: './images/ugali.jpg', label: 'ugali', origin: ['Kenya'], usage: 3 }] };
+  const { errors } = await validateDataset(json);
+  assert.ok(errors.some(e => /"origin" must be a string/.test(e)));
+  assert.ok(errors.some(e => /"usage" must be a string/.test(e)));
+});
+
+test('the move to the next question waits while it is paused', () => {
+  const clock = fakeClock();
+  let fired = 0;
+  const timer = createPausableTimer(() => fired++, 1500, clock);
+  clock.advance(1000);
+  timer.pause();
+  assert.equal(timer.paused, true);
+  clock.advance(10000);
+  assert.equal(fired, 0);
+  timer.resume();
+  clock.advance(400);
+  assert.equal(fired, 0, 'only the time it had left');
+  clock.advance(100);
+  assert.equal(fired, 1);
+  assert.equal(timer.done, true);
+  timer.resume();
+  clock.advance(5000);
+  assert.equal(fired, 1, 'it runs once');
+
+  const cancelled = createPausableTimer(() => fired++, 100, clock);
+  cancelled.cancel();
+  cancelled.resume();
+  clock.advance(200);
+  assert.equal(fired, 1);
+});
@@ -0,0 +1,117 @@
+// Tests for the Leitner-box mastery model (js/mastery.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordAnswer, isDue, weakItems, selectItems, loadMastery, saveMastery, BOX_INTERVALS_DAYS, MAX_BOX, STORAGE_KEY } from '../js/mastery.js';
+import { createRandom } from '../js/rng.js';
+import { memoryStorage } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1);
+const items = n => Array.from({ length: n }, (_, i) => ({ id: 'i' + i }));
+const ids = list => list.map(i => i.id).sort();
+
+test('first-try answers move an item up one box until it is mastered', () => {
+  const records = {};
+  const boxes = [];
+  for (let i = 0; i < 6; i++) boxes.push(recordAnswer(records, 'a', true, NOW).box);
+  assert.deepEqual(boxes, [2, 3, 4, 5, MAX_BOX, MAX_BOX]);
+  assert.deepEqual(records.a, { box: MAX_BOX, due: NOW + 21 * DAY_MS, seen: 6, correct: 6, lapses: 0, lastSeen: NOW });
+});
+
+test('each box waits longer before the item is due again', () => {
+  assert.deepEqual(BOX_INTERVALS_DAYS, [0, 1, 3, 7, 21]);
+  const records = {};
+  [1, 3, 7, 21].forEach(function (days) {
+    const rec = recordAnswer(records, 'a', true, NOW);
+    assert.equal(rec.due, NOW + days * DAY_MS);
+    assert.equal(isDue(rec, NOW + days * DAY_MS - 1), false);
+    assert.equal(isDue(rec, NOW + days * DAY_MS), true);
+  });
+  assert.equal(isDue(undefined, NOW), false);
+});
+
+test('needing retries sends an item back to box 1, due at once', () => {
+  const records = {};
+  recordAnswer(records, 'a', true, NOW);
+  recordAnswer(records, 'a', true, NOW);
+  const rec = recordAnswer(records, 'a', false, NOW + DAY_MS);
+  assert.equal(rec.box, 1);
+  assert.equal(rec.due, NOW + DAY_MS);
+  assert.equal(rec.lapses, 1);
+  assert.equal(rec.correct, 2);
+  assert.equal(rec.seen, 3);
+  // A first wrong answer also starts in box 1
+  assert.equal(recordAnswer(records, 'b', false, NOW).box, 1);
+});
+
+test('weak items are the seen ones in low boxes, weakest first', () => {
+  const records = {
+    a: { box: 2, due: NOW, lapses: 0, lastSeen: 5 },
+    b: { box: 1, due: NOW, lapses: 1, lastSeen: 9 },
+    c: { box: 1, due: NOW, lapses: 3, lastSeen: 9 },
+    d: { box: 1, due: NOW, lapses: 1, lastSeen: 2 },
+    e: { box: 3, due: NOW, lapses: 4, lastSeen: 1 }
+  };
+  const pool = ['a', 'b', 'c', 'd', 'e', 'new'].map(id => ({ id: id }));
+  assert.deepEqual(weakItems(pool, records).map(i => i.id), ['c', 'd', 'b', 'a']);
+});
+
+test('due items fill the round next to a share of new ones', () => {
+  const pool = items(20);
+  const records = {};
+  // i0-i9 seen: i0-i4 due now, i5-i9 due tomorrow; i10-i19 never seen
+  pool.slice(0, 10).forEach(function (item, n) {
+    records[item.id] = { box: 2, due: n < 5 ? NOW - 1 : NOW + DAY_MS, seen: 1, correct: 1, lapses: 0, lastSeen: NOW - DAY_MS };
+  });
+  const picked = selectItems(pool, records, 5, { now: NOW, random: createRandom(4) });
+  assert.equal(picked.length, 5);
+  const fresh = picked.filter(i => !records[i.id]);
+  // 40% of five, rounded up, are new; the rest are due and none are early
+  assert.equal(fresh.length, 2);
+  picked.filter(i => records[i.id]).forEach(i => assert.ok(isDue(records[i.id], NOW), i.id));
+  assert.equal(new Set(ids(picked)).size, 5);
+
+  assert.equal(selectItems(pool, records, 5, { now: NOW, newShare: 0, random: createRandom(4) }).filter(i => !records[i.id]).length, 0);
+  assert.equal(selectItems(pool, records, 5, { now: NOW, newShare: 1, random: createRandom(4) }).filter(i => !records[i.id]).length, 5);
+});
+
+test('the weakest due items are picked first', () => {
+  const pool = items(6);
+  const records = {};
+  pool.forEach(function (item, n) {
+    records[item.id] = { box: n < 2 ? 1 : 3, due: NOW - 1, seen: 2, correct: 1, lapses: n < 2 ? 2 : 0, lastSeen: NOW - DAY_MS };
+  });
+  for (let seed = 1; seed <= 10; seed++) {
+    assert.deepEqual(ids(selectItems(pool, records, 2, { now: NOW, random: createRandom(seed) })), ['i0', 'i1']);
+  }
+});
+
+test('items not yet due only fill gaps, soonest first', () => {
+  const pool = items(4);
+  const records = {
+    i0: { box: 3, due: NOW + 5 * DAY_MS, seen: 1, correct: 1, lapses: 0, lastSeen: NOW },
+    i1: { box: 3, due: NOW + DAY_MS, seen: 1, correct: 1, lapses: 0, lastSeen: NOW },
+    i2: { box: 3, due: NOW + 2 * DAY_MS, seen: 1, correct: 1, lapses: 0, lastSeen: NOW },
+    i3: { box: 1, due: NOW, seen: 1, correct: 0, lapses: 1, lastSeen: NOW }
+  };
+  assert.deepEqual(ids(selectItems(pool, records, 3, { now: NOW, random: createRandom(1) })), ['i1', 'i2', 'i3']);
+  // Asking for more than the pool holds gives the whole pool
+  assert.equal(selectItems(pool, records, 10, { now: NOW, random: createRandom(1) }).length, 4);
+  // The same seed gives the same round
+  const first = selectItems(items(20), {}, 6, { now: NOW, random: createRandom(9) });
+  assert.deepEqual(selectItems(items(20), {}, 6, { now: NOW, random: createRandom(9) }), first);
+});
+
+test('records round-trip through storage and survive bad data', () => {
+  const storage = memoryStorage();
+  const records = {};
+  recordAnswer(records, 'a', true, NOW);
+  saveMastery(records, storage);
+  assert.deepEqual(loadMastery(storage), records);
+  saveMastery({ b: records.a }, storage, 'other.key');
+  assert.deepEqual(Object.keys(loadMastery(storage, 'other.key')), ['b']);
+  storage.setItem(STORAGE_KEY, '{not json');
+  assert.deepEqual(loadMastery(storage), {});
+  assert.deepEqual(loadMastery(null), {});
+  saveMastery(records, null);
+});
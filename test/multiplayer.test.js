@@ -0,0 +1,97 @@
+// Tests for hot-seat matches: turns, steals and the podium (js/multiplayer.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatch, matchQuestions, standings, STEAL_POINTS, PLAYER_COLORS } from '../js/multiplayer.js';
+import { createQuizSession } from '../js/quiz-session.js';
+import { createRandom } from '../js/rng.js';
+
+const players = [{ name: ' Amani ', color: '#111111' }, { name: 'Baraka' }, { name: 'Chebet' }];
+
+test('turns go round the table and each question scores for its player', () => {
+  const match = createMatch(players);
+  assert.equal(match.players[0].name, 'Amani');
+  assert.equal(match.players[1].color, PLAYER_COLORS[1]);
+  assert.equal(match.current().name, 'Amani');
+  match.settle({ points: 10, firstTry: true });
+  assert.equal(match.nextTurn().name, 'Baraka');
+  match.settle({ points: 5, firstTry: false });
+  match.nextTurn();
+  match.nextTurn();
+  assert.equal(match.turn, 0);
+  assert.deepEqual(match.players.map(p => [p.score, p.firstTry, p.turns]), [[10, 1, 1], [5, 0, 1], [0, 0, 0]]);
+});
+
+test('without steals a wrong answer is tried again by the same player', () => {
+  const match = createMatch(players);
+  assert.equal(match.wrong(), 'retry');
+  assert.equal(match.wrong(), 'retry');
+  assert.equal(match.stealing, false);
+  assert.equal(match.current().name, 'Amani');
+});
+
+test('with steals the next player gets one try at a missed question', () => {
+  const match = createMatch(players, { steal: true });
+  match.nextTurn();
+  match.nextTurn();
+  assert.equal(match.wrong(), 'steal');
+  assert.equal(match.stealing, true);
+  assert.equal(match.current().name, 'Amani');
+  match.settle({ points: 5, firstTry: false });
+  assert.equal(match.players[0].score, STEAL_POINTS);
+  assert.equal(match.players[0].steals, 1);
+  assert.equal(match.players[2].score, 0);
+  assert.equal(match.players[2].turns, 1);
+  // A failed steal: the answer is shown and nobody scores
+  assert.equal(match.nextTurn().name, 'Amani');
+  assert.equal(match.stealing, false);
+  assert.equal(match.wrong(), 'steal');
+  assert.equal(match.wrong(), 'reveal');
+  match.settle({ points: 0, firstTry: false });
+  assert.deepEqual(match.players.map(p => p.score), [STEAL_POINTS, 0, 0]);
+});
+
+test('equal scores and first tries share a place on the podium', () => {
+  const ranked = standings([
+    { name: 'a', score: 10, firstTry: 1 },
+    { name: 'b', score: 20, firstTry: 2 },
+    { name: 'c', score: 10, firstTry: 1 },
+    { name: 'd', score: 10, firstTry: 0 }
+  ]);
+  assert.deepEqual(ranked.map(p => [p.name, p.place]), [['b', 1], ['a', 2], ['c', 2], ['d', 4]]);
+});
+
+test('a match needs two to four named players', () => {
+  assert.throws(() => createMatch([{ name: 'solo' }]), /2 to 4/);
+  assert.throws(() => createMatch(players.concat(players)), /2 to 4/);
+  assert.throws(() => createMatch([{ name: 'Amani' }, { name: '  ' }]), /player 2/);
+});
+
+test('match questions come from the level and repeat a small pool', () => {
+  const items = [1, 2, 3, 4, 5, 6].map(n => ({ id: 'q' + n, level: n <= 2 ? 1 : 2, label: 'w' + n }));
+  const random = createRandom(3);
+  const list = matchQuestions(items, 1, 6, random);
+  assert.equal(list.length, 6);
+  assert.ok(list.every(i => i.level === 1));
+  assert.equal(new Set(list.slice(0, 2).map(i => i.id)).size, 2);
+  assert.equal(matchQuestions(items, 0, 4, random).length, 4);
+  assert.equal(matchQuestions(items, 9, 3, random).length, 3);
+});
+
+test('a played match settles every session result', () => {
+  const s = createQuizSession({ seed: 11 });
+  s.load({ items: [1, 2, 3, 4, 5].map(n => ({ id: 'q' + n, level: 1, category: 'food', label: 'w' + n })) });
+  const match = createMatch(players.slice(0, 2), { steal: true });
+  s.on('result', r => match.settle(r));
+  s.startRound(matchQuestions(s.items, 1, 4, s.random), { level: 1 });
+  let n = 0;
+  while (!s.complete) {
+    // The second player misses their first question and the first player steals it
+    if (n === 1) { s.answer(false); match.wrong(); }
+    s.answer(true);
+    match.nextTurn();
+    s.next();
+    n++;
+  }
+  assert.deepEqual(match.players.map(p => p.score), [10 + STEAL_POINTS + 10, 10]);
+  assert.equal(match.standings()[0].name, 'Amani');
+});
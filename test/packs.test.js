@@ -0,0 +1,227 @@
+// Tests for question packs: reading .json and .zip packs, validation, the pack store
+// and per-pack progress (js/packs.js, js/zip.js, js/profiles.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import {
+  readPack, validatePack, writePack, resolvePackDataset, createPackStore, packPath,
+  packUrl, parsePackUrl, datasetUrl, getActivePack, setActivePack
+} from '../js/packs.js';
+import { readZip, MAX_UNZIPPED_BYTES } from '../js/zip.js';
+import { installPack } from '../js/pack-picker.js';
+import { masteryKey, progressFor, recordLevelResult, saveRoundProgress, resetProfile } from '../js/profiles.js';
+import { memoryStorage } from './helpers.js';
+
+const manifest = { format: 'kulture-pack', formatVersion: 1, id: 'coast-foods', title: 'Coast foods', author: 'Amina' };
+const dataset = {
+  schemaVersion: 1,
+  items: [
+    { id: 'c1', label: 'mahamri', image: './images/mahamri.jpg', level: 1, category: 'food' },
+    { id: 'c2', label: 'viazi karai', image: './images/viazi-karai.png', level: 1, category: 'food' },
+    { id: 'c3', label: 'kaimati', image: 'https://example.org/kaimati.jpg', level: 1, category: 'food' },
+    { id: 'c4', label: 'mkate wa sinia', image: './images/mkate-wa-sinia.jpg', level: 1, category: 'food' },
+    { id: 'c5', label: 'bhajia', image: 'https://example.org/bhajia.jpg', level: 1, category: 'food' }
+  ]
+};
+
+// A zip archive built by hand: deflated entries behind local headers, then the
+// central directory and its end record. `claimed` replaces each entry's real size.
+function makeZip(entries, claimed) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(entries)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const stored = name.endsWith('.png');
+    const data = stored ? raw : deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(claimed === undefined ? raw.length : claimed, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(stored ? 0 : 8, 10);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(claimed === undefined ? raw.length : claimed, 24);
+    header.writeUInt16LE(nameBytes.length, 28);
+    header.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    central.push(header, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat(locals.concat([directory, end])));
+}
+
+function files() {
+  return new Map([
+    ['images/mahamri.jpg', new Blob(['jpeg'], { type: 'image/jpeg' })],
+    ['images/viazi-karai.png', new Blob(['png'], { type: 'image/png' })],
+    ['images/mkate-wa-sinia.jpg', new Blob(['jpeg2'], { type: 'image/jpeg' })]
+  ]);
+}
+
+test('zip entries are inflated, folders skipped', async () => {
+  const entries = await readZip(makeZip({ 'a.txt': 'hello hello hello', 'dir/': '', 'dir/b.png': 'raw' }));
+  assert.deepEqual(Array.from(entries.keys()), ['a.txt', 'dir/b.png']);
+  assert.equal(new TextDecoder().decode(entries.get('a.txt')), 'hello hello hello');
+  assert.equal(new TextDecoder().decode(entries.get('dir/b.png')), 'raw');
+  await assert.rejects(readZip(new Uint8Array(40)), /end of central directory/);
+});
+
+test('zips that unpack to too much are refused', async () => {
+  const big = { 'a.txt': 'a'.repeat(3000), 'b.txt': 'b'.repeat(3000) };
+  assert.equal((await readZip(makeZip(big), { maxBytes: 6000 })).size, 2);
+  // Found from the sizes in the directory, before anything is inflated
+  await assert.rejects(readZip(makeZip(big), { maxBytes: 5999 }), /larger than/);
+  await assert.rejects(readZip(makeZip({ 'a.txt': 'small' }, MAX_UNZIPPED_BYTES + 1)), /larger than 100 MB/);
+  // An archive that understates its sizes is stopped while inflating
+  await assert.rejects(readZip(makeZip(big, 10), { maxBytes: 4000 }), /larger than/);
+  await assert.rejects(readZip(makeZip({ 'a.txt': 'a'.repeat(100000) }, 10), { maxBytes: 1000 }), /larger than/);
+});
+
+test('a zipped pack is read from inside its folder', async () => {
+  const zip = makeZip({
+    'coast/manifest.json': JSON.stringify(manifest),
+    'coast/questions.json': JSON.stringify(dataset),
+    'coast/images/mahamri.jpg': 'jpeg',
+    'coast/images/viazi-karai.png': 'png',
+    'coast/images/mkate-wa-sinia.jpg': 'jpeg2'
+  });
+  const pack = await readPack(new Blob([zip]));
+  assert.equal(pack.manifest.title, 'Coast foods');
+  assert.equal(pack.dataset.items.length, 5);
+  assert.deepEqual(Array.from(pack.files.keys()).sort(), ['images/mahamri.jpg', 'images/mkate-wa-sinia.jpg', 'images/viazi-karai.png']);
+  assert.equal(pack.files.get('images/viazi-karai.png').type, 'image/png');
+  assert.equal(await pack.files.get('images/mkate-wa-sinia.jpg').text(), 'jpeg2');
+  const { errors, warnings } = await validatePack(pack);
+  assert.deepEqual(errors, []);
+  assert.ok(warnings.every(w => /is remote/.test(w)));
+});
+
+test('a single-file pack round-trips with its pictures', async () => {
+  const json = await writePack(manifest, dataset, files());
+  assert.equal(json.files['images/mahamri.jpg'], 'data:image/jpeg;base64,' + Buffer.from('jpeg').toString('base64'));
+  const pack = await readPack(new Blob([JSON.stringify(json)]));
+  assert.deepEqual(pack.manifest, manifest);
+  assert.deepEqual(pack.dataset, dataset);
+  assert.equal(await pack.files.get('images/viazi-karai.png').text(), 'png');
+  await assert.rejects(readPack(new Blob(['not a pack'])), /expected a \.json or \.zip/);
+});
+
+test('packs with a bad manifest or missing pictures are refused', async () => {
+  const pack = { manifest: { format: 'kulture-pack', formatVersion: 2, id: 'Coast Foods' }, dataset: dataset, files: files() };
+  pack.files.delete('images/mkate-wa-sinia.jpg');
+  pack.files.set('notes.txt', new Blob(['x']));
+  const { errors, warnings } = await validatePack(pack);
+  assert.ok(errors.some(e => /unsupported formatVersion 2/.test(e)));
+  assert.ok(errors.some(e => /"id" must be lowercase/.test(e)));
+  assert.ok(errors.some(e => /missing title/.test(e)));
+  assert.ok(errors.some(e => /mkate-wa-sinia\.jpg/.test(e)));
+  assert.ok(errors.some(e => /"notes\.txt" is not a picture or recording/.test(e)));
+  assert.ok(warnings.every(w => /is remote/.test(w)));
+});
+
+test('a pack carries only the pictures and recordings its items use, typed by extension', async () => {
+  const json = await writePack(manifest, dataset, files());
+  // A declared type is ignored: the file is served by what its name says it is
+  json.files['images/mahamri.jpg'] = 'data:text/html,<script>alert(1)</script>';
+  let pack = await readPack(JSON.stringify(json));
+  assert.equal(pack.files.get('images/mahamri.jpg').type, 'image/jpeg');
+
+  json.files['images/extra.jpg'] = json.files['images/viazi-karai.png'];
+  json.files['page.html'] = 'data:text/html,<p>hi</p>';
+  json.files['images/logo.svg'] = 'data:image/svg+xml,<svg onload="alert(1)"/>';
+  pack = await readPack(JSON.stringify(json));
+  assert.equal(pack.files.get('page.html').type, '');
+  const { errors } = await validatePack(pack);
+  assert.deepEqual(errors, [
+    'File "images/extra.jpg" is not used by any item',
+    'File "page.html" is not a picture or recording (allowed: jpg, jpeg, png, webp, gif, mp3, m4a, ogg, wav)',
+    'File "images/logo.svg" is not a picture or recording (allowed: jpg, jpeg, png, webp, gif, mp3, m4a, ogg, wav)'
+  ]);
+});
+
+test('a pack from a link is installed only when agreed, and never over an installed one', async () => {
+  const store = createPackStore({ indexedDB: null });
+  const file = JSON.stringify(await writePack(manifest, dataset, files()));
+  const asked = [];
+  let result = await installPack(store, file, { confirm: m => { asked.push(m.title); return false; } });
+  assert.equal(result.record, null);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(asked, ['Coast foods']);
+  assert.equal(await store.get('coast-foods'), null);
+
+  result = await installPack(store, file, { keepExisting: true, confirm: () => true });
+  assert.equal(result.record.id, 'coast-foods');
+  result = await installPack(store, file, { keepExisting: true, confirm: () => true });
+  assert.equal(result.record, null);
+  assert.equal(result.errors.length, 1);
+  // Opening the file by hand still replaces it
+  assert.equal((await installPack(store, file)).record.id, 'coast-foods');
+});
+
+test('pack paths stay inside the pack and map to service worker URLs', () => {
+  assert.equal(packPath('./images/a.jpg'), 'images/a.jpg');
+  assert.equal(packPath('../secret.json'), null);
+  assert.equal(packPath('https://example.org/a.jpg'), null);
+  assert.equal(packUrl('coast-foods', 'images/a b.jpg'), '/packs/coast-foods/images/a%20b.jpg');
+  assert.deepEqual(parsePackUrl('/packs/coast-foods/images/a%20b.jpg'), { id: 'coast-foods', path: 'images/a b.jpg' });
+  assert.equal(parsePackUrl('/images/a.jpg'), null);
+  assert.equal(datasetUrl(''), './api/questions.json');
+  assert.equal(datasetUrl('coast-foods'), '/packs/coast-foods/questions.json');
+});
+
+test('installed packs are listed, served and removed', async () => {
+  const store = createPackStore({ indexedDB: null, now: () => 42 });
+  const record = await store.install({ manifest: manifest, dataset: dataset, files: files() });
+  assert.equal(record.installedAt, 42);
+  assert.equal(record.size, 12);
+  assert.deepEqual((await store.list()).map(r => r.id), ['coast-foods']);
+  assert.equal(await (await store.file('coast-foods', 'images/viazi-karai.png')).text(), 'png');
+
+  const resolved = resolvePackDataset(record);
+  assert.equal(resolved.items[0].image, '/packs/coast-foods/images/mahamri.jpg');
+  assert.equal(resolved.items[2].image, 'https://example.org/kaimati.jpg');
+  assert.equal(dataset.items[0].image, './images/mahamri.jpg');
+
+  assert.equal(await store.remove('coast-foods'), true);
+  assert.equal(await store.get('coast-foods'), null);
+  assert.equal(await store.file('coast-foods', 'images/viazi-karai.png'), null);
+  assert.equal(await store.remove('coast-foods'), false);
+});
+
+test('the active pack is remembered', () => {
+  const storage = memoryStorage();
+  assert.equal(getActivePack(storage), '');
+  setActivePack('coast-foods', storage);
+  assert.equal(getActivePack(storage), 'coast-foods');
+  setActivePack('', storage);
+  assert.equal(getActivePack(storage), '');
+});
+
+test('each pack keeps its own progress and mastery records', () => {
+  const storage = memoryStorage();
+  const state = { activeId: 'p1', profiles: [{ id: 'p1', name: 'Wanjiru', progress: { unlockedLevel: 1, currentLevel: 1, best: {}, inProgress: null }, packs: {} }] };
+  const profile = state.profiles[0];
+  recordLevelResult(profile, 1, { firstTry: 4, total: 5 }, 2, 'coast-foods');
+  saveRoundProgress(profile, { level: 2, ids: ['c3', 'c4'], index: 1, firstTry: 1 }, 'coast-foods');
+  assert.equal(profile.progress.unlockedLevel, 1);
+  assert.equal(progressFor(profile, 'coast-foods').unlockedLevel, 2);
+  assert.deepEqual(progressFor(profile, 'coast-foods').inProgress.ids, ['c3', 'c4']);
+  assert.equal(masteryKey('p1', 'coast-foods'), 'kulture.mastery.v1.p1.coast-foods');
+
+  storage.setItem(masteryKey('p1', 'coast-foods'), '{}');
+  resetProfile(state, 'p1', storage);
+  assert.equal(storage.getItem(masteryKey('p1', 'coast-foods')), null);
+  assert.deepEqual(profile.packs, {});
+});
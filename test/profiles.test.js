@@ -0,0 +1,136 @@
+// Tests for child profiles and their saved progress (js/profiles.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AVATARS, STORAGE_KEY, loadProfiles, saveProfiles, getActiveProfile, setActiveProfile, createProfile, renameProfile,
+  resetProfile, deleteProfile, masteryKey, progressFor, recordLevelResult, saveRoundProgress, clearRoundProgress
+} from '../js/profiles.js';
+import { historyKey } from '../js/history.js';
+import { achievementsKey } from '../js/achievements.js';
+import { createQuizSession } from '../js/quiz-session.js';
+import { memoryStorage } from './helpers.js';
+
+function emptyState() {
+  return { activeId: null, profiles: [] };
+}
+
+// Every record a profile keeps, including the mastery of one question pack
+const recordKeys = profile => [masteryKey(profile.id), masteryKey(profile.id, 'coast-foods'), historyKey(profile.id), achievementsKey(profile.id)];
+
+// Storage holding all of them
+function storageFor(profile) {
+  const storage = memoryStorage();
+  progressFor(profile, 'coast-foods');
+  recordKeys(profile).forEach(key => storage.setItem(key, '{}'));
+  return storage;
+}
+
+test('a new profile gets a tidy name, a known avatar and fresh progress', () => {
+  const state = emptyState();
+  const amani = createProfile(state, '  Amani   Wanjiru ', '🦓');
+  assert.equal(amani.name, 'Amani Wanjiru');
+  assert.equal(amani.avatar, '🦓');
+  assert.deepEqual(amani.progress, { unlockedLevel: 1, currentLevel: 1, best: {}, inProgress: null });
+  assert.deepEqual(amani.packs, {});
+  const zawadi = createProfile(state, 'Zawadi with a name far too long to show', 'not an avatar');
+  assert.equal(zawadi.name.length, 24);
+  assert.equal(zawadi.avatar, AVATARS[0]);
+  assert.notEqual(zawadi.id, amani.id);
+  assert.throws(() => createProfile(state, '   '), /enter a name/);
+  assert.equal(state.profiles.length, 2);
+
+  setActiveProfile(state, zawadi.id);
+  assert.equal(getActiveProfile(state), zawadi);
+  assert.throws(() => setActiveProfile(state, 'nobody'), /Unknown profile/);
+});
+
+test('renaming keeps the avatar unless a known one is given', () => {
+  const state = emptyState();
+  const profile = createProfile(state, 'Amani', '🦁');
+  renameProfile(state, profile.id, ' Baraka ', 'nope');
+  assert.equal(profile.name, 'Baraka');
+  assert.equal(profile.avatar, '🦁');
+  renameProfile(state, profile.id, 'Baraka', '🐘');
+  assert.equal(profile.avatar, '🐘');
+  assert.throws(() => renameProfile(state, profile.id, ''), /enter a name/);
+  assert.throws(() => renameProfile(state, 'nobody', 'Amani'), /Unknown profile/);
+});
+
+test('resetting clears progress and every record but keeps the child', () => {
+  const state = emptyState();
+  const profile = createProfile(state, 'Amani', '🦒');
+  const other = createProfile(state, 'Zawadi');
+  const storage = storageFor(profile);
+  storage.setItem(historyKey(other.id), '{}');
+  recordLevelResult(profile, 1, { firstTry: 4, total: 5 }, 3);
+  resetProfile(state, profile.id, storage);
+  assert.equal(profile.name, 'Amani');
+  assert.deepEqual(profile.progress, { unlockedLevel: 1, currentLevel: 1, best: {}, inProgress: null });
+  assert.deepEqual(profile.packs, {});
+  recordKeys(profile).forEach(key => assert.equal(storage.getItem(key), null, key));
+  assert.equal(storage.getItem(historyKey(other.id)), '{}', 'other children keep theirs');
+  assert.throws(() => resetProfile(state, 'nobody', storage), /Unknown profile/);
+});
+
+test('deleting removes the profile and its records', () => {
+  const state = emptyState();
+  const profile = createProfile(state, 'Amani');
+  const other = createProfile(state, 'Zawadi');
+  const storage = storageFor(profile);
+  setActiveProfile(state, profile.id);
+  deleteProfile(state, profile.id, storage);
+  assert.deepEqual(state.profiles, [other]);
+  assert.equal(state.activeId, null);
+  recordKeys(profile).forEach(key => assert.equal(storage.getItem(key), null, key));
+  // Deleting someone else leaves the active child alone
+  setActiveProfile(state, other.id);
+  deleteProfile(state, 'nobody', storage);
+  assert.equal(state.activeId, other.id);
+});
+
+test('profiles round-trip through storage and survive bad data', () => {
+  const storage = memoryStorage();
+  const state = emptyState();
+  const profile = createProfile(state, 'Amani');
+  recordLevelResult(profile, 1, { firstTry: 3, total: 5 }, 3);
+  saveProfiles(state, storage);
+  const loaded = loadProfiles(storage);
+  assert.deepEqual(loaded, JSON.parse(JSON.stringify(state)));
+  assert.equal(loaded.profiles[0].progress.unlockedLevel, 2);
+  storage.setItem(STORAGE_KEY, '{not json');
+  assert.deepEqual(loadProfiles(storage), emptyState());
+  assert.deepEqual(loadProfiles(null), emptyState());
+});
+
+test('a round saved part-way resumes where it stopped', () => {
+  const dataset = {
+    schemaVersion: 1,
+    items: Array.from({ length: 6 }, (_, i) => ({ id: 'q' + (i + 1), level: 1, category: 'food', image: './images/q' + (i + 1) + '.jpg', label: 'word ' + (i + 1) }))
+  };
+  const storage = memoryStorage();
+  const state = emptyState();
+  const profile = createProfile(state, 'Amani');
+  const s = createQuizSession({ seed: 3 });
+  s.load(dataset);
+  s.startLevel(1);
+  s.answer(true);
+  s.next();
+  s.answer(false, 'word 6');
+  saveRoundProgress(profile, s.progress());
+  saveProfiles(state, storage);
+
+  // After a reload
+  const saved = loadProfiles(storage).profiles[0].progress.inProgress;
+  const again = createQuizSession({ seed: 99 });
+  again.load(dataset);
+  assert.equal(again.resume(saved), true);
+  assert.deepEqual(again.questions.map(q => q.id), s.questions.map(q => q.id));
+  assert.equal(again.index, 1);
+  assert.equal(again.firstTry, 1);
+  assert.equal(again.score, s.score);
+
+  clearRoundProgress(profile);
+  assert.equal(profile.progress.inProgress, null);
+  recordLevelResult(profile, 1, { firstTry: 5, total: 5 }, 3);
+  assert.equal(profile.progress.best[1].firstTry, 5);
+});
@@ -0,0 +1,391 @@
+// Tests for the headless quiz session (js/quiz-session.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createQuizSession, ROUND_SIZE, pointsFor, starsFor } from '../js/quiz-session.js';
+import { POLICY_KEY, DEFAULT_POLICY, loadAnswerPolicy, saveAnswerPolicy } from '../js/answer-policy.js';
+import { memoryStorage } from './helpers.js';
+
+// Six items per level across three levels, like api/questions.json
+function dataset(extra) {
+  const items = [];
+  const categories = ['animals', 'food', 'home'];
+  for (let level = 1; level <= 3; level++) {
+    for (let i = 1; i <= 6; i++) {
+      const n = (level - 1) * 6 + i;
+      items.push({ id: 'q' + n, level: level, category: categories[i % 3], image: './images/q' + n + '.jpg', label: 'word ' + n });
+    }
+  }
+  return { schemaVersion: 1, items: items.concat(extra || []) };
+}
+
+function session(options) {
+  const s = createQuizSession(Object.assign({ seed: 42 }, options));
+  s.load(dataset());
+  return s;
+}
+
+// Answer every question of the round right on the first try
+function playThrough(s) {
+  while (!s.complete) {
+    s.answer(true);
+    s.next();
+  }
+}
+
+test('a level round only asks items of that level', () => {
+  for (const level of [1, 2, 3]) {
+    const s = session();
+    const round = s.startLevel(level);
+    assert.equal(round.length, ROUND_SIZE);
+    assert.ok(round.every(q => q.level === level), 'level ' + level);
+    assert.equal(new Set(round.map(q => q.id)).size, round.length, 'no repeats');
+  }
+});
+
+test('levels outside the dataset play its first or last level', () => {
+  const s = session();
+  s.startLevel(0);
+  assert.equal(s.level, 1);
+  s.startLevel(9);
+  assert.equal(s.level, 3);
+  assert.ok(s.questions.every(q => q.level === 3));
+});
+
+test('a level with too few items borrows from the whole dataset', () => {
+  const s = createQuizSession({ seed: 1 });
+  s.load(dataset([{ id: 'q99', level: 4, category: 'food', image: './images/q99.jpg', label: 'lonely' }]));
+  const round = s.startLevel(4);
+  assert.equal(s.level, 4);
+  assert.equal(round.length, ROUND_SIZE);
+  assert.ok(round.some(q => q.level !== 4));
+});
+
+test('a wrong try keeps the question open and costs the first-try point', () => {
+  const s = session();
+  s.startLevel(1);
+  const first = s.current();
+  assert.deepEqual(s.answer(false, 'word 2'), { correct: false, attempts: 1, done: false, outOfTries: false });
+  assert.deepEqual(s.answer(false, 'word 2'), { correct: false, attempts: 2, done: false, outOfTries: false });
+  assert.equal(s.current(), first);
+  assert.deepEqual(s.answer(true), { correct: true, attempts: 2, done: true, outOfTries: false });
+  assert.equal(s.firstTry, 0);
+  // Settled questions ignore further tries
+  assert.equal(s.answer(true), null);
+  s.next();
+  s.answer(true);
+  assert.equal(s.firstTry, 1);
+});
+
+test('results report tries, distinct wrong picks and the mastery move', () => {
+  const mastery = {};
+  const s = session({ mastery: mastery });
+  const results = [];
+  s.on('result', r => results.push(r));
+  s.startLevel(1);
+  const q = s.current();
+  s.answer(false, 'word 3');
+  s.answer(false, 'word 3');
+  s.answer(false, 'word 4');
+  s.answer(true);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].item, q);
+  assert.equal(results[0].firstTry, false);
+  assert.equal(results[0].attempts, 3);
+  assert.deepEqual(results[0].wrong, ['word 3', 'word 4']);
+  assert.equal(mastery[q.id].box, 1);
+  assert.equal(mastery[q.id].lapses, 1);
+});
+
+test('revealing the answer counts the question as missed', () => {
+  const s = session();
+  s.startLevel(2);
+  const result = s.reveal();
+  assert.deepEqual(result, { correct: false, attempts: 1, done: true });
+  assert.equal(s.reveal(), null);
+  assert.equal(s.firstTry, 0);
+});
+
+test('the last question completes the round once', () => {
+  const s = session();
+  const completed = [];
+  s.on('complete', r => completed.push(r));
+  s.startLevel(1);
+  for (let i = 0; i < ROUND_SIZE - 1; i++) {
+    s.answer(true);
+    assert.ok(s.next(), 'question ' + (i + 2));
+  }
+  assert.equal(s.index, ROUND_SIZE - 1);
+  assert.equal(completed.length, 0);
+  s.answer(true);
+  assert.equal(s.next(), null);
+  assert.equal(s.complete, true);
+  assert.deepEqual(completed, [{
+    level: 1, practice: false, review: false, firstTry: ROUND_SIZE, total: ROUND_SIZE, nextLevel: 2,
+    score: ROUND_SIZE * 10, stars: 3, bestStreak: ROUND_SIZE, missed: []
+  }]);
+  assert.equal(s.next(), null);
+  assert.equal(s.answer(true), null);
+  assert.equal(completed.length, 1);
+});
+
+test('retries score less, reveals nothing, and a wrong try breaks the streak', () => {
+  const s = session();
+  const results = [];
+  let done = null;
+  s.on('result', r => results.push([r.points, r.streak]));
+  s.on('complete', r => { done = r; });
+  s.startLevel(1);
+  s.answer(true); s.next();
+  s.answer(true); s.next();
+  s.answer(false, 'x'); s.answer(true); s.next();
+  s.answer(false, 'x'); s.answer(false, 'y'); s.answer(true); s.next();
+  s.reveal(); s.next();
+  assert.deepEqual(results, [[10, 1], [10, 2], [5, 0], [2, 0], [0, 0]]);
+  assert.equal(done.score, 27);
+  assert.equal(done.bestStreak, 2);
+  assert.equal(done.stars, 1);
+});
+
+test('points and stars follow the scoring table', () => {
+  assert.deepEqual([0, 1, 2, 5].map(n => pointsFor(n)), [10, 5, 2, 2]);
+  assert.equal(pointsFor(0, true), 0);
+  assert.deepEqual([5, 4, 3, 2, 0].map(n => starsFor(n, 5)), [3, 2, 2, 1, 1]);
+  assert.equal(starsFor(0, 0), 0);
+});
+
+test('hints cost a step of points each and the first-try point', () => {
+  const s = session();
+  const results = [];
+  const hints = [];
+  s.on('result', r => results.push([r.points, r.firstTry, r.hints]));
+  s.on('hint', e => hints.push(e.hints));
+  s.startLevel(1);
+  assert.equal(s.hint(), 1);
+  s.answer(true); s.next();
+  s.hint(); s.hint(); s.hint();
+  assert.equal(s.hint(), null, 'three hints at most');
+  s.answer(true);
+  assert.equal(s.hint(), null, 'none after the answer');
+  s.next();
+  s.hint(); s.answer(false, 'x'); s.answer(true); s.next();
+  assert.deepEqual(results, [[5, false, 1], [2, false, 3], [2, false, 1]]);
+  assert.deepEqual(hints, [1, 1, 2, 3, 1]);
+  assert.equal(s.hints, 0, 'a new question starts without hints');
+  assert.equal(pointsFor(0, false, 1), 5);
+});
+
+test('the last level has no next level', () => {
+  const s = session();
+  let done = null;
+  s.on('complete', r => { done = r; });
+  s.startLevel(3);
+  playThrough(s);
+  assert.equal(done.nextLevel, null);
+});
+
+test('moving on without answering skips the question as missed', () => {
+  const s = session();
+  const results = [];
+  s.on('result', r => results.push(r));
+  s.startLevel(1);
+  s.next();
+  assert.equal(s.index, 1);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].firstTry, false);
+});
+
+test('events arrive in order and listeners can be removed', () => {
+  const s = session();
+  const seen = [];
+  const off = s.on('question', e => seen.push('question ' + e.index));
+  s.on('start', () => seen.push('start'));
+  s.on('answer', e => seen.push(e.correct ? 'right' : 'wrong'));
+  s.on('result', () => seen.push('result'));
+  s.startLevel(1);
+  s.answer(false, 'x');
+  s.answer(true);
+  s.next();
+  off();
+  s.answer(true);
+  s.next();
+  assert.deepEqual(seen, ['start', 'question 0', 'wrong', 'right', 'result', 'question 1', 'right', 'result']);
+});
+
+test('progress can be saved and resumed', () => {
+  const s = session();
+  s.startLevel(2);
+  s.answer(true);
+  s.next();
+  s.answer(false, 'x');
+  s.answer(true);
+  const saved = s.progress();
+  assert.equal(saved.level, 2);
+  assert.equal(saved.index, 2);
+  assert.equal(saved.firstTry, 1);
+  assert.equal(saved.score, 15);
+
+  const again = session();
+  assert.equal(again.resume(saved), true);
+  assert.equal(again.index, 2);
+  assert.equal(again.firstTry, 1);
+  assert.equal(again.score, 15);
+  assert.deepEqual(again.questions.map(q => q.id), saved.ids);
+});
+
+test('a saved round whose items left the dataset is not resumed', () => {
+  const s = session();
+  assert.equal(s.resume({ level: 1, ids: ['q1', 'gone'], index: 0, firstTry: 0 }), false);
+  assert.equal(s.resume({ level: 1, ids: ['q1', 'q2'], index: 2, firstTry: 0 }), false);
+  assert.equal(s.resume(null), false);
+  assert.equal(s.questions.length, 0);
+});
+
+test('practice rounds use weak items only and do not change the level', () => {
+  const s = session();
+  assert.deepEqual(s.startPractice(), []);
+  s.startLevel(2);
+  s.reveal();
+  const missed = s.current();
+  s.next();
+  assert.equal(s.hasWeakItems(), true);
+  const round = s.startPractice();
+  assert.deepEqual(round.map(q => q.id), [missed.id]);
+  assert.equal(s.practice, true);
+  assert.equal(s.level, 2);
+});
+
+test('the answer policy says when a wrong answer must be shown', () => {
+  const s = session();
+  s.startLevel(1);
+  for (let i = 0; i < 5; i++) assert.equal(s.answer(false, 'x' + i).outOfTries, false, 'unlimited by default');
+
+  s.setPolicy('one-retry');
+  s.next();
+  assert.equal(s.answer(false, 'x').outOfTries, false);
+  const last = [];
+  s.on('answer', e => last.push(e.outOfTries));
+  assert.equal(s.answer(false, 'y').outOfTries, true);
+  assert.deepEqual(last, [true]);
+  s.reveal();
+  assert.equal(s.answered, true);
+
+  const strict = session({ policy: 'reveal' });
+  strict.startLevel(1);
+  assert.equal(strict.answer(false, 'x').outOfTries, true);
+  assert.equal(strict.policy, 'reveal');
+});
+
+test('the answer policy is kept on the device', () => {
+  const storage = memoryStorage();
+  assert.equal(loadAnswerPolicy(storage), DEFAULT_POLICY);
+  saveAnswerPolicy('one-retry', storage);
+  assert.equal(loadAnswerPolicy(storage), 'one-retry');
+  saveAnswerPolicy('never', storage);
+  assert.equal(loadAnswerPolicy(storage), 'one-retry');
+  storage.setItem(POLICY_KEY, 'broken');
+  assert.equal(loadAnswerPolicy(storage), DEFAULT_POLICY);
+  assert.equal(loadAnswerPolicy(null), DEFAULT_POLICY);
+});
+
+test('a level round remembers its mistakes for a review round', () => {
+  const s = session();
+  let done = null;
+  s.on('complete', round => { done = round; });
+  const round = s.startLevel(1);
+  s.answer(false, 'x');
+  s.answer(true);
+  s.next();
+  s.hint();
+  s.answer(true);
+  s.next();
+  s.reveal();
+  // Saved and resumed part-way, the mistakes so far come along
+  const saved = s.progress();
+  assert.deepEqual(saved.missed, [round[0].id, round[2].id]);
+  const again = session();
+  again.on('complete', r => { done = r; });
+  assert.equal(again.resume(saved), true);
+  playThrough(again);
+  assert.equal(done.review, false);
+  assert.deepEqual(done.missed.map(q => q.id), [round[0].id, round[2].id], 'a hinted answer is not a mistake');
+
+  const starts = [];
+  again.on('start', e => starts.push(e));
+  const review = again.startRound(done.missed, { level: done.level, review: true });
+  assert.deepEqual(review.map(q => q.id), [round[0].id, round[2].id]);
+  assert.equal(starts[0].review, true);
+  assert.equal(again.practice, true, 'a review round is practice');
+  assert.equal(again.level, 1);
+  again.answer(false, 'x');
+  again.answer(true);
+  again.next();
+  again.answer(true);
+  again.next();
+  assert.equal(done.review, true);
+  assert.equal(done.practice, true);
+  assert.deepEqual(done.missed.map(q => q.id), [round[0].id]);
+});
+
+test('the same seed plays the same round', () => {
+  const a = createQuizSession({ seed: 'class-3b' });
+  const b = createQuizSession({ seed: 'class-3b' });
+  a.load(dataset());
+  b.load(dataset());
+  assert.deepEqual(a.startLevel(1).map(q => q.id), b.startLevel(1).map(q => q.id));
+});
+
+test('items without a label load and can be labelled later', () => {
+  const s = createQuizSession({ seed: 3 });
+  const items = s.load(dataset([{ id: 'q50', level: 1, category: 'food', image: './images/unknown.jpg' }]));
+  const unlabelled = items.find(q => q.id === 'q50');
+  assert.equal(unlabelled.label, null);
+  assert.equal(s.itemByLabel(null), null);
+  s.setLabel(unlabelled, 'mandazi');
+  assert.equal(s.itemByLabel('mandazi'), unlabelled);
+  s.startRound([unlabelled]);
+  s.answer(true);
+  assert.equal(s.next(), null);
+  assert.equal(s.complete, true);
+});
+
+test('unusable datasets are rejected', () => {
+  const s = createQuizSession();
+  assert.throws(() => s.load({ items: [] }), /No questions/);
+  assert.throws(() => s.load({ nothing: true }), /items/);
+  assert.throws(() => s.startLevel(1), /No questions loaded/);
+  assert.throws(() => session().startRound([]), /at least one/);
+});
+
+test('legacy array datasets take their level from the id', () => {
+  const s = createQuizSession({ seed: 5 });
+  s.load(Array.from({ length: 10 }, (_, i) => ({ id: 'q' + (i + 1), label: 'word ' + (i + 1) })));
+  assert.deepEqual(s.levels, [1, 2]);
+  assert.ok(s.startLevel(2).every(q => q.level === 2));
+});
+
+test('planned question types follow the level list in turn', () => {
+  const s = createQuizSession({ seed: 7 });
+  s.load(Object.assign(dataset(), { questionTypes: { 2: ['picture-to-word', 'match-pairs'] } }));
+  s.startLevel(1);
+  assert.equal(s.plannedType(''), null);
+  assert.equal(s.plannedType('type-answer'), 'type-answer');
+  s.startLevel(2);
+  assert.equal(s.plannedType(''), 'picture-to-word');
+  s.answer(true);
+  s.next();
+  assert.equal(s.plannedType(''), 'match-pairs');
+});
+
+test('every level of the shipped dataset fills a round', () => {
+  const json = JSON.parse(readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8'));
+  const s = createQuizSession({ seed: 11 });
+  s.load(json);
+  for (const level of s.levels) {
+    const round = s.startLevel(level);
+    assert.equal(round.length, ROUND_SIZE);
+    assert.ok(round.every(q => q.level === level && q.label));
+    playThrough(s);
+    assert.equal(s.firstTry, ROUND_SIZE);
+  }
+});
@@ -0,0 +1,35 @@
+// Tests for the seedable random numbers (js/rng.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, shuffle, sample } from '../js/rng.js';
+
+test('the same seed gives the same sequence', () => {
+  const a = createRandom('kulture');
+  const b = createRandom('kulture');
+  const c = createRandom('other');
+  const seqA = Array.from({ length: 20 }, a);
+  assert.deepEqual(seqA, Array.from({ length: 20 }, b));
+  assert.notDeepEqual(seqA, Array.from({ length: 20 }, c));
+  assert.ok(seqA.every(n => n >= 0 && n < 1));
+});
+
+test('number and string seeds both work', () => {
+  assert.equal(createRandom(7)(), createRandom(7)());
+  assert.notEqual(createRandom(7)(), createRandom(8)());
+});
+
+test('shuffle keeps every item and leaves the input alone', () => {
+  const input = [1, 2, 3, 4, 5, 6, 7, 8];
+  const out = shuffle(input, createRandom(1));
+  assert.deepEqual(input, [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual(out.slice().sort((x, y) => x - y), input);
+  assert.deepEqual(out, shuffle(input, createRandom(1)));
+});
+
+test('sample returns distinct items, at most the whole list', () => {
+  const out = sample(['a', 'b', 'c'], 2, createRandom(3));
+  assert.equal(out.length, 2);
+  assert.equal(new Set(out).size, 2);
+  assert.equal(sample(['a'], 5).length, 1);
+  assert.deepEqual(sample(['a'], -1), []);
+});
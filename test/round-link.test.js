@@ -0,0 +1,68 @@
+// Tests for seeded rounds: /api/question's parameters and picks (js/question-api.js)
+// and the "Challenge a friend" links that replay a round (js/round-link.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { questionParams, pickQuestions, buildQuestions, choiceRandom } from '../js/question-api.js';
+import { newSeed, roundLink, readRoundLink, roundItems, versus } from '../js/round-link.js';
+import { buildChoices } from '../js/distractors.js';
+import { parseDataset } from '../js/dataset.js';
+import { createRandom } from '../js/rng.js';
+
+const source = JSON.parse(readFileSync(new URL('../api/questions.json', import.meta.url), 'utf8'));
+const items = parseDataset(source).items;
+const QUIZ = 'https://kulture.example/quiz.html';
+
+test('query parameters are read and bad filters reported', () => {
+  assert.deepEqual(questionParams(new URLSearchParams('')), { count: 1, seed: null, level: null, category: null });
+  assert.deepEqual(questionParams(new URLSearchParams('count=3&seed=abc&level=2&category=food')), { count: 3, seed: 'abc', level: 2, category: 'food' });
+  assert.match(questionParams(new URLSearchParams('level=1.5')).error, /level/);
+  assert.match(questionParams(new URLSearchParams('category=cars')).error, /Unknown category/);
+});
+
+test('a seed picks the same questions with the same choices every time', () => {
+  const filters = { seed: 'lions', level: 2 };
+  const a = buildQuestions(source, 5, Math.random, filters);
+  const b = buildQuestions(source, 5, Math.random, filters);
+  assert.deepEqual(a, b);
+  assert.ok(a.questions.every(q => q.level === 2));
+  // The quiz page shuffles each question's choices the same way
+  a.questions.forEach(function (q, index) {
+    const item = items.find(i => i.id === q.id);
+    assert.deepEqual(buildChoices(item, items, { random: choiceRandom('lions', index) }), q.choices);
+  });
+  assert.deepEqual(pickQuestions(items, { seed: 'lions', level: 2, count: 5 }).map(i => i.id), a.questions.map(q => q.id));
+  assert.notDeepEqual(buildQuestions(source, 5, Math.random, { seed: 'zebras', level: 2 }), a);
+  assert.deepEqual(pickQuestions(items, { category: 'instruments', count: 10 }, createRandom(1)).map(i => i.category).filter(c => c !== 'instruments'), []);
+});
+
+test('a link carries the round and the score to beat', () => {
+  const seed = newSeed(createRandom(4));
+  assert.match(seed, /^[0-9a-z]{6}$/);
+  const url = roundLink(QUIZ + '?pack=x#top', { seed: seed, ids: ['q4', 'q1'], level: 1, type: 'listen', by: 'Amani', score: 35 });
+  assert.equal(url, QUIZ + '?seed=' + seed + '&ids=q4%2Cq1&level=1&type=listen&by=Amani&score=35');
+  assert.deepEqual(readRoundLink(new URL(url).searchParams), {
+    seed: seed, ids: ['q4', 'q1'], level: 1, category: null, count: null, type: 'listen', by: 'Amani', score: 35
+  });
+  assert.equal(readRoundLink(new URLSearchParams('pack=x')), null);
+  const odd = readRoundLink(new URLSearchParams('seed=s&level=x&score=-4&count=500&by=' + 'n'.repeat(40)));
+  assert.equal(odd.level, null);
+  assert.equal(odd.score, null);
+  assert.equal(odd.count, 20);
+  assert.equal(odd.by.length, 24);
+});
+
+test('a linked round plays its named items, or what the seed picks', () => {
+  assert.deepEqual(roundItems(items, { seed: 's', ids: ['q4', 'q1', 'q5'] }).map(i => i.id), ['q4', 'q1', 'q5']);
+  const bySeed = roundItems(items, { seed: 'lions', level: 2, category: null, count: null, ids: null });
+  assert.deepEqual(bySeed.map(i => i.id), buildQuestions(source, 5, null, { seed: 'lions', level: 2 }).questions.map(q => q.id));
+  // An item removed since the link was made: the seed takes over
+  const changed = roundItems(items, { seed: 'lions', level: 2, ids: ['q4', 'q99'] });
+  assert.deepEqual(changed, bySeed);
+});
+
+test('scores compare for the side-by-side result', () => {
+  assert.equal(versus(40, 35), 'win');
+  assert.equal(versus(20, 35), 'lose');
+  assert.equal(versus(35, 35), 'tie');
+});
@@ -0,0 +1,195 @@
+// Tests for the Node server: static files, /api/question and the /api/detect proxy
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from '../server/app.js';
+import { resolvePath } from '../server/static.js';
+import { createRateLimiter } from '../server/rate-limit.js';
+import { createRandom } from '../js/rng.js';
+
+const JPEG = { 'Content-Type': 'image/jpeg' };
+let upstream = null;
+let calls = 0;
+let server;
+let base;
+
+function listen(options) {
+  return new Promise(function (resolve) {
+    const s = createServer(options);
+    s.listen(0, '127.0.0.1', () => resolve(s));
+  });
+}
+
+function urlOf(s) {
+  return 'http://127.0.0.1:' + s.address().port;
+}
+
+before(async () => {
+  server = await listen({
+    detect: async blob => { calls++; return upstream(blob); },
+    maxImageBytes: 1024,
+    rateLimit: { limit: 8, windowMs: 60000 },
+    client: { DETECTION_THRESHOLD: 0.6, ANALYTICS_ENDPOINT: 'https://stats.example/events' },
+    random: createRandom(1)
+  });
+  base = urlOf(server);
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('pages and scripts are served with their types', async () => {
+  const page = await fetch(base + '/');
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  assert.match(await page.text(), /Kulture/);
+  const script = await fetch(base + '/js/dataset.js');
+  assert.match(script.headers.get('content-type'), /text\/javascript/);
+  await script.arrayBuffer();
+});
+
+test('unknown, hidden and escaping paths are not served', async () => {
+  for (const p of ['/nope.html', '/server/app.js', '/test/server.test.js', '/.gitignore', '/%2e%2e/etc/passwd', '/Server/app.js', '/package.json', '/server%5Capp.js']) {
+    const res = await fetch(base + p);
+    assert.equal(res.status, 404, p);
+    await res.arrayBuffer();
+  }
+  assert.equal(resolvePath('/site', '/../js/../etc/passwd'), null);
+  assert.equal(resolvePath('/site', '/../../js/rng.js'), '/site/js/rng.js');
+  assert.equal(resolvePath('/site', '/api/config.js'), null);
+  // Case and backslashes must not get round the rules on a case-insensitive filesystem
+  for (const p of ['/api/CONFIG.JS', '/api/Config.js', '/api\\config.js', '/api%5Cconfig.js', '/API/config.js', '/api/config.js.', '/api/config.js::$DATA',
+    '/Server/index.js', '/SERVER/app.js', '/server\\app.js', '/Test/server.test.js', '/.Git/config', '/js/.hidden', '/package.json', '/README.md', '/node_modules/x.js']) {
+    assert.equal(resolvePath('/site', p), null, p);
+  }
+  // Only the pages at the top level and the site's folders are served
+  assert.equal(resolvePath('/site', '/'), '/site/');
+  assert.equal(resolvePath('/site', '/quiz.html'), '/site/quiz.html');
+  assert.equal(resolvePath('/site', '/js/dataset.js'), '/site/js/dataset.js');
+  assert.equal(resolvePath('/site', '/Images/giraffe.jpg'), '/site/Images/giraffe.jpg');
+  assert.equal(resolvePath('/site', '/api/questions.json'), '/site/api/questions.json');
+  assert.equal(resolvePath('/site', '/%E0%A4%A'), null);
+});
+
+test('the browser config picks the proxy and holds no key', async () => {
+  const res = await fetch(base + '/api/config.js');
+  const text = await res.text();
+  assert.match(res.headers.get('content-type'), /javascript/);
+  assert.match(text, /DETECTION_PROVIDER = "proxy"/);
+  assert.match(text, /DETECTION_THRESHOLD = 0.6/);
+  assert.match(text, /ANALYTICS_ENDPOINT = "https:\/\/stats.example\/events"/);
+  assert.doesNotMatch(text, /KEY/);
+});
+
+test('/api/question follows the service worker contract', async () => {
+  const res = await fetch(base + '/api/question?count=3');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.questions.length, 3);
+  for (const q of body.questions) {
+    assert.deepEqual(Object.keys(q).sort(), ['category', 'choices', 'id', 'image', 'label', 'level']);
+    assert.equal(q.choices.length, 4);
+    assert.ok(q.choices.includes(q.label));
+  }
+  const clamped = await (await fetch(base + '/api/question?count=99')).json();
+  assert.equal(clamped.questions.length, 10);
+  const fallback = await (await fetch(base + '/api/question?count=abc')).json();
+  assert.equal(fallback.questions.length, 1);
+  const pack = await fetch(base + '/api/question?pack=coast-foods');
+  assert.equal(pack.status, 404);
+  assert.match((await pack.json()).error, /Unknown pack/);
+});
+
+test('/api/question repeats a seeded round and filters by level and category', async () => {
+  const url = base + '/api/question?count=4&seed=lions&level=1';
+  const first = await (await fetch(url)).json();
+  const second = await (await fetch(url)).json();
+  assert.equal(first.questions.length, 4);
+  assert.deepEqual(second, first);
+  assert.ok(first.questions.every(q => q.level === 1));
+  const other = await (await fetch(base + '/api/question?count=4&seed=zebras&level=1')).json();
+  assert.notDeepEqual(other, first);
+
+  const food = await (await fetch(base + '/api/question?count=10&category=food')).json();
+  assert.ok(food.questions.length > 0);
+  assert.ok(food.questions.every(q => q.category === 'food'));
+  const none = await (await fetch(base + '/api/question?level=9')).json();
+  assert.deepEqual(none, { questions: [] });
+
+  for (const bad of ['category=spaceships', 'level=two', 'level=0']) {
+    const res = await fetch(base + '/api/question?' + bad);
+    assert.equal(res.status, 400, bad);
+    assert.ok((await res.json()).error);
+  }
+});
+
+test('/api/detect forwards images to the upstream', async () => {
+  upstream = async blob => ({ results: [{ label: 'antelope', confidence: 0.9 }], raw: { size: blob.size, type: blob.type } });
+  const res = await fetch(base + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(10) });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { results: [{ label: 'antelope', confidence: 0.9 }], raw: { size: 10, type: 'image/jpeg' } });
+});
+
+test('/api/detect refuses wrong types, empty and oversized bodies', async () => {
+  const before = calls;
+  const text = await fetch(base + '/api/detect', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'hi' });
+  assert.equal(text.status, 415);
+  await text.arrayBuffer();
+  const big = await fetch(base + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(2048) });
+  assert.equal(big.status, 413);
+  await big.arrayBuffer();
+  const empty = await fetch(base + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(0) });
+  assert.equal(empty.status, 400);
+  await empty.arrayBuffer();
+  const get = await fetch(base + '/api/detect');
+  assert.equal(get.status, 405);
+  await get.arrayBuffer();
+  assert.equal(calls, before);
+});
+
+test('upstream failures map to 429 and 502', async () => {
+  upstream = async () => { const err = new Error('slow down'); err.status = 429; err.retryAfter = 7; throw err; };
+  const busy = await fetch(base + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(4) });
+  assert.equal(busy.status, 429);
+  assert.equal(busy.headers.get('retry-after'), '7');
+  await busy.arrayBuffer();
+  upstream = async () => { throw new Error('down'); };
+  const down = await fetch(base + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(4) });
+  assert.equal(down.status, 502);
+  await down.arrayBuffer();
+});
+
+test('each client is rate limited', async () => {
+  upstream = async () => ({ results: [] });
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    const res = await fetch(base + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(4) });
+    statuses.push(res.status);
+    if (res.status === 429) assert.ok(Number(res.headers.get('retry-after')) > 0);
+    await res.arrayBuffer();
+  }
+  assert.equal(statuses[statuses.length - 1], 429);
+});
+
+test('without an upstream detection is switched off', async () => {
+  const plain = await listen({});
+  try {
+    const res = await fetch(urlOf(plain) + '/api/detect', { method: 'POST', headers: JPEG, body: new Uint8Array(4) });
+    assert.equal(res.status, 503);
+    await res.arrayBuffer();
+    assert.match(await (await fetch(urlOf(plain) + '/api/config.js')).text(), /DETECTION_PROVIDER = "none"/);
+  } finally {
+    await new Promise(resolve => plain.close(resolve));
+  }
+});
+
+test('the rate limiter opens a new window when the old one ends', () => {
+  let clock = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => clock });
+  assert.equal(limiter.take('a').ok, true);
+  assert.equal(limiter.take('a').ok, true);
+  const blocked = limiter.take('a');
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.retryAfter, 1);
+  assert.equal(limiter.take('b').ok, true);
+  clock = 1000;
+  assert.equal(limiter.take('a').ok, true);
+});
@@ -0,0 +1,82 @@
+// Tests for the detection request queue, retries and timeout (api/throttle.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQueue, withRetry, withTimeout, backoffDelay, isRetryable } from '../api/throttle.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+function httpError(status, retryAfter) {
+  const err = new Error('HTTP ' + status);
+  err.status = status;
+  err.retryAfter = retryAfter || 0;
+  return err;
+}
+
+test('the queue never runs more than its concurrency at once', async () => {
+  const queue = createQueue(2);
+  const gates = [deferred(), deferred(), deferred()];
+  let running = 0;
+  let peak = 0;
+  const done = gates.map((gate, i) => queue.run(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await gate.promise;
+    running--;
+    return i;
+  }));
+  await new Promise(r => setImmediate(r));
+  assert.equal(queue.active, 2);
+  assert.equal(queue.pending, 1);
+  gates.forEach(g => g.resolve());
+  assert.deepEqual(await Promise.all(done), [0, 1, 2]);
+  assert.equal(peak, 2);
+  assert.equal(queue.active, 0);
+});
+
+test('a failing task does not stall the queue', async () => {
+  const queue = createQueue(1);
+  await assert.rejects(queue.run(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(await queue.run(() => 'next'), 'next');
+});
+
+test('rate limits and server errors are retried with backoff', async () => {
+  const waits = [];
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls === 1) throw httpError(429);
+    if (calls === 2) throw httpError(503);
+    return 'ok';
+  }, { sleep: async ms => { waits.push(ms); }, random: () => 1, baseDelay: 100 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.deepEqual(waits, [100, 200]);
+});
+
+test('client errors and exhausted retries are thrown', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw httpError(400); }, { sleep: async () => {} }), /HTTP 400/);
+  assert.equal(calls, 1);
+  calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw httpError(500); }, { retries: 2, sleep: async () => {} }), /HTTP 500/);
+  assert.equal(calls, 3);
+  assert.equal(isRetryable(new Error('offline')), false);
+});
+
+test('backoff grows, is capped and follows Retry-After', () => {
+  const opts = { baseDelay: 500, maxDelay: 4000, random: () => 1 };
+  assert.deepEqual([0, 1, 2, 3, 4].map(n => backoffDelay(n, null, opts)), [500, 1000, 2000, 4000, 4000]);
+  assert.equal(backoffDelay(0, null, Object.assign({}, opts, { random: () => 0 })), 250);
+  assert.equal(backoffDelay(0, httpError(429, 3), opts), 3000);
+});
+
+test('a slow promise times out, a quick one does not', async () => {
+  assert.equal(await withTimeout(Promise.resolve('fast'), 50), 'fast');
+  const slow = new Promise(r => setTimeout(() => r('late'), 200));
+  await assert.rejects(withTimeout(slow, 10), err => err.name === 'TimeoutError');
+  assert.equal(await withTimeout(Promise.resolve(1), 0), 1);
+});